@@ -0,0 +1,265 @@
+/**
+ * Pré-calcul des agrégats DVF (Node.js)
+ *
+ * Lit les CSV DVF annuels (src/data/dvf/dvf_idf_<année>.csv), applique le même
+ * nettoyage et les mêmes calculs que l'application (fonctions pures de dvf.model.js,
+ * cleaning.model.js et utils.js), puis écrit :
+ * - src/data/dvf-agg.json : résumé régional
+ * - src/data/<dept>/dvf-agg-<dept>.json : stats et séries du département,
+ *   de chacune de ses communes et sections
+ *
+ * L'application lit le résumé à l'ouverture et le fichier d'un département quand
+ * l'utilisateur y entre ; les CSV restent nécessaires aux fonctions qui utilisent
+ * les ventes individuelles (voir aggregates.model.js).
+ *
+ * Utilisation (depuis la racine du dépôt, Node ≥ 20.19) :
+ *   node scripts/build-aggregates.mjs
+ *   node scripts/build-aggregates.mjs --years 2022,2023,2024
+ */
+
+import { createReadStream } from "node:fs";
+import { mkdir, writeFile } from "node:fs/promises";
+import { createInterface } from "node:readline";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+import {
+  DVF_YEARS,
+  DVF_LEGACY_PATH,
+  ALL_YEARS,
+  dvfYearPath,
+  parseDVFRow,
+  buildIndexes,
+  computeTimeSeries,
+} from "../src/js/models/dvf.model.js";
+import { summarizeExclusions } from "../src/js/models/cleaning.model.js";
+import { splitCsvLine } from "../src/js/utils/utils.js";
+import { prepareDVF } from "../src/js/models/dvf-loader.model.js";
+import {
+  AGGREGATES_SUMMARY_PATH,
+  AGGREGATES_VERSION,
+  compactStats,
+  deptAggregatesPath,
+} from "../src/js/models/aggregates.model.js";
+
+// Racine servie par l'application : les chemins de données y sont relatifs
+const SRC_DIR = join(dirname(fileURLToPath(import.meta.url)), "..", "src");
+
+/* =====================================================
+   LECTURE DES CSV
+===================================================== */
+
+/**
+ * Lit un CSV DVF ligne à ligne et le met au format de l'application (parseDVFRow).
+ *
+ * @param {string} path - Chemin relatif à src/.
+ * @param {number|null} annee - Millésime du fichier (si connu).
+ * @returns {Promise<Array<Object>|null>} Ventes, ou null si le fichier est absent.
+ */
+async function readDVF(path, annee = null) {
+  const stream = createReadStream(join(SRC_DIR, path), "utf8");
+  const opened = await new Promise((resolve) => {
+    stream.once("open", () => resolve(true));
+    stream.once("error", () => resolve(false));
+  });
+  if (!opened) return null;
+
+  const rows = [];
+  let colonnes = null;
+  for await (const ligne of createInterface({ input: stream, crlfDelay: Infinity })) {
+    if (!ligne) continue;
+    const champs = splitCsvLine(ligne);
+    if (!colonnes) {
+      colonnes = champs;
+      continue;
+    }
+    const d = {};
+    colonnes.forEach((col, i) => { d[col] = champs[i] ?? ""; });
+    rows.push(parseDVFRow(d, annee));
+  }
+  return rows;
+}
+
+/**
+ * Charge toutes les années demandées (repli sur le fichier historique unique).
+ *
+ * @param {number[]} years - Millésimes à charger.
+ * @returns {Promise<Array<Object>>} Ventes brutes, toutes années confondues.
+ */
+async function loadAll(years) {
+  const rows = [];
+  for (const annee of years) {
+    const lignes = await readDVF(dvfYearPath(annee), annee);
+    if (!lignes) {
+      console.warn(`DVF ${annee} : fichier absent (${dvfYearPath(annee)})`);
+      continue;
+    }
+    console.log(`DVF ${annee} : ${lignes.length} lignes`);
+    for (const v of lignes) rows.push(v);
+  }
+
+  if (rows.length === 0) {
+    const lignes = await readDVF(DVF_LEGACY_PATH);
+    if (!lignes) throw new Error("Aucun fichier DVF trouvé dans src/data");
+    console.log(`DVF (fichier unique) : ${lignes.length} lignes`);
+    return lignes;
+  }
+  return rows;
+}
+
+/* =====================================================
+   AGRÉGATS PAR TERRITOIRE
+===================================================== */
+
+/**
+ * Statistiques compactes par période d'un territoire.
+ *
+ * @param {Map<string|number, Array<Object>>} parPeriode - Ventes du territoire par période (buildIndexes).
+ * @returns {Object.<string, Object>} { [periode]: compactStats }
+ */
+function statsParPeriode(parPeriode) {
+  const res = {};
+  for (const [periode, ventes] of parPeriode) res[periode] = compactStats(ventes);
+  return res;
+}
+
+/**
+ * Séries temporelles arrondies à l'euro (fichiers plus légers).
+ *
+ * @param {Array<Object>} ventes - Ventes du territoire (toutes années).
+ * @returns {Object} Séries issues de computeTimeSeries.
+ */
+function seriesArrondies(ventes) {
+  const series = computeTimeSeries(ventes);
+  const arrondir = (resume) => resume && {
+    n: resume.n,
+    q1: Math.round(resume.q1),
+    median: Math.round(resume.median),
+    q3: Math.round(resume.q3),
+  };
+  for (const t of series.trimestres) {
+    t.maisons = arrondir(t.maisons);
+    t.apparts = arrondir(t.apparts);
+  }
+  return series;
+}
+
+/**
+ * Agrégats d'un territoire : stats par période, séries temporelles
+ * et ventes exclues (toutes années).
+ *
+ * @param {Map<string|number, Array<Object>>} parPeriode - Ventes retenues par période (buildIndexes).
+ * @param {Map<string|number, Array<Object>>|undefined} exclusParPeriode - Ventes exclues par période.
+ * @returns {{ stats: Object, series: Object, exclusions: Object }}
+ */
+function agregerTerritoire(parPeriode, exclusParPeriode) {
+  return {
+    stats: statsParPeriode(parPeriode),
+    series: seriesArrondies(parPeriode.get(ALL_YEARS)),
+    exclusions: summarizeExclusions(exclusParPeriode?.get(ALL_YEARS)),
+  };
+}
+
+/**
+ * Agrégats d'un niveau territorial (communes ou sections), regroupés par département.
+ *
+ * @param {Map} index - Index des ventes retenues (buildIndexes).
+ * @param {Map} indexExclus - Index des ventes exclues.
+ * @returns {Map<string, Object>} Département → { [territoire]: { stats, series, exclusions } }
+ */
+function agregerNiveau(index, indexExclus) {
+  const parDept = new Map();
+  for (const [code, parPeriode] of index) {
+    const dept = code.slice(0, 2);
+    if (!parDept.has(dept)) parDept.set(dept, {});
+
+    parDept.get(dept)[code] = agregerTerritoire(parPeriode, indexExclus.get(code));
+  }
+  return parDept;
+}
+
+/* =====================================================
+   ÉCRITURE DES FICHIERS
+===================================================== */
+
+/**
+ * Écrit un fichier JSON (dossiers créés si besoin).
+ *
+ * @param {string} path - Chemin relatif à src/.
+ * @param {Object} data - Contenu.
+ * @returns {Promise<number>} Taille écrite (octets).
+ */
+async function writeJson(path, data) {
+  const cible = join(SRC_DIR, path);
+  const contenu = JSON.stringify(data);
+  await mkdir(dirname(cible), { recursive: true });
+  await writeFile(cible, contenu);
+  return Buffer.byteLength(contenu);
+}
+
+/**
+ * Lit l'option --years (ex : --years 2022,2023) ; par défaut DVF_YEARS.
+ *
+ * @param {string[]} argv - Arguments de la ligne de commande.
+ * @returns {number[]} Millésimes à traiter.
+ */
+function parseYears(argv) {
+  const i = argv.indexOf("--years");
+  if (i === -1 || !argv[i + 1]) return DVF_YEARS;
+  return argv[i + 1].split(",").map(Number).filter(Boolean);
+}
+
+/**
+ * Chargement, nettoyage, agrégation et écriture de tous les fichiers.
+ */
+async function main() {
+  const years = parseYears(process.argv.slice(2));
+  const rows = await loadAll(years);
+
+  // Même nettoyage et mêmes agrégats que dans le navigateur
+  const { ventes, exclues, rapport, aggregats } = prepareDVF(rows);
+  console.log(`Nettoyage : ${rapport.conservees} ventes retenues, ${rapport.exclues} exclues`);
+
+  const indexes = buildIndexes(ventes);
+  const indexesExclus = buildIndexes(exclues);
+  const communes = agregerNiveau(indexes.ventesByCommune, indexesExclus.ventesByCommune);
+  const sections = agregerNiveau(indexes.ventesBySection, indexesExclus.ventesBySection);
+  const genere = new Date().toISOString();
+
+  // Un fichier par département
+  const departements = {};
+  for (const dept of [...indexes.ventesByDept.keys()].sort()) {
+    const fichier = deptAggregatesPath(dept);
+    const taille = await writeJson(fichier, {
+      version: AGGREGATES_VERSION,
+      genere,
+      dept,
+      years: aggregats.years,
+      ...agregerTerritoire(indexes.ventesByDept.get(dept), indexesExclus.ventesByDept.get(dept)),
+      communes: communes.get(dept) ?? {},
+      sections: sections.get(dept) ?? {},
+    });
+    departements[dept] = {
+      fichier,
+      communes: Object.keys(communes.get(dept) ?? {}).length,
+      sections: Object.keys(sections.get(dept) ?? {}).length,
+    };
+    console.log(`${fichier} : ${departements[dept].communes} communes, ${departements[dept].sections} sections, ${Math.round(taille / 1024)} Ko`);
+  }
+
+  // Résumé régional
+  await writeJson(AGGREGATES_SUMMARY_PATH, {
+    version: AGGREGATES_VERSION,
+    genere,
+    years: aggregats.years,
+    qualite: rapport,
+    statsDept: aggregats.statsDept,
+    departements,
+  });
+  console.log(`${AGGREGATES_SUMMARY_PATH} écrit`);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -16,6 +16,34 @@ export const state = {
    */
   map: null,
 
+  /**
+   * Vrai tant que les données DVF et transports sont en cours de chargement.
+   * Les départements sont affichés (stats provisoires) mais la navigation est bloquée.
+   * Avec les agrégats pré-calculés, la navigation est ouverte dès les transports chargés.
+   */
+  loading: true,
+
+  /**
+   * Vrai quand la navigation est ouverte sur les agrégats pré-calculés
+   * (data.deptAggregates) alors que les ventes individuelles sont encore en cours de chargement.
+   */
+  salesPending: false,
+
+  /**
+   * Navigation en cours (enregistrée dans l'URL, voir url.controller.js).
+   *
+   * currentScale : 'department' (département sans contours communaux),
+   * 'commune' (communes d'un département affichées) ou 'section' (sections d'une commune affichées) ;
+   * null en vue régionale (aucun département sélectionné).
+   */
+  currentScale: null,
+  currentDept: null, // code du département sélectionné (ex : "93")
+  currentDeptName: null,
+  currentCommune: null, // code INSEE de la commune sélectionnée (ex : "93048")
+  currentCommuneName: null,
+  currentSections: null, // features des sections de la commune affichée
+  currentSection: null, // identifiant de la section dont le détail est affiché
+
   /**
    * Couches actuellement affichées sur la carte.
    *
@@ -28,6 +56,8 @@ export const state = {
     commune: null, // couche des communes (affichée après clic sur un département)
     section: null, // couche des sections cadastrales (affichée après clic sur une commune)
     transport: null,
+    pouvoirAchat: null, // choroplèthe de la surface achetable (après une analyse de pouvoir d'achat)
+    ventes: null, // marqueurs groupés des ventes individuelles (échelles commune et section)
   },
   /**
    * Données chargées au démarrage puis pré-traitées pour l'affichage.
@@ -37,35 +67,67 @@ export const state = {
    */
 
   data: {
-    dvf: [], // Liste brute des transactions DVF
+    listeVentes: () => [], // Transactions DVF retenues après nettoyage (toutes années), liste constituée au premier appel
+    years: [], // Années DVF disponibles, triées (ex : [2020, 2021, ...])
     transports: [], // Données de transports
+    stops: null, // Stations (gares et arrêts), voir loadStops
+    /**
+     * Index spatial des stations (grille), construit une fois après le chargement
+     * des arrêts : { stations, grille } (voir buildStationIndex).
+     */
+    stationIndex: null,
     /*/**
-     * Statistiques agrégées par département :
-     * { [codeDept]: { ventes, prixMedian, maisons, apparts, ... } }
-     * → utilisées dans le panneau département.
+     * Statistiques agrégées par année puis par département :
+     * { [annee | "all"]: { [codeDept]: { ventes, prixMedian, maisons, apparts, ... } } }
+     * → utilisées dans le panneau département (via getStatsDeptByPeriod).
      */
     statsDept: {},
     /**
-     * Médiane de prix par commune :
-     * { [codeCommune]: prixMedian }
+     * Médiane de prix par année puis par commune :
+     * { [annee | "all"]: { [codeCommune]: prixMedian } }
      */
     prixCommune: {},
     /**
-     * Médiane de prix par section cadastrale :
-     * { [codeSection]: prixMedian }
+     * Médiane de prix par année puis par section cadastrale :
+     * { [annee | "all"]: { [codeSection]: prixMedian } }
      * */
     prixSection: {},
     /**
-     * Index : commune → liste de ventes DVF
-     * Exemple : Map { "75056" → [vente1, vente2, ...] }
-     * → utilisé pour afficher les ventes détaillées d'une commune.
+     * Index : département → année → liste de ventes DVF
+     * Exemple : Map { "75" → Map { 2023 → [vente1, ...], "all" → [...] } }
+     * Les index reçus du worker se lisent de la même façon (get, has, keys),
+     * les ventes d'un territoire étant décodées à sa première lecture (unpackIndex).
+     */
+    ventesByDept: new Map(),
+    /**
+     * Index : commune → année → liste de ventes DVF
+     * Exemple : Map { "75056" → Map { 2023 → [vente1, vente2, ...], "all" → [...] } }
+     * → utilisé pour afficher les ventes détaillées d'une commune (via getVentes).
      */
     ventesByCommune: new Map(),
     /**
-     * Index : section cadastrale → liste de ventes DVF
-     * Exemple : Map { "7505601" → [vente1, vente2, ...] }
+     * Index : section cadastrale → année → liste de ventes DVF
+     * Exemple : Map { "7505601" → Map { 2023 → [vente1, vente2, ...], "all" → [...] } }
      * → utilisé poura afficher les ventes détaillées d'une section.
      */
     ventesBySection: new Map(),
+    /**
+     * Rapport du nettoyage DVF (voir cleanDVF) :
+     * { total, conservees, exclues, parMotif: { type: n, surface: n, outlier: n, ... } }
+     */
+    qualite: null,
+    /**
+     * Index des ventes exclues par le nettoyage, même structure que les index ci-dessus :
+     * → utilisés pour afficher "n ventes exclues" dans les panneaux.
+     */
+    exclusByDept: new Map(),
+    exclusByCommune: new Map(),
+    exclusBySection: new Map(),
+    /**
+     * Fichiers d'agrégats départementaux déjà lus (voir loadDeptAggregates) :
+     * { [codeDept]: { stats, series, exclusions, communes, sections } | null }
+     * → utilisés tant que state.salesPending est vrai.
+     */
+    deptAggregates: {},
   },
-};
+};
\ No newline at end of file
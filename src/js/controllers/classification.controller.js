@@ -0,0 +1,85 @@
+/**
+ * Contrôleur du choix des classes de couleur (légende de la carte)
+ *
+ * Variable représentée, méthode de discrétisation, nombre de classes et seuils manuels :
+ * chaque changement recolore la couche affichée et met à jour la légende.
+ */
+
+import {
+  getClassification,
+  setClassification,
+  parseBreaks,
+} from "../models/classification.model.js";
+import { getMapVariable, setMapVariable } from "../models/map-variable.model.js";
+import { recolorCurrentLayer } from "./map.controller.js";
+
+/**
+ * Initialise les réglages de classes de la légende.
+ */
+export function initClassificationControls() {
+  const variableSelect = document.getElementById("legend-variable");
+  const methodSelect = document.getElementById("legend-method");
+  const countInput = document.getElementById("legend-class-count");
+  const breaksInput = document.getElementById("legend-manual-breaks");
+
+  variableSelect?.addEventListener("change", () => {
+    setMapVariable(variableSelect.value);
+    syncClassificationInputs();
+    recolorCurrentLayer();
+  });
+
+  methodSelect?.addEventListener("change", () => {
+    setClassification({ methode: methodSelect.value });
+    syncClassificationInputs();
+    recolorCurrentLayer();
+  });
+
+  countInput?.addEventListener("change", () => {
+    setClassification({ classes: Number(countInput.value) });
+    // Valeur ramenée entre les bornes autorisées
+    syncClassificationInputs();
+    recolorCurrentLayer();
+  });
+
+  // Seuils manuels : appliqués à la validation (Entrée ou perte du focus)
+  breaksInput?.addEventListener("change", () => {
+    setClassification({ seuils: parseBreaks(breaksInput.value) });
+    syncClassificationInputs();
+    recolorCurrentLayer();
+  });
+
+  syncClassificationInputs();
+}
+
+/**
+ * Met à jour les réglages de la légende selon la discrétisation active.
+ *
+ * Le nombre de classes ne s'applique pas aux seuils manuels (n seuils = n + 1 classes).
+ * Les réglages de classes de prix ne s'appliquent pas aux cartes d'accessibilité
+ * (classes fixes du score, terciles de prix pour la carte bivariée).
+ */
+export function syncClassificationInputs() {
+  const { methode, classes, seuils } = getClassification();
+  const manuel = methode === "manuel";
+  const prix = getMapVariable() === "prix";
+
+  const variableSelect = document.getElementById("legend-variable");
+  if (variableSelect) variableSelect.value = getMapVariable();
+
+  const methodSelect = document.getElementById("legend-method");
+  const countInput = document.getElementById("legend-class-count");
+  const breaksInput = document.getElementById("legend-manual-breaks");
+
+  if (methodSelect) {
+    methodSelect.value = methode;
+    methodSelect.disabled = !prix;
+  }
+  if (countInput) {
+    countInput.value = classes;
+    countInput.disabled = manuel || !prix;
+  }
+  if (breaksInput) {
+    breaksInput.value = seuils.join("; ");
+    breaksInput.classList.toggle("hidden", !manuel || !prix);
+  }
+}
@@ -27,6 +27,8 @@ import {
   hideComparisonTable
 } from '../views/comparison.view.js';
 
+import { syncUrl } from './url.controller.js';
+
 /**
  * Initialise le comportement de repli/dépli du panneau de comparaison
  */
@@ -156,6 +158,18 @@ function updateComparisonDisplay() {
   const count = getComparisonCount();
   
   renderComparisonPanel(zones, count, handleRemoveZone);
+  syncUrl();
+}
+
+/**
+ * Remplace les zones en comparaison (restauration d'un lien partagé)
+ *
+ * @param {Array<Object>} zones - Données des zones (même format que tryAddZone)
+ */
+export function setComparisonZones(zones) {
+  clearComparison();
+  zones.forEach((zone) => addZone(zone));
+  updateComparisonDisplay();
 }
 
 /**
@@ -0,0 +1,257 @@
+/**
+ * Contrôleur pour l'estimation d'un bien par comparables
+ *
+ * Ce contrôleur gère le workflow de l'estimation :
+ * - Ouverture et fermeture du modal de saisie du bien (type, surface, pièces)
+ * - Localisation du bien : adresse saisie, clic sur la carte ou zone affichée
+ * - Calcul de l'estimation (modèle) et affichage dans le panneau latéral (vue)
+ */
+
+import { state } from "../app/state.js";
+import { estimerBien, localiserAdresse } from "../models/estimation.model.js";
+import { showEstimationPanel } from "../views/estimation.view.js";
+import * as Geo from "../models/geo.model.js";
+import * as MapView from "../views/map.view.js";
+
+// Localisation choisie par clic sur la carte (prioritaire sur la zone affichée)
+let lieuChoisi = null;
+
+// Vrai pendant l'attente d'un clic sur la carte
+let picking = false;
+
+/**
+ * Initialise le bouton "Estimer un bien" dans le header
+ */
+export function initEstimationButton() {
+  const btn = document.getElementById("toggle-estimation");
+
+  btn?.addEventListener("click", () => {
+    openEstimationModal();
+  });
+}
+
+/**
+ * Initialise le modal de saisie du bien à estimer
+ *
+ * Configure les écouteurs d'événements du modal :
+ * - Bouton "Estimer" : localise le bien puis affiche l'estimation
+ * - Bouton "Choisir sur la carte" : attend un clic sur la carte
+ * - Bouton "Annuler", clic en dehors, touche Échap : ferme le modal
+ */
+export function initEstimationModal() {
+  const modal = document.getElementById("estimation-modal");
+  const estimerBtn = document.getElementById("lancer-estimation");
+  const cancelBtn = document.getElementById("cancel-estimation");
+  const pickBtn = document.getElementById("estimation-pick");
+  const adresseInput = document.getElementById("estimation-adresse");
+
+  // Gestion du bouton "Estimer"
+  estimerBtn?.addEventListener("click", () => {
+    const bien = readBien();
+
+    // Validation : la surface doit être un nombre positif
+    if (!bien.surface || bien.surface <= 0) {
+      alert("⚠️ Veuillez entrer une surface valide.");
+      return;
+    }
+
+    const lieu = resolveLieu(adresseInput.value);
+    if (!lieu) {
+      alert("⚠️ Adresse introuvable : saisissez une autre adresse ou choisissez un point sur la carte.");
+      return;
+    }
+
+    const resultat = estimerBien(bien, lieu, {
+      section: state.data.ventesBySection,
+      commune: state.data.ventesByCommune,
+      dept: state.data.ventesByDept,
+    });
+
+    showEstimationPanel(resultat, bien, lieu);
+    closeModal();
+  });
+
+  // Gestion du bouton "Choisir sur la carte"
+  pickBtn?.addEventListener("click", () => {
+    startPicking();
+  });
+
+  // L'adresse saisie remplace le point choisi sur la carte
+  adresseInput?.addEventListener("input", () => {
+    lieuChoisi = null;
+    updateLieuDisplay();
+  });
+
+  // Gestion du bouton "Annuler"
+  cancelBtn?.addEventListener("click", () => {
+    closeModal();
+  });
+
+  // Fermeture du modal si l'utilisateur clique en dehors
+  modal?.addEventListener("click", (e) => {
+    if (e.target === modal) closeModal();
+  });
+
+  // Touche Échap : ferme le modal ou annule le choix sur la carte
+  document.addEventListener("keydown", (e) => {
+    if (e.key !== "Escape") return;
+    if (picking) {
+      stopPicking();
+      openEstimationModal();
+    } else if (!modal.classList.contains("hidden")) {
+      closeModal();
+    }
+  });
+}
+
+/**
+ * Ouvre le modal de saisie et affiche la localisation courante
+ */
+function openEstimationModal() {
+  const modal = document.getElementById("estimation-modal");
+  modal?.classList.remove("hidden");
+  updateLieuDisplay();
+
+  const surfaceInput = document.getElementById("estimation-surface");
+  setTimeout(() => surfaceInput?.focus(), 100);
+}
+
+/**
+ * Ferme le modal de saisie
+ */
+function closeModal() {
+  const modal = document.getElementById("estimation-modal");
+  modal?.classList.add("hidden");
+}
+
+/**
+ * Lit les caractéristiques du bien saisies dans le modal.
+ *
+ * @returns {{ type: "Maison"|"Appartement", surface: number, pieces: number|null }}
+ */
+function readBien() {
+  return {
+    type: document.getElementById("estimation-type").value,
+    surface: parseFloat(document.getElementById("estimation-surface").value),
+    pieces: parseInt(document.getElementById("estimation-pieces").value, 10) || null,
+  };
+}
+
+/**
+ * Détermine la localisation du bien, par ordre de priorité :
+ * 1. l'adresse saisie (recherchée parmi les adresses DVF)
+ * 2. le point choisi sur la carte
+ * 3. la commune actuellement affichée
+ *
+ * @param {string} adresse - Adresse saisie (éventuellement vide).
+ * @returns {{ dept: string, commune: string|null, section: string|null, label: string }|null}
+ */
+function resolveLieu(adresse) {
+  if (adresse.trim()) return localiserAdresse(state.data.listeVentes(), adresse);
+  if (lieuChoisi) return lieuChoisi;
+  if (state.currentCommune) {
+    return {
+      dept: state.currentDept,
+      commune: state.currentCommune,
+      section: null,
+      label: state.currentCommuneName,
+    };
+  }
+  return null;
+}
+
+/**
+ * Met à jour le texte indiquant où le bien sera localisé.
+ */
+function updateLieuDisplay() {
+  const el = document.getElementById("estimation-lieu");
+  if (!el) return;
+
+  if (lieuChoisi) {
+    el.textContent = `📍 ${lieuChoisi.label}`;
+  } else if (state.currentCommune) {
+    el.textContent = `📍 ${state.currentCommuneName} (commune affichée)`;
+  } else {
+    el.textContent = "Saisissez une adresse ou choisissez un point sur la carte";
+  }
+}
+
+/* =====================================================
+   CHOIX D'UN POINT SUR LA CARTE
+===================================================== */
+
+/**
+ * Passe en mode "choix d'un point" : le prochain clic sur la carte localise le bien.
+ *
+ * Le clic est intercepté en phase de capture pour ne pas déclencher
+ * la navigation (zoom sur le département / la commune cliquée).
+ */
+function startPicking() {
+  closeModal();
+  picking = true;
+
+  const container = state.map.getContainer();
+  container.classList.add("map-picking");
+  container.addEventListener("click", onPickClick, { capture: true });
+}
+
+/**
+ * Quitte le mode "choix d'un point".
+ */
+function stopPicking() {
+  picking = false;
+
+  const container = state.map.getContainer();
+  container.classList.remove("map-picking");
+  container.removeEventListener("click", onPickClick, { capture: true });
+}
+
+/**
+ * Localise le point cliqué puis rouvre le modal.
+ *
+ * @param {MouseEvent} e - Clic sur la carte.
+ */
+async function onPickClick(e) {
+  e.stopPropagation();
+  e.preventDefault();
+  stopPicking();
+
+  const lieu = await localiserPoint(state.map.mouseEventToLatLng(e));
+  if (lieu) {
+    lieuChoisi = lieu;
+    document.getElementById("estimation-adresse").value = "";
+  }
+  openEstimationModal();
+}
+
+/**
+ * Retrouve le département, la commune et la section contenant un point.
+ *
+ * @param {L.LatLng} latlng - Point cliqué.
+ * @returns {Promise<{ dept: string, commune: string|null, section: string|null, label: string }|null>}
+ */
+async function localiserPoint(latlng) {
+  const dept = Geo.findFeatureAt(MapView.layerFeatures(state.layers.dept), latlng);
+  if (!dept) return null;
+
+  const codeDept = dept.properties.code_insee;
+
+  // Communes et sections ne sont pas disponibles pour tous les départements
+  const communes = await Geo.loadCommunesGeo(codeDept).catch(() => null);
+  const commune = Geo.findFeatureAt(communes, latlng);
+  const sections = commune
+    ? await Geo.loadCommuneSections(codeDept, commune.properties.id).catch(() => null)
+    : null;
+  const section = Geo.findFeatureAt(sections, latlng);
+
+  let label = dept.properties.nom;
+  if (section) label = `${commune.properties.nom} – Section ${section.properties.code}`;
+  else if (commune) label = commune.properties.nom;
+
+  return {
+    dept: codeDept,
+    commune: commune?.properties.id ?? null,
+    section: section?.properties.id ?? null,
+    label,
+  };
+}
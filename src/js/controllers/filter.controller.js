@@ -1,5 +1,9 @@
-import { setFilters, resetFilters } from '../models/filter.model.js';
+import { setFilters, resetFilters, getFilters, RAYONS_ACCES } from '../models/filter.model.js';
+import { setPeriod, resetPeriod, getPeriod } from '../models/period.model.js';
+import { state } from '../app/state.js';
 import { rerenderCurrentLayer } from './map.controller.js';
+import { syncTimeSlider } from './time.controller.js';
+import { formatDistance } from '../utils/utils.js';
 
 /**
  * Initialise les écouteurs pour les filtres
@@ -7,6 +11,10 @@ import { rerenderCurrentLayer } from './map.controller.js';
 export function initFilterControls() {
   const applyBtn = document.getElementById('apply-filters');
   const resetBtn = document.getElementById('reset-filters');
+
+  // Remplissage des listes d'années disponibles
+  populateYearOptions(state.data.years);
+  populateRadiusOptions();
   
   // Appliquer les filtres
   applyBtn?.addEventListener('click', () => {
@@ -15,13 +23,26 @@ export function initFilterControls() {
     const surface = document.getElementById('filter-surface').value;
     const type = document.getElementById('filter-type').value;
     const transport = document.getElementById('filter-transport').checked;
+    const rayon = document.getElementById('filter-radius').value;
+    const accesMin = document.getElementById('filter-access-score').value;
+    const yearFrom = document.getElementById('filter-year-from').value;
+    const yearTo = document.getElementById('filter-year-to').value;
     
     setFilters({
       budget: budget ? parseFloat(budget) : null,
       surface: surface ? parseFloat(surface) : null,
       type: type || null,
-      transport: transport
+      transport: transport,
+      rayon: parseInt(rayon),
+      accesMin: accesMin ? Math.min(100, Math.max(0, parseFloat(accesMin))) : null
+    });
+
+    setPeriod({
+      from: yearFrom ? parseInt(yearFrom) : null,
+      to: yearTo ? parseInt(yearTo) : null,
+      trimestre: null
     });
+    syncTimeSlider();
     
     // Rafraîchir l'affichage de la carte
     rerenderCurrentLayer();
@@ -31,14 +52,66 @@ export function initFilterControls() {
   resetBtn?.addEventListener('click', () => {
     
     resetFilters();
+    resetPeriod();
     
     // Réinitialiser les inputs
     document.getElementById('filter-budget').value = '';
     document.getElementById('filter-surface').value = '';
     document.getElementById('filter-type').value = '';
     document.getElementById('filter-transport').checked = false;
+    document.getElementById('filter-radius').value = getFilters().rayon;
+    document.getElementById('filter-access-score').value = '';
+    document.getElementById('filter-year-from').value = '';
+    document.getElementById('filter-year-to').value = '';
+    syncTimeSlider();
     
     // Rafraîchir l'affichage
     rerenderCurrentLayer();
   });
-}
\ No newline at end of file
+}
+
+/**
+ * Ajoute une option par année disponible dans les listes "Début" et "Fin" de la période.
+ *
+ * @param {number[]} years - Années DVF chargées
+ */
+function populateYearOptions(years = []) {
+  for (const id of ['filter-year-from', 'filter-year-to']) {
+    const select = document.getElementById(id);
+    if (!select) continue;
+
+    const options = years.map(annee => `<option value="${annee}">${annee}</option>`).join('');
+    select.insertAdjacentHTML('beforeend', options);
+  }
+}
+
+/**
+ * Remplit la liste des rayons d'accès à pied aux stations (rayon actif sélectionné).
+ */
+function populateRadiusOptions() {
+  const select = document.getElementById('filter-radius');
+  if (!select) return;
+
+  select.innerHTML = RAYONS_ACCES
+    .map(rayon => `<option value="${rayon}">${formatDistance(rayon)}</option>`)
+    .join('');
+  select.value = getFilters().rayon;
+}
+
+/**
+ * Reporte les filtres et la période actifs dans les champs du panneau de filtres
+ * (ex : après ouverture d'un lien partagé).
+ */
+export function syncFilterInputs() {
+  const filters = getFilters();
+  const period = getPeriod();
+
+  document.getElementById('filter-budget').value = filters.budget ?? '';
+  document.getElementById('filter-surface').value = filters.surface ?? '';
+  document.getElementById('filter-type').value = filters.type ?? '';
+  document.getElementById('filter-transport').checked = filters.transport;
+  document.getElementById('filter-radius').value = filters.rayon;
+  document.getElementById('filter-access-score').value = filters.accesMin ?? '';
+  document.getElementById('filter-year-from').value = period.from ?? '';
+  document.getElementById('filter-year-to').value = period.to ?? '';
+}
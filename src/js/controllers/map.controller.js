@@ -2,9 +2,27 @@ import { state } from "../app/state.js";
 import * as Geo from "../models/geo.model.js";
 import * as MapView from "../views/map.view.js";
 import * as Panel from "../views/panel.view.js";
-import { getTransportsServingZone } from "../models/accessibilite.model.js";
+import {
+  getTransportsServingZone,
+  getZoneAccessibility,
+  getAccessibilityScore,
+} from "../models/accessibilite.model.js";
 import { getFilteredStats, calculateCompatibilityScore } from "../models/filter.model.js";
+import { getPeriod, listTimeSteps } from "../models/period.model.js";
+import { summarizeExclusions } from "../models/cleaning.model.js";
+import {
+  getVentes,
+  getPrixByPeriod,
+  getStatsDeptByPeriod,
+  computeTimeSeries,
+} from "../models/dvf.model.js";
+import { loadDeptAggregates, mergePrixMedians, statsForPeriod } from "../models/aggregates.model.js";
 import { checkComparisonMode, tryAddZone } from "./comparison.controller.js";
+import { refreshSalesLayer, highlightSale } from "./sales.controller.js";
+import { syncUrl } from "./url.controller.js";
+import { isFixedBreaks, resetLegend } from "../views/legend.view.js";
+import { renderBreadcrumb } from "../views/breadcrumb.view.js";
+import { computeBreaks } from "../models/classification.model.js";
 
 /**
  * Démarre l'application cartographique.
@@ -12,150 +30,492 @@ import { checkComparisonMode, tryAddZone } from "./comparison.controller.js";
  * Charge la géométrie des départements d'Île-de-France et les affiche
  * sur la carte avec leurs statistiques (prix médian, nb ventes, etc.).
  * C'est le point de départ de la navigation multi-échelles.
+ *
+ * @returns {Promise<boolean>} false si les contours des départements sont indisponibles.
  */
 export async function startApp() {
-  const geo = await Geo.loadDepartmentsGeo();
+  let geo;
+  try {
+    geo = await Geo.loadDepartmentsGeo();
+  } catch (err) {
+    console.error(err);
+    Panel.showPanelError("Carte indisponible", err.message);
+    return false;
+  }
 
   state.layers.dept = MapView.renderDepartments(
     state.map,
     geo,
-    state.data.statsDept,
+    currentStatsDept(),
     onDepartmentClick,
   );
+  return true;
+}
+
+/* =====================================================
+   DONNÉES DE LA PÉRIODE ACTIVE
+===================================================== */
+
+/**
+ * Statistiques départementales pour la période sélectionnée.
+ *
+ * @returns {Object.<string, Object>} Stats par code département.
+ */
+function currentStatsDept() {
+  return getStatsDeptByPeriod(state.data.statsDept, state.data.ventesByDept, getPeriod());
+}
+
+/**
+ * Prix médians par commune pour la période sélectionnée.
+ *
+ * @returns {Object.<string, number>} Prix médian par id de commune.
+ */
+function currentPrixCommune() {
+  return getPrixByPeriod(state.data.prixCommune, state.data.ventesByCommune, getPeriod());
+}
+
+/**
+ * Prix médians par section pour la période sélectionnée.
+ *
+ * @returns {Object.<string, number>} Prix médian par id de section.
+ */
+function currentPrixSection() {
+  return getPrixByPeriod(state.data.prixSection, state.data.ventesBySection, getPeriod());
 }
 
+// Séries temporelles déjà calculées (tableau de ventes → séries)
+const evolutionCache = new WeakMap();
+
 /**
- * Gestion de la sélection d'un département.
+ * Séries temporelles (prix par trimestre, volumes par mois) d'un territoire,
+ * toutes années confondues et sans filtre, pour le graphique d'évolution.
+ *
+ * @param {Map} index - Index des ventes du niveau territorial.
+ * @param {string} id - Code du territoire.
+ * @returns {Object} Séries issues de computeTimeSeries().
+ */
+function evolutionOf(index, id) {
+  const ventes = getVentes(index, id, null);
+  if (!evolutionCache.has(ventes)) evolutionCache.set(ventes, computeTimeSeries(ventes));
+  return evolutionCache.get(ventes);
+}
+
+/**
+ * Compléments du panneau latéral d'un territoire : graphique d'évolution
+ * et nombre de ventes écartées par le nettoyage sur la période active.
+ *
+ * @param {Map} index - Index des ventes retenues du niveau territorial.
+ * @param {Map} exclusIndex - Index des ventes exclues du même niveau.
+ * @param {string} id - Code du territoire.
+ * @param {Object|null} [agregat] - Agrégats pré-calculés du territoire (pendingAggregate),
+ *   lus à la place des index tant que les ventes sont en cours de chargement.
+ * @returns {{ evolution: Object, exclusions: Object }} Détails passés à Panel.show*Panel.
+ */
+function panelDetails(index, exclusIndex, id, agregat = null) {
+  if (agregat) return { evolution: agregat.series, exclusions: agregat.exclusions };
+  return {
+    evolution: evolutionOf(index, id),
+    exclusions: summarizeExclusions(getVentes(exclusIndex, id, getPeriod())),
+  };
+}
+
+/* =====================================================
+   AGRÉGATS PRÉ-CALCULÉS (VENTES EN COURS DE CHARGEMENT)
+===================================================== */
+
+/**
+ * Lit le fichier d'agrégats d'un département tant que les ventes individuelles
+ * sont en cours de chargement : ses prix médians complètent ceux des communes
+ * et sections (carte), ses stats et séries alimentent les panneaux.
+ *
+ * Sans effet une fois les ventes chargées ou si le fichier a déjà été lu.
+ *
+ * @param {string} codeDept - Code du département.
+ * @returns {Promise<void>}
+ */
+async function loadPendingAggregates(codeDept) {
+  if (!state.salesPending || codeDept in state.data.deptAggregates) return;
+
+  const agregats = await loadDeptAggregates(codeDept);
+  state.data.deptAggregates[codeDept] = agregats;
+
+  // Ventes chargées pendant la lecture : leurs prix médians font déjà foi
+  if (!agregats || !state.salesPending) return;
+  mergePrixMedians(state.data.prixCommune, agregats.communes);
+  mergePrixMedians(state.data.prixSection, agregats.sections);
+}
+
+/**
+ * Agrégats pré-calculés d'un territoire, tant que les ventes individuelles
+ * sont en cours de chargement.
+ *
+ * @param {string} id - Code du département, de la commune ou de la section.
+ * @param {'communes'|'sections'|null} [niveau=null] - Niveau du territoire (null : le département).
+ * @returns {{ stats: Object, series: Object, exclusions: Object }|null}
+ *   Agrégats du territoire, ou null si les ventes sont chargées ou le fichier absent.
+ */
+function pendingAggregate(id, niveau = null) {
+  if (!state.salesPending) return null;
+  const agregats = state.data.deptAggregates[id.slice(0, 2)];
+  return (niveau ? agregats?.[niveau]?.[id] : agregats) ?? null;
+}
+
+/**
+ * Calcule des seuils de classes communs à toutes les périodes du curseur temporel.
+ *
+ * Les prix de chaque zone affichée sont regroupés sur l'ensemble des périodes
+ * (années ou trimestres) avant le découpage en classes (méthode choisie dans
+ * la légende) : une même couleur correspond ainsi au même niveau de prix
+ * quelle que soit la période.
+ *
+ * @param {Array<GeoJSON.Feature>} features - Zones affichées.
+ * @param {Object} prixByYear - Agrégat de prix indexé par année.
+ * @param {Map} index - Index des ventes du même niveau territorial.
+ * @returns {number[]|null} Seuils fixes, ou null si l'option est désactivée.
+ */
+function fixedBreaksFor(features, prixByYear, index) {
+  if (!isFixedBreaks()) return null;
+
+  const ids = features.map((f) => f.properties.id);
+  const values = [];
+  for (const step of listTimeSteps(state.data.years)) {
+    const prix = getPrixByPeriod(prixByYear, index, step);
+    for (const id of ids) {
+      if (isFinite(prix[id])) values.push(prix[id]);
+    }
+  }
+  return computeBreaks(values);
+}
+
+/**
+ * Seuils fixes pour des communes (null si option désactivée).
+ *
+ * @param {Array<GeoJSON.Feature>} features - Communes affichées.
+ * @returns {number[]|null}
+ */
+function communeBreaks(features) {
+  return fixedBreaksFor(features, state.data.prixCommune, state.data.ventesByCommune);
+}
+
+/**
+ * Seuils fixes pour des sections (null si option désactivée).
+ *
+ * @param {Array<GeoJSON.Feature>} features - Sections affichées.
+ * @returns {number[]|null}
+ */
+function sectionBreaks(features) {
+  return fixedBreaksFor(features, state.data.prixSection, state.data.ventesBySection);
+}
+
+/* =====================================================
+   ZONES AJOUTÉES À LA COMPARAISON
+===================================================== */
+
+/**
+ * Données de comparaison d'un département (stats filtrées sur la période active).
+ *
+ * @param {GeoJSON.Feature} feature - Feature GeoJSON du département.
+ * @returns {Object} Zone au format attendu par tryAddZone.
+ */
+function deptComparisonZone(feature) {
+  const codeDept = feature.properties.code_insee;
+  const transports = getTransportsServingZone(feature) || [];
+  const scoreAcces = getAccessibilityScore(feature)?.score ?? null;
+  const ventesRaw = getVentes(state.data.ventesByDept, codeDept, getPeriod());
+
+  return {
+    id: codeDept,
+    name: feature.properties.nom,
+    type: 'département',
+    // Stats pré-calculées si pas de ventes disponibles
+    stats: ventesRaw && ventesRaw.length > 0
+      ? getFilteredStats(ventesRaw, transports, scoreAcces)
+      : currentStatsDept()[codeDept],
+    transports: transports,
+    scoreAcces: scoreAcces
+  };
+}
+
+/**
+ * Données de comparaison d'une commune ou d'une section.
+ *
+ * @param {GeoJSON.Feature} feature - Feature GeoJSON de la zone.
+ * @param {'commune'|'section'} type - Niveau territorial.
+ * @param {string} name - Nom affiché dans la comparaison.
+ * @returns {Object} Zone au format attendu par tryAddZone.
+ */
+function zoneComparisonZone(feature, type, name) {
+  const index = type === 'commune' ? state.data.ventesByCommune : state.data.ventesBySection;
+  const ventes = getVentes(index, feature.properties.id, getPeriod());
+  const transports = getTransportsServingZone(feature) || [];
+  const scoreAcces = getAccessibilityScore(feature)?.score ?? null;
+  const statsFiltered = getFilteredStats(ventes, transports, scoreAcces);
+
+  return {
+    id: feature.properties.id,
+    name: name,
+    type: type,
+    stats: {
+      ventes: statsFiltered.ventes,
+      maisons: statsFiltered.maisons,
+      apparts: statsFiltered.apparts,
+      prixMedian: statsFiltered.prixMedian,
+      distribution: statsFiltered.distribution
+    },
+    transports: transports,
+    scoreAcces: scoreAcces
+  };
+}
+
+/**
+ * Reconstruit les zones de comparaison d'un lien partagé.
+ *
+ * Les contours des communes et sections sont chargés si nécessaire ;
+ * les zones introuvables sont ignorées.
+ *
+ * @param {Array<{ type: string, id: string }>} refs - Zones (type et identifiant).
+ * @returns {Promise<Array<Object>>} Zones au format attendu par tryAddZone.
+ */
+export async function buildComparisonZones(refs) {
+  const zones = [];
+
+  for (const { type, id } of refs) {
+    const codeDept = id.slice(0, 2);
+    try {
+      if (type === 'département') {
+        const feature = MapView.layerFeatures(state.layers.dept)
+          .find((f) => f.properties.code_insee === id);
+        if (feature) zones.push(deptComparisonZone(feature));
+        continue;
+      }
+
+      // Communes et sections : la commune donne aussi le nom de la section
+      const codeCommune = id.slice(0, 5);
+      const commune = (await Geo.loadCommunesGeo(codeDept)).features
+        .find((f) => f.properties.id === codeCommune);
+      if (!commune) continue;
+
+      if (type === 'commune') {
+        zones.push(zoneComparisonZone(commune, 'commune', commune.properties.nom));
+      } else {
+        const section = (await Geo.loadCommuneSections(codeDept, codeCommune))
+          .find((f) => f.properties.id === id);
+        if (section) {
+          const name = `${commune.properties.nom} - Section ${section.properties.code}`;
+          zones.push(zoneComparisonZone(section, 'section', name));
+        }
+      }
+    } catch (err) {
+      console.warn(err);
+    }
+  }
+  return zones;
+}
+
+/* =====================================================
+   NAVIGATION DÉPARTEMENT → COMMUNE → SECTION
+===================================================== */
+
+/**
+ * Gestion du clic sur un département.
  * 
- * Lorsque l'utilisateur clique sur un département, cette fonction :
- * - Récupère les données du département (ventes, transports, stats)
- * - Calcule les statistiques filtrées et le score de compatibilité
- * - Vérifie si le mode comparaison est actif
- * - Si mode normal : affiche le panneau et charge les communes du département
  * - Si mode comparaison : ajoute le département à la liste de comparaison
+ * - Si mode normal : navigation vers le département (voir showDepartment)
  * 
  * @param {GeoJSON.Feature} feature - Feature GeoJSON du département cliqué
  * @param {L.Layer} layer - Couche Leaflet correspondante
  */
 async function onDepartmentClick(feature, layer) {
+  // Navigation indisponible tant que les ventes ne sont pas indexées
+  // (ou, avec les agrégats pré-calculés, tant que les transports ne sont pas chargés)
+  if (state.loading) return;
+
+  // Si le mode comparaison est actif, ajouter le département à la liste
+  if (checkComparisonMode()) {
+    tryAddZone(deptComparisonZone(feature));
+    return; // Arrêter ici, pas de navigation
+  }
+
+  await showDepartment(feature, layer);
+}
+
+/**
+ * Navigation vers un département.
+ * 
+ * Cette fonction :
+ * - Récupère les données du département (ventes, transports, stats)
+ * - Calcule les statistiques filtrées et le score de compatibilité
+ * - Affiche le panneau et charge les communes du département
+ * 
+ * @param {GeoJSON.Feature} feature - Feature GeoJSON du département
+ * @param {L.Layer} layer - Couche Leaflet correspondante
+ * @param {boolean} [fit=true] - Recentrer la carte sur le département
+ */
+async function showDepartment(feature, layer, fit = true) {
   const codeDept = feature.properties.code_insee;
   const nomDept = feature.properties.nom;
+  await loadPendingAggregates(codeDept);
+
   const transports = getTransportsServingZone(feature) || [];
-  const ventesRaw = state.data.ventesByDept?.get(codeDept);
+  const scoreAcces = getAccessibilityScore(feature)?.score ?? null;
+  const ventesRaw = getVentes(state.data.ventesByDept, codeDept, getPeriod());
   
   let statsToDisplay;
   let compatibility = null;
   
   // Calcul des statistiques filtrées si des ventes existent
   if (ventesRaw && ventesRaw.length > 0) {
-    statsToDisplay = getFilteredStats(ventesRaw, transports);
+    statsToDisplay = getFilteredStats(ventesRaw, transports, scoreAcces);
     // Calcul du score de compatibilité (% de ventes correspondant aux filtres)
-    compatibility = calculateCompatibilityScore(ventesRaw, transports);
+    compatibility = calculateCompatibilityScore(ventesRaw, transports, scoreAcces);
   } else {
     // Utilisation des stats pré-calculées si pas de ventes disponibles
-    statsToDisplay = state.data.statsDept[codeDept];
+    statsToDisplay = currentStatsDept()[codeDept];
   }
 
-  // Si le mode comparaison est actif, ajouter le département à la liste
-  if (checkComparisonMode()) {
-    tryAddZone({
-      id: codeDept,
-      name: nomDept,
-      type: 'département',
-      stats: statsToDisplay,
-      transports: transports
-    });
-    return; // Arrêter ici, pas de navigation
-  }
-
-  // Comportement normal : navigation vers les communes
-  const bounds = layer.getBounds();
-  state.map.fitBounds(bounds, { padding: [40, 40] });
+  // Navigation vers les communes
+  if (fit) state.map.fitBounds(layer.getBounds(), { padding: [40, 40] });
 
   // Nettoyage des couches précédentes
   state.layers.commune = MapView.clearLayer(state.map, state.layers.commune);
   state.layers.section = MapView.clearLayer(state.map, state.layers.section);
 
   // Affichage du panneau latéral avec les infos du département
-  Panel.showDeptPanel(nomDept, statsToDisplay, transports, compatibility);
-
-  // Chargement et affichage des communes du département
-  const geoCommunes = await Geo.loadCommunesGeo(codeDept);
+  Panel.showDeptPanel(
+    nomDept,
+    statsToDisplay,
+    transports,
+    compatibility,
+    {
+      ...panelDetails(state.data.ventesByDept, state.data.exclusByDept, codeDept, pendingAggregate(codeDept)),
+      acces: getZoneAccessibility(feature, ventesRaw),
+    },
+  );
 
   // Mise à jour de l'état global pour garder trace de la navigation
   state.currentDept = codeDept;
   state.currentDeptName = nomDept;
+  state.currentCommune = null;
+  state.currentCommuneName = null;
+  state.currentSections = null;
+  state.currentSection = null;
+  updateBreadcrumb();
+
+  // Chargement et affichage des communes du département
+  let geoCommunes;
+  try {
+    geoCommunes = await Geo.loadCommunesGeo(codeDept);
+  } catch (err) {
+    // Communes indisponibles (ex : pas de dossier data/77/) : on reste au niveau département
+    console.warn(err);
+    state.currentScale = 'department';
+    Panel.showPanelNotice(`${err.message} Seules les statistiques du département sont affichées.`);
+    refreshSalesLayer();
+    syncUrl({ push: true });
+    return;
+  }
+
   state.currentScale = 'commune';
 
   // Affichage des communes sur la carte
   state.layers.commune = MapView.renderCommunes(
     state.map,
     geoCommunes,
-    state.data.prixCommune,
+    currentPrixCommune(),
     (f, l) => onCommuneClick(codeDept, f, l),
+    communeBreaks(geoCommunes.features),
   );
+
+  // Ventes individuelles du département (si la couche est activée)
+  refreshSalesLayer();
+  syncUrl({ push: true });
+
+  // Préchargement des sections en arrière-plan : le clic sur une commune sera immédiat
+  Geo.prefetchGeo([codeDept], { sections: true });
 }
 
 /**
- * Gestion de la sélection d'une commune.
+ * Gestion du clic sur une commune.
  * 
- * Lorsque l'utilisateur clique sur une commune, cette fonction :
- * - Récupère les ventes de la commune et calcule les stats filtrées
- * - Calcule le score de compatibilité avec les filtres actifs
- * - Vérifie si le mode comparaison est actif
- * - Si mode normal : affiche le panneau et charge les sections cadastrales
  * - Si mode comparaison : ajoute la commune à la liste de comparaison
+ * - Si mode normal : navigation vers la commune (voir showCommune)
  * 
  * @param {string} codeDept - Code INSEE du département parent
  * @param {GeoJSON.Feature} feature - Feature GeoJSON de la commune cliquée
  * @param {L.Layer} layer - Couche Leaflet correspondante
  */
 async function onCommuneClick(codeDept, feature, layer) {
-  const ventes = state.data.ventesByCommune.get(feature.properties.id) ?? [];
-  const transports = getTransportsServingZone(feature) || [];
-  const statsFiltered = getFilteredStats(ventes, transports);
-  // Calcul du score de compatibilité pour cette commune
-  const compatibility = calculateCompatibilityScore(ventes, transports);
-
   // Si le mode comparaison est actif, ajouter la commune à la liste
   if (checkComparisonMode()) {
-    tryAddZone({
-      id: feature.properties.id,
-      name: feature.properties.nom,
-      type: 'commune',
-      stats: {
-        ventes: statsFiltered.ventes,
-        maisons: statsFiltered.maisons,
-        apparts: statsFiltered.apparts,
-        prixMedian: statsFiltered.prixMedian
-      },
-      transports: transports
-    });
+    tryAddZone(zoneComparisonZone(feature, 'commune', feature.properties.nom));
     return; // Arrêter ici, pas de navigation
   }
 
-  // Comportement normal : navigation vers les sections
-  const bounds = layer.getBounds();
-  state.map.fitBounds(bounds, { padding: [30, 30] });
+  await showCommune(codeDept, feature, layer);
+}
+
+/**
+ * Navigation vers une commune.
+ * 
+ * Cette fonction :
+ * - Récupère les ventes de la commune et calcule les stats filtrées
+ * - Calcule le score de compatibilité avec les filtres actifs
+ * - Affiche le panneau et charge les sections cadastrales
+ * 
+ * @param {string} codeDept - Code INSEE du département parent
+ * @param {GeoJSON.Feature} feature - Feature GeoJSON de la commune
+ * @param {L.Layer} layer - Couche Leaflet correspondante
+ * @param {boolean} [fit=true] - Recentrer la carte sur la commune
+ */
+async function showCommune(codeDept, feature, layer, fit = true) {
+  const ventes = getVentes(state.data.ventesByCommune, feature.properties.id, getPeriod());
+  const transports = getTransportsServingZone(feature) || [];
+  const scoreAcces = getAccessibilityScore(feature)?.score ?? null;
+  const statsFiltered = getFilteredStats(ventes, transports, scoreAcces);
+  const agregat = pendingAggregate(feature.properties.id, 'communes');
+  // Calcul du score de compatibilité pour cette commune (ventes individuelles requises)
+  const compatibility = agregat ? null : calculateCompatibilityScore(ventes, transports, scoreAcces);
+
+  // Navigation vers les sections
+  if (fit) state.map.fitBounds(layer.getBounds(), { padding: [30, 30] });
 
   // Nettoyage de la couche sections précédente
   state.layers.section = MapView.clearLayer(state.map, state.layers.section);
 
   // Affichage du panneau latéral avec les infos de la commune
-  Panel.showCommunePanel(feature.properties.nom, statsFiltered.ventesFiltered, transports, compatibility);
-
-  // Chargement des sections cadastrales du département
-  const geoSections = await Geo.loadSectionsGeo(codeDept);
-
-  // Filtrage pour ne garder que les sections de cette commune
-  const sections = geoSections.features.filter(
-    (f) => f.properties.commune === feature.properties.id,
+  Panel.showCommunePanel(
+    feature.properties.nom,
+    statsFiltered.ventesFiltered,
+    transports,
+    compatibility,
+    {
+      ...panelDetails(state.data.ventesByCommune, state.data.exclusByCommune, feature.properties.id, agregat),
+      acces: getZoneAccessibility(feature, ventes),
+      stats: statsForPeriod(agregat?.stats, getPeriod()),
+    },
   );
 
   // Mise à jour de l'état global
   state.currentCommune = feature.properties.id;
   state.currentCommuneName = feature.properties.nom;
   state.currentDept = codeDept;
+  state.currentSection = null;
+  updateBreadcrumb();
+
+  // Chargement des sections cadastrales de la commune (fichier du département indexé par commune)
+  let sections;
+  try {
+    sections = await Geo.loadCommuneSections(codeDept, feature.properties.id);
+  } catch (err) {
+    // Sections indisponibles (ex : 78, 91, 95) : on reste au niveau commune
+    console.warn(err);
+    state.currentScale = 'commune';
+    state.currentSections = null;
+    Panel.showPanelNotice(`${err.message} L'exploration s'arrête à la commune.`);
+    syncUrl({ push: true });
+    return;
+  }
+
   state.currentScale = 'section';
   state.currentSections = sections;
 
@@ -163,68 +523,165 @@ async function onCommuneClick(codeDept, feature, layer) {
   state.layers.section = MapView.renderSections(
     state.map,
     sections,
-    state.data.prixSection,
+    currentPrixSection(),
     (f, l) => onSectionClick(feature.properties.nom, f, l),
+    sectionBreaks(sections),
   );
+
+  // Ventes individuelles de la commune (si la couche est activée)
+  refreshSalesLayer();
+  syncUrl({ push: true });
 }
 
 /**
- * Gestion de la sélection d'une section cadastrale.
+ * Gestion du clic sur une section cadastrale.
  * 
- * Lorsque l'utilisateur clique sur une section, cette fonction :
- * - Récupère les ventes de la section et calcule les stats filtrées
- * - PAS DE CALCUL DE COMPATIBILITÉ (non pertinent à ce niveau de détail)
- * - Vérifie si le mode comparaison est actif
- * - Si mode normal : affiche le panneau avec le détail des ventes
  * - Si mode comparaison : ajoute la section à la liste de comparaison
- * 
- * C'est le niveau de détail maximal de la navigation.
+ * - Si mode normal : affiche le détail de la section (voir showSection)
  * 
  * @param {string} nomCommune - Nom de la commune parente
  * @param {GeoJSON.Feature} feature - Feature GeoJSON de la section cliquée
  * @param {L.Layer} layer - Couche Leaflet correspondante
  */
 function onSectionClick(nomCommune, feature, layer) {
-  const ventes = state.data.ventesBySection.get(feature.properties.id) ?? [];
-  const transports = getTransportsServingZone(feature) || [];
-  const statsFiltered = getFilteredStats(ventes, transports);
-  
-  // ===== PAS DE COMPATIBILITÉ POUR LES SECTIONS =====
-  // Les sections sont trop granulaires pour que le score de compatibilité
-  // soit pertinent pour l'utilisateur. On passe null au panneau.
-  const compatibility = null;
-
   // Si le mode comparaison est actif, ajouter la section à la liste
   if (checkComparisonMode()) {
     const sectionName = `${nomCommune} - Section ${feature.properties.code}`;
-    tryAddZone({
-      id: feature.properties.id,
-      name: sectionName,
-      type: 'section',
-      stats: {
-        ventes: statsFiltered.ventes,
-        maisons: statsFiltered.maisons,
-        apparts: statsFiltered.apparts,
-        prixMedian: statsFiltered.prixMedian
-      },
-      transports: transports
-    });
+    tryAddZone(zoneComparisonZone(feature, 'section', sectionName));
     return; // Arrêter ici, pas de navigation supplémentaire
   }
 
-  // Comportement normal : zoom sur la section
-  const bounds = layer.getBounds();
-  state.map.fitBounds(bounds, { padding: [20, 20] });
+  showSection(nomCommune, feature, layer);
+}
+
+/**
+ * Affichage du détail d'une section cadastrale.
+ * 
+ * Cette fonction :
+ * - Récupère les ventes de la section et calcule les stats filtrées
+ * - PAS DE CALCUL DE COMPATIBILITÉ (non pertinent à ce niveau de détail)
+ * - Affiche le panneau avec le détail des ventes
+ * 
+ * C'est le niveau de détail maximal de la navigation.
+ * 
+ * @param {string} nomCommune - Nom de la commune parente
+ * @param {GeoJSON.Feature} feature - Feature GeoJSON de la section
+ * @param {L.Layer} layer - Couche Leaflet correspondante
+ * @param {boolean} [fit=true] - Recentrer la carte sur la section
+ */
+function showSection(nomCommune, feature, layer, fit = true) {
+  const ventes = getVentes(state.data.ventesBySection, feature.properties.id, getPeriod());
+  const transports = getTransportsServingZone(feature) || [];
+  const scoreAcces = getAccessibilityScore(feature)?.score ?? null;
+  const statsFiltered = getFilteredStats(ventes, transports, scoreAcces);
+  const agregat = pendingAggregate(feature.properties.id, 'sections');
+
+  // Zoom sur la section
+  if (fit) state.map.fitBounds(layer.getBounds(), { padding: [20, 20] });
+
+  state.currentSection = feature.properties.id;
 
   // Affichage du panneau latéral avec le détail des ventes
-  // ===== On passe null pour la compatibilité =====
+  // ===== Les sections sont trop granulaires pour que le score de compatibilité
+  // soit pertinent pour l'utilisateur : on passe null au panneau =====
   Panel.showSectionPanel(
     nomCommune,
     feature.properties.code,
     statsFiltered.ventesFiltered,
     transports,
-    null // ici PAS DE SCORE DE COMPATIBILITÉ
+    null, // ici PAS DE SCORE DE COMPATIBILITÉ
+    {
+      ...panelDetails(state.data.ventesBySection, state.data.exclusBySection, feature.properties.id, agregat),
+      acces: getZoneAccessibility(feature, ventes),
+      stats: statsForPeriod(agregat?.stats, getPeriod()),
+      onVenteClick: highlightSale,
+    },
   );
+  updateBreadcrumb();
+  syncUrl({ push: true });
+}
+
+/**
+ * Navigation directe vers un territoire (lien partagé, fil d'Ariane, historique).
+ *
+ * Enchaîne les mêmes étapes que les clics successifs sur le département,
+ * la commune puis la section, sans tenir compte du mode comparaison.
+ * La navigation s'arrête au dernier niveau trouvé ; sans département,
+ * retour à la vue régionale. Le département n'est pas redessiné
+ * si ses communes sont déjà affichées.
+ *
+ * @param {{ dept?: string|null, commune?: string|null, section?: string|null }} cible
+ * @param {{ fit?: boolean }} [options] - fit : recentrer la carte sur la cible
+ *   (false si la position de la carte est restaurée ensuite)
+ * @returns {Promise<void>}
+ */
+export async function navigateTo({ dept, commune, section }, { fit = true } = {}) {
+  const deptLayer = dept && MapView.findLayer(state.layers.dept, (f) => f.properties.code_insee === dept);
+  if (!deptLayer) {
+    showRegion(fit);
+    return;
+  }
+
+  const communesAffichees = state.currentDept === dept && state.layers.commune;
+  if (!commune || !communesAffichees) await showDepartment(deptLayer.feature, deptLayer, fit);
+
+  const communeLayer = commune && MapView.findLayer(state.layers.commune, (f) => f.properties.id === commune);
+  if (!communeLayer) return;
+  await showCommune(dept, communeLayer.feature, communeLayer, fit);
+
+  const sectionLayer = section && MapView.findLayer(state.layers.section, (f) => f.properties.id === section);
+  if (!sectionLayer) return;
+  showSection(communeLayer.feature.properties.nom, sectionLayer.feature, sectionLayer, fit);
+}
+
+/**
+ * Retour à la vue régionale : départements seuls, aucun territoire sélectionné.
+ *
+ * @param {boolean} [fit=true] - Recentrer la carte sur l'Île-de-France
+ */
+function showRegion(fit = true) {
+  state.layers.commune = MapView.clearLayer(state.map, state.layers.commune);
+  state.layers.section = MapView.clearLayer(state.map, state.layers.section);
+
+  state.currentScale = null;
+  state.currentDept = null;
+  state.currentDeptName = null;
+  state.currentCommune = null;
+  state.currentCommuneName = null;
+  state.currentSections = null;
+  state.currentSection = null;
+
+  if (fit && state.layers.dept) state.map.fitBounds(state.layers.dept.getBounds());
+
+  Panel.showRegionPanel();
+  resetLegend();
+  updateBreadcrumb();
+  refreshSalesLayer();
+  syncUrl({ push: true });
+}
+
+/**
+ * Met à jour le fil d'Ariane selon la navigation en cours.
+ *
+ * Chaque niveau parent ramène à ce niveau (couches, panneau et légende).
+ */
+function updateBreadcrumb() {
+  const niveaux = [{ label: "Île-de-France", onClick: () => navigateTo({}) }];
+
+  if (state.currentDept) {
+    const dept = state.currentDept;
+    niveaux.push({ label: state.currentDeptName, onClick: () => navigateTo({ dept }) });
+  }
+  if (state.currentCommune) {
+    const { currentDept: dept, currentCommune: commune } = state;
+    niveaux.push({ label: state.currentCommuneName, onClick: () => navigateTo({ dept, commune }) });
+  }
+  if (state.currentSection) {
+    const section = state.currentSections?.find((f) => f.properties.id === state.currentSection);
+    niveaux.push({ label: `Section ${section?.properties.code ?? state.currentSection}`, onClick: () => {} });
+  }
+
+  renderBreadcrumb(niveaux);
 }
 
 /**
@@ -237,6 +694,9 @@ function onSectionClick(nomCommune, feature, layer) {
 export function rerenderCurrentLayer() {
   const currentScale = state.currentScale;
 
+  // Les infobulles des départements dépendent de la période sélectionnée
+  MapView.updateDepartmentTooltips(state.layers.dept, currentStatsDept());
+
   if (currentScale === 'commune') {
     rerenderCommunes();
   } else if (currentScale === 'section') {
@@ -244,6 +704,10 @@ export function rerenderCurrentLayer() {
   } else if (currentScale === 'department' && state.currentDept) {
     rerenderDepartment();
   }
+
+  // Les ventes individuelles suivent les filtres et la période
+  refreshSalesLayer();
+  syncUrl();
 }
 
 /**
@@ -255,22 +719,35 @@ export function rerenderCurrentLayer() {
 function rerenderDepartment() {
   if (!state.currentDept || !state.currentDeptName) return;
 
-  const ventesRaw = state.data.ventesByDept?.get(state.currentDept);
-  const transports = [];
+  const ventesRaw = getVentes(state.data.ventesByDept, state.currentDept, getPeriod());
+  // Desserte recalculée : le rayon d'accès fait partie des filtres
+  const feature = state.layers.dept && MapView.layerFeatures(state.layers.dept)
+    .find((f) => f.properties.code_insee === state.currentDept);
+  const transports = getTransportsServingZone(feature);
+  const scoreAcces = getAccessibilityScore(feature)?.score ?? null;
 
   let statsToDisplay;
   let compatibility = null;
   
   // Recalcul des stats avec les nouveaux filtres
   if (ventesRaw && ventesRaw.length > 0) {
-    statsToDisplay = getFilteredStats(ventesRaw, transports);
-    compatibility = calculateCompatibilityScore(ventesRaw, transports);
+    statsToDisplay = getFilteredStats(ventesRaw, transports, scoreAcces);
+    compatibility = calculateCompatibilityScore(ventesRaw, transports, scoreAcces);
   } else {
-    statsToDisplay = state.data.statsDept[state.currentDept];
+    statsToDisplay = currentStatsDept()[state.currentDept];
   }
 
   // Mise à jour du panneau avec les nouvelles stats
-  Panel.showDeptPanel(state.currentDeptName, statsToDisplay, transports, compatibility);
+  Panel.showDeptPanel(
+    state.currentDeptName,
+    statsToDisplay,
+    transports,
+    compatibility,
+    {
+      ...panelDetails(state.data.ventesByDept, state.data.exclusByDept, state.currentDept, pendingAggregate(state.currentDept)),
+      acces: getZoneAccessibility(feature, ventesRaw),
+    },
+  );
 }
 
 /**
@@ -287,31 +764,27 @@ async function rerenderCommunes() {
   state.layers.commune = MapView.clearLayer(state.map, state.layers.commune);
 
   // Rechargement des communes
-  const geoCommunes = await Geo.loadCommunesGeo(state.currentDept);
+  let geoCommunes;
+  try {
+    geoCommunes = await Geo.loadCommunesGeo(state.currentDept);
+  } catch (err) {
+    console.warn(err);
+    rerenderDepartment();
+    Panel.showPanelNotice(err.message);
+    return;
+  }
 
   // Réaffichage avec les nouveaux filtres (gradient de compatibilité)
   state.layers.commune = MapView.renderCommunes(
     state.map,
     geoCommunes,
-    state.data.prixCommune,
+    currentPrixCommune(),
     (f, l) => onCommuneClick(state.currentDept, f, l),
+    communeBreaks(geoCommunes.features),
   );
 
   // Mise à jour du panneau latéral
-  const ventesRaw = state.data.ventesByDept?.get(state.currentDept);
-  const transports = [];
-
-  let statsToDisplay;
-  let compatibility = null;
-  
-  if (ventesRaw && ventesRaw.length > 0) {
-    statsToDisplay = getFilteredStats(ventesRaw, transports);
-    compatibility = calculateCompatibilityScore(ventesRaw, transports);
-  } else {
-    statsToDisplay = state.data.statsDept[state.currentDept];
-  }
-
-  Panel.showDeptPanel(state.currentDeptName, statsToDisplay, transports, compatibility);
+  rerenderDepartment();
 }
 
 /**
@@ -324,22 +797,90 @@ async function rerenderCommunes() {
 function rerenderSections() {
   if (!state.currentSections || !state.currentCommuneName || !state.currentCommune) return;
 
-  // Nettoyage de la couche actuelle
+  // Nettoyage de la couche actuelle (le panneau revient à la commune)
   state.layers.section = MapView.clearLayer(state.map, state.layers.section);
+  state.currentSection = null;
+  updateBreadcrumb();
 
   // Réaffichage avec les nouveaux filtres (gradient de compatibilité)
   state.layers.section = MapView.renderSections(
     state.map,
     state.currentSections,
-    state.data.prixSection,
+    currentPrixSection(),
     (f, l) => onSectionClick(state.currentCommuneName, f, l),
+    sectionBreaks(state.currentSections),
   );
 
   // Mise à jour du panneau latéral
-  const ventes = state.data.ventesByCommune.get(state.currentCommune) ?? [];
-  const transports = [];
-  const statsFiltered = getFilteredStats(ventes, transports);
-  const compatibility = calculateCompatibilityScore(ventes, transports);
+  rerenderCommunePanel();
+}
 
-  Panel.showCommunePanel(state.currentCommuneName, statsFiltered.ventesFiltered, transports, compatibility);
+/**
+ * Réaffiche le panneau de la commune courante avec les stats filtrées.
+ */
+function rerenderCommunePanel() {
+  if (!state.currentCommuneName || !state.currentCommune) return;
+
+  const ventes = getVentes(state.data.ventesByCommune, state.currentCommune, getPeriod());
+  // Desserte recalculée : le rayon d'accès fait partie des filtres
+  const feature = state.layers.commune && MapView.layerFeatures(state.layers.commune)
+    .find((f) => f.properties.id === state.currentCommune);
+  const transports = getTransportsServingZone(feature);
+  const scoreAcces = getAccessibilityScore(feature)?.score ?? null;
+  const statsFiltered = getFilteredStats(ventes, transports, scoreAcces);
+  const agregat = pendingAggregate(state.currentCommune, 'communes');
+  const compatibility = agregat ? null : calculateCompatibilityScore(ventes, transports, scoreAcces);
+
+  Panel.showCommunePanel(
+    state.currentCommuneName,
+    statsFiltered.ventesFiltered,
+    transports,
+    compatibility,
+    {
+      ...panelDetails(state.data.ventesByCommune, state.data.exclusByCommune, state.currentCommune, agregat),
+      acces: getZoneAccessibility(feature, ventes),
+      stats: statsForPeriod(agregat?.stats, getPeriod()),
+    },
+  );
+}
+
+/**
+ * Recolore les couches affichées pour la période active, sans recharger
+ * les géométries ni changer le zoom.
+ *
+ * Utilisé par le curseur temporel : chaque pas d'animation ne fait que
+ * mettre à jour les couleurs, les infobulles et la légende.
+ */
+export function recolorCurrentLayer() {
+  MapView.updateDepartmentTooltips(state.layers.dept, currentStatsDept());
+
+  // Communes puis sections : la légende reflète la couche la plus fine affichée
+  if (state.layers.commune) {
+    MapView.recolorCommunes(
+      state.layers.commune,
+      currentPrixCommune(),
+      communeBreaks(MapView.layerFeatures(state.layers.commune)),
+    );
+  }
+  if (state.layers.section) {
+    MapView.recolorSections(
+      state.layers.section,
+      currentPrixSection(),
+      sectionBreaks(MapView.layerFeatures(state.layers.section)),
+    );
+  }
+
+  refreshSalesLayer();
+  syncUrl();
+}
+
+/**
+ * Réaffiche le panneau latéral du niveau courant pour la période active.
+ */
+export function refreshCurrentPanel() {
+  if (state.currentScale === 'commune' || state.currentScale === 'department') {
+    rerenderDepartment();
+  } else if (state.currentScale === 'section') {
+    rerenderCommunePanel();
+  }
 }
\ No newline at end of file
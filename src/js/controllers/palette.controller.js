@@ -0,0 +1,48 @@
+/**
+ * Contrôleur du choix de la palette de couleurs (légende de la carte)
+ *
+ * Le changement de palette s'applique en une fois à la carte des prix
+ * (et sa légende), aux ventes individuelles, à la surface achetable,
+ * aux indicateurs de compatibilité et aux graphiques du panneau,
+ * ainsi qu'au marqueur du lieu recherché.
+ */
+
+import { PALETTES, getPaletteKey, setPalette } from "../models/palette.model.js";
+import { restyleSearchMarker } from "../views/search.view.js";
+import { recolorCurrentLayer, refreshCurrentPanel } from "./map.controller.js";
+import { refreshSurfaceLayer } from "./pouvoir-achat.controller.js";
+
+// Variables CSS des niveaux de compatibilité (voir style.css), dans l'ordre de la palette
+const COMPAT_CSS_VARS = ["--compat-low", "--compat-medium", "--compat-good", "--compat-high"];
+
+/**
+ * Applique la palette active aux styles de la page
+ * (indicateurs de compatibilité, légende des graphiques par type de bien).
+ */
+function applyPaletteStyles() {
+  const { compatibilite, types } = PALETTES[getPaletteKey()];
+  COMPAT_CSS_VARS.forEach((name, i) => {
+    document.documentElement.style.setProperty(name, compatibilite[i]);
+  });
+  for (const [type, couleur] of Object.entries(types)) {
+    document.documentElement.style.setProperty(`--type-${type}`, couleur);
+  }
+}
+
+/**
+ * Initialise le sélecteur de palette et applique la palette mémorisée.
+ */
+export function initPaletteControl() {
+  const select = document.getElementById("legend-palette");
+  applyPaletteStyles();
+
+  select?.addEventListener("change", () => {
+    setPalette(select.value);
+    applyPaletteStyles();
+    // Prix (et ventes individuelles), surface achetable, graphiques du panneau
+    recolorCurrentLayer();
+    refreshSurfaceLayer();
+    refreshCurrentPanel();
+    restyleSearchMarker();
+  });
+}
@@ -2,10 +2,13 @@
  * Contrôleur pour l'analyse de pouvoir d'achat
  *
  * Ce contrôleur gère l'ensemble du workflow de l'analyse de pouvoir d'achat :
- * - Ouverture et fermeture du modal de saisie du budget
+ * - Ouverture et fermeture du modal de saisie du plan de financement
+ * - Calcul de la capacité d'achat (prêt, taux d'endettement, frais de notaire)
  * - Lancement de l'analyse contextuelle (selon le niveau de zoom)
  * - Coordination entre le modèle (calculs) et la vue (affichage)
  * - Gestion de l'état de l'analyse (budget, résultats)
+ * - Affichage des résultats en tableau (nombre de lignes au choix) et sur la carte
+ *   (choroplèthe de la surface achetable, avec bascule vers la carte des prix)
  *
  * L'analyse s'adapte au contexte de navigation de l'utilisateur :
  * - Vue globale → analyse toute l'Île-de-France
@@ -17,20 +20,60 @@ import { state } from "../app/state.js";
 import {
   analyserPouvoirAchat,
   getTopCommunes,
+  calculerFinancement,
 } from "../models/pouvoir-achat.model.js";
 import {
   renderPouvoirAchatResults,
   hidePouvoirAchatResults,
+  renderSurfaceLayer,
+  hideSurfaceLegend,
+  updatePouvoirAchatLayerToggle,
 } from "../views/pouvoir-achat.view.js";
+import { setLegendVisible } from "../views/legend.view.js";
 import * as Geo from "../models/geo.model.js";
 import * as MapView from "../views/map.view.js";
-
-// Stockage du budget actuel de l'analyse
-let currentBudget = null;
+import { getPeriod } from "../models/period.model.js";
+import { getVentes } from "../models/dvf.model.js";
+import { fmtEuro } from "../utils/utils.js";
+import { syncUrl } from "./url.controller.js";
+
+// Champs du modal : nom court (utilisé dans l'URL) → id de l'élément
+const CHAMPS_SAISIE = {
+  apport: "apport-pouvoir-achat",
+  revenu: "revenu-pouvoir-achat",
+  mensualite: "mensualite-pouvoir-achat",
+  duree: "duree-pouvoir-achat",
+  taux: "taux-pouvoir-achat",
+  assurance: "assurance-pouvoir-achat",
+  etat: "etat-pouvoir-achat",
+  type: "type-pouvoir-achat",
+  pieces: "pieces-pouvoir-achat",
+};
+
+// Stockage du plan de financement de l'analyse
+let currentFinancement = null;
 
 // Stockage des résultats complets de l'analyse
 let currentResults = null;
 
+// Zones analysées (features GeoJSON), pour la couche cartographique
+let currentFeatures = null;
+
+// Segment recherché : type de bien et nombre de pièces minimal
+let currentSegment = {};
+
+// Type d'analyse en cours : 'global', 'commune' ou 'section'
+let currentAnalysisType = "global";
+
+// Nombre de lignes affichées dans le tableau de résultats
+let tableRows = 5;
+
+// Départements ignorés par l'analyse globale faute de contours communaux
+let currentDeptsManquants = [];
+
+// Valeurs saisies dans le modal lors de l'analyse (pour le lien partageable)
+let currentSaisie = null;
+
 /**
  * Initialise le bouton "Pouvoir d'achat" dans le header
  *
@@ -46,10 +89,11 @@ export function initPouvoirAchatButton() {
 }
 
 /**
- * Initialise le modal de saisie du budget
+ * Initialise le modal de saisie du plan de financement
  *
  * Configure tous les écouteurs d'événements du modal :
- * - Bouton "Analyser" : lance l'analyse avec le budget saisi
+ * - Saisie d'un paramètre : met à jour l'aperçu du financement
+ * - Bouton "Analyser" : lance l'analyse avec le budget finançable
  * - Bouton "Annuler" : ferme le modal sans lancer d'analyse
  * - Clic en dehors du modal : ferme le modal
  * - Touche Échap : ferme le modal
@@ -59,42 +103,41 @@ export function initPouvoirAchatModal() {
   const modal = document.getElementById("pouvoir-achat-modal");
   const analyserBtn = document.getElementById("analyser-pouvoir-achat");
   const cancelBtn = document.getElementById("cancel-pouvoir-achat");
-  const budgetInput = document.getElementById("budget-pouvoir-achat");
   const closeResultsBtn = document.getElementById(
     "close-pouvoir-achat-results",
   );
 
+  // Mise à jour de l'aperçu à chaque modification d'un paramètre
+  modal?.querySelectorAll("input, select").forEach((input) => {
+    input.addEventListener("input", updateApercu);
+  });
+
   // Gestion du bouton "Analyser"
   analyserBtn?.addEventListener("click", () => {
-    const budget = parseFloat(budgetInput.value);
+    const financement = calculerFinancement(readFinancementParams());
 
-    // Validation : le budget doit être un nombre positif
-    if (!budget || budget <= 0) {
-      alert("⚠️ Veuillez entrer un budget valide.");
+    // Validation : le financement doit permettre un achat
+    if (!financement.prixMax || financement.prixMax <= 0) {
+      alert("⚠️ Veuillez entrer un apport ou des revenus valides.");
       return;
     }
 
-    // Lancer l'analyse avec le budget saisi
-    analyserBudget(budget);
+    // Lancer l'analyse avec le budget finançable
+    analyserBudget(financement);
 
-    // Fermer le modal
+    // Fermer le modal (les paramètres saisis sont conservés pour une nouvelle analyse)
     closeModal();
-
-    // Réinitialiser le champ de saisie
-    budgetInput.value = "";
   });
 
   // Gestion du bouton "Annuler"
   cancelBtn?.addEventListener("click", () => {
     closeModal();
-    budgetInput.value = "";
   });
 
   // Fermeture du modal si l'utilisateur clique en dehors
   modal?.addEventListener("click", (e) => {
     if (e.target === modal) {
       closeModal();
-      budgetInput.value = "";
     }
   });
 
@@ -102,7 +145,6 @@ export function initPouvoirAchatModal() {
   document.addEventListener("keydown", (e) => {
     if (e.key === "Escape" && !modal.classList.contains("hidden")) {
       closeModal();
-      budgetInput.value = "";
     }
   });
 
@@ -110,25 +152,107 @@ export function initPouvoirAchatModal() {
   closeResultsBtn?.addEventListener("click", () => {
     resetPouvoirAchatAnalysis();
   });
+
+  // Choix du nombre de lignes du tableau de résultats
+  document.getElementById("pouvoir-achat-rows")?.addEventListener("change", (e) => {
+    tableRows = parseInt(e.target.value, 10) || Infinity;
+    renderTable();
+  });
+
+  // Bascule entre la carte des surfaces achetables et la carte des prix
+  document.getElementById("toggle-pouvoir-achat-layer")?.addEventListener("click", () => {
+    if (state.layers.pouvoirAchat) hideSurfaceLayer();
+    else showSurfaceLayer();
+  });
 }
 
 /**
- * Ouvre le modal de saisie du budget
+ * Ouvre le modal de saisie du plan de financement
  *
  * Retire la classe 'hidden' du modal et place automatiquement
- * le focus sur le champ de saisie pour améliorer l'UX.
+ * le focus sur le premier champ de saisie pour améliorer l'UX.
  */
 function openPouvoirAchatModal() {
   const modal = document.getElementById("pouvoir-achat-modal");
   modal?.classList.remove("hidden");
+  updateApercu();
 
   // Focus automatique sur le champ de saisie après un court délai
-  const budgetInput = document.getElementById("budget-pouvoir-achat");
-  setTimeout(() => budgetInput?.focus(), 100);
+  const apportInput = document.getElementById("apport-pouvoir-achat");
+  setTimeout(() => apportInput?.focus(), 100);
 }
 
 /**
- * Ferme le modal de saisie du budget
+ * Lit les valeurs brutes du modal (telles que saisies)
+ *
+ * @returns {Object.<string, string>} - Valeur de chaque champ de CHAMPS_SAISIE
+ */
+function readSaisie() {
+  const saisie = {};
+  for (const [key, id] of Object.entries(CHAMPS_SAISIE)) {
+    saisie[key] = document.getElementById(id)?.value ?? "";
+  }
+  return saisie;
+}
+
+/**
+ * Lit les paramètres de financement saisis dans le modal
+ *
+ * Les taux sont saisis en pourcentage et convertis en proportion (3.5 → 0.035).
+ *
+ * @returns {Object} - Paramètres attendus par calculerFinancement()
+ */
+function readFinancementParams() {
+  const value = (id) => parseFloat(document.getElementById(id)?.value) || 0;
+
+  return {
+    apport: value("apport-pouvoir-achat"),
+    revenuMensuel: value("revenu-pouvoir-achat"),
+    mensualiteMax: value("mensualite-pouvoir-achat") || null,
+    dureeAns: value("duree-pouvoir-achat"),
+    taux: value("taux-pouvoir-achat") / 100,
+    tauxAssurance: value("assurance-pouvoir-achat") / 100,
+    etat: document.getElementById("etat-pouvoir-achat")?.value || "ancien",
+  };
+}
+
+/**
+ * Lit le segment de biens recherché (type, nombre de pièces minimal)
+ *
+ * @returns {{ type: "Maison"|"Appartement"|null, piecesMin: number|null }}
+ */
+function readSegment() {
+  return {
+    type: document.getElementById("type-pouvoir-achat")?.value || null,
+    piecesMin: parseInt(document.getElementById("pieces-pouvoir-achat")?.value, 10) || null,
+  };
+}
+
+/**
+ * Met à jour l'aperçu du plan de financement dans le modal
+ *
+ * Affiche la mensualité, le montant empruntable et le prix maximal du bien
+ * au fur et à mesure de la saisie.
+ */
+function updateApercu() {
+  const apercu = document.getElementById("pouvoir-achat-apercu");
+  if (!apercu) return;
+
+  const f = calculerFinancement(readFinancementParams());
+  if (!f.prixMax) {
+    apercu.innerHTML = "";
+    return;
+  }
+
+  apercu.innerHTML = `
+    <div>Mensualité : <strong>${fmtEuro(f.mensualite)}/mois</strong> sur ${f.dureeAns} ans</div>
+    <div>Emprunt : ${fmtEuro(f.emprunt)} · Frais de notaire : ${fmtEuro(f.fraisNotaire)}</div>
+    <div>Prix maximal du bien : <strong>${fmtEuro(f.prixMax)}</strong></div>
+  `;
+}
+
+/**
+ * Ferme le modal de saisie du plan de financement
  *
  * Ajoute la classe 'hidden' pour masquer le modal.
  */
@@ -137,6 +261,17 @@ function closeModal() {
   modal?.classList.add("hidden");
 }
 
+/**
+ * Portée de l'analyse selon le niveau de zoom
+ *
+ * @returns {"section"|"commune"|"global"}
+ */
+function porteeCourante() {
+  if (state.currentScale === "section" && state.currentCommune) return "section";
+  if (state.currentScale === "commune" && state.currentDept) return "commune";
+  return "global";
+}
+
 /**
  * Lance l'analyse de pouvoir d'achat de manière contextuelle
  *
@@ -146,106 +281,199 @@ function closeModal() {
  * - Sinon : analyse toutes les communes d'Île-de-France
  *
  * Pour chaque zone analysée, calcule la surface maximale qu'on peut acheter
- * avec le budget donné (surface = budget / prix_au_m2).
+ * avec le budget finançable (surface = prix_max / prix_au_m2).
  *
- * @param {number} budget - Budget de l'utilisateur en euros
+ * @param {Object} financement - Plan de financement issu de calculerFinancement()
+ * @param {"section"|"commune"|"global"} [portee] - Portée imposée (lien partagé),
+ *   par défaut celle du niveau de zoom
  */
-async function analyserBudget(budget) {
-  // Sauvegarde du budget pour référence ultérieure
-  currentBudget = budget;
+async function analyserBudget(financement, portee = porteeCourante()) {
+  // Prix maximal du bien, frais de notaire déduits
+  const budget = financement.prixMax;
 
-  // Récupération du niveau de zoom actuel et des données de prix
-  const currentScale = state.currentScale;
-  const prixCommune = state.data.prixCommune;
-  const prixSection = state.data.prixSection;
+  // Sauvegarde du financement (affiché avec les résultats)
+  currentFinancement = financement;
 
-  let results = [];
+  // Récupération de la période active, du segment recherché et de la saisie
+  const period = getPeriod();
+  const segment = readSegment();
+  currentSaisie = readSaisie();
+
+  let features = [];
+  let zones = [];
   let analysisType = "global";
+  const deptsManquants = [];
 
   // Cas 1 : Analyse au niveau section (zoom maximal)
-  if (currentScale === "section" && state.currentCommune) {
+  if (portee === "section" && state.currentSections) {
     analysisType = "section";
 
-    // Parcours de toutes les sections de la commune actuelle
-    const sections = state.currentSections || [];
-    for (const section of sections) {
-      const sectionId = section.properties.id;
-      const sectionCode = section.properties.code;
-      const prixM2 = prixSection[sectionId];
-
-      // Calcul de la surface possible : budget divisé par prix au m²
-      if (prixM2 && prixM2 > 0) {
-        const surfacePossible = Math.floor(budget / prixM2);
-        results.push({
-          id: sectionId,
-          name: `Section ${sectionCode}`,
-          prixM2: prixM2,
-          surfacePossible: surfacePossible,
-        });
-      }
-    }
-  } else if (currentScale === "commune" && state.currentDept) {
-    // Cas 2 : Analyse au niveau département
-    analysisType = "commune";
-    // Chargement des données géographiques du département
-    const geoCommunes = await Geo.loadCommunesGeo(state.currentDept);
-    // Utilisation de la fonction du modèle pour analyser les communes
-    results = analyserPouvoirAchat(budget, prixCommune, geoCommunes);
+    // Toutes les sections de la commune actuelle
+    features = state.currentSections || [];
+    zones = features.map((section) => ({
+      id: section.properties.id,
+      name: `Section ${section.properties.code}`,
+      ventes: getVentes(state.data.ventesBySection, section.properties.id, period),
+    }));
   } else {
-    // Cas 3 : Analyse au niveau global (toute l'Île-de-France)
-    analysisType = "global";
-    // Liste des codes départements de l'Île-de-France
-    const depts = ["75", "77", "78", "91", "92", "93", "94", "95"];
-    let allCommunes = { type: "FeatureCollection", features: [] };
-
-    // Chargement des données de tous les départements
-    for (const dept of depts) {
-      const geoCommunes = await Geo.loadCommunesGeo(dept);
-      allCommunes.features.push(...geoCommunes.features);
+    let geoCommunes;
+
+    if (portee === "commune" && state.currentDept) {
+      // Cas 2 : Analyse au niveau département
+      analysisType = "commune";
+      // Chargement des données géographiques du département
+      geoCommunes = await Geo.loadCommunesGeo(state.currentDept);
+    } else {
+      // Cas 3 : Analyse au niveau global (toute l'Île-de-France)
+      analysisType = "global";
+      // Liste des codes départements de l'Île-de-France
+      const depts = ["75", "77", "78", "91", "92", "93", "94", "95"];
+      geoCommunes = { type: "FeatureCollection", features: [] };
+
+      // Chargement en parallèle des données de tous les départements
+      // (un département sans fichier de communes est ignoré et signalé)
+      const resultats = await Promise.allSettled(depts.map((dept) => Geo.loadCommunesGeo(dept)));
+      resultats.forEach((res, i) => {
+        if (res.status === "fulfilled") {
+          geoCommunes.features.push(...res.value.features);
+        } else {
+          console.warn(res.reason);
+          deptsManquants.push(deptName(depts[i]));
+        }
+      });
     }
 
-    // Analyse de toutes les communes d'Île-de-France
-    results = analyserPouvoirAchat(budget, prixCommune, allCommunes);
+    features = geoCommunes.features;
+    zones = features.map((commune) => ({
+      id: commune.properties.id,
+      name: commune.properties.nom,
+      ventes: getVentes(state.data.ventesByCommune, commune.properties.id, period),
+    }));
   }
 
-  // Tri des résultats par surface décroissante (du plus grand au plus petit)
-  results.sort((a, b) => b.surfacePossible - a.surfacePossible);
+  // Utilisation de la fonction du modèle pour analyser les zones
+  // (prix médian du segment recherché, zones sans vente conservées)
+  const results = analyserPouvoirAchat(budget, zones, segment);
+  currentSegment = segment;
+  currentDeptsManquants = deptsManquants;
+
   currentResults = results;
+  currentFeatures = features;
+  currentAnalysisType = analysisType;
 
-  // Extraction des 5 meilleurs résultats
-  const top5 = getTopCommunes(results, 5);
+  // Affichage des N meilleurs résultats dans le tableau
+  renderTable();
 
-  // Affichage des résultats via la vue
-  renderPouvoirAchatResults(top5, budget, analysisType);
+  // Affichage de l'ensemble des résultats sur la carte
+  showSurfaceLayer();
+  syncUrl();
 }
 
 /**
- * Réinitialise l'analyse de pouvoir d'achat
+ * Relance une analyse à partir d'une saisie enregistrée (lien partagé)
  *
- * Efface le budget et les résultats stockés, puis masque le tableau
- * de résultats. Utilisé quand l'utilisateur clique sur "Fermer".
+ * Les valeurs sont recopiées dans le modal : l'utilisateur peut ensuite les modifier.
+ *
+ * @param {Object.<string, string>} saisie - Valeurs des champs (voir CHAMPS_SAISIE)
+ * @param {"section"|"commune"|"global"} portee - Portée de l'analyse
+ * @returns {Promise<void>}
  */
-function resetPouvoirAchatAnalysis() {
-  currentBudget = null;
-  currentResults = null;
-  // Masquage du tableau de résultats
-  hidePouvoirAchatResults();
+export async function restorePouvoirAchatAnalysis(saisie, portee) {
+  for (const [key, id] of Object.entries(CHAMPS_SAISIE)) {
+    const input = document.getElementById(id);
+    // Champ absent du lien : laissé vide lors de l'analyse d'origine
+    if (input) input.value = saisie[key] ?? "";
+  }
+
+  const financement = calculerFinancement(readFinancementParams());
+  if (!financement.prixMax || financement.prixMax <= 0) return;
+  await analyserBudget(financement, portee);
+}
+
+/**
+ * Analyse en cours, pour le lien partageable
+ *
+ * @returns {{ saisie: Object.<string, string>, portee: string }|null} - null si aucune analyse
+ */
+export function getPouvoirAchatLink() {
+  if (!currentResults || !currentSaisie) return null;
+  return { saisie: currentSaisie, portee: currentAnalysisType };
+}
+
+/**
+ * Nom d'un département à partir de son code (couche des départements), ou le code à défaut.
+ *
+ * @param {string} code - Code du département (ex : "77").
+ * @returns {string}
+ */
+function deptName(code) {
+  if (!state.layers.dept) return code;
+  const feature = MapView.layerFeatures(state.layers.dept)
+    .find((f) => f.properties.code_insee === code);
+  return feature?.properties.nom ?? code;
+}
+
+/**
+ * Affiche le tableau des résultats avec le nombre de lignes choisi
+ */
+function renderTable() {
+  if (!currentResults) return;
+  const top = getTopCommunes(currentResults, tableRows);
+  renderPouvoirAchatResults(top, currentFinancement, currentAnalysisType, {
+    segment: currentSegment,
+    petitsEchantillons: currentResults.filter((r) => r.petitEchantillon).length,
+    deptsManquants: currentDeptsManquants,
+    sansVente: currentResults.filter((r) => r.surfacePossible == null).length,
+  });
 }
 
 /**
- * Récupère le budget actuellement utilisé pour l'analyse
+ * Affiche la choroplèthe de la surface achetable à la place de la carte des prix
  *
- * @returns {number|null} - Budget en euros ou null si aucune analyse en cours
+ * La légende des prix est masquée au profit de celle des surfaces.
+ */
+function showSurfaceLayer() {
+  if (!currentResults) return;
+
+  state.layers.pouvoirAchat = MapView.clearLayer(state.map, state.layers.pouvoirAchat);
+  state.layers.pouvoirAchat = renderSurfaceLayer(state.map, currentFeatures, currentResults);
+  setLegendVisible(false);
+  updatePouvoirAchatLayerToggle(true);
+}
+
+/**
+ * Redessine la choroplèthe de la surface achetable si elle est affichée
+ * (ex : changement de palette de couleurs)
  */
-export function getCurrentBudget() {
-  return currentBudget;
+export function refreshSurfaceLayer() {
+  if (state.layers.pouvoirAchat) showSurfaceLayer();
 }
 
 /**
- * Récupère les résultats complets de l'analyse en cours
+ * Retire la choroplèthe de la surface achetable et revient à la carte des prix
+ */
+function hideSurfaceLayer() {
+  state.layers.pouvoirAchat = MapView.clearLayer(state.map, state.layers.pouvoirAchat);
+  hideSurfaceLegend();
+  setLegendVisible(true);
+  updatePouvoirAchatLayerToggle(false);
+}
+
+/**
+ * Réinitialise l'analyse de pouvoir d'achat
  *
- * @returns {Array|null} - Tableau des résultats ou null si aucune analyse en cours
+ * Efface le budget et les résultats stockés, puis masque le tableau
+ * de résultats. Utilisé quand l'utilisateur clique sur "Fermer".
  */
-export function getCurrentResults() {
-  return currentResults;
+export function resetPouvoirAchatAnalysis() {
+  currentFinancement = null;
+  currentResults = null;
+  currentFeatures = null;
+  currentSegment = {};
+  currentSaisie = null;
+  // Retour à la carte des prix
+  hideSurfaceLayer();
+  // Masquage du tableau de résultats
+  hidePouvoirAchatResults();
+  syncUrl();
 }
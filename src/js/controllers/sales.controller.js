@@ -0,0 +1,122 @@
+/**
+ * Contrôleur de la couche des ventes individuelles
+ *
+ * Affiche les mutations DVF une à une (marqueurs groupés) aux échelles fines :
+ * - échelle commune : ventes du département affiché
+ * - échelle section : ventes de la commune affichée
+ * Les ventes respectent la période et les filtres actifs (filter.model.js).
+ */
+
+import { state } from "../app/state.js";
+import { getVentes } from "../models/dvf.model.js";
+import { getFilteredStats, getFilters } from "../models/filter.model.js";
+import { getTransportsServingZone, getAccessibilityScore } from "../models/accessibilite.model.js";
+import { getPeriod } from "../models/period.model.js";
+import { layerFeatures } from "../views/map.view.js";
+import { showSalesLayer, hideSalesLayer, highlightVente } from "../views/sales-layer.view.js";
+
+// Vrai si l'utilisateur a demandé l'affichage des ventes
+let visible = false;
+
+/**
+ * Initialise le bouton "Afficher les ventes" du header.
+ */
+export function initSalesLayerButton() {
+  const btn = document.getElementById("toggle-ventes");
+
+  btn?.addEventListener("click", () => {
+    setSalesLayerVisible(!visible);
+  });
+}
+
+/**
+ * Affiche ou masque la couche des ventes et met à jour le bouton.
+ *
+ * @param {boolean} show - true pour afficher la couche.
+ */
+function setSalesLayerVisible(show) {
+  visible = show;
+
+  const btn = document.getElementById("toggle-ventes");
+  if (btn) btn.textContent = visible ? "Masquer les ventes" : "Afficher les ventes";
+
+  refreshSalesLayer();
+}
+
+/**
+ * Zones affichées à l'échelle courante, par identifiant :
+ * communes du département ou sections de la commune.
+ *
+ * @returns {Map<string, GeoJSON.Feature>}
+ */
+function zonesAffichees() {
+  const features = state.currentScale === "section"
+    ? state.currentSections || []
+    : (state.layers.commune ? layerFeatures(state.layers.commune) : []);
+  return new Map(features.map((f) => [f.properties.id, f]));
+}
+
+/**
+ * Ventes à afficher pour l'échelle courante (période et filtres appliqués).
+ *
+ * Les filtres de desserte et d'accessibilité portent sur la zone de chaque vente
+ * (section ou commune), comme dans le panneau de cette zone.
+ *
+ * @returns {Array<Object>|null} Ventes, ou null au niveau régional (trop nombreuses).
+ */
+function currentVentes() {
+  let ventes = null;
+  let champ = "commune";
+  if (state.currentScale === "section" && state.currentCommune) {
+    ventes = getVentes(state.data.ventesByCommune, state.currentCommune, getPeriod());
+    champ = "section";
+  } else if (state.currentScale === "commune" && state.currentDept) {
+    ventes = getVentes(state.data.ventesByDept, state.currentDept, getPeriod());
+  }
+  if (!ventes) return null;
+
+  // Regroupement par zone, puis mêmes critères que le panneau de chaque zone
+  const parZone = new Map();
+  for (const v of ventes) {
+    if (!parZone.has(v[champ])) parZone.set(v[champ], []);
+    parZone.get(v[champ]).push(v);
+  }
+
+  const filters = getFilters();
+  const zones = zonesAffichees();
+  const res = [];
+  for (const [id, ventesZone] of parZone) {
+    // Desserte et score calculés seulement si un filtre les utilise
+    const feature = zones.get(id);
+    const transports = feature && filters.transport ? getTransportsServingZone(feature) : [];
+    const scoreAcces = feature && filters.accesMin !== null ? getAccessibilityScore(feature)?.score ?? null : null;
+    for (const v of getFilteredStats(ventesZone, transports, scoreAcces).ventesFiltered) res.push(v);
+  }
+  return res;
+}
+
+/**
+ * Reconstruit la couche des ventes pour l'échelle, la période et les filtres courants.
+ *
+ * Appelée après chaque navigation, application de filtres ou changement de période.
+ */
+export function refreshSalesLayer() {
+  const ventes = visible ? currentVentes() : null;
+  if (ventes) {
+    showSalesLayer(ventes);
+  } else {
+    hideSalesLayer();
+  }
+}
+
+/**
+ * Met en évidence sur la carte une vente cliquée dans le tableau des ventes.
+ * La couche des ventes est affichée si elle ne l'était pas.
+ *
+ * @param {Object} vente - Vente DVF.
+ * @returns {boolean} false si la vente n'a pas pu être localisée.
+ */
+export function highlightSale(vente) {
+  if (!visible) setSalesLayerVisible(true);
+  return highlightVente(vente);
+}
@@ -0,0 +1,321 @@
+/**
+ * Contrôleur de la recherche de lieux (champ du header)
+ *
+ * Suggestions au fil de la saisie, tolérantes aux accents et aux fautes de frappe :
+ * - départements et communes (contours communes-XX.geojson)
+ * - codes postaux (ventes DVF)
+ * - sections cadastrales ayant des ventes ("Montreuil AB")
+ * - gares et stations (arrêts de transport)
+ * - adresses des ventes DVF ("12 rue de la Paix Paris"), sans géocodeur externe
+ *
+ * Choisir un résultat enchaîne la même navigation que les clics sur la carte
+ * (département, puis commune, puis section) et recentre la carte sur le lieu ;
+ * pour une adresse, les ventes de la voie sont listées en tête du panneau.
+ */
+
+import { state } from "../app/state.js";
+import * as Geo from "../models/geo.model.js";
+import { buildSearchIndex, searchIndex } from "../models/search.model.js";
+import { buildAddressIndex, searchAddresses, splitAdresse } from "../models/address.model.js";
+import { getFilteredStats } from "../models/filter.model.js";
+import { getTransportsServingZone, getAccessibilityScore } from "../models/accessibilite.model.js";
+import { getPeriod, isYearInPeriod, isQuarter } from "../models/period.model.js";
+import { layerFeatures } from "../views/map.view.js";
+import { showAddressSales } from "../views/panel.view.js";
+import {
+  renderSearchResults,
+  hideSearchResults,
+  showSearchMarker,
+  clearSearchMarker,
+} from "../views/search.view.js";
+import { navigateTo } from "./map.controller.js";
+import { highlightSale } from "./sales.controller.js";
+
+// Délai entre la dernière frappe et la recherche
+const SEARCH_DELAY_MS = 150;
+
+// Nombre de suggestions affichées
+const MAX_RESULTS = 8;
+
+// Zoom appliqué sur une gare
+const GARE_ZOOM = 15;
+
+// Libellés des modes de transport (détail des gares)
+const MODES = {
+  METRO: "Métro",
+  RER: "RER",
+  TRAIN: "Train",
+  TRAMWAY: "Tram",
+  TRAM: "Tram",
+  VAL: "VAL",
+  CABLE: "Câble",
+};
+
+// Index de recherche (lieux et voies), construit à la première utilisation
+let indexPromise = null;
+
+// Résultats affichés et résultat surligné au clavier
+let results = [];
+let activeIndex = -1;
+
+let searchTimer = null;
+
+/* =====================================================
+   CONSTRUCTION DE L'INDEX
+===================================================== */
+
+/**
+ * Construit les entrées de recherche à partir des contours, des ventes et des arrêts.
+ *
+ * Un département dont les communes sont indisponibles est ignoré
+ * (ses codes postaux, sections et adresses aussi, faute de nom de commune).
+ *
+ * @returns {Promise<{ lieux: Array<Object>, adresses: Array<Object> }>} Index des lieux
+ *   (voir search.model.js) et des voies (voir address.model.js).
+ */
+async function buildIndex() {
+  const entries = [];
+  const depts = state.layers.dept ? layerFeatures(state.layers.dept) : [];
+
+  // Départements
+  for (const f of depts) {
+    const { code_insee: code, nom } = f.properties;
+    entries.push({ type: "dept", label: nom, detail: `Département ${code}`, termes: [code], cible: { dept: code } });
+  }
+
+  // Communes (contours déjà en cache le plus souvent : préchargement au lancement)
+  const nomsCommunes = new Map();
+  const communesParDept = await Promise.allSettled(
+    depts.map((f) => Geo.loadCommunesGeo(f.properties.code_insee)),
+  );
+  communesParDept.forEach((res, i) => {
+    if (res.status !== "fulfilled") return;
+    const { code_insee: dept, nom: nomDept } = depts[i].properties;
+    for (const c of res.value.features) {
+      const { id, nom } = c.properties;
+      nomsCommunes.set(id, nom);
+      entries.push({
+        type: "commune",
+        label: nom,
+        detail: `Commune · ${nomDept}`,
+        termes: [id],
+        cible: { dept, commune: id },
+      });
+    }
+  });
+
+  // Codes postaux : un résultat par couple (code postal, commune)
+  const codesPostaux = new Set();
+  for (const v of state.data.listeVentes()) {
+    if (v.code_postal && nomsCommunes.has(v.commune)) codesPostaux.add(`${v.code_postal}|${v.commune}`);
+  }
+  for (const cle of codesPostaux) {
+    const [cp, commune] = cle.split("|");
+    entries.push({
+      type: "cp",
+      label: `${cp} – ${nomsCommunes.get(commune)}`,
+      detail: "Code postal",
+      cible: { dept: commune.slice(0, 2), commune },
+    });
+  }
+
+  // Sections ayant des ventes : identifiant = commune (5) + préfixe (3) + code (2)
+  for (const id of state.data.ventesBySection?.keys() || []) {
+    const commune = id.slice(0, 5);
+    const nomCommune = nomsCommunes.get(commune);
+    if (!nomCommune) continue;
+    entries.push({
+      type: "section",
+      label: `${nomCommune} – Section ${id.slice(8).replace(/^0/, "")}`,
+      detail: "Section cadastrale",
+      termes: [id],
+      cible: { dept: commune.slice(0, 2), commune, section: id },
+    });
+  }
+
+  // Gares : un résultat par nom, toutes lignes confondues
+  const gares = new Map();
+  for (const f of state.data.stops?.features || []) {
+    const { nom, mode, ligne } = f.properties;
+    if (!nom || !f.geometry) continue;
+    if (!gares.has(nom)) {
+      const [lng, lat] = f.geometry.coordinates;
+      gares.set(nom, { latlng: L.latLng(lat, lng), lignes: new Set() });
+    }
+    gares.get(nom).lignes.add(`${MODES[mode] ?? mode} ${ligne ?? ""}`.trim());
+  }
+  for (const [nom, { latlng, lignes }] of gares) {
+    entries.push({
+      type: "gare",
+      label: nom,
+      detail: `Gare · ${[...lignes].sort().join(", ")}`,
+      cible: { latlng },
+    });
+  }
+
+  return {
+    lieux: buildSearchIndex(entries),
+    adresses: buildAddressIndex(state.data.listeVentes(), nomsCommunes),
+  };
+}
+
+/**
+ * Index de recherche (construit une seule fois).
+ *
+ * @returns {Promise<{ lieux: Array<Object>, adresses: Array<Object> }>}
+ */
+function getIndex() {
+  indexPromise ??= buildIndex();
+  return indexPromise;
+}
+
+/* =====================================================
+   NAVIGATION VERS UN RÉSULTAT
+===================================================== */
+
+/**
+ * Affiche le lieu choisi : navigation jusqu'au territoire, ou jusqu'à
+ * la commune d'une gare puis zoom sur la gare, ou jusqu'à la section d'une adresse.
+ *
+ * @param {Object} result - Résultat de searchIndex ou de searchAddresses.
+ * @returns {Promise<void>}
+ */
+async function selectResult(result) {
+  const input = document.getElementById("search-input");
+  if (input) {
+    input.value = result.label;
+    input.blur();
+  }
+  hideSearchResults();
+
+  if (result.type === "adresse") {
+    await selectAddress(result);
+    return;
+  }
+
+  if (result.type !== "gare") {
+    clearSearchMarker(state.map);
+    await navigateTo(result.cible);
+    return;
+  }
+
+  // Gare : département et commune qui la contiennent
+  const { latlng } = result.cible;
+  const dept = Geo.findFeatureAt(layerFeatures(state.layers.dept), latlng)?.properties.code_insee;
+  const communes = dept ? await Geo.loadCommunesGeo(dept).catch(() => null) : null;
+  const commune = Geo.findFeatureAt(communes, latlng)?.properties.id;
+
+  await navigateTo({ dept, commune }, { fit: false });
+  state.map.setView(latlng, GARE_ZOOM);
+  showSearchMarker(state.map, latlng, result.label);
+}
+
+/**
+ * Affiche une adresse : section la plus probable, position estimée
+ * et ventes de la voie (période et filtres courants).
+ *
+ * @param {Object} result - Résultat de searchAddresses.
+ * @returns {Promise<void>}
+ */
+async function selectAddress(result) {
+  const { dept, commune, section, latlng } = result.cible;
+  await navigateTo({ dept, commune, section });
+
+  if (latlng) showSearchMarker(state.map, latlng, result.label);
+  else clearSearchMarker(state.map);
+
+  const period = getPeriod();
+  const dansPeriode = result.ventes.filter((v) =>
+    isYearInPeriod(v.annee, period) && (!isQuarter(period) || v.trimestre === period.trimestre));
+
+  // Desserte et score de la section visée (ou de la commune sans sections),
+  // comme dans le panneau de la zone
+  const zone = state.currentSections?.find((f) => f.properties.id === section)
+    ?? (state.layers.commune ? layerFeatures(state.layers.commune) : []).find((f) => f.properties.id === commune);
+  const transports = zone ? getTransportsServingZone(zone) : [];
+  const scoreAcces = zone ? getAccessibilityScore(zone)?.score ?? null : null;
+
+  // Tri par numéro dans la voie, puis ventes les plus récentes d'abord
+  const numero = (v) => Number(splitAdresse(v.adresse).numero) || Infinity;
+  const ventes = getFilteredStats(dansPeriode, transports, scoreAcces).ventesFiltered
+    .slice()
+    .sort((a, b) => numero(a) - numero(b) || String(b.date_mutation).localeCompare(String(a.date_mutation)));
+
+  showAddressSales(`${result.label} – ${result.detail}`, ventes, {
+    numero: result.numero,
+    onVenteClick: highlightSale,
+  });
+}
+
+/* =====================================================
+   CHAMP DE RECHERCHE
+===================================================== */
+
+/**
+ * Recherche la saisie courante et affiche les suggestions.
+ *
+ * @param {string} query - Saisie de l'utilisateur.
+ * @returns {Promise<void>}
+ */
+async function updateResults(query) {
+  if (!query.trim()) {
+    results = [];
+    hideSearchResults();
+    return;
+  }
+
+  const { lieux, adresses } = await getIndex();
+  // Saisie modifiée pendant la construction de l'index : résultat périmé
+  if (document.getElementById("search-input")?.value !== query) return;
+
+  // Saisie commençant par un numéro : adresses d'abord
+  const trouves = searchIndex(lieux, query, MAX_RESULTS);
+  const voies = searchAddresses(adresses, query, MAX_RESULTS);
+  results = (splitAdresse(query).numero ? [...voies, ...trouves] : [...trouves, ...voies])
+    .slice(0, MAX_RESULTS);
+  activeIndex = results.length ? 0 : -1;
+  renderSearchResults(results, activeIndex, selectResult);
+}
+
+/**
+ * Active le champ de recherche du header.
+ *
+ * À appeler une fois les ventes et les arrêts de transport chargés.
+ */
+export function initSearch() {
+  const input = document.getElementById("search-input");
+  if (!input) return;
+
+  input.disabled = false;
+
+  // Index préparé dès la première prise de focus
+  input.addEventListener("focus", () => {
+    getIndex();
+    if (results.length && input.value.trim()) renderSearchResults(results, activeIndex, selectResult);
+  });
+
+  input.addEventListener("input", () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => updateResults(input.value), SEARCH_DELAY_MS);
+  });
+
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") {
+      hideSearchResults();
+      return;
+    }
+    if (!results.length) return;
+
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const pas = e.key === "ArrowDown" ? 1 : -1;
+      activeIndex = (activeIndex + pas + results.length) % results.length;
+      renderSearchResults(results, activeIndex, selectResult);
+    } else if (e.key === "Enter" && activeIndex >= 0) {
+      e.preventDefault();
+      selectResult(results[activeIndex]);
+    }
+  });
+
+  input.addEventListener("blur", hideSearchResults);
+}
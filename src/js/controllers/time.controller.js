@@ -0,0 +1,175 @@
+/**
+ * Contrôleur du curseur temporel.
+ *
+ * Il relie le contrôle Leaflet du curseur (time-slider.view.js) à la période
+ * d'analyse (period.model.js) :
+ * - déplacement manuel sur une année ou un trimestre
+ * - lecture automatique pas à pas (bouton lecture / pause)
+ * - changement de granularité (année / trimestre)
+ * - retour à toutes les années
+ * - option "classes fixes" de la légende
+ *
+ * Chaque changement de période recolore la couche affichée sans la recharger.
+ */
+
+import { state } from "../app/state.js";
+import {
+  getPeriod,
+  setPeriod,
+  resetPeriod,
+  isAllYears,
+  periodKey,
+  formatPeriod,
+  setGranularity,
+  listTimeSteps,
+} from "../models/period.model.js";
+import {
+  updateTimeSlider,
+  setTimeSliderPlaying,
+} from "../views/time-slider.view.js";
+import { setFixedBreaks } from "../views/legend.view.js";
+import { recolorCurrentLayer, refreshCurrentPanel } from "./map.controller.js";
+
+// Délai entre deux pas de l'animation (ms)
+const PLAY_INTERVAL_MS = 1200;
+
+// Périodes parcourues par le curseur (selon la granularité)
+let steps = [];
+
+// Minuterie de l'animation (null si à l'arrêt)
+let playTimer = null;
+
+/**
+ * Initialise les écouteurs du curseur temporel et de l'option "classes fixes".
+ *
+ * Doit être appelée après le chargement des données DVF (années disponibles).
+ */
+export function initTimeControls() {
+  const playBtn = document.getElementById("time-play");
+  const range = document.getElementById("time-range");
+  const granularitySelect = document.getElementById("time-granularity");
+  const allBtn = document.getElementById("time-all");
+  const fixedBreaksInput = document.getElementById("legend-fixed-breaks");
+
+  steps = listTimeSteps(state.data.years);
+  syncTimeSlider();
+
+  // Déplacement manuel du curseur
+  range?.addEventListener("input", () => {
+    stopPlaying();
+    goToStep(parseInt(range.value), true);
+  });
+
+  // Lecture / pause
+  playBtn?.addEventListener("click", () => {
+    if (playTimer) stopPlaying();
+    else startPlaying();
+  });
+
+  // Changement de granularité : on reste sur la même année
+  granularitySelect?.addEventListener("change", () => {
+    stopPlaying();
+    setGranularity(granularitySelect.value);
+    steps = listTimeSteps(state.data.years);
+
+    const period = getPeriod();
+    if (isAllYears(period)) {
+      syncTimeSlider();
+      return;
+    }
+    const index = steps.findIndex((s) => s.from === period.from);
+    goToStep(Math.max(index, 0), true);
+  });
+
+  // Retour à toutes les années
+  allBtn?.addEventListener("click", () => {
+    stopPlaying();
+    resetPeriod();
+    syncFilterPeriodInputs();
+    syncTimeSlider();
+    recolorCurrentLayer();
+    refreshCurrentPanel();
+  });
+
+  // Option de légende : seuils fixes entre périodes
+  fixedBreaksInput?.addEventListener("change", () => {
+    setFixedBreaks(fixedBreaksInput.checked);
+    recolorCurrentLayer();
+  });
+}
+
+/**
+ * Met à jour l'affichage du curseur selon la période active
+ * (ex : après application des filtres de période).
+ */
+export function syncTimeSlider() {
+  const period = getPeriod();
+  const key = periodKey(period);
+  const index = steps.findIndex((s) => periodKey(s) === key);
+  updateTimeSlider(steps.length, index, formatPeriod(period));
+}
+
+/**
+ * Affiche la période correspondant à un pas du curseur.
+ *
+ * @param {number} index - Position dans la liste des périodes.
+ * @param {boolean} withPanel - true pour rafraîchir aussi le panneau latéral
+ *   (évité pendant l'animation pour garder un rendu fluide).
+ */
+function goToStep(index, withPanel) {
+  const step = steps[index];
+  if (!step) return;
+
+  setPeriod(step);
+  syncFilterPeriodInputs();
+  syncTimeSlider();
+  recolorCurrentLayer();
+  if (withPanel) refreshCurrentPanel();
+}
+
+/**
+ * Lance l'animation : un pas toutes les PLAY_INTERVAL_MS millisecondes,
+ * jusqu'à la dernière période.
+ */
+function startPlaying() {
+  if (steps.length === 0) return;
+
+  // Reprise depuis le début si on est sur "toutes les années" ou en fin de parcours
+  const key = periodKey(getPeriod());
+  let index = steps.findIndex((s) => periodKey(s) === key);
+  if (index < 0 || index === steps.length - 1) index = -1;
+
+  setTimeSliderPlaying(true);
+  const tick = () => {
+    index++;
+    goToStep(index, false);
+    if (index >= steps.length - 1) stopPlaying();
+  };
+  tick();
+  if (index < steps.length - 1) playTimer = setInterval(tick, PLAY_INTERVAL_MS);
+}
+
+/**
+ * Arrête l'animation et met à jour le panneau sur la période atteinte.
+ */
+function stopPlaying() {
+  if (playTimer) {
+    clearInterval(playTimer);
+    playTimer = null;
+    refreshCurrentPanel();
+  }
+  setTimeSliderPlaying(false);
+}
+
+/**
+ * Reporte la période du curseur dans les listes "Début" / "Fin" du panneau de filtres,
+ * pour qu'un clic sur "Appliquer" conserve la période affichée.
+ */
+function syncFilterPeriodInputs() {
+  const period = getPeriod();
+  const fromSelect = document.getElementById("filter-year-from");
+  const toSelect = document.getElementById("filter-year-to");
+
+  if (fromSelect) fromSelect.value = period.from ?? "";
+  if (toSelect) toSelect.value = period.to ?? "";
+}
@@ -1,4 +1,10 @@
-import { showTransportLayer, hideTransportLayer } from "../views/transport.view.js";
+import {
+  showTransportLayer,
+  hideTransportLayer,
+  setModeVisible,
+  setLineVisible,
+  setStationsVisible,
+} from "../views/transport.view.js";
 
 // État local indiquant si la couche transport est actuellement affichée
 let visible = false;
@@ -26,6 +32,7 @@ export function initUI() {
     // Mise à jour de la carte et du libellé du bouton en fonction du nouvel état
     if (visible) {
       showTransportLayer();
+      bindTransportControl();
       // Met à jour le texte du bouton pour indiquer l'action inverse
       btn.textContent = "Masquer les transports";
     } else {
@@ -35,4 +42,22 @@ export function initUI() {
       btn.textContent = "Afficher les transports";
     }
   });
-}
\ No newline at end of file
+}
+
+/**
+ * Relaie les cases du sélecteur de lignes (modes, lignes, stations) à la couche transport.
+ *
+ * Le sélecteur est créé au premier affichage de la couche : l'écoute n'est posée qu'une fois.
+ */
+function bindTransportControl() {
+  const control = document.querySelector(".transport-control");
+  if (!control || control.dataset.bound) return;
+  control.dataset.bound = "1";
+
+  control.addEventListener("change", (e) => {
+    const input = e.target;
+    if (input.dataset.mode) setModeVisible(input.dataset.mode, input.checked);
+    else if (input.dataset.ligne) setLineVisible(input.dataset.ligne, input.checked);
+    else if ("stations" in input.dataset) setStationsVisible(input.checked);
+  });
+}
@@ -0,0 +1,196 @@
+/**
+ * Contrôleur des liens partageables
+ *
+ * Synchronise la vue courante avec le fragment de l'URL (#...) :
+ * - un changement de niveau (département, commune, section, retour à la région)
+ *   crée une entrée d'historique : les boutons précédent / suivant du navigateur
+ *   parcourent la navigation
+ * - les autres changements (filtres, période, comparaison, pouvoir d'achat,
+ *   déplacement de la carte) mettent à jour l'entrée courante
+ * - à l'ouverture d'un lien ou si le fragment est modifié, toute la vue est restaurée ;
+ *   au retour en arrière / en avant, seuls le territoire et la position de la carte
+ *   le sont (filtres, comparaison et pouvoir d'achat restent ceux en cours)
+ *
+ * Le format de l'URL est décrit dans url-state.model.js.
+ */
+
+import { state } from "../app/state.js";
+import { serializeViewState, parseViewState } from "../models/url-state.model.js";
+import { getFilters, setFilters, resetFilters } from "../models/filter.model.js";
+import { getPeriod, setPeriod, resetPeriod } from "../models/period.model.js";
+import { getComparisonZones } from "../models/comparison.model.js";
+import { navigateTo, buildComparisonZones, recolorCurrentLayer } from "./map.controller.js";
+import { setComparisonZones } from "./comparison.controller.js";
+import { syncFilterInputs } from "./filter.controller.js";
+import { syncTimeSlider } from "./time.controller.js";
+import {
+  getPouvoirAchatLink,
+  restorePouvoirAchatAnalysis,
+  resetPouvoirAchatAnalysis,
+} from "./pouvoir-achat.controller.js";
+
+// Délai de regroupement des mises à jour (ex : pas du curseur temporel, déplacement de la carte)
+const SYNC_DELAY_MS = 300;
+
+// Faux tant que la vue initiale n'est pas restaurée (et pendant une restauration)
+let syncEnabled = false;
+let syncTimer = null;
+
+// Vrai si la prochaine écriture doit créer une entrée d'historique
+let pushPending = false;
+
+// Territoire de l'entrée d'historique courante ("dept/commune/section")
+let currentEntry = "";
+
+// Dernier fragment écrit ou restauré (évite de restaurer la vue qu'on vient d'écrire)
+let lastHash = "";
+
+/**
+ * Décrit la vue courante (voir url-state.model.js).
+ *
+ * @returns {Object} Vue sérialisable.
+ */
+function currentViewState() {
+  const center = state.map.getCenter();
+
+  return {
+    niveau: state.currentScale ?? null,
+    dept: state.currentDept ?? null,
+    commune: state.currentCommune ?? null,
+    section: state.currentSection ?? null,
+    filtres: getFilters(),
+    periode: getPeriod(),
+    comparaison: getComparisonZones().map((z) => ({ type: z.type, id: z.id })),
+    carte: { lat: center.lat, lng: center.lng, zoom: state.map.getZoom() },
+    pouvoirAchat: getPouvoirAchatLink(),
+  };
+}
+
+/**
+ * Identifie le territoire affiché (une entrée d'historique par territoire).
+ *
+ * @param {{ dept: string|null, commune: string|null, section: string|null }} view
+ * @returns {string}
+ */
+function entryKey(view) {
+  return [view.dept, view.commune, view.section].map((v) => v ?? "").join("/");
+}
+
+/**
+ * Demande la mise à jour de l'URL avec la vue courante.
+ *
+ * Les appels rapprochés sont regroupés ; sans effet avant initUrlState().
+ *
+ * @param {{ push?: boolean }} [options] - push : changement de niveau de navigation
+ *   (nouvelle entrée d'historique si le territoire a changé)
+ */
+export function syncUrl({ push = false } = {}) {
+  if (!syncEnabled) return;
+  pushPending ||= push;
+  clearTimeout(syncTimer);
+  syncTimer = setTimeout(writeUrl, SYNC_DELAY_MS);
+}
+
+/**
+ * Écrit la vue courante dans le fragment de l'URL.
+ */
+function writeUrl() {
+  const view = currentViewState();
+  const hash = serializeViewState(view);
+  const entry = entryKey(view);
+  const push = pushPending && entry !== currentEntry;
+  pushPending = false;
+
+  currentEntry = entry;
+  lastHash = hash;
+
+  // L'état d'historique marque les entrées créées par l'application (voir onHistory)
+  const url = `${location.pathname}${location.search}#${hash}`;
+  if (push) history.pushState({ navigation: entry }, "", url);
+  else history.replaceState({ navigation: entry }, "", url);
+}
+
+/**
+ * Restaure une vue décrite par un fragment d'URL.
+ *
+ * Ordre : filtres et période (ils conditionnent les couleurs), navigation,
+ * zones en comparaison, analyse de pouvoir d'achat, puis position de la carte.
+ *
+ * @param {string} hash - Fragment de l'URL.
+ * @param {{ navigationOnly?: boolean }} [options] - navigationOnly : ne restaurer
+ *   que le territoire et la position de la carte (précédent / suivant)
+ * @returns {Promise<void>}
+ */
+async function restoreView(hash, { navigationOnly = false } = {}) {
+  const view = parseViewState(hash);
+  syncEnabled = false;
+  clearTimeout(syncTimer);
+  pushPending = false;
+  currentEntry = entryKey(view);
+  lastHash = hash.replace(/^#/, "");
+
+  try {
+    if (!navigationOnly) {
+      resetFilters();
+      setFilters(view.filtres);
+      resetPeriod();
+      setPeriod(view.periode);
+      syncFilterInputs();
+      syncTimeSlider();
+      // Infobulles des départements pour la période restaurée
+      recolorCurrentLayer();
+    }
+
+    // La position enregistrée remplace le recentrage automatique
+    await navigateTo(view, { fit: !view.carte });
+
+    if (!navigationOnly) {
+      setComparisonZones(await buildComparisonZones(view.comparaison));
+
+      if (view.pouvoirAchat) {
+        await restorePouvoirAchatAnalysis(view.pouvoirAchat.saisie, view.pouvoirAchat.portee);
+      } else if (getPouvoirAchatLink()) {
+        resetPouvoirAchatAnalysis();
+      }
+    }
+
+    if (view.carte) {
+      state.map.setView([view.carte.lat, view.carte.lng], view.carte.zoom, { animate: false });
+    }
+  } catch (err) {
+    console.warn("Lien partagé : restauration incomplète", err);
+  } finally {
+    syncEnabled = true;
+  }
+
+  // L'entrée d'historique reflète les filtres, la comparaison... en cours
+  if (navigationOnly) syncUrl();
+}
+
+/**
+ * Restaure la vue du lien d'ouverture, puis active la synchronisation de l'URL.
+ *
+ * À appeler une fois les données chargées et l'interface initialisée.
+ *
+ * @returns {Promise<void>}
+ */
+export async function initUrlState() {
+  if (location.hash.length > 1) await restoreView(location.hash);
+  syncEnabled = true;
+
+  // Déplacements de la carte (glisser, zoom)
+  state.map.on("moveend", () => syncUrl());
+
+  // Précédent / suivant du navigateur (entrée créée par l'application) ou
+  // fragment modifié à la main (nouvelle entrée, sans état) ;
+  // les deux événements peuvent se suivre : une seule restauration
+  const onHistory = (e) => {
+    if (location.hash.slice(1) === lastHash) return;
+    const navigationOnly = e.type === "popstate" && e.state?.navigation !== undefined;
+    restoreView(location.hash, { navigationOnly });
+  };
+  window.addEventListener("popstate", onHistory);
+  window.addEventListener("hashchange", onHistory);
+
+  syncUrl();
+}
@@ -0,0 +1,124 @@
+/**
+ * Contrôleur des zones dessinées sur la carte
+ *
+ * Ajoute les outils de dessin (polygone, rectangle, cercle) à la carte Leaflet.
+ * Chaque zone dessinée (ou modifiée) est analysée :
+ * - ventes DVF situées dans la zone, sur la période active
+ * - mêmes statistiques que pour une commune (avec filtres et compatibilité)
+ * - desserte en transports
+ * Le résultat est affiché dans le panneau latéral et peut être ajouté à la comparaison.
+ */
+
+import { state } from "../app/state.js";
+import * as Panel from "../views/panel.view.js";
+import { circleToPolygon, describeZone, ventesInZone } from "../models/zone.model.js";
+import {
+  getTransportsServingZone,
+  getZoneAccessibility,
+  getAccessibilityScore,
+} from "../models/accessibilite.model.js";
+import { getFilteredStats, calculateCompatibilityScore } from "../models/filter.model.js";
+import { getPeriod } from "../models/period.model.js";
+import { tryAddZone } from "./comparison.controller.js";
+
+// Groupe contenant la zone dessinée (une seule zone à la fois)
+let drawnItems = null;
+
+// Nombre de zones dessinées depuis le lancement (pour les nommer)
+let zoneCount = 0;
+
+/**
+ * Initialise les outils de dessin sur la carte.
+ *
+ * @param {L.Map} map - Carte Leaflet.
+ */
+export function initDrawTools(map) {
+  drawnItems = new L.FeatureGroup().addTo(map);
+
+  const drawControl = new L.Control.Draw({
+    position: "topleft",
+    draw: {
+      polygon: { allowIntersection: false, showArea: true },
+      rectangle: { showArea: true },
+      circle: { showRadius: true },
+      polyline: false,
+      marker: false,
+      circlemarker: false,
+    },
+    edit: { featureGroup: drawnItems },
+  });
+  map.addControl(drawControl);
+
+  // Nouvelle zone : elle remplace la précédente
+  map.on(L.Draw.Event.CREATED, (e) => {
+    drawnItems.clearLayers();
+    zoneCount++;
+    e.layer.zoneName = `Zone dessinée ${zoneCount}`;
+    e.layer.zoneShape = e.layerType;
+    drawnItems.addLayer(e.layer);
+    analyseZone(e.layer);
+  });
+
+  // Zone modifiée : nouvelle analyse
+  map.on(L.Draw.Event.EDITED, (e) => {
+    e.layers.eachLayer(analyseZone);
+  });
+}
+
+/**
+ * Convertit une couche dessinée en polygone GeoJSON.
+ *
+ * @param {L.Layer} layer - Polygone, rectangle ou cercle Leaflet.
+ * @returns {GeoJSON.Feature}
+ */
+function layerToFeature(layer) {
+  if (layer instanceof L.Circle) {
+    return circleToPolygon(layer.getLatLng(), layer.getRadius());
+  }
+  return layer.toGeoJSON();
+}
+
+/**
+ * Analyse une zone dessinée et affiche le résultat dans le panneau latéral.
+ *
+ * @param {L.Layer} layer - Couche dessinée.
+ */
+function analyseZone(layer) {
+  const feature = layerToFeature(layer);
+  const description = describeZone(
+    layer.zoneShape,
+    feature,
+    layer instanceof L.Circle ? layer.getRadius() : null,
+  );
+
+  const ventes = ventesInZone(state.data.listeVentes(), feature, getPeriod());
+  const transports = getTransportsServingZone(feature) || [];
+  const scoreAcces = getAccessibilityScore(feature)?.score ?? null;
+  const statsFiltered = getFilteredStats(ventes, transports, scoreAcces);
+  const compatibility = calculateCompatibilityScore(ventes, transports, scoreAcces);
+
+  Panel.showZonePanel(
+    layer.zoneName,
+    description,
+    statsFiltered.ventesFiltered,
+    transports,
+    compatibility,
+    {
+      acces: getZoneAccessibility(feature, ventes),
+      onAddToComparison: () => tryAddZone({
+        id: `${layer.zoneName} – ${description}`,
+        name: layer.zoneName,
+        type: 'zone dessinée',
+        stats: {
+          ventes: statsFiltered.ventes,
+          maisons: statsFiltered.maisons,
+          apparts: statsFiltered.apparts,
+          prixMedian: statsFiltered.prixMedian,
+          distribution: statsFiltered.distribution
+        },
+        transports: transports,
+        scoreAcces: scoreAcces
+      }),
+    },
+  );
+}
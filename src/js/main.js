@@ -1,18 +1,29 @@
 import { state } from "./app/state.js";
-import { initMap } from "./views/map.view.js";
+import { initMap, layerFeatures } from "./views/map.view.js";
 import { initLegend } from "./views/legend.view.js";
-import {
-  loadDVF,
-  computeStatsByDept,
-  aggregateMedianByKey,
-  buildIndexes
-} from "./models/dvf.model.js";
+import { initTimeSlider } from "./views/time-slider.view.js";
+import { initLoadingIndicator, setLoadingTask } from "./views/loading.view.js";
+import { initBreadcrumb } from "./views/breadcrumb.view.js";
+import { showPanelError, showPanelNotice } from "./views/panel.view.js";
+import { onLoadingChange } from "./models/data-access.model.js";
+import { loadDVFData } from "./models/dvf-loader.model.js";
+import { loadAggregatesSummary } from "./models/aggregates.model.js";
+import { prefetchGeo } from "./models/geo.model.js";
 import { loadTransports, loadStops } from "./models/transport.model.js";
-import { startApp } from "./controllers/map.controller.js";
+import { buildStationIndex } from "./models/accessibilite.model.js";
+import { startApp, recolorCurrentLayer, refreshCurrentPanel } from "./controllers/map.controller.js";
 import { initUI } from "./controllers/ui.controller.js";
 import { initFilterControls } from "./controllers/filter.controller.js";
+import { initTimeControls } from "./controllers/time.controller.js";
+import { initClassificationControls } from "./controllers/classification.controller.js";
+import { initPaletteControl } from "./controllers/palette.controller.js";
 import { initComparisonPanel, initComparisonModeButton } from "./controllers/comparison.controller.js";
 import { initPouvoirAchatButton, initPouvoirAchatModal } from "./controllers/pouvoir-achat.controller.js"; // 🆕 AJOUT
+import { initEstimationButton, initEstimationModal } from "./controllers/estimation.controller.js";
+import { initDrawTools } from "./controllers/zone.controller.js";
+import { initSalesLayerButton } from "./controllers/sales.controller.js";
+import { initUrlState } from "./controllers/url.controller.js";
+import { initSearch } from "./controllers/search.controller.js";
 
 //async : point d'entrée de l'application.
 (async () => {
@@ -25,52 +36,134 @@ import { initPouvoirAchatButton, initPouvoirAchatModal } from "./controllers/pou
   state.map = initMap();
   // Légende dynamique associée à la heatmap DVF.
   initLegend(state.map);
+  // Curseur temporel (animation de la carte année par année), à côté de la légende.
+  initTimeSlider(state.map);
+  // Indicateur de chargement : traitement DVF et téléchargement des fichiers (contours...).
+  initLoadingIndicator(state.map);
+  // Fil d'Ariane : Île-de-France › département › commune › section (niveaux cliquables).
+  initBreadcrumb(state.map);
+  onLoadingChange((etat) => setLoadingTask("fichiers", etat));
 
   /* =====================================================
-     2) CHARGEMENT & PRÉPARATION DES DONNÉES DVF
+     2) AFFICHAGE DES DÉPARTEMENTS
+        (avant les données : la carte se remplit pendant le chargement)
   ====================================================== */
 
-  // Chargement des mutations DVF brutes (tableau d'objets).
-  state.data.dvf = await loadDVF();
-
-  // Calcul de statistiques par département
-  // (nb ventes, médian, typologie, etc.).
-  state.data.statsDept = computeStatsByDept(state.data.dvf);
-  // Calcul des prix médians pour chaque commune (heatmap).
-  state.data.prixCommune = aggregateMedianByKey(state.data.dvf, "commune");
-  // Calcul des prix médians pour chaque section cadastrale.
-  state.data.prixSection = aggregateMedianByKey(state.data.dvf, "section");
-
-  // Construction d'indexes utiles :
-  // - ventesByDept["75"] = [... ventes ...] 
-  // - ventesByCommune["75056"] = [... ventes ...]
-  // - ventesBySection["75056-AB"] = [... ventes ...]
-  const { ventesByDept, ventesByCommune, ventesBySection } = buildIndexes(state.data.dvf);
-
-  state.data.ventesByDept = ventesByDept; 
-  state.data.ventesByCommune = ventesByCommune;
-  state.data.ventesBySection = ventesBySection;
+  // startApp configure :
+  // - l'affichage départements
+  // - les interactions clic/survol
+  // - la descente commune → section
+  // La navigation reste bloquée tant que state.loading est vrai.
+  await startApp();
 
   /* =====================================================
-     3) CHARGEMENT DES DONNÉES TRANSPORTS
-        (avant startApp car utilisé dans les panneaux)
+     3) AGRÉGATS PRÉ-CALCULÉS & DONNÉES TRANSPORTS
+        (avant la navigation car utilisés dans les panneaux)
   ====================================================== */
 
-  // Chargement des lignes RER, Tram, Metro, etc.
-  state.data.transports = await loadTransports();
-  // Chargement des arrêts / stations / gares.
-  state.data.stops = await loadStops();
+  const onProgress = (etape) => setLoadingTask("dvf", etape);
+  onProgress({ message: "Chargement des transports…", ratio: 0 });
+
+  // Agrégats pré-calculés (scripts/build-aggregates.mjs) : stats départementales
+  // définitives affichées immédiatement, si les fichiers ont été générés
+  const resume = await loadAggregatesSummary();
+  if (resume) {
+    state.data.statsDept = resume.statsDept;
+    state.data.years = resume.years;
+    state.data.qualite = resume.qualite;
+    recolorCurrentLayer();
+  }
+
+  // Chargement des lignes RER, Tram, Metro, etc. et des arrêts / stations / gares.
+  // Sans ces fichiers, l'application reste utilisable (desserte non renseignée).
+  try {
+    state.data.transports = await loadTransports();
+    state.data.stops = await loadStops();
+  } catch (err) {
+    console.warn("Transports indisponibles :", err);
+    state.data.transports = { type: "FeatureCollection", features: [] };
+    state.data.stops = { type: "FeatureCollection", features: [] };
+    showPanelNotice("Données de transport indisponibles : la desserte des zones n'est pas renseignée.");
+  }
+
+  // Index spatial des stations (tests de desserte de chaque zone affichée)
+  state.data.stationIndex = buildStationIndex(state.data.stops);
+
+  // Avec les agrégats, navigation débloquée sans attendre les ventes : le fichier
+  // de chaque département est lu à l'entrée (carte, panneaux, évolution)
+  if (resume) {
+    state.salesPending = true;
+    state.loading = false;
+  }
 
   /* =====================================================
-     4) INITIALISATION MÉTIER DE LA MAP
-        (contrôleur de navigation multi-échelles)
+     4) CHARGEMENT & PRÉPARATION DES DONNÉES DVF
+        (Web Worker : parsing, nettoyage et agrégation en un seul parcours)
   ====================================================== */
 
-  // startApp configure :
-  // - l'affichage départements
-  // - les interactions clic/survol
-  // - la descente commune → section
-  await startApp();
+  onProgress({ message: "Chargement des ventes DVF…", ratio: 0 });
+
+  let dvf;
+  try {
+    dvf = await loadDVFData({
+      // Étape en cours et barre de progression
+      onProgress,
+      // Après chaque année lue : infobulles des départements avec les stats provisoires
+      // (inutile si le résumé pré-calculé est déjà affiché)
+      onPartial: ({ statsDept }) => {
+        if (resume) return;
+        state.data.statsDept = statsDept;
+        recolorCurrentLayer();
+      },
+    });
+  } catch (err) {
+    // Sans ventes, aucune analyse n'est possible : on s'arrête avec un message explicite
+    // (avec les agrégats, la navigation reste ouverte sur les statistiques pré-calculées)
+    console.error(err);
+    setLoadingTask("dvf", null);
+    showPanelError(
+      "Ventes DVF indisponibles",
+      `Les fichiers de ventes (data/dvf/) n'ont pas pu être chargés : ${err.message}`,
+    );
+    return;
+  }
+
+  // Ventes retenues après nettoyage : les ventes suspectes (multi-lots, surfaces
+  // aberrantes, cessions symboliques, prix atypiques...) sont écartées des médianes.
+  // La liste complète n'est utile qu'à la recherche d'adresse, aux zones dessinées et
+  // à l'estimation : elle n'est constituée qu'au premier appel de listeVentes().
+  state.data.listeVentes = dvf.listeVentes;
+  state.data.qualite = dvf.rapport;
+
+  // Années effectivement disponibles (alimente le sélecteur de période).
+  state.data.years = dvf.years;
+
+  // Agrégats indexés par année (clé ALL_YEARS = toutes années confondues) :
+  // stats par département, prix médians par commune et par section (heatmap).
+  state.data.statsDept = dvf.statsDept;
+  state.data.prixCommune = dvf.prixCommune;
+  state.data.prixSection = dvf.prixSection;
+
+  // Index territoriaux (découpés par année) :
+  // - ventesByDept["75"][2023] = [... ventes ...]
+  // - ventesByCommune["75056"][2023] = [... ventes ...]
+  // - ventesBySection["75056-AB"]["all"] = [... ventes ...]
+  state.data.ventesByDept = dvf.indexes.ventesByDept;
+  state.data.ventesByCommune = dvf.indexes.ventesByCommune;
+  state.data.ventesBySection = dvf.indexes.ventesBySection;
+
+  // Même découpage pour les ventes exclues (affichage "n ventes exclues" dans les panneaux).
+  state.data.exclusByDept = dvf.indexesExclus.ventesByDept;
+  state.data.exclusByCommune = dvf.indexesExclus.ventesByCommune;
+  state.data.exclusBySection = dvf.indexesExclus.ventesBySection;
+
+  // Données prêtes : statistiques définitives et navigation débloquée
+  // (le panneau ouvert sur les agrégats pré-calculés passe aux ventes)
+  state.salesPending = false;
+  state.loading = false;
+  recolorCurrentLayer();
+  refreshCurrentPanel();
+  setLoadingTask("dvf", null);
 
   /* =====================================================
      5) INITIALISATION UI (BOUTONS, FILTRES, ETC.)
@@ -79,9 +172,21 @@ import { initPouvoirAchatButton, initPouvoirAchatModal } from "./controllers/pou
   // Activation des boutons UI (toggle transport, zoom, reset, etc.).
   initUI();
 
+  // Bouton d'affichage des ventes individuelles (marqueurs groupés)
+  initSalesLayerButton();
+
   // Initialisation des contrôles de filtrage
   initFilterControls();
 
+  // Initialisation du curseur temporel (années disponibles connues)
+  initTimeControls();
+
+  // Choix des classes de couleur dans la légende (méthode, nombre de classes, seuils manuels)
+  initClassificationControls();
+
+  // Palette de couleurs (carte, légende, indicateurs), mémorisée dans le navigateur
+  initPaletteControl();
+
   // Initialisation du panneau de comparaison
   initComparisonPanel();
 
@@ -94,4 +199,27 @@ import { initPouvoirAchatButton, initPouvoirAchatModal } from "./controllers/pou
   // Initialisation du modal Pouvoir d'achat
   initPouvoirAchatModal();
 
+  // Initialisation du bouton et du modal Estimation
+  initEstimationButton();
+  initEstimationModal();
+
+  // Outils de dessin de zones libres (analyse "autour de ce parc")
+  initDrawTools(state.map);
+
+  // Recherche de lieux (communes, sections, codes postaux, gares) dans le header
+  initSearch();
+
+  // Lien partagé : restauration de la vue encodée dans l'URL, puis mise à jour continue
+  // (et navigation précédent / suivant du navigateur)
+  await initUrlState();
+
+  /* =====================================================
+     6) PRÉCHARGEMENT DES CONTOURS
+  ====================================================== */
+
+  // Communes de tous les départements téléchargées en arrière-plan (puis servies par le cache)
+  if (state.layers.dept) {
+    prefetchGeo(layerFeatures(state.layers.dept).map((f) => f.properties.code_insee));
+  }
+
 })();
\ No newline at end of file
@@ -1,153 +1,503 @@
 import { state } from "../app/state.js";
+import { pointInGeometry } from "../utils/utils.js";
+import { getFilters, RAYON_DEFAUT, RAYONS_ACCES } from "./filter.model.js";
+import {
+  createGridIndex,
+  insertItem,
+  queryBox,
+  queryAround,
+  emptyBox,
+  extendBox,
+} from "./spatial-index.model.js";
 
 /**
- * Détermine quelles lignes de transport desservent un territoire donné.
+ * Accessibilité à pied des territoires (stations de métro, RER, tram, train)
  *
- * Un territoire est considéré comme desservi si une station est :
- * 1) située dans le territoire, OU
- * 2) située à moins de 1 km du centre du territoire.
+ * Une station dessert un territoire si elle est à moins du rayon choisi
+ * (400 m, 800 m ou 1,2 km, voir le panneau de filtres) d'un point du territoire :
+ * station dans le polygone (trous exclus), ou distance au contour inférieure au rayon.
  *
- * @param {GeoJSON.Feature} zoneFeature - Territoire sélectionné.
- * @returns {Array<GeoJSON.Feature>} Liste des lignes desservant la zone.
+ * Distance à pied : distance à vol d'oiseau × DETOUR. Le coefficient tient compte
+ * du tracé des rues (valeur usuelle en milieu urbain dense : 1,2 à 1,4).
+ *
+ * Les distances sont calculées en mètres dans une projection plane locale
+ * (équirectangulaire centrée sur l'Île-de-France) : l'erreur reste inférieure
+ * à 2 % sur toute la région, sans commune mesure avec l'approximation du détour.
+ *
+ * Les stations sont rangées une fois pour toutes dans un index en grille
+ * (state.data.stationIndex, construit après le chargement des arrêts) :
+ * seules les stations proches d'un territoire sont testées.
  */
-export function getTransportsServingZone(zoneFeature) {
-  const stations = state.data?.stops?.features || [];
-  const lignesTransport = state.data?.transports?.features || [];
-  const DISTANCE_MAX_M = 1000; // 1 km en mètres
 
-  if (!zoneFeature?.geometry) return [];
+// Coefficient de détour : distance à pied / distance à vol d'oiseau
+const DETOUR = 1.3;
 
-  // Centre approximatif du territoire (centre de la bbox Leaflet)
-  const coucheZone = L.geoJSON(zoneFeature);
-  const centreZone = coucheZone.getBounds().getCenter();
-
-  /**
-   * Test si un point est dans le contour d'un polygone
-   * (algorithme ray casting)
-   */
-  function pointDansContour(lng, lat, contourPolygone) {
-    let interieur = false;
-
-    for (
-      let i = 0, j = contourPolygone.length - 1;
-      i < contourPolygone.length;
-      j = i++
-    ) {
-      const xi = contourPolygone[i][0],
-        yi = contourPolygone[i][1];
-      const xj = contourPolygone[j][0],
-        yj = contourPolygone[j][1];
-
-      const coupe =
-        (yi > lat) !== (yj > lat) &&
-        lng < ((xj - xi) * (lat - yi)) / (yj - yi + 0.0) + xi;
-
-      if (coupe) interieur = !interieur;
-    }
+// Projection locale : mètres par degré de latitude, latitude de référence
+const M_PAR_DEG = 111_320;
+const LAT_REF = 48.85;
+const M_PAR_DEG_LNG = M_PAR_DEG * Math.cos((LAT_REF * Math.PI) / 180);
 
-    return interieur;
-  }
+// Nombre de points (environ) de la grille d'échantillonnage d'un territoire
+const POINTS_GRILLE = 400;
 
-  /**
-   * Test si un point appartient à une géométrie GeoJSON
-   */
-  function pointDansPolygoneGeoJSON(lng, lat, geometrie) {
-    if (!geometrie) return false;
+// Côté des cellules de l'index des stations (m)
+const TAILLE_CELLULE = 1000;
 
-    if (geometrie.type === "Polygon") {
-      return pointDansContour(lng, lat, geometrie.coordinates[0]);
-    }
+// Territoires déjà analysés (contours projetés, grille, lignes par rayon)
+const zonesCache = new WeakMap();
 
-    if (geometrie.type === "MultiPolygon") {
-      return geometrie.coordinates.some((poly) =>
-        pointDansContour(lng, lat, poly[0])
-      );
-    }
+/* =====================================================
+   PROJECTION ET DISTANCES
+===================================================== */
 
-    return false;
-  }
+/**
+ * Projette une position en mètres (projection plane locale).
+ *
+ * @param {number} lng
+ * @param {number} lat
+ * @returns {[number, number]} Coordonnées [x, y] en mètres.
+ */
+function projeter(lng, lat) {
+  return [lng * M_PAR_DEG_LNG, lat * M_PAR_DEG];
+}
 
-  // Étape 1 : détecter les lignes présentes via les stations
-  const clesLignesDansZone = new Set();
+/**
+ * Distance d'un point à un segment (coordonnées projetées).
+ *
+ * @returns {number} Distance en mètres.
+ */
+function distanceSegment(px, py, ax, ay, bx, by) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const longueur2 = dx * dx + dy * dy;
+  let t = longueur2 ? ((px - ax) * dx + (py - ay) * dy) / longueur2 : 0;
+  t = Math.max(0, Math.min(1, t));
+  return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+}
 
-  for (const station of stations) {
-    if (!station?.geometry?.coordinates) continue;
-
-    const [lng, lat] = station.geometry.coordinates;
-    const positionStation = L.latLng(lat, lng);
-
-    // Station située dans la zone ?
-    let dessertZone = pointDansPolygoneGeoJSON(
-      lng,
-      lat,
-      zoneFeature.geometry
-    );
-
-    // Sinon, station proche du centre ?
-    if (!dessertZone) {
-      const distanceM = centreZone.distanceTo(positionStation);
-      dessertZone = distanceM <= DISTANCE_MAX_M;
+/**
+ * Distance d'un point à l'emprise (bbox) d'un territoire : minorant
+ * de la distance au territoire, utilisé pour écarter les stations lointaines.
+ *
+ * @returns {number} Distance en mètres (0 dans l'emprise).
+ */
+function distanceEmprise(x, y, bbox) {
+  const dx = Math.max(bbox.minX - x, 0, x - bbox.maxX);
+  const dy = Math.max(bbox.minY - y, 0, y - bbox.maxY);
+  return Math.hypot(dx, dy);
+}
+
+/**
+ * Distance à vol d'oiseau d'un point à un territoire (0 à l'intérieur, hors trous).
+ *
+ * @param {{ lng: number, lat: number, x: number, y: number }} point - Point projeté.
+ * @param {Object} zone - Territoire préparé (voir prepareZone).
+ * @returns {number} Distance en mètres.
+ */
+function distanceZone(point, zone) {
+  if (distanceEmprise(point.x, point.y, zone.bbox) === 0
+    && pointInGeometry(point.lng, point.lat, zone.geometry)) return 0;
+
+  let min = Infinity;
+  for (const anneau of zone.anneaux) {
+    for (let i = 1; i < anneau.length; i++) {
+      const [ax, ay] = anneau[i - 1];
+      const [bx, by] = anneau[i];
+      const d = distanceSegment(point.x, point.y, ax, ay, bx, by);
+      if (d < min) min = d;
     }
+  }
+  return min;
+}
+
+/* =====================================================
+   STATIONS ET TERRITOIRES
+===================================================== */
 
-    if (dessertZone) {
-      const props = station.properties || {};
-      const mode = (props.mode || "").toUpperCase();
-      const ligne = props.ligne;
+/**
+ * Indexe les stations de transport : positions projetées et grille de recherche.
+ *
+ * À appeler une fois après le chargement des arrêts (voir main.js).
+ *
+ * @param {GeoJSON.FeatureCollection|null} stops - Stations (loadStops).
+ * @returns {{
+ *   stations: Array<{ mode: string, ligne: string, nom: string, lng: number, lat: number, x: number, y: number }>,
+ *   grille: Object
+ * }} Index des stations (state.data.stationIndex).
+ */
+export function buildStationIndex(stops) {
+  const stations = [];
+  const grille = createGridIndex(TAILLE_CELLULE);
+  for (const f of stops?.features || []) {
+    if (!f?.geometry?.coordinates) continue;
+    const [lng, lat] = f.geometry.coordinates;
+    const { mode, ligne, nom } = f.properties || {};
+    if (!mode || !Number.isFinite(lng) || !Number.isFinite(lat)) continue;
+    const [x, y] = projeter(lng, lat);
+    const station = { mode: mode.toUpperCase(), ligne, nom, lng, lat, x, y };
+    stations.push(station);
+    insertItem(grille, station, { minX: x, minY: y, maxX: x, maxY: y });
+  }
+  return { stations, grille };
+}
 
-      if (!mode || !ligne) continue;
+// Index utilisé tant que les arrêts ne sont pas chargés
+const INDEX_VIDE = buildStationIndex(null);
 
-      clesLignesDansZone.add(`${mode}|${ligne}`);
+/**
+ * Index des stations chargées (vide pendant le chargement ou si les arrêts sont indisponibles).
+ *
+ * @returns {{ stations: Array<Object>, grille: Object }}
+ */
+function getStationIndex() {
+  return state.data?.stationIndex ?? INDEX_VIDE;
+}
+
+/**
+ * Prépare un territoire : contours projetés (extérieurs et trous) et emprise.
+ *
+ * @param {GeoJSON.Feature} feature - Polygone ou multipolygone.
+ * @returns {Object|null} Territoire préparé (mis en cache), null sans géométrie surfacique.
+ */
+function prepareZone(feature) {
+  if (zonesCache.has(feature)) return zonesCache.get(feature);
+
+  const { geometry } = feature;
+  let polygones = [];
+  if (geometry?.type === "Polygon") polygones = [geometry.coordinates];
+  else if (geometry?.type === "MultiPolygon") polygones = geometry.coordinates;
+  if (polygones.length === 0) return null;
+
+  const bbox = emptyBox();
+  const anneaux = polygones.flat().map((anneau) =>
+    anneau.map(([lng, lat]) => {
+      const [x, y] = projeter(lng, lat);
+      extendBox(bbox, x, y);
+      return [x, y];
+    }));
+
+  // Résultats mis en cache : grilles par nombre de points, stations, lignes et scores par rayon
+  const zone = { geometry, anneaux, bbox, grilles: new Map(), stations: new Map(), lignes: new Map(), scores: new Map() };
+  zonesCache.set(feature, zone);
+  return zone;
+}
+
+/**
+ * Grille régulière de points à l'intérieur du territoire (trous exclus),
+ * chaque point représentant une même part de la surface.
+ *
+ * Un territoire trop fin pour contenir un point de la grille est représenté
+ * par le centre de son emprise.
+ *
+ * @param {Object} zone - Territoire préparé.
+ * @param {number} [nbPoints=POINTS_GRILLE] - Nombre de points visé.
+ * @returns {Array<{ lng: number, lat: number, x: number, y: number }>}
+ */
+function grilleZone(zone, nbPoints = POINTS_GRILLE) {
+  if (zone.grilles.has(nbPoints)) return zone.grilles.get(nbPoints);
+
+  const { minX, minY, maxX, maxY } = zone.bbox;
+  const pas = Math.sqrt(((maxX - minX) * (maxY - minY)) / nbPoints) || 1;
+  const points = [];
+  for (let x = minX + pas / 2; x < maxX; x += pas) {
+    for (let y = minY + pas / 2; y < maxY; y += pas) {
+      const lng = x / M_PAR_DEG_LNG;
+      const lat = y / M_PAR_DEG;
+      if (pointInGeometry(lng, lat, zone.geometry)) points.push({ lng, lat, x, y });
     }
   }
+  if (points.length === 0) {
+    const x = (minX + maxX) / 2;
+    const y = (minY + maxY) / 2;
+    points.push({ lng: x / M_PAR_DEG_LNG, lat: y / M_PAR_DEG, x, y });
+  }
 
-  if (clesLignesDansZone.size === 0) return [];
+  zone.grilles.set(nbPoints, points);
+  return points;
+}
 
-  // Étape 2 : récupérer les lignes correspondantes
-  const resultat = [];
-  const clesDejaAjoutees = new Set();
+/* =====================================================
+   RAYON D'ACCÈS
+===================================================== */
 
-  for (const ligneTransport of lignesTransport) {
-    if (!ligneTransport) continue;
+/**
+ * Rayon d'accès à pied actif (réglé dans le panneau de filtres).
+ *
+ * @returns {number} Distance à pied maximale en mètres.
+ */
+export function getAccessRadius() {
+  return getFilters().rayon ?? RAYON_DEFAUT;
+}
 
-    const props = ligneTransport.properties || {};
-    const mode = (props.mode || "").toUpperCase();
-    const ligne = props.ligne;
+/**
+ * Convertit une distance à vol d'oiseau en distance à pied estimée.
+ *
+ * @param {number} distance - Distance à vol d'oiseau (m).
+ * @returns {number} Distance à pied (m).
+ */
+export function walkingDistance(distance) {
+  return distance * DETOUR;
+}
 
-    if (!mode || !ligne) continue;
+/* =====================================================
+   DESSERTE
+===================================================== */
 
-    const cle = `${mode}|${ligne}`;
+/**
+ * Stations à moins d'une distance à pied d'un territoire
+ * (candidates : cellules de l'index autour de l'emprise).
+ *
+ * @param {Object} zone - Territoire préparé.
+ * @param {number} rayon - Distance à pied maximale (m).
+ * @returns {Array<Object>} Stations projetées (voir buildStationIndex).
+ */
+function stationsAPortee(zone, rayon) {
+  if (zone.stations.has(rayon)) return zone.stations.get(rayon);
+
+  const portee = rayon / DETOUR;
+  const { minX, minY, maxX, maxY } = zone.bbox;
+  const candidates = queryBox(getStationIndex().grille, {
+    minX: minX - portee,
+    minY: minY - portee,
+    maxX: maxX + portee,
+    maxY: maxY + portee,
+  });
+  const stations = candidates.filter((station) =>
+    distanceEmprise(station.x, station.y, zone.bbox) <= portee && distanceZone(station, zone) <= portee);
+
+  zone.stations.set(rayon, stations);
+  return stations;
+}
 
-    if (!clesLignesDansZone.has(cle) || clesDejaAjoutees.has(cle)) continue;
+/**
+ * Détermine quelles lignes de transport desservent un territoire donné.
+ *
+ * Une ligne dessert le territoire si l'une de ses stations est à moins
+ * du rayon d'accès (distance à pied) d'un point du territoire.
+ *
+ * @param {GeoJSON.Feature} zoneFeature - Territoire sélectionné.
+ * @param {number} [rayon=getAccessRadius()] - Distance à pied maximale (m).
+ * @returns {Array<GeoJSON.Feature>} Liste des lignes desservant la zone.
+ */
+export function getTransportsServingZone(zoneFeature, rayon = getAccessRadius()) {
+  if (!zoneFeature?.geometry) return [];
+  const zone = prepareZone(zoneFeature);
+  if (!zone) return [];
+  if (zone.lignes.has(rayon)) return zone.lignes.get(rayon);
 
-    clesDejaAjoutees.add(cle);
+  // Étape 1 : lignes des stations à portée
+  const clesLignesDansZone = new Set();
+  for (const station of stationsAPortee(zone, rayon)) {
+    if (station.ligne) clesLignesDansZone.add(`${station.mode}|${station.ligne}`);
+  }
+
+  // Étape 2 : couleur de chaque ligne (gris si inconnue)
+  const couleurs = new Map();
+  for (const ligneTransport of state.data?.transports?.features || []) {
+    const props = ligneTransport?.properties || {};
+    const cle = `${(props.mode || "").toUpperCase()}|${props.ligne}`;
+    if (!couleurs.has(cle)) couleurs.set(cle, props.couleur);
+  }
 
-    resultat.push({
+  const resultat = [...clesLignesDansZone].map((cle) => {
+    const [mode, ligne] = cle.split("|");
+    return {
       type: "Feature",
       geometry: null,
-      properties: {
-        mode,
-        ligne,
-        couleur: props.couleur || "#999999",
-      },
+      properties: { mode, ligne, couleur: couleurs.get(cle) || "#999999" },
+    };
+  });
+
+  zone.lignes.set(rayon, resultat);
+  return resultat;
+}
+
+/**
+ * Mesure l'accessibilité à pied d'un territoire.
+ *
+ * - parts : pour chaque rayon proposé (RAYONS_ACCES : 400 m, 800 m, 1,2 km),
+ *   part de la surface et part des ventes géolocalisées à moins de ce rayon
+ *   d'une station, tous modes (ventes : null si aucune n'est géolocalisée)
+ * - modes : pour chaque mode, station la plus proche du territoire (distance 0
+ *   si elle est à l'intérieur) et distance médiane d'un point du territoire
+ *   à la station la plus proche de ce mode
+ * - score : score d'accessibilité au rayon actif (voir getAccessibilityScore)
+ *
+ * @param {GeoJSON.Feature} zoneFeature - Territoire.
+ * @param {Array<Object>} [ventes=[]] - Ventes du territoire (lat / lon).
+ * @param {number} [rayon=getAccessRadius()] - Rayon actif (score, filtres), en mètres à pied.
+ * @returns {{
+ *   rayon: number,
+ *   parts: Array<{ rayon: number, surface: number, ventes: number|null }>,
+ *   modes: Object<string, { station: string, ligne: string, distance: number, distanceMediane: number }>,
+ *   score: Object|null
+ * }|null} Distances à pied en mètres ; null sans géométrie surfacique ou sans station.
+ */
+export function getZoneAccessibility(zoneFeature, ventes = [], rayon = getAccessRadius()) {
+  if (!zoneFeature?.geometry) return null;
+  const zone = prepareZone(zoneFeature);
+  const { stations, grille: grilleStations } = getStationIndex();
+  if (!zone || stations.length === 0) return null;
+
+  // Portées à vol d'oiseau des rayons proposés
+  const portees = RAYONS_ACCES.map((r) => r / DETOUR);
+
+  // Station la plus proche de chaque mode (minorant de l'emprise pour écarter les autres)
+  const plusProches = {};
+  for (const station of stations) {
+    const actuel = plusProches[station.mode];
+    if (actuel && distanceEmprise(station.x, station.y, zone.bbox) >= actuel.d) continue;
+    const d = distanceZone(station, zone);
+    if (!actuel || d < actuel.d) plusProches[station.mode] = { station, d };
+  }
+
+  // Grille : station la plus proche de chaque mode pour chaque point
+  const grille = grilleZone(zone);
+  const distancesParMode = Object.fromEntries(Object.keys(plusProches).map((mode) => [mode, []]));
+  const pointsDesservis = portees.map(() => 0);
+  for (const point of grille) {
+    const min = {};
+    for (const station of stations) {
+      const d = Math.hypot(station.x - point.x, station.y - point.y);
+      if (min[station.mode] === undefined || d < min[station.mode]) min[station.mode] = d;
+    }
+    let dMin = Infinity;
+    for (const [mode, d] of Object.entries(min)) {
+      distancesParMode[mode].push(d);
+      if (d < dMin) dMin = d;
+    }
+    portees.forEach((portee, i) => {
+      if (dMin <= portee) pointsDesservis[i]++;
     });
   }
 
-  // Étape 3 : ajouter lignes manquantes sans couleur connue
-  for (const cle of clesLignesDansZone) {
-    if (clesDejaAjoutees.has(cle)) continue;
+  const modes = {};
+  for (const [mode, { station, d }] of Object.entries(plusProches)) {
+    modes[mode] = {
+      station: station.nom,
+      ligne: station.ligne,
+      distance: Math.round(walkingDistance(d)),
+      distanceMediane: Math.round(walkingDistance(d3.median(distancesParMode[mode]))),
+    };
+  }
 
-    const [mode, ligne] = cle.split("|");
+  const partsVentes = partsVentesDesservies(ventes, grilleStations, portees);
+  return {
+    rayon,
+    parts: RAYONS_ACCES.map((r, i) => ({
+      rayon: r,
+      surface: pointsDesservis[i] / grille.length,
+      ventes: partsVentes[i],
+    })),
+    modes,
+    score: getAccessibilityScore(zoneFeature, rayon),
+  };
+}
 
-    resultat.push({
-      type: "Feature",
-      geometry: null,
-      properties: {
-        mode,
-        ligne,
-        couleur: "#999999",
-      },
+/**
+ * Parts des ventes géolocalisées situées à moins de chaque distance d'une station.
+ *
+ * @param {Array<Object>} ventes - Ventes (lat / lon).
+ * @param {Object} grilleStations - Index en grille des stations.
+ * @param {number[]} portees - Distances à vol d'oiseau maximales (m), croissantes.
+ * @returns {Array<number|null>} Part de 0 à 1 pour chaque distance, null sans vente géolocalisée.
+ */
+function partsVentesDesservies(ventes, grilleStations, portees) {
+  const porteeMax = portees[portees.length - 1];
+  let total = 0;
+  const desservies = portees.map(() => 0);
+  for (const v of ventes || []) {
+    if (v.lat == null || v.lon == null) continue;
+    total++;
+    // Station la plus proche parmi les candidates de la plus grande portée
+    const [x, y] = projeter(v.lon, v.lat);
+    let dMin = Infinity;
+    for (const s of queryAround(grilleStations, x, y, porteeMax)) {
+      dMin = Math.min(dMin, Math.hypot(s.x - x, s.y - y));
+    }
+    portees.forEach((portee, i) => {
+      if (dMin <= portee) desservies[i]++;
     });
   }
+  return desservies.map((n) => (total ? n / total : null));
+}
+
+/* =====================================================
+   SCORE D'ACCESSIBILITÉ
+===================================================== */
+
+// Poids des modes : capacité et portée du réseau (RER et trains > métro > tram)
+export const POIDS_MODES = { RER: 3, TRAIN: 3, METRO: 2, TRAMWAY: 1, VAL: 1, CABLE: 0.5 };
+
+// Part de chaque composante dans le score sur 100
+const POIDS_SCORE = { lignes: 40, stations: 20, proximite: 40 };
+
+// Saturation des composantes : lignes pondérées et stations donnant 63 % de la composante
+// (au-delà, chaque ligne ou station supplémentaire compte de moins en moins)
+const LIGNES_REF = 6;
+const STATIONS_REF = 4;
+
+// Distance à pied au-delà de laquelle la composante de proximité est nulle (m)
+const DISTANCE_MAX = 2000;
+
+// Points d'échantillonnage du territoire pour la distance médiane (calcul pour chaque zone affichée)
+const POINTS_SCORE = 25;
 
+/**
+ * Score d'accessibilité en transports d'un territoire, de 0 (non desservi) à 100.
+ *
+ * Trois composantes :
+ * - lignes (40 pts) : lignes distinctes à portée à pied, pondérées par mode (POIDS_MODES)
+ * - stations (20 pts) : stations distinctes à portée à pied
+ * - proximité (40 pts) : distance à pied médiane d'un point du territoire à la station
+ *   la plus proche (tous modes), nulle au-delà de 2 km
+ *
+ * Le score ne dépend pas de la période : il est calculé une fois par zone et par rayon.
+ *
+ * @param {GeoJSON.Feature} zoneFeature - Territoire (commune, section, zone dessinée...).
+ * @param {number} [rayon=getAccessRadius()] - Distance à pied maximale (m).
+ * @returns {{ score: number, lignes: number, stations: number, distance: number }|null}
+ *   Score arrondi, nombre de lignes et de stations à portée, distance médiane (m) ;
+ *   null sans géométrie surfacique ou sans station chargée.
+ */
+export function getAccessibilityScore(zoneFeature, rayon = getAccessRadius()) {
+  if (!zoneFeature?.geometry) return null;
+  const zone = prepareZone(zoneFeature);
+  const { stations: toutes, grille } = getStationIndex();
+  if (!zone || toutes.length === 0) return null;
+  if (zone.scores.has(rayon)) return zone.scores.get(rayon);
+
+  // Lignes et stations distinctes à portée
+  const stations = stationsAPortee(zone, rayon);
+  const lignes = new Map();
+  for (const s of stations) {
+    if (s.ligne) lignes.set(`${s.mode}|${s.ligne}`, POIDS_MODES[s.mode] ?? 1);
+  }
+  const lignesPonderees = d3.sum(lignes.values());
+  const nbStations = new Set(stations.map((s) => s.nom)).size;
+
+  // Distance médiane à la station la plus proche (plafonnée à DISTANCE_MAX)
+  const porteeMax = DISTANCE_MAX / DETOUR;
+  const distances = grilleZone(zone, POINTS_SCORE).map((point) => {
+    let min = porteeMax;
+    for (const s of queryAround(grille, point.x, point.y, porteeMax)) {
+      min = Math.min(min, Math.hypot(s.x - point.x, s.y - point.y));
+    }
+    return walkingDistance(min);
+  });
+  const distance = d3.median(distances);
+
+  const score =
+    POIDS_SCORE.lignes * (1 - Math.exp(-lignesPonderees / LIGNES_REF)) +
+    POIDS_SCORE.stations * (1 - Math.exp(-nbStations / STATIONS_REF)) +
+    POIDS_SCORE.proximite * Math.max(0, 1 - distance / DISTANCE_MAX);
+
+  const resultat = {
+    score: Math.round(score),
+    lignes: lignes.size,
+    stations: nbStations,
+    distance: Math.round(distance),
+  };
+  zone.scores.set(rayon, resultat);
   return resultat;
 }
@@ -0,0 +1,177 @@
+/**
+ * Recherche d'adresses hors ligne, à partir des adresses des ventes DVF
+ *
+ * Aucun géocodeur externe n'est interrogé : l'index est construit à partir
+ * des ventes chargées (une entrée par voie et par commune). La position
+ * et la section d'une adresse sont déduites des ventes de la voie
+ * (au numéro demandé s'il a fait l'objet de ventes).
+ *
+ * Les types de voie abrégés dans DVF ("AV", "BD", "PL"...) et leur forme
+ * complète sont équivalents : "12 av de la Paix" = "12 avenue de la Paix".
+ */
+
+import { normalizeText, buildSearchIndex, searchIndex } from "./search.model.js";
+
+// Types de voie abrégés (fichiers DVF) → forme complète
+const TYPES_VOIE = {
+  all: "allee",
+  av: "avenue",
+  bd: "boulevard",
+  bld: "boulevard",
+  che: "chemin",
+  chem: "chemin",
+  chs: "chaussee",
+  crs: "cours",
+  esp: "esplanade",
+  fg: "faubourg",
+  gr: "grande rue",
+  ham: "hameau",
+  imp: "impasse",
+  pass: "passage",
+  pl: "place",
+  prom: "promenade",
+  pt: "pont",
+  qu: "quai",
+  r: "rue",
+  res: "residence",
+  rpt: "rond point",
+  rte: "route",
+  sen: "sente",
+  sent: "sentier",
+  sq: "square",
+  vla: "villa",
+};
+
+// Numéro en tête d'adresse, éventuellement suivi d'un indice de répétition
+const NUMERO = /^(\d{1,4})(?: ?(?:bis|ter|quater|[a-d])\b)?\s*/;
+
+/**
+ * Normalise un nom de voie : texte normalisé, types de voie développés.
+ *
+ * @param {string} voie - Nom de voie (ex : "AV DE LA REPUBLIQUE").
+ * @returns {string} Nom normalisé (ex : "avenue de la republique").
+ */
+function normalizeVoie(voie) {
+  return normalizeText(voie)
+    .split(" ")
+    .map((mot) => TYPES_VOIE[mot] ?? mot)
+    .join(" ");
+}
+
+/**
+ * Sépare le numéro et la voie d'une adresse.
+ *
+ * @param {string} adresse - Adresse (ex : "12 RUE DE LA PAIX", "12 bis rue de la Paix Paris").
+ * @returns {{ numero: string|null, voie: string }} Numéro (sans indice de répétition) et reste de l'adresse.
+ */
+export function splitAdresse(adresse) {
+  const texte = String(adresse ?? "").trim();
+  const m = texte.match(NUMERO);
+  if (!m) return { numero: null, voie: texte };
+  return { numero: m[1], voie: texte.slice(m[0].length) };
+}
+
+/**
+ * Construit l'index des voies à partir des ventes DVF.
+ *
+ * Les ventes d'une même voie dans une même commune sont regroupées,
+ * quelle que soit l'écriture de la voie ("AV" ou "AVENUE").
+ *
+ * @param {Array<Object>} ventes - Ventes DVF (state.data.listeVentes()).
+ * @param {Map<string, string>} nomsCommunes - Nom de chaque commune (code INSEE → nom) ;
+ *   les ventes des communes inconnues sont ignorées.
+ * @returns {Array<Object>} Index de recherche des voies (voir search.model.js).
+ */
+export function buildAddressIndex(ventes, nomsCommunes) {
+  const voies = new Map();
+
+  for (const v of ventes || []) {
+    if (!v.adresse || !nomsCommunes.has(v.commune)) continue;
+    const { voie } = splitAdresse(v.adresse);
+    const norm = normalizeVoie(voie);
+    if (!norm) continue;
+
+    const cle = `${v.commune}|${norm}`;
+    if (!voies.has(cle)) {
+      voies.set(cle, { commune: v.commune, voie, norm, codesPostaux: new Set(), ventes: [] });
+    }
+    const rue = voies.get(cle);
+    if (v.code_postal) rue.codesPostaux.add(v.code_postal);
+    rue.ventes.push(v);
+  }
+
+  return buildSearchIndex(
+    [...voies.values()].map((rue) => {
+      const nomCommune = nomsCommunes.get(rue.commune);
+      const codesPostaux = [...rue.codesPostaux].sort();
+      return {
+        type: "adresse",
+        label: rue.voie,
+        detail: `${codesPostaux.join(", ")} ${nomCommune}`.trim(),
+        termes: [rue.norm, nomCommune, ...codesPostaux],
+        rue,
+      };
+    }),
+  );
+}
+
+/**
+ * Élément le plus fréquent d'une liste.
+ *
+ * @param {Array<string>} valeurs
+ * @returns {string|null}
+ */
+function plusFrequent(valeurs) {
+  const compte = new Map();
+  for (const v of valeurs) if (v) compte.set(v, (compte.get(v) || 0) + 1);
+  let best = null;
+  for (const [v, n] of compte) if (best === null || n > compte.get(best)) best = v;
+  return best;
+}
+
+/**
+ * Localise une adresse saisie.
+ *
+ * Le numéro éventuel est mis de côté, le reste de la saisie (voie, commune,
+ * code postal) est recherché parmi les voies. Pour chaque voie trouvée,
+ * la section et la position sont celles des ventes au numéro demandé,
+ * ou à défaut de l'ensemble des ventes de la voie.
+ *
+ * @param {Array<Object>} index - Index issu de buildAddressIndex.
+ * @param {string} query - Adresse saisie (ex : "12 rue de la Paix Paris").
+ * @param {number} [limit=8] - Nombre maximal de résultats.
+ * @returns {Array<{ type: "adresse", label: string, detail: string, numero: string|null,
+ *   ventes: Array<Object>, cible: { dept: string, commune: string, section: string|null, latlng: L.LatLng|null } }>}
+ *   Adresses trouvées ; ventes : toutes les ventes de la voie.
+ */
+export function searchAddresses(index, query, limit = 8) {
+  const { numero, voie } = splitAdresse(normalizeText(query));
+  if (!voie) return [];
+
+  return searchIndex(index, normalizeVoie(voie), limit).map(({ label, detail, rue }) => {
+    const auNumero = numero
+      ? rue.ventes.filter((v) => splitAdresse(v.adresse).numero === numero)
+      : [];
+    const reference = auNumero.length ? auNumero : rue.ventes;
+
+    // Position : moyenne des ventes géolocalisées de référence
+    const points = reference.filter((v) => v.lat != null && v.lon != null);
+    const latlng = points.length
+      ? L.latLng(d3.mean(points, (v) => v.lat), d3.mean(points, (v) => v.lon))
+      : null;
+
+    return {
+      type: "adresse",
+      label: auNumero.length ? `${numero} ${label}` : label,
+      detail: numero && !auNumero.length ? `${detail} · aucune vente au n° ${numero}` : detail,
+      numero: auNumero.length ? numero : null,
+      ventes: rue.ventes,
+      cible: {
+        dept: rue.commune.slice(0, 2),
+        commune: rue.commune,
+        section: plusFrequent(reference.map((v) => v.section)),
+        latlng,
+      },
+    };
+  });
+}
@@ -0,0 +1,132 @@
+/**
+ * Agrégats DVF pré-calculés
+ *
+ * Fichiers produits hors navigateur par `scripts/build-aggregates.mjs` :
+ * - data/dvf-agg.json : résumé régional (années, rapport de nettoyage,
+ *   statistiques départementales par période, liste des fichiers départementaux)
+ * - data/<dept>/dvf-agg-<dept>.json : statistiques et séries temporelles
+ *   de chaque commune et section du département
+ *
+ * Le résumé régional permet d'afficher les départements dès l'ouverture de la page
+ * et d'ouvrir la navigation sans attendre le traitement des CSV : le fichier d'un
+ * département est lu quand l'utilisateur y entre (carte des communes et sections,
+ * panneaux, graphiques d'évolution).
+ *
+ * Listes de ventes, filtres, estimation, zones dessinées et périodes à la carte ont
+ * besoin des ventes individuelles, chargées en parallèle depuis les CSV (loadDVFData) ;
+ * une fois prêtes, elles remplacent les agrégats.
+ */
+
+import { computeStats, ALL_YEARS } from "./dvf.model.js";
+import { isAllYears, isSingleYear, isQuarter } from "./period.model.js";
+
+/**
+ * Chemin du résumé régional.
+ */
+export const AGGREGATES_SUMMARY_PATH = "data/dvf-agg.json";
+
+/**
+ * Version du format des fichiers d'agrégats (incrémentée à chaque changement de structure).
+ */
+export const AGGREGATES_VERSION = 2;
+
+/**
+ * Construit le chemin du fichier d'agrégats d'un département.
+ *
+ * @param {string} codeDept - Code du département (ex : "92").
+ * @returns {string} Chemin relatif (ex : "data/92/dvf-agg-92.json").
+ */
+export function deptAggregatesPath(codeDept) {
+  return `data/${codeDept}/dvf-agg-${codeDept}.json`;
+}
+
+/**
+ * Statistiques compactes d'un territoire : effectifs, prix médian et quartiles,
+ * prix médians par type de bien (montants arrondis à l'euro).
+ *
+ * @param {Array<Object>} ventes - Ventes DVF du territoire sur une période.
+ * @returns {{ ventes: number, prixMedian: number|null, q1: number|null, q3: number|null,
+ *   maisons: number, apparts: number, prixMaisons: number|null, prixApparts: number|null }}
+ */
+export function compactStats(ventes) {
+  const stats = computeStats(ventes);
+  const arrondi = (n) => (n == null ? null : Math.round(n));
+
+  return {
+    ventes: stats.ventes,
+    prixMedian: arrondi(stats.prixMedian),
+    q1: arrondi(stats.distribution?.q1),
+    q3: arrondi(stats.distribution?.q3),
+    maisons: stats.maisons,
+    apparts: stats.apparts,
+    prixMaisons: arrondi(stats.prixMaisons),
+    prixApparts: arrondi(stats.prixApparts),
+  };
+}
+
+/**
+ * Charge le résumé régional pré-calculé, s'il a été généré.
+ *
+ * @returns {Promise<Object|null>} Résumé, ou null si absent ou d'une autre version.
+ */
+export async function loadAggregatesSummary() {
+  try {
+    const response = await fetch(AGGREGATES_SUMMARY_PATH);
+    if (!response.ok) return null;
+    const resume = await response.json();
+    return resume.version === AGGREGATES_VERSION ? resume : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Charge le fichier d'agrégats d'un département, s'il a été généré.
+ *
+ * @param {string} codeDept - Code du département (ex : "92").
+ * @returns {Promise<Object|null>} { stats, series, exclusions, communes, sections },
+ *   ou null si absent ou d'une autre version.
+ */
+export async function loadDeptAggregates(codeDept) {
+  try {
+    const response = await fetch(deptAggregatesPath(codeDept));
+    if (!response.ok) return null;
+    const agregats = await response.json();
+    return agregats.version === AGGREGATES_VERSION ? agregats : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Ajoute les prix médians de territoires pré-calculés à un agrégat de prix
+ * (même structure que prixCommune / prixSection d'aggregateVentes()).
+ *
+ * @param {Object} prixByYear - Prix médians par période, complétés sur place.
+ * @param {Object.<string, { stats: Object }>} territoires - Communes ou sections d'un fichier départemental.
+ */
+export function mergePrixMedians(prixByYear, territoires) {
+  for (const [code, { stats }] of Object.entries(territoires ?? {})) {
+    for (const [periode, { prixMedian }] of Object.entries(stats)) {
+      if (prixMedian == null) continue;
+      (prixByYear[periode] ??= {})[code] = prixMedian;
+    }
+  }
+}
+
+/**
+ * Statistiques compactes d'un territoire pour une période.
+ *
+ * Seules les périodes pré-calculées (toutes années, année entière) sont disponibles :
+ * les intervalles et trimestres demandent les ventes individuelles.
+ *
+ * @param {Object.<string, Object>|undefined} statsParPeriode - Stats d'un territoire ({ [periode]: compactStats }).
+ * @param {{ from: number|null, to: number|null, trimestre?: number|null }} period - Période demandée.
+ * @returns {Object|null} Statistiques compactes, ou null si indisponibles.
+ */
+export function statsForPeriod(statsParPeriode, period) {
+  if (!statsParPeriode) return null;
+  if (isAllYears(period)) return statsParPeriode[ALL_YEARS] ?? null;
+  if (isSingleYear(period) && !isQuarter(period)) return statsParPeriode[period.from] ?? null;
+  return null;
+}
@@ -0,0 +1,265 @@
+/**
+ * Discrétisation des prix au m² (classes de couleur de la carte)
+ *
+ * Méthodes proposées :
+ * - quantiles : autant de zones dans chaque classe
+ * - intervalles égaux : classes de même amplitude entre le minimum et le maximum
+ * - seuils naturels (Jenks) : classes les plus homogènes possibles
+ * - écart type : classes d'un écart type centrées sur la moyenne
+ * - seuils manuels : saisis par l'utilisateur
+ *
+ * Les seuils sont des bornes supérieures incluses : une valeur appartient
+ * à la première classe dont le seuil est supérieur ou égal (voir heatColorQuantile).
+ *
+ * Avec peu de zones (quelques sections), le nombre de classes est réduit :
+ * des quantiles sur 5 valeurs donneraient 9 couleurs pour 5 zones, et des écarts
+ * de quelques euros sembleraient aussi marqués que des écarts de plusieurs milliers.
+ */
+
+// Libellés des méthodes (ordre d'affichage dans la légende)
+export const CLASSIFICATION_METHODS = {
+  quantiles: "Quantiles",
+  egal: "Intervalles égaux",
+  jenks: "Seuils naturels (Jenks)",
+  ecartType: "Écart type",
+  manuel: "Seuils manuels",
+};
+
+// Bornes du nombre de classes (la palette compte 9 couleurs)
+export const MIN_CLASSES = 3;
+export const MAX_CLASSES = 9;
+
+// Quantiles : nombre minimal de zones par classe
+const MIN_ZONES_PAR_CLASSE = 2;
+
+// Jenks : au-delà, calcul sur un échantillon régulier des valeurs triées
+// (la méthode est quadratique en nombre de valeurs)
+const JENKS_MAX_VALEURS = 1000;
+
+// Réglage actif
+const activeClassification = {
+  methode: "quantiles", // clé de CLASSIFICATION_METHODS
+  classes: MAX_CLASSES, // nombre de classes demandé
+  seuils: [],           // seuils manuels (€/m², croissants)
+};
+
+/**
+ * Met à jour le réglage de discrétisation.
+ *
+ * @param {Object} classification - Champs à modifier
+ * @param {string} [classification.methode] - Clé de CLASSIFICATION_METHODS
+ * @param {number} [classification.classes] - Nombre de classes (MIN_CLASSES à MAX_CLASSES)
+ * @param {number[]} [classification.seuils] - Seuils manuels
+ */
+export function setClassification(classification) {
+  const { methode, classes, seuils } = classification;
+  if (methode in CLASSIFICATION_METHODS) activeClassification.methode = methode;
+  if (Number.isFinite(classes)) {
+    activeClassification.classes = Math.min(MAX_CLASSES, Math.max(MIN_CLASSES, Math.round(classes)));
+  }
+  if (Array.isArray(seuils)) {
+    activeClassification.seuils = [...new Set(seuils.filter(Number.isFinite))]
+      .sort((a, b) => a - b)
+      .slice(0, MAX_CLASSES - 1);
+  }
+}
+
+/**
+ * Récupère une copie du réglage de discrétisation.
+ *
+ * @returns {{ methode: string, classes: number, seuils: number[] }}
+ */
+export function getClassification() {
+  return { ...activeClassification, seuils: [...activeClassification.seuils] };
+}
+
+/**
+ * Revient au réglage par défaut (9 quantiles).
+ */
+export function resetClassification() {
+  activeClassification.methode = "quantiles";
+  activeClassification.classes = MAX_CLASSES;
+  activeClassification.seuils = [];
+}
+
+/**
+ * Lit une liste de seuils saisie par l'utilisateur.
+ *
+ * Séparateurs acceptés : point-virgule, virgule, espace.
+ * Ex : "4000; 6000; 8500" → [4000, 6000, 8500].
+ *
+ * @param {string} texte - Saisie.
+ * @returns {number[]} Seuils valides (ordre de saisie).
+ */
+export function parseBreaks(texte) {
+  return String(texte ?? "")
+    .split(/[;,\s]+/)
+    .map(Number)
+    .filter((n) => Number.isFinite(n) && n > 0);
+}
+
+/* =====================================================
+   MÉTHODES
+===================================================== */
+
+/**
+ * Seuils des quantiles.
+ *
+ * Chaque seuil est la dernière valeur de sa classe (bornes supérieures incluses) :
+ * 9 valeurs en 3 classes donnent 3 valeurs par classe.
+ *
+ * @param {number[]} sorted - Valeurs triées.
+ * @param {number} k - Nombre de classes.
+ * @returns {number[]}
+ */
+function quantileBreaks(sorted, k) {
+  const breaks = [];
+  for (let i = 1; i < k; i++) breaks.push(sorted[Math.ceil((i * sorted.length) / k) - 1]);
+  return breaks;
+}
+
+/**
+ * Seuils d'intervalles égaux.
+ *
+ * @param {number[]} sorted - Valeurs triées.
+ * @param {number} k - Nombre de classes.
+ * @returns {number[]}
+ */
+function equalIntervalBreaks(sorted, k) {
+  const min = sorted[0];
+  const pas = (sorted[sorted.length - 1] - min) / k;
+  return Array.from({ length: k - 1 }, (_, i) => min + pas * (i + 1));
+}
+
+/**
+ * Seuils naturels de Jenks (algorithme de Fisher : minimise la variance intra-classe).
+ *
+ * @param {number[]} sorted - Valeurs triées.
+ * @param {number} k - Nombre de classes.
+ * @returns {number[]}
+ */
+function jenksBreaks(sorted, k) {
+  // Échantillon régulier des valeurs triées (extrêmes conservés)
+  let data = sorted;
+  if (sorted.length > JENKS_MAX_VALEURS) {
+    data = Array.from({ length: JENKS_MAX_VALEURS }, (_, i) =>
+      sorted[Math.round((i / (JENKS_MAX_VALEURS - 1)) * (sorted.length - 1))]);
+  }
+  const n = data.length;
+
+  // lower[l][j] : début de la dernière classe pour j classes sur les l premières valeurs
+  // variance[l][j] : variance intra-classe minimale correspondante
+  const lower = Array.from({ length: n + 1 }, () => new Array(k + 1).fill(0));
+  const variance = Array.from({ length: n + 1 }, () => new Array(k + 1).fill(Infinity));
+  for (let j = 1; j <= k; j++) {
+    lower[1][j] = 1;
+    variance[1][j] = 0;
+  }
+
+  for (let l = 2; l <= n; l++) {
+    let somme = 0;
+    let sommeCarres = 0;
+    let w = 0;
+    let v = 0;
+    // Dernière classe : valeurs m..l (parcourues de l vers 1)
+    for (let m = 1; m <= l; m++) {
+      const i = l - m + 1;
+      const val = data[i - 1];
+      w++;
+      somme += val;
+      sommeCarres += val * val;
+      v = sommeCarres - (somme * somme) / w;
+      if (i > 1) {
+        for (let j = 2; j <= k; j++) {
+          if (variance[i - 1][j - 1] + v <= variance[l][j]) {
+            lower[l][j] = i;
+            variance[l][j] = variance[i - 1][j - 1] + v;
+          }
+        }
+      }
+    }
+    lower[l][1] = 1;
+    variance[l][1] = v;
+  }
+
+  // Remontée : seuil = dernière valeur de chaque classe
+  const breaks = [];
+  let l = n;
+  for (let j = k; j >= 2; j--) {
+    const debut = lower[l][j];
+    breaks.unshift(data[debut - 2]);
+    l = debut - 1;
+  }
+  return breaks;
+}
+
+/**
+ * Seuils en écarts types autour de la moyenne (classe centrale sur la moyenne
+ * si le nombre de classes est impair) ; les seuils hors de l'étendue des valeurs
+ * sont retirés (classes vides).
+ *
+ * @param {number[]} sorted - Valeurs triées.
+ * @param {number} k - Nombre de classes.
+ * @returns {number[]}
+ */
+function stdDevBreaks(sorted, k) {
+  const moyenne = d3.mean(sorted);
+  const ecart = d3.deviation(sorted) || 0;
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  return Array.from({ length: k - 1 }, (_, j) => moyenne + (j - (k - 2) / 2) * ecart)
+    .filter((b) => b > min && b < max);
+}
+
+/* =====================================================
+   CALCUL DES CLASSES
+===================================================== */
+
+/**
+ * Calcule les seuils de classes d'une série de prix.
+ *
+ * @param {number[]} values - Prix au m² des zones affichées.
+ * @param {{ methode: string, classes: number, seuils?: number[] }} [classification] -
+ *   Réglage (par défaut : réglage actif).
+ * @returns {number[]} Seuils croissants, sans doublon (nombre de classes - 1 au plus).
+ */
+export function computeBreaks(values, classification = activeClassification) {
+  const { methode, classes, seuils = [] } = classification;
+  if (methode === "manuel") return [...seuils];
+
+  const sorted = (values || []).filter(Number.isFinite).sort((a, b) => a - b);
+  if (sorted.length === 0) return [];
+
+  // Pas plus de classes que de valeurs distinctes (ni, en quantiles, que de paires de zones)
+  const distinctes = new Set(sorted).size;
+  let k = Math.min(classes, distinctes);
+  if (methode === "quantiles") k = Math.min(k, Math.floor(sorted.length / MIN_ZONES_PAR_CLASSE));
+  if (k < 2) return [];
+
+  let breaks;
+  if (methode === "egal") breaks = equalIntervalBreaks(sorted, k);
+  else if (methode === "jenks") breaks = jenksBreaks(sorted, k);
+  else if (methode === "ecartType") breaks = stdDevBreaks(sorted, k);
+  else breaks = quantileBreaks(sorted, k);
+
+  // Seuils égaux (valeurs répétées) ou au-delà du maximum : classes vides retirées
+  const max = sorted[sorted.length - 1];
+  return [...new Set(breaks)].filter((b) => b < max).sort((a, b) => a - b);
+}
+
+/**
+ * Compte les valeurs de chaque classe.
+ *
+ * @param {number[]} values - Valeurs classées.
+ * @param {number[]} breaks - Seuils (bornes supérieures incluses).
+ * @returns {number[]} Effectif de chaque classe (breaks.length + 1 classes).
+ */
+export function countByClass(values, breaks) {
+  const counts = new Array(breaks.length + 1).fill(0);
+  for (const v of values) {
+    if (!Number.isFinite(v)) continue;
+    const i = breaks.findIndex((b) => v <= b);
+    counts[i === -1 ? breaks.length : i]++;
+  }
+  return counts;
+}
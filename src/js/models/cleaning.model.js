@@ -0,0 +1,220 @@
+import { median, quantileSorted } from "../utils/utils.js";
+
+/**
+ * Pipeline de nettoyage des ventes DVF.
+ *
+ * Étape intercalée entre le parsing (loadDVF) et l'agrégation
+ * (aggregateVentes, buildIndexes).
+ *
+ * Chaque vente suspecte est marquée par un motif d'exclusion (`v.exclusion`)
+ * puis écartée des agrégats. Les ventes exclues sont conservées à part pour
+ * pouvoir indiquer, dans les panneaux, combien de ventes ont été retirées et pourquoi.
+ */
+
+/**
+ * Configuration par défaut du nettoyage.
+ *
+ * Chaque règle peut être désactivée en passant sa valeur à null (ou false).
+ */
+export const DEFAULT_CLEANING_CONFIG = {
+  // Types de biens conservés (les dépendances, locaux commerciaux... sont exclus)
+  typesResidentiels: ["Maison", "Appartement"],
+  // Valeur foncière minimale : écarte les cessions symboliques (1 €, 100 €...)
+  valeurMin: 1000,
+  // Bornes de surface bâtie plausibles (m²)
+  surfaceMin: 9,
+  surfaceMax: 1000,
+  // Bornes absolues du prix au m² (€)
+  prixM2Min: 300,
+  prixM2Max: 50000,
+  // Exclusion des mutations multi-lots (même id_mutation sur plusieurs lignes) :
+  // la valeur foncière porte sur l'ensemble des lots et ne peut pas être répartie
+  multiLots: true,
+  // Valeurs atypiques du prix au m², détectées commune par commune
+  outliers: {
+    methode: "iqr", // "iqr" (écart interquartile) ou "mad" (écart absolu médian), null = désactivé
+    seuil: 1.5,     // IQR : Q1 - k·IQR / Q3 + k·IQR ; MAD : score robuste > k (3.5 usuel)
+    minVentes: 10,  // en dessous, l'échantillon de la commune est trop faible pour juger
+  },
+};
+
+/**
+ * Libellés des motifs d'exclusion (affichés dans les panneaux).
+ */
+export const EXCLUSION_LABELS = {
+  type: "Type de bien non résidentiel",
+  valeur: "Valeur foncière symbolique",
+  surface: "Surface absente ou aberrante",
+  prix: "Prix au m² aberrant",
+  multiLots: "Vente multi-lots",
+  outlier: "Prix atypique pour la commune",
+};
+
+/**
+ * Détermine le premier motif d'exclusion "ligne à ligne" d'une vente.
+ *
+ * @param {Object} v - Vente DVF.
+ * @param {Object} config - Configuration du nettoyage.
+ * @returns {string|null} Motif (clé de EXCLUSION_LABELS) ou null si la vente est valide.
+ */
+function rowExclusion(v, config) {
+  if (config.typesResidentiels && !config.typesResidentiels.includes(v.type)) return "type";
+  if (config.valeurMin != null && !(v.valeur_fonciere >= config.valeurMin)) return "valeur";
+
+  const surface = v.surface_reelle_bati;
+  if (!(surface > 0)) return "surface";
+  if (config.surfaceMin != null && surface < config.surfaceMin) return "surface";
+  if (config.surfaceMax != null && surface > config.surfaceMax) return "surface";
+
+  if (!isFinite(v.prix)) return "prix";
+  if (config.prixM2Min != null && v.prix < config.prixM2Min) return "prix";
+  if (config.prixM2Max != null && v.prix > config.prixM2Max) return "prix";
+
+  return null;
+}
+
+/**
+ * Marque comme "multiLots" toutes les lignes d'une mutation qui en compte plusieurs.
+ *
+ * @param {Array<Object>} ventes - Ventes encore valides.
+ */
+function tagMultiLots(ventes) {
+  const parMutation = new Map();
+  for (const v of ventes) {
+    if (!v.id_mutation) continue;
+    parMutation.set(v.id_mutation, (parMutation.get(v.id_mutation) || 0) + 1);
+  }
+  for (const v of ventes) {
+    if (v.id_mutation && parMutation.get(v.id_mutation) > 1) v.exclusion = "multiLots";
+  }
+}
+
+/**
+ * Calcule les bornes d'acceptation du prix au m² d'une commune.
+ *
+ * @param {number[]} prix - Prix au m² des ventes de la commune.
+ * @param {{ methode: string, seuil: number }} outliers - Paramètres de détection.
+ * @returns {{ min: number, max: number }} Intervalle des prix considérés normaux.
+ */
+function outlierBounds(prix, outliers) {
+  const sorted = [...prix].sort((a, b) => a - b);
+
+  if (outliers.methode === "mad") {
+    const med = median(sorted);
+    // 1.4826 : facteur rendant le MAD comparable à un écart-type (loi normale)
+    const mad = 1.4826 * median(sorted.map((p) => Math.abs(p - med)));
+    if (mad === 0) return { min: -Infinity, max: Infinity };
+    return { min: med - outliers.seuil * mad, max: med + outliers.seuil * mad };
+  }
+
+  const q1 = quantileSorted(sorted, 0.25);
+  const q3 = quantileSorted(sorted, 0.75);
+  const iqr = q3 - q1;
+  return { min: q1 - outliers.seuil * iqr, max: q3 + outliers.seuil * iqr };
+}
+
+/**
+ * Marque comme "outlier" les ventes au prix au m² atypique dans leur commune.
+ *
+ * @param {Array<Object>} ventes - Ventes encore valides.
+ * @param {Object} outliers - Paramètres de détection (config.outliers).
+ */
+function tagOutliers(ventes, outliers) {
+  const parCommune = new Map();
+  for (const v of ventes) {
+    if (!parCommune.has(v.commune)) parCommune.set(v.commune, []);
+    parCommune.get(v.commune).push(v);
+  }
+
+  for (const groupe of parCommune.values()) {
+    if (groupe.length < outliers.minVentes) continue;
+    const { min, max } = outlierBounds(groupe.map((v) => v.prix), outliers);
+    for (const v of groupe) {
+      if (v.prix < min || v.prix > max) v.exclusion = "outlier";
+    }
+  }
+}
+
+/**
+ * Marque les ventes selon les règles "ligne à ligne" (type, valeur, surface, prix au m²).
+ *
+ * Ces règles ne dépendent que de la vente elle-même : elles peuvent être appliquées
+ * fichier par fichier, au fil du chargement.
+ *
+ * @param {Array<Object>} rows - Ventes issues de loadDVF().
+ * @param {Object} [config=DEFAULT_CLEANING_CONFIG] - Configuration du nettoyage.
+ */
+export function tagRowExclusions(rows, config = DEFAULT_CLEANING_CONFIG) {
+  for (const v of rows) v.exclusion = rowExclusion(v, config);
+}
+
+/**
+ * Marque les ventes selon les règles portant sur un groupe de ventes
+ * (multi-lots, prix atypiques dans la commune), appliquées aux ventes encore valides.
+ *
+ * Les groupes couvrant toutes les années, ces règles s'appliquent une fois
+ * l'ensemble des ventes chargé, après tagRowExclusions().
+ *
+ * @param {Array<Object>} rows - Ventes déjà marquées par tagRowExclusions().
+ * @param {Object} [config=DEFAULT_CLEANING_CONFIG] - Configuration du nettoyage.
+ */
+export function tagGroupExclusions(rows, config = DEFAULT_CLEANING_CONFIG) {
+  if (config.multiLots) tagMultiLots(rows.filter((v) => !v.exclusion));
+  if (config.outliers?.methode) tagOutliers(rows.filter((v) => !v.exclusion), config.outliers);
+}
+
+/**
+ * Sépare les ventes retenues des ventes marquées et dresse le rapport de nettoyage.
+ *
+ * @param {Array<Object>} rows - Ventes marquées (`exclusion`).
+ * @returns {{ ventes: Array<Object>, exclues: Array<Object>, rapport: Object }}
+ */
+export function splitExclusions(rows) {
+  const ventes = [];
+  const exclues = [];
+  for (const v of rows) (v.exclusion ? exclues : ventes).push(v);
+
+  const rapport = {
+    total: rows.length,
+    conservees: ventes.length,
+    ...summarizeExclusions(exclues),
+  };
+
+  return { ventes, exclues, rapport };
+}
+
+/**
+ * Nettoie les ventes DVF : marque les lignes suspectes et les sépare des ventes valides.
+ *
+ * Règles appliquées dans l'ordre (une vente garde le premier motif rencontré) :
+ * 1. type de bien non résidentiel
+ * 2. valeur foncière symbolique
+ * 3. surface absente ou hors bornes
+ * 4. prix au m² hors bornes absolues
+ * 5. mutation multi-lots (id_mutation dupliqué)
+ * 6. prix atypique dans la commune (IQR ou MAD)
+ *
+ * @param {Array<Object>} rows - Ventes issues de loadDVF().
+ * @param {Object} [config=DEFAULT_CLEANING_CONFIG] - Configuration du nettoyage.
+ * @returns {{ ventes: Array<Object>, exclues: Array<Object>, rapport: Object }}
+ *   Ventes conservées, ventes exclues (avec `exclusion`) et rapport de nettoyage.
+ */
+export function cleanDVF(rows, config = DEFAULT_CLEANING_CONFIG) {
+  tagRowExclusions(rows, config);
+  tagGroupExclusions(rows, config);
+  return splitExclusions(rows);
+}
+
+/**
+ * Résume une liste de ventes exclues par motif.
+ *
+ * @param {Array<Object>} exclues - Ventes exclues (avec `exclusion`).
+ * @returns {{ exclues: number, parMotif: Object.<string, number> }} Nombre total et détail par motif.
+ */
+export function summarizeExclusions(exclues) {
+  const parMotif = {};
+  for (const v of exclues || []) {
+    parMotif[v.exclusion] = (parMotif[v.exclusion] || 0) + 1;
+  }
+  return { exclues: exclues?.length ?? 0, parMotif };
+}
@@ -0,0 +1,125 @@
+/**
+ * Accès aux fichiers de données (GeoJSON, JSON)
+ *
+ * Centralise les téléchargements pour :
+ * - vérifier le statut HTTP (un fichier absent renvoie une page 404, pas du JSON)
+ * - signaler une erreur explicite (DataUnavailableError) que les contrôleurs
+ *   peuvent afficher dans le panneau latéral
+ * - suivre la progression des téléchargements en cours (indicateur de chargement)
+ */
+
+/**
+ * Erreur levée lorsqu'un fichier de données est absent ou illisible.
+ */
+export class DataUnavailableError extends Error {
+  /**
+   * @param {string} label - Description des données (ex : "les communes du département 77").
+   * @param {string} path - Chemin du fichier demandé.
+   * @param {number|null} [status=null] - Statut HTTP (404...), null si erreur réseau ou de format.
+   */
+  constructor(label, path, status = null) {
+    super(status === 404
+      ? `Données non disponibles : ${label}.`
+      : `Impossible de charger ${label}.`);
+    this.name = "DataUnavailableError";
+    this.label = label;
+    this.path = path;
+    this.status = status;
+  }
+}
+
+// Téléchargements en cours : identifiant → { label, loaded, total }
+const pending = new Map();
+let nextId = 0;
+
+// Abonnés à l'état des téléchargements
+const listeners = new Set();
+
+/**
+ * S'abonne à l'état des téléchargements en cours.
+ *
+ * Le callback reçoit { message, ratio } pendant les téléchargements
+ * (ratio null si la taille totale est inconnue), puis null quand tout est terminé.
+ *
+ * @param {(etat: { message: string, ratio: number|null }|null) => void} listener
+ */
+export function onLoadingChange(listener) {
+  listeners.add(listener);
+}
+
+/**
+ * Notifie les abonnés de l'état global des téléchargements.
+ */
+function notify() {
+  let etat = null;
+  if (pending.size > 0) {
+    const taches = [...pending.values()];
+    const total = taches.reduce((s, t) => s + (t.total || 0), 0);
+    const loaded = taches.reduce((s, t) => s + t.loaded, 0);
+    const derniere = taches[taches.length - 1];
+    etat = {
+      message: `Chargement : ${derniere.label}…`,
+      ratio: taches.every((t) => t.total) && total > 0 ? loaded / total : null,
+    };
+  }
+  for (const listener of listeners) listener(etat);
+}
+
+/**
+ * Lit le corps d'une réponse en suivant la progression du téléchargement.
+ *
+ * @param {Response} response - Réponse fetch.
+ * @param {{ loaded: number, total: number }} tache - Suivi du téléchargement.
+ * @returns {Promise<string>} Contenu texte.
+ */
+async function readWithProgress(response, tache) {
+  if (!response.body?.getReader) return response.text();
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let texte = "";
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    tache.loaded += value.length;
+    texte += decoder.decode(value, { stream: true });
+    notify();
+  }
+  return texte + decoder.decode();
+}
+
+/**
+ * Télécharge et parse un fichier JSON (ou GeoJSON).
+ *
+ * @param {string} path - Chemin relatif du fichier.
+ * @param {string} label - Description des données, utilisée dans les messages.
+ * @returns {Promise<Object>} Contenu du fichier.
+ * @throws {DataUnavailableError} Si le fichier est absent, inaccessible ou mal formé.
+ */
+export async function fetchJSON(path, label) {
+  const id = nextId++;
+  const tache = { label, loaded: 0, total: 0 };
+  pending.set(id, tache);
+  notify();
+
+  try {
+    let response;
+    try {
+      response = await fetch(path);
+    } catch {
+      throw new DataUnavailableError(label, path);
+    }
+    if (!response.ok) throw new DataUnavailableError(label, path, response.status);
+
+    tache.total = +response.headers.get("Content-Length") || 0;
+    const texte = await readWithProgress(response, tache);
+    try {
+      return JSON.parse(texte);
+    } catch {
+      throw new DataUnavailableError(label, path);
+    }
+  } finally {
+    pending.delete(id);
+    notify();
+  }
+}
@@ -0,0 +1,227 @@
+/**
+ * Format compact des ventes DVF (colonnes typées)
+ *
+ * Utilisé pour transférer les ventes du Web Worker vers la page : un tableau
+ * d'objets serait copié champ par champ (structured clone), alors que des
+ * tableaux typés sont transférés sans copie.
+ *
+ * - valeurs numériques → Float64Array / Float32Array / Uint16Array / Uint8Array
+ * - textes répétitifs (commune, section, date, adresse...) → dictionnaire + codes Uint32Array
+ *
+ * Les champs dérivés (dept, prix au m², trimestre, alias) sont recalculés au décodage.
+ *
+ * Les index territoriaux sont transférés de la même façon (packIndex) : numéros
+ * de ligne des ventes de chaque territoire, regroupés dans un Uint32Array.
+ */
+
+// Champs texte codés par dictionnaire (le code 0 représente null)
+const CHAMPS_TEXTE = [
+  "id_mutation",
+  "commune",
+  "section",
+  "type",
+  "date_mutation",
+  "adresse",
+  "code_postal",
+  "exclusion",
+];
+
+/**
+ * Encode une liste de textes en codes entiers + dictionnaire.
+ *
+ * @param {Array<Object>} rows - Ventes.
+ * @param {string} champ - Champ texte à encoder.
+ * @returns {{ codes: Uint32Array, valeurs: Array<string|null> }}
+ */
+function encoderTexte(rows, champ) {
+  const valeurs = [null];
+  const index = new Map();
+  const codes = new Uint32Array(rows.length);
+
+  for (let i = 0; i < rows.length; i++) {
+    const valeur = rows[i][champ];
+    if (valeur == null) continue;
+    let code = index.get(valeur);
+    if (code === undefined) {
+      code = valeurs.length;
+      index.set(valeur, code);
+      valeurs.push(valeur);
+    }
+    codes[i] = code;
+  }
+  return { codes, valeurs };
+}
+
+/**
+ * Encode des ventes DVF (issues de parseDVFRow, éventuellement marquées par cleanDVF)
+ * au format colonnes.
+ *
+ * @param {Array<Object>} rows - Ventes DVF.
+ * @returns {Object} Ventes encodées ({ n, valeur, surface, lat, lon, annee, mois, pieces, textes }).
+ */
+export function packVentes(rows) {
+  const n = rows.length;
+  const packed = {
+    n,
+    valeur: new Float64Array(n),
+    surface: new Float64Array(n),
+    lat: new Float32Array(n), // précision < 1 m à la latitude de Paris
+    lon: new Float32Array(n),
+    annee: new Uint16Array(n),
+    mois: new Uint8Array(n),
+    pieces: new Uint8Array(n),
+    textes: {},
+  };
+
+  for (let i = 0; i < n; i++) {
+    const v = rows[i];
+    packed.valeur[i] = v.valeur_fonciere;
+    packed.surface[i] = v.surface_reelle_bati;
+    packed.lat[i] = v.lat ?? NaN;
+    packed.lon[i] = v.lon ?? NaN;
+    packed.annee[i] = v.annee || 0;
+    packed.mois[i] = v.mois || 0;
+    packed.pieces[i] = Math.min(v.nb_pieces || 0, 255);
+  }
+
+  for (const champ of CHAMPS_TEXTE) packed.textes[champ] = encoderTexte(rows, champ);
+  return packed;
+}
+
+/**
+ * Encode un index territorial sous forme compacte : pour chaque territoire,
+ * les numéros de ligne de ses ventes dans les colonnes transférées.
+ *
+ * Les lignes de chaque territoire sont contiguës dans `lignes`
+ * (de debuts[c] inclus à debuts[c + 1] exclu), dans l'ordre des ventes.
+ *
+ * @param {Array<Object>} rows - Ventes à indexer.
+ * @param {string} champ - Champ territorial ("dept", "commune" ou "section").
+ * @param {number} [decalage=0] - Numéro de ligne de rows[0] dans les colonnes encodées.
+ * @returns {{ cles: string[], debuts: Uint32Array, lignes: Uint32Array }}
+ */
+export function packIndex(rows, champ, decalage = 0) {
+  const cles = [];
+  const rangs = new Map();
+  const comptes = [];
+  const rangDe = new Int32Array(rows.length);
+
+  // Premier parcours : numérotation des territoires et effectifs
+  for (let i = 0; i < rows.length; i++) {
+    const cle = rows[i][champ];
+    if (!cle) {
+      rangDe[i] = -1;
+      continue;
+    }
+    let c = rangs.get(cle);
+    if (c === undefined) {
+      c = cles.length;
+      rangs.set(cle, c);
+      cles.push(cle);
+      comptes.push(0);
+    }
+    comptes[c]++;
+    rangDe[i] = c;
+  }
+
+  const debuts = new Uint32Array(cles.length + 1);
+  for (let c = 0; c < cles.length; c++) debuts[c + 1] = debuts[c] + comptes[c];
+
+  // Second parcours : rangement des lignes territoire par territoire
+  const lignes = new Uint32Array(debuts[cles.length]);
+  const curseurs = debuts.slice(0, cles.length);
+  for (let i = 0; i < rows.length; i++) {
+    if (rangDe[i] >= 0) lignes[curseurs[rangDe[i]]++] = i + decalage;
+  }
+
+  return { cles, debuts, lignes };
+}
+
+/**
+ * Encode les trois index territoriaux (mêmes niveaux que buildIndexes) sous forme compacte.
+ *
+ * @param {Array<Object>} rows - Ventes à indexer.
+ * @param {number} [decalage=0] - Numéro de ligne de rows[0] dans les colonnes encodées.
+ * @returns {{ ventesByDept: Object, ventesByCommune: Object, ventesBySection: Object }}
+ */
+export function packIndexes(rows, decalage = 0) {
+  return {
+    ventesByDept: packIndex(rows, "dept", decalage),
+    ventesByCommune: packIndex(rows, "commune", decalage),
+    ventesBySection: packIndex(rows, "section", decalage),
+  };
+}
+
+/**
+ * Liste les tampons mémoire à transférer avec postMessage (transfert sans copie).
+ *
+ * @param {Object} packed - Ventes encodées par packVentes().
+ * @param {Array<Object>} [indexes=[]] - Index compacts (packIndexes) transférés avec les ventes.
+ * @returns {ArrayBuffer[]}
+ */
+export function transferables(packed, indexes = []) {
+  const colonnes = [packed.valeur, packed.surface, packed.lat, packed.lon, packed.annee, packed.mois, packed.pieces];
+  for (const champ of CHAMPS_TEXTE) colonnes.push(packed.textes[champ].codes);
+  for (const niveaux of indexes) {
+    for (const { debuts, lignes } of Object.values(niveaux)) colonnes.push(debuts, lignes);
+  }
+  return colonnes.map((c) => c.buffer);
+}
+
+/**
+ * Crée une fonction de lecture des ventes encodées par packVentes().
+ *
+ * Chaque vente est décodée à sa première lecture puis conservée : les index
+ * et la liste complète partagent ainsi les mêmes objets, et les ventes jamais
+ * consultées ne sont pas décodées. Les objets produits sont identiques à ceux
+ * de parseDVFRow (+ motif `exclusion`).
+ *
+ * @param {Object} packed - Ventes encodées.
+ * @returns {(i: number) => Object} Lecture de la vente de la ligne i.
+ */
+export function createVenteReader(packed) {
+  const t = {};
+  for (const champ of CHAMPS_TEXTE) {
+    const { codes, valeurs } = packed.textes[champ];
+    t[champ] = (i) => valeurs[codes[i]];
+  }
+
+  const rows = new Array(packed.n);
+  return (i) => {
+    if (rows[i]) return rows[i];
+
+    const valeur = packed.valeur[i];
+    const surface = packed.surface[i];
+    const commune = t.commune(i);
+    const type = t.type(i);
+    const date = t.date_mutation(i);
+    const mois = packed.mois[i] || null;
+    const pieces = packed.pieces[i] || null;
+
+    rows[i] = {
+      id_mutation: t.id_mutation(i),
+      dept: commune.slice(0, 2),
+      commune,
+      section: t.section(i),
+      type,
+      type_local: type === "Maison" ? 1 : (type === "Appartement" ? 2 : null),
+      prix: valeur / surface,
+      valeur_fonciere: valeur,
+      surface_reelle_bati: surface,
+      surface,
+      nb_pieces: pieces,
+      nombre_pieces_principales: pieces,
+      date,
+      date_mutation: date,
+      annee: packed.annee[i] || null,
+      mois,
+      trimestre: mois ? Math.ceil(mois / 3) : null,
+      adresse: t.adresse(i),
+      lat: Number.isNaN(packed.lat[i]) ? null : packed.lat[i],
+      lon: Number.isNaN(packed.lon[i]) ? null : packed.lon[i],
+      code_postal: t.code_postal(i),
+      exclusion: t.exclusion(i),
+    };
+    return rows[i];
+  };
+}
@@ -0,0 +1,135 @@
+/**
+ * Chargement des données DVF au démarrage
+ *
+ * Le parsing des CSV, le nettoyage et l'agrégation sont exécutés dans un Web Worker
+ * (workers/dvf.worker.js) pour ne pas figer la page. Le worker signale sa progression,
+ * envoie des statistiques départementales provisoires après chaque année lue, puis
+ * transfère les ventes et les index territoriaux au format colonnes (dvf-columns.model.js).
+ * La page ne décode ensuite que les ventes consultées.
+ *
+ * Si le worker n'est pas disponible (navigateur, CDN, fichier local...), le même
+ * traitement est exécuté sur le thread principal.
+ */
+
+import { loadDVF, aggregateVentes, buildIndexes, unpackIndex, DVF_YEARS } from "./dvf.model.js";
+import { cleanDVF, DEFAULT_CLEANING_CONFIG } from "./cleaning.model.js";
+import { createVenteReader } from "./dvf-columns.model.js";
+
+/**
+ * Nettoie les ventes brutes puis calcule les agrégats de démarrage.
+ *
+ * Utilisé par le traitement sur le thread principal et le script de pré-calcul
+ * (le worker applique les mêmes étapes au fil de la lecture des années).
+ *
+ * @param {Array<Object>} rows - Ventes issues de parseDVFRow.
+ * @param {Object} [config=DEFAULT_CLEANING_CONFIG] - Configuration du nettoyage.
+ * @returns {{ ventes: Array<Object>, exclues: Array<Object>, rapport: Object, aggregats: Object }}
+ *   Ventes retenues, ventes exclues (`exclusion`), rapport de nettoyage et agrégats (aggregateVentes).
+ */
+export function prepareDVF(rows, config = DEFAULT_CLEANING_CONFIG) {
+  const { ventes, exclues, rapport } = cleanDVF(rows, config);
+  return { ventes, exclues, rapport, aggregats: aggregateVentes(ventes) };
+}
+
+/**
+ * Charge, nettoie et agrège les ventes DVF.
+ *
+ * Les index se lisent comme ceux de buildIndexes() ; avec le worker, les ventes
+ * d'un territoire ne sont décodées qu'à sa première lecture, et la liste complète
+ * (`listeVentes`) qu'au premier appel.
+ *
+ * @param {Object} [options]
+ * @param {number[]} [options.years=DVF_YEARS] - Millésimes à charger.
+ * @param {(etape: { message: string, ratio: number }) => void} [options.onProgress] - Progression (ratio entre 0 et 1).
+ * @param {(partiel: { statsDept: Object, years: number[] }) => void} [options.onPartial] - Statistiques départementales provisoires.
+ * @returns {Promise<{
+ *   listeVentes: () => Array<Object>, rapport: Object,
+ *   years: number[], statsDept: Object, prixCommune: Object, prixSection: Object,
+ *   indexes: Object, indexesExclus: Object
+ * }>}
+ */
+export async function loadDVFData({ years = DVF_YEARS, onProgress = () => {}, onPartial = () => {} } = {}) {
+  if (typeof Worker !== "undefined") {
+    try {
+      return await runWorker(years, onProgress, onPartial);
+    } catch (err) {
+      console.warn("Worker DVF indisponible, traitement sur le thread principal :", err);
+    }
+  }
+
+  onProgress({ message: "Chargement des ventes DVF…", ratio: 0.1 });
+  const { ventes, exclues, rapport, aggregats } = prepareDVF(await loadDVF(years));
+
+  onProgress({ message: "Indexation des ventes…", ratio: 0.95 });
+  return {
+    listeVentes: () => ventes,
+    rapport,
+    ...aggregats,
+    indexes: buildIndexes(ventes),
+    indexesExclus: buildIndexes(exclues),
+  };
+}
+
+/**
+ * Reconstitue le résultat du worker : lecture des ventes à la demande
+ * et index territoriaux compacts.
+ *
+ * @param {Object} data - Message "done" du worker.
+ * @returns {Object} Même forme que le résultat de loadDVFData().
+ */
+function fromWorker({ packed, retenues, indexes, indexesExclus, rapport, aggregats }) {
+  const lireVente = createVenteReader(packed);
+  const unpack = (niveaux) => ({
+    ventesByDept: unpackIndex(niveaux.ventesByDept, lireVente),
+    ventesByCommune: unpackIndex(niveaux.ventesByCommune, lireVente),
+    ventesBySection: unpackIndex(niveaux.ventesBySection, lireVente),
+  });
+
+  let ventes = null;
+  return {
+    listeVentes: () => (ventes ??= Array.from({ length: retenues }, (_, i) => lireVente(i))),
+    rapport,
+    ...aggregats,
+    indexes: unpack(indexes),
+    indexesExclus: unpack(indexesExclus),
+  };
+}
+
+/**
+ * Exécute le traitement DVF dans le Web Worker.
+ *
+ * @param {number[]} years - Millésimes à charger.
+ * @param {Function} onProgress - Callback de progression.
+ * @param {Function} onPartial - Callback des résultats provisoires.
+ * @returns {Promise<Object>} Même forme que le résultat de loadDVFData().
+ */
+function runWorker(years, onProgress, onPartial) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL("../workers/dvf.worker.js", import.meta.url), { type: "module" });
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === "progress") {
+        onProgress({ message: data.message, ratio: data.ratio });
+      } else if (data.type === "partial") {
+        onPartial({ statsDept: data.statsDept, years: data.years });
+      } else if (data.type === "done") {
+        worker.terminate();
+        onProgress({ message: "Réception des ventes…", ratio: 0.95 });
+        resolve(fromWorker(data));
+      } else if (data.type === "error") {
+        worker.terminate();
+        reject(new Error(data.message));
+      }
+    };
+
+    // Erreur de chargement du worker lui-même (module introuvable, import CDN en échec...)
+    worker.onerror = (e) => {
+      e.preventDefault();
+      worker.terminate();
+      reject(new Error(e.message || "échec du chargement du worker"));
+    };
+
+    // Les chemins des CSV sont relatifs à la page, pas au script du worker
+    worker.postMessage({ years, baseUrl: document.baseURI });
+  });
+}
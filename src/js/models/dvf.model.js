@@ -1,42 +1,145 @@
-import { median } from "../utils/utils.js";
+import { median, quantileSorted, describeDistribution } from "../utils/utils.js";
+import { isAllYears, isSingleYear, isQuarter, isYearInPeriod, periodKey } from "./period.model.js";
 
 /**
- * Charge les données DVF nettoyées et mises au format, sans filtrage supplémentaire.
+ * Millésimes DVF chargés au démarrage.
  *
- * Le fichier d'entrée est supposé propre (valeurs foncières valides, surfaces présentes).
- * La fonction se contente donc de mapper les lignes CSV dans un format adapté à
- * l'application et à l'agrégation territoriale.
+ * Chaque année est fournie dans un fichier CSV distinct
+ * (data/dvf/dvf_idf_<année>.csv) au même format que l'export géolocalisé DVF.
+ */
+export const DVF_YEARS = [2020, 2021, 2022, 2023, 2024];
+
+/**
+ * Clé utilisée dans les agrégats pour regrouper toutes les années.
+ */
+export const ALL_YEARS = "all";
+
+// Ancien fichier unique, utilisé si aucun fichier annuel n'est disponible
+export const DVF_LEGACY_PATH = "data/dvf_idf_final.csv";
+
+/**
+ * Construit le chemin du fichier DVF d'une année.
  *
- * @returns {Promise<Array<Object>>} Liste des ventes DVF formatées.
+ * @param {number} annee - Millésime DVF (ex : 2023).
+ * @returns {string} Chemin relatif du CSV.
  */
-export async function loadDVF() {
-  // Chargement du CSV DVF et transformation de chaque ligne en objet JavaScript
-  const rows = await d3.csv("data/dvf_idf_final.csv", (d) => {
-    const surface = +d.surface_reelle_bati; //surface en m²
-    const valeur = +d.valeur_fonciere; // valeur foncière totale en €
+export function dvfYearPath(annee) {
+  return `data/dvf/dvf_idf_${annee}.csv`;
+}
 
-    return {
-      dept: d.code_commune.slice(0, 2), // extraction du code département (2 premiers caractères)
-      commune: d.code_commune, // code commune INSEE
-      section: d.id_parcelle ? d.id_parcelle.slice(0, -4) : null, // section cadastrale
-      type: d.type_local, // type de bien (Maison / Appartement)
-      type_local: d.type_local === "Maison" ? 1 : (d.type_local === "Appartement" ? 2 : null), 
-      prix: valeur / surface, // prix au m²
-      valeur_fonciere: valeur, 
-      surface_reelle_bati: surface, 
-      surface,
-      nb_pieces: +d.nombre_pieces_principales || null,
-      nombre_pieces_principales: +d.nombre_pieces_principales || null, 
-      date: d.date_mutation, // date de la transaction
-      date_mutation: d.date_mutation, 
-      adresse: `${d.adresse_numero || ""} ${d.adresse_nom_voie || ""}`.trim(),
-      code_postal: d.code_postal,
-    };  
+/**
+ * Transforme une ligne CSV DVF en objet vente exploitable par l'application.
+ *
+ * L'année et le trimestre sont déduits de `date_mutation` ; à défaut,
+ * l'année du fichier source est utilisée.
+ *
+ * @param {Object} d - Ligne brute issue de d3.csv.
+ * @param {number|null} anneeFichier - Millésime du fichier source (si connu).
+ * @returns {Object} Vente DVF formatée.
+ */
+export function parseDVFRow(d, anneeFichier = null) {
+  const surface = +d.surface_reelle_bati; //surface en m²
+  const valeur = +d.valeur_fonciere; // valeur foncière totale en €
+
+  // Dimension temporelle : "AAAA-MM-JJ" → année, mois, trimestre
+  const date = d.date_mutation || "";
+  const annee = +date.slice(0, 4) || anneeFichier;
+  const mois = +date.slice(5, 7) || null;
+
+  return {
+    id_mutation: d.id_mutation || null, // identifiant de la mutation (partagé par les lignes multi-lots)
+    dept: d.code_commune.slice(0, 2), // extraction du code département (2 premiers caractères)
+    commune: d.code_commune, // code commune INSEE
+    section: d.id_parcelle ? d.id_parcelle.slice(0, -4) : null, // section cadastrale
+    type: d.type_local, // type de bien (Maison / Appartement)
+    type_local: d.type_local === "Maison" ? 1 : (d.type_local === "Appartement" ? 2 : null), 
+    prix: valeur / surface, // prix au m²
+    valeur_fonciere: valeur, 
+    surface_reelle_bati: surface, 
+    surface,
+    nb_pieces: +d.nombre_pieces_principales || null,
+    nombre_pieces_principales: +d.nombre_pieces_principales || null, 
+    date: d.date_mutation, // date de la transaction
+    date_mutation: d.date_mutation, 
+    annee, // année de la transaction (ex : 2023)
+    mois, // mois de la transaction (1 à 12)
+    trimestre: mois ? Math.ceil(mois / 3) : null, // trimestre (1 à 4)
+    adresse: `${d.adresse_numero || ""} ${d.adresse_nom_voie || ""}`.trim(),
+    lat: +d.latitude || null, // coordonnées de la parcelle (DVF géolocalisées)
+    lon: +d.longitude || null,
+    code_postal: d.code_postal,
+  };
+}
+
+/**
+ * Charge les données DVF nettoyées et mises au format, pour plusieurs années.
+ *
+ * Les fichiers annuels sont chargés en parallèle. Une année dont le fichier
+ * est absent est ignorée (avec un avertissement) ; si aucun fichier annuel
+ * n'est disponible, l'ancien fichier unique `dvf_idf_final.csv` est utilisé.
+ *
+ * Les fichiers d'entrée sont supposés propres (valeurs foncières valides, surfaces présentes).
+ *
+ * @param {number[]} [years=DVF_YEARS] - Millésimes à charger.
+ * @returns {Promise<Array<Object>>} Liste des ventes DVF formatées, toutes années confondues.
+ */
+export async function loadDVF(years = DVF_YEARS) {
+  // Chargement parallèle des fichiers annuels
+  const results = await Promise.allSettled(
+    years.map((annee) => d3.csv(dvfYearPath(annee), (d) => parseDVFRow(d, annee))),
+  );
+
+  results.forEach((r, i) => {
+    if (r.status === "rejected") {
+      console.warn(`DVF ${years[i]} indisponible :`, r.reason);
+    }
   });
-  // Le fichier étant propre, aucun filtrage supplémentaire n'est nécessaire
+
+  // Fusion des années chargées (flatMap évite un push(...) sur de gros tableaux)
+  const rows = results
+    .filter((r) => r.status === "fulfilled")
+    .flatMap((r) => r.value);
+
+  // Repli sur le fichier historique unique
+  if (rows.length === 0) {
+    return d3.csv(DVF_LEGACY_PATH, (d) => parseDVFRow(d));
+  }
+
   return rows;
 }
 
+/**
+ * Retourne les clés de période dans lesquelles une vente doit être agrégée :
+ * toujours ALL_YEARS, plus son année si elle est connue.
+ *
+ * @param {Object} vente - Vente DVF.
+ * @returns {Array<string|number>} Clés de période.
+ */
+function periodKeysOf(vente) {
+  return vente.annee ? [ALL_YEARS, vente.annee] : [ALL_YEARS];
+}
+
+/**
+ * Seuil en dessous duquel un échantillon de ventes est jugé trop faible
+ * pour que ses statistiques soient fiables (marché peu actif).
+ */
+export const PETIT_ECHANTILLON = 10;
+
+/**
+ * Répartit les ventes selon leur nombre de pièces principales (1, 2, 3, 4, 5+).
+ *
+ * @param {Array<Object>} ventes - Ventes DVF.
+ * @returns {Array<{ label: string, count: number }>} Effectif par nombre de pièces.
+ */
+function computePiecesDistribution(ventes) {
+  const classes = ["1", "2", "3", "4", "5+"].map((label) => ({ label, count: 0 }));
+  for (const v of ventes) {
+    if (!v.nb_pieces) continue;
+    classes[Math.min(v.nb_pieces, 5) - 1].count++;
+  }
+  return classes;
+}
+
 /**
  * Calcule des indicateurs immobiliers de synthèse à partir d'une liste de ventes.
  *
@@ -45,6 +148,9 @@ export async function loadDVF() {
  * - prix médian au m²
  * - répartitions des ventes maisons / appartements
  * - prix médians par type de bien
+ * - distribution complète des prix au m² (quartiles, P10/P90, moyenne,
+ *   écart-type, min/max, histogramme)
+ * - distribution des surfaces et du nombre de pièces
  *
  * @param {Array<Object>} ventes - Ventes DVF associées à un territoire.
  * @returns {Object} Statistiques immobilières agrégées.
@@ -59,6 +165,9 @@ export function computeStats(ventes) {
       apparts: 0,
       prixMaisons: null,
       prixApparts: null,
+      distribution: null,
+      surfaces: null,
+      pieces: [],
     };
   }
   // Extraction des prix au m² pour calcul de la médiane
@@ -75,76 +184,300 @@ export function computeStats(ventes) {
     apparts: apparts.length,
     prixMaisons: maisons.length ? median(maisons.map((v) => v.prix)) : null,
     prixApparts: apparts.length ? median(apparts.map((v) => v.prix)) : null,
+    distribution: describeDistribution(prix), // prix au m²
+    surfaces: describeDistribution(ventes.map((v) => v.surface_reelle_bati)),
+    pieces: computePiecesDistribution(ventes),
   };
 }
 
 /**
- * Agrège les ventes DVF au niveau départemental.
+ * Calcule le prix médian au m² d'un segment de ventes (type de bien, nombre de pièces minimal),
+ * sur le même principe que prixMaisons / prixApparts dans computeStats.
  *
- * Pour chaque département, la fonction comptabilise :
- * - le nombre de ventes
- * - le prix médian au m²
- * - la répartition maisons / appartements
- *
- * @param {Array<Object>} data - Liste des ventes DVF.
- * @returns {Object} Statistiques par département indexées par code département.
+ * @param {Array<Object>} ventes - Ventes DVF associées à un territoire.
+ * @param {{ type?: "Maison"|"Appartement"|null, piecesMin?: number|null }} segment - Critères du segment.
+ * @returns {{ ventes: number, prixMedian: number|null }} Nombre de ventes du segment et prix médian.
  */
-export function computeStatsByDept(data) {
-  const g = {};
-  // Regroupement des ventes par département
-  data.forEach((d) => {
-    if (!g[d.dept]) g[d.dept] = { ventes: 0, prix: [], maisons: 0, apparts: 0 };
-    g[d.dept].ventes++;
-    g[d.dept].prix.push(d.prix);
-    if (d.type === "Maison") g[d.dept].maisons++;
-    if (d.type === "Appartement") g[d.dept].apparts++;
+export function computePrixSegment(ventes, segment = {}) {
+  const selection = (ventes || []).filter((v) => {
+    if (segment.type && v.type !== segment.type) return false;
+    // Un nombre de pièces inconnu ne permet pas de vérifier le critère
+    if (segment.piecesMin && !(v.nb_pieces >= segment.piecesMin)) return false;
+    return true;
   });
 
-  // Calcul des indicateurs départementaux
+  return {
+    ventes: selection.length,
+    prixMedian: selection.length ? median(selection.map((v) => v.prix)) : null,
+  };
+}
+
+/**
+ * Résume une liste de prix au m² par sa médiane et ses quartiles.
+ *
+ * @param {number[]} prix - Prix au m².
+ * @returns {{ n: number, q1: number, median: number, q3: number }|null} Résumé, ou null si vide.
+ */
+function summarizePrix(prix) {
+  if (prix.length === 0) return null;
+  const sorted = [...prix].sort((a, b) => a - b);
+  return {
+    n: sorted.length,
+    q1: quantileSorted(sorted, 0.25),
+    median: quantileSorted(sorted, 0.5),
+    q3: quantileSorted(sorted, 0.75),
+  };
+}
+
+/**
+ * Construit les séries temporelles d'un territoire, par type de bien :
+ * - par trimestre : prix médian au m² et intervalle interquartile
+ * - par mois : nombre de ventes
+ *
+ * Les périodes sans vente sont absentes des séries (pas de valeur inventée).
+ *
+ * @param {Array<Object>} ventes - Ventes DVF du territoire (toutes années).
+ * @returns {{
+ *   trimestres: Array<{ annee: number, trimestre: number, maisons: Object|null, apparts: Object|null }>,
+ *   mois: Array<{ annee: number, mois: number, maisons: number, apparts: number }>
+ * }} Séries triées chronologiquement.
+ */
+export function computeTimeSeries(ventes) {
+  const trimestres = new Map();
+  const mois = new Map();
+
+  for (const v of ventes || []) {
+    if (!v.annee || !v.mois) continue;
+    const type = v.type === "Maison" ? "maisons" : (v.type === "Appartement" ? "apparts" : null);
+    if (!type) continue;
+
+    // Regroupement par trimestre (prix) et par mois (volumes)
+    const cleT = v.annee * 10 + v.trimestre;
+    if (!trimestres.has(cleT)) {
+      trimestres.set(cleT, { annee: v.annee, trimestre: v.trimestre, maisons: [], apparts: [] });
+    }
+    trimestres.get(cleT)[type].push(v.prix);
+
+    const cleM = v.annee * 100 + v.mois;
+    if (!mois.has(cleM)) mois.set(cleM, { annee: v.annee, mois: v.mois, maisons: 0, apparts: 0 });
+    mois.get(cleM)[type]++;
+  }
+
+  return {
+    trimestres: [...trimestres.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([, g]) => ({
+        annee: g.annee,
+        trimestre: g.trimestre,
+        maisons: summarizePrix(g.maisons),
+        apparts: summarizePrix(g.apparts),
+      })),
+    mois: [...mois.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([, g]) => g),
+  };
+}
+
+/**
+ * Ajoute une vente au groupe de son département pour une période.
+ *
+ * @param {Object} gp - Groupes d'une période { [codeDept]: { ventes, prix[], maisons, apparts } }.
+ * @param {Object} d - Vente DVF.
+ */
+function ajouterAuDept(gp, d) {
+  if (!gp[d.dept]) gp[d.dept] = { ventes: 0, prix: [], maisons: 0, apparts: 0 };
+  const gd = gp[d.dept];
+  gd.ventes++;
+  gd.prix.push(d.prix);
+  if (d.type === "Maison") gd.maisons++;
+  if (d.type === "Appartement") gd.apparts++;
+}
+
+/**
+ * Indicateurs d'un groupe départemental.
+ *
+ * @param {{ ventes: number, maisons: number, apparts: number }} gk - Groupe de ventes.
+ * @param {number|null} prixMedian - Prix médian au m² du groupe.
+ * @returns {{ ventes: number, prixMedian: number|null, maisons: number, apparts: number }}
+ */
+function indicateursDept(gk, prixMedian) {
+  return { ventes: gk.ventes, prixMedian, maisons: gk.maisons, apparts: gk.apparts };
+}
+
+/**
+ * Calcule les indicateurs départementaux à partir des ventes regroupées.
+ *
+ * @param {Object} g - Groupes { [periode]: { [codeDept]: { ventes, prix[], maisons, apparts } } }.
+ * @returns {Object} Statistiques { [periode]: { [codeDept]: stats } }.
+ */
+function finaliserStatsDept(g) {
   const res = {};
-  for (const k in g) {
-    res[k] = {
-      ventes: g[k].ventes,
-      prixMedian: median(g[k].prix),
-      maisons: g[k].maisons,
-      apparts: g[k].apparts,
-    };
+  for (const periode in g) {
+    res[periode] = {};
+    for (const k in g[periode]) {
+      res[periode][k] = indicateursDept(g[periode][k], median(g[periode][k].prix));
+    }
   }
   return res;
 }
 
 /**
- * Calcule le prix médian au m² en regroupant les ventes selon une clé territoriale
- * (ex : par commune ou par section cadastrale).
+ * Crée un cumul vide de statistiques départementales, complété année par année
+ * par addToStatsDept() (statistiques provisoires pendant le chargement).
  *
- * @param {Array<Object>} data - Ventes DVF.
- * @param {string} key - Champ utilisé pour le regroupement (ex: "commune", "section").
- * @returns {Object} Prix médians indexés par valeur du champ clé.
- */
-export function aggregateMedianByKey(data, key) {
-  const g = {};
-  // Regroupement des ventes par clé (ex: commune → [prix...])
-  data.forEach((d) => {
-    if (!d[key]) return;
-    if (!g[d[key]]) g[d[key]] = [];
-    g[d[key]].push(d.prix);
-  });
-  // Calcul du prix médian pour chaque groupe
+ * @returns {{ groupes: Object, stats: Object }} Groupes de ventes (prix triés) et statistiques à jour.
+ */
+export function createStatsDeptCumul() {
+  return { groupes: {}, stats: {} };
+}
+
+/**
+ * Ajoute un lot de ventes (en pratique une année) au cumul départemental.
+ *
+ * Seuls les départements et périodes touchés par le lot sont recalculés :
+ * les prix de chaque groupe restent triés et ceux du lot y sont fusionnés,
+ * sans relire ni retrier les ventes déjà cumulées.
+ * Mêmes statistiques que celles d'aggregateVentes() sur l'ensemble des ventes ajoutées.
+ *
+ * @param {{ groupes: Object, stats: Object }} cumul - Cumul (createStatsDeptCumul), modifié en place.
+ * @param {Array<Object>} ventes - Ventes à ajouter.
+ * @returns {Object} Statistiques { [periode]: { [codeDept]: stats } } à jour (cumul.stats).
+ */
+export function addToStatsDept(cumul, ventes) {
+  const lot = {};
+  for (const d of ventes) {
+    for (const periode of periodKeysOf(d)) {
+      if (!lot[periode]) lot[periode] = {};
+      ajouterAuDept(lot[periode], d);
+    }
+  }
+
+  for (const periode in lot) {
+    if (!cumul.groupes[periode]) {
+      cumul.groupes[periode] = {};
+      cumul.stats[periode] = {};
+    }
+    for (const k in lot[periode]) {
+      const ajout = lot[periode][k];
+      const g = cumul.groupes[periode][k] ?? { ventes: 0, prix: [], maisons: 0, apparts: 0 };
+      g.ventes += ajout.ventes;
+      g.maisons += ajout.maisons;
+      g.apparts += ajout.apparts;
+      g.prix = fusionTriee(g.prix, ajout.prix.sort((a, b) => a - b));
+      cumul.groupes[periode][k] = g;
+
+      cumul.stats[periode][k] = indicateursDept(g, quantileSorted(g.prix, 0.5));
+    }
+  }
+  return cumul.stats;
+}
+
+/**
+ * Fusionne deux tableaux de nombres triés en un tableau trié.
+ *
+ * @param {number[]} a - Valeurs triées.
+ * @param {number[]} b - Valeurs triées.
+ * @returns {number[]} Valeurs de a et b, triées.
+ */
+function fusionTriee(a, b) {
+  if (a.length === 0) return b;
+  const res = new Array(a.length + b.length);
+  let i = 0;
+  let j = 0;
+  let k = 0;
+  while (i < a.length && j < b.length) res[k++] = a[i] <= b[j] ? a[i++] : b[j++];
+  while (i < a.length) res[k++] = a[i++];
+  while (j < b.length) res[k++] = b[j++];
+  return res;
+}
+
+/**
+ * Calcule le prix médian de chaque groupe de prix.
+ *
+ * @param {Object} g - Groupes { [periode]: { [territoire]: prix[] } }.
+ * @returns {Object} Prix médians { [periode]: { [territoire]: prixMedian } }.
+ */
+function finaliserMedianes(g) {
   const res = {};
-  for (const k in g) res[k] = median(g[k]);
+  for (const periode in g) {
+    res[periode] = {};
+    for (const k in g[periode]) res[periode][k] = median(g[periode][k]);
+  }
   return res;
 }
 
+/**
+ * Calcule en un seul parcours des ventes tous les agrégats du démarrage :
+ * années disponibles, statistiques par département et prix médians au m²
+ * par commune et par section, chacun indexé par période
+ * ({ [annee | ALL_YEARS]: { [territoire]: valeur } }).
+ *
+ * @param {Array<Object>} data - Ventes DVF.
+ * @returns {{ years: number[], statsDept: Object, prixCommune: Object, prixSection: Object }}
+ */
+export function aggregateVentes(data) {
+  const years = new Set();
+  const depts = {};
+  const communes = {};
+  const sections = {};
+
+  for (const d of data) {
+    if (d.annee) years.add(d.annee);
+
+    for (const periode of periodKeysOf(d)) {
+      if (!depts[periode]) {
+        depts[periode] = {};
+        communes[periode] = {};
+        sections[periode] = {};
+      }
+
+      ajouterAuDept(depts[periode], d);
+
+      if (d.commune) {
+        if (!communes[periode][d.commune]) communes[periode][d.commune] = [];
+        communes[periode][d.commune].push(d.prix);
+      }
+      if (d.section) {
+        if (!sections[periode][d.section]) sections[periode][d.section] = [];
+        sections[periode][d.section].push(d.prix);
+      }
+    }
+  }
+
+  return {
+    years: [...years].sort((a, b) => a - b),
+    statsDept: finaliserStatsDept(depts),
+    prixCommune: finaliserMedianes(communes),
+    prixSection: finaliserMedianes(sections),
+  };
+}
+
+/**
+ * Ajoute une vente dans un index territoire → année → ventes.
+ *
+ * @param {Map<string, Map<string|number, Array<Object>>>} index - Index à compléter.
+ * @param {string} key - Code du territoire.
+ * @param {Object} vente - Vente DVF.
+ */
+function addToIndex(index, key, vente) {
+  if (!index.has(key)) index.set(key, new Map());
+  const parPeriode = index.get(key);
+  for (const periode of periodKeysOf(vente)) {
+    if (!parPeriode.has(periode)) parPeriode.set(periode, []);
+    parPeriode.get(periode).push(vente);
+  }
+}
+
 /**
  * Construit des index territoriaux pour accélérer les requêtes lors des clics utilisateur.
  *
- * Trois niveaux d'index sont générés :
- * - ventesByDept : Map(département → ventes)
- * - ventesByCommune : Map(commune → ventes)
- * - ventesBySection : Map(section → ventes)
+ * Trois niveaux d'index sont générés, chacun découpé par année :
+ * - ventesByDept : Map(département → Map(année → ventes))
+ * - ventesByCommune : Map(commune → Map(année → ventes))
+ * - ventesBySection : Map(section → Map(année → ventes))
  *
- * Ces index permettent d'éviter un filtrage manuel à chaque sélection
- * et améliorent la fluidité lors de l'exploration multi-échelle.
+ * La clé ALL_YEARS de chaque Map interne regroupe toutes les années.
+ * La lecture se fait via getVentes() qui tient compte de la période demandée.
  *
  * @param {Array<Object>} data - Ventes DVF.
  * @returns {{ ventesByDept: Map, ventesByCommune: Map, ventesBySection: Map }}
@@ -157,23 +490,138 @@ export function buildIndexes(data) {
   // Insertion des ventes dans les trois index
   for (const v of data) {
     // Index par département
-    if (v.dept) {
-      if (!ventesByDept.has(v.dept)) ventesByDept.set(v.dept, []);
-      ventesByDept.get(v.dept).push(v);
-    }
-    
+    if (v.dept) addToIndex(ventesByDept, v.dept, v);
+
     // Index par commune
-    if (v.commune) {
-      if (!ventesByCommune.has(v.commune)) ventesByCommune.set(v.commune, []);
-      ventesByCommune.get(v.commune).push(v);
-    }
-    
+    if (v.commune) addToIndex(ventesByCommune, v.commune, v);
+
     // Index par section
-    if (v.section) {
-      if (!ventesBySection.has(v.section)) ventesBySection.set(v.section, []);
-      ventesBySection.get(v.section).push(v);
-    }
+    if (v.section) addToIndex(ventesBySection, v.section, v);
   }
 
   return { ventesByDept, ventesByCommune, ventesBySection }; 
-}
\ No newline at end of file
+}
+
+/**
+ * Reconstitue un index territorial à partir de sa forme compacte (packIndex),
+ * telle que transférée par le Web Worker.
+ *
+ * L'index se lit comme ceux de buildIndexes() (get, has, keys) : la Map
+ * période → ventes d'un territoire n'est construite qu'à sa première lecture,
+ * les ventes étant décodées à la demande par `lireVente`.
+ *
+ * @param {{ cles: string[], debuts: Uint32Array, lignes: Uint32Array }} packed - Index compact.
+ * @param {(i: number) => Object} lireVente - Lecture d'une vente par son numéro de ligne.
+ * @returns {{ get: Function, has: Function, keys: Function, size: number }} Index territoire → année → ventes.
+ */
+export function unpackIndex({ cles, debuts, lignes }, lireVente) {
+  const rangs = new Map(cles.map((cle, c) => [cle, c]));
+  const index = new Map();
+
+  return {
+    get(key) {
+      const c = rangs.get(key);
+      if (c === undefined) return undefined;
+      if (!index.has(key)) {
+        for (let j = debuts[c]; j < debuts[c + 1]; j++) addToIndex(index, key, lireVente(lignes[j]));
+      }
+      return index.get(key);
+    },
+    has: (key) => rangs.has(key),
+    keys: () => rangs.keys(),
+    size: rangs.size,
+  };
+}
+
+/* =====================================================
+   LECTURE DES AGRÉGATS SELON LA PÉRIODE
+===================================================== */
+
+/**
+ * Retourne les ventes d'un territoire sur une période.
+ *
+ * @param {Map} index - Index construit par buildIndexes().
+ * @param {string} key - Code du territoire (département, commune ou section).
+ * @param {{ from: number|null, to: number|null, trimestre?: number|null }} period - Période demandée.
+ * @returns {Array<Object>} Ventes du territoire sur la période (tableau vide si aucune).
+ */
+export function getVentes(index, key, period) {
+  const parPeriode = index?.get(key);
+  if (!parPeriode) return [];
+
+  // Toutes les années ou une seule : lecture directe
+  if (isAllYears(period)) return parPeriode.get(ALL_YEARS) ?? [];
+  if (isQuarter(period)) {
+    return (parPeriode.get(period.from) ?? []).filter((v) => v.trimestre === period.trimestre);
+  }
+  if (isSingleYear(period)) return parPeriode.get(period.from) ?? [];
+
+  // Intervalle : concaténation des années concernées
+  const res = [];
+  for (const [periode, ventes] of parPeriode) {
+    if (periode === ALL_YEARS || !isYearInPeriod(periode, period)) continue;
+    for (const v of ventes) res.push(v);
+  }
+  return res;
+}
+
+// Cache des agrégats recalculés pour un intervalle d'années
+// (agrégat → Map(clé de période → résultat))
+const periodCache = new WeakMap();
+
+/**
+ * Lit un agrégat pour une période, en le recalculant si nécessaire.
+ *
+ * Pour toutes les années ou une année unique, la valeur pré-calculée est
+ * retournée directement. Pour un intervalle ou un trimestre, les médianes ne pouvant
+ * pas être combinées, elles sont recalculées à partir de l'index des ventes puis mises en cache.
+ *
+ * @param {Object} aggregate - Agrégat indexé par année.
+ * @param {Map} index - Index des ventes correspondant au même niveau territorial.
+ * @param {{ from: number|null, to: number|null }} period - Période demandée.
+ * @param {(ventes: Array<Object>) => any} compute - Calcul à appliquer sur les ventes d'un territoire.
+ * @returns {Object} Valeurs indexées par territoire.
+ */
+function selectByPeriod(aggregate, index, period, compute) {
+  if (isAllYears(period)) return aggregate?.[ALL_YEARS] ?? {};
+  if (isSingleYear(period) && !isQuarter(period)) return aggregate?.[period.from] ?? {};
+
+  if (!periodCache.has(aggregate)) periodCache.set(aggregate, new Map());
+  const cache = periodCache.get(aggregate);
+  const cle = periodKey(period);
+  if (cache.has(cle)) return cache.get(cle);
+
+  const res = {};
+  for (const key of index?.keys() ?? []) {
+    const ventes = getVentes(index, key, period);
+    if (ventes.length) res[key] = compute(ventes);
+  }
+  cache.set(cle, res);
+  return res;
+}
+
+/**
+ * Retourne les prix médians au m² par territoire pour une période.
+ *
+ * @param {Object} prixByYear - Prix médians par période (prixCommune ou prixSection d'aggregateVentes()).
+ * @param {Map} index - Index des ventes du même niveau (ventesByCommune ou ventesBySection).
+ * @param {{ from: number|null, to: number|null }} period - Période demandée.
+ * @returns {Object.<string, number>} Prix médian par territoire.
+ */
+export function getPrixByPeriod(prixByYear, index, period) {
+  return selectByPeriod(prixByYear, index, period, (ventes) =>
+    median(ventes.map((v) => v.prix)),
+  );
+}
+
+/**
+ * Retourne les statistiques départementales pour une période.
+ *
+ * @param {Object} statsByYear - Statistiques par période (statsDept d'aggregateVentes()).
+ * @param {Map} ventesByDept - Index des ventes par département.
+ * @param {{ from: number|null, to: number|null }} period - Période demandée.
+ * @returns {Object.<string, Object>} Statistiques par code département.
+ */
+export function getStatsDeptByPeriod(statsByYear, ventesByDept, period) {
+  return selectByPeriod(statsByYear, ventesByDept, period, computeStats);
+}
@@ -0,0 +1,251 @@
+/**
+ * Modèle pour l'estimation d'un bien par comparables
+ *
+ * Estime une fourchette de prix à partir des ventes DVF les plus proches du bien :
+ * - proximité géographique : même section, puis même commune, puis même département
+ * - proximité des caractéristiques : même type, surface et nombre de pièces voisins
+ * - proximité temporelle : les ventes récentes pèsent davantage
+ */
+
+import { getVentes } from "./dvf.model.js";
+import { weightedQuantile } from "../utils/utils.js";
+
+/**
+ * Paramètres de sélection des comparables.
+ */
+export const ESTIMATION_CONFIG = {
+  minComparables: 8,            // En dessous, on élargit la zone de recherche
+  maxComparables: 20,           // Nombre de comparables retenus au plus
+  tolerancesSurface: [0.2, 0.4], // Écarts de surface acceptés (20 %, puis 40 %)
+  ecartPieces: 1,               // Écart de nombre de pièces accepté
+  demiVie: 2,                   // Une vente de N années pèse 2^(-N / demiVie)
+};
+
+// Niveaux géographiques parcourus, du plus fin au plus large
+const NIVEAUX = [
+  { niveau: "section", label: "la section cadastrale", fiabilite: 1 },
+  { niveau: "commune", label: "la commune", fiabilite: 0.85 },
+  { niveau: "dept", label: "le département", fiabilite: 0.6 },
+];
+
+/**
+ * Date d'une vente en années décimales (ex : mars 2023 → 2023.17).
+ *
+ * @param {Object} v - Vente DVF.
+ * @returns {number}
+ */
+function dateDecimale(v) {
+  return v.annee + ((v.mois ?? 7) - 1) / 12;
+}
+
+/**
+ * Vérifie si une vente est comparable au bien recherché.
+ *
+ * @param {Object} v - Vente DVF.
+ * @param {{ type: string, surface: number, pieces: number|null }} bien - Bien à estimer.
+ * @param {number} tolerance - Écart de surface relatif accepté.
+ * @param {Object} config - Paramètres de sélection.
+ * @returns {boolean}
+ */
+function estComparable(v, bien, tolerance, config) {
+  if (v.type !== bien.type) return false;
+  if (Math.abs(v.surface - bien.surface) / bien.surface > tolerance) return false;
+  if (bien.pieces && v.nb_pieces && Math.abs(v.nb_pieces - bien.pieces) > config.ecartPieces) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Poids d'un comparable : plus il est récent et proche du bien, plus il compte.
+ *
+ * @param {Object} v - Vente DVF comparable.
+ * @param {{ surface: number, pieces: number|null }} bien - Bien à estimer.
+ * @param {number} reference - Date de référence (années décimales).
+ * @param {Object} config - Paramètres de sélection.
+ * @returns {number} Poids strictement positif.
+ */
+function poidsComparable(v, bien, reference, config) {
+  const anciennete = Math.max(0, reference - dateDecimale(v));
+  const poidsTemps = Math.pow(2, -anciennete / config.demiVie);
+  const poidsSurface = 1 / (1 + 4 * Math.abs(v.surface - bien.surface) / bien.surface);
+  const poidsPieces = bien.pieces && v.nb_pieces && v.nb_pieces !== bien.pieces ? 0.7 : 1;
+  return poidsTemps * poidsSurface * poidsPieces;
+}
+
+/**
+ * Sélectionne les comparables en élargissant progressivement la recherche :
+ * zone géographique d'abord (section → commune → département), puis tolérance de surface.
+ *
+ * @param {Object} bien - Bien à estimer.
+ * @param {Object} lieu - Codes section / commune / département du bien.
+ * @param {{ section: Map, commune: Map, dept: Map }} indexes - Index de ventes.
+ * @param {Object} config - Paramètres de sélection.
+ * @returns {{ niveau: Object, tolerance: number, ventes: Array<Object> }|null}
+ */
+function selectionnerComparables(bien, lieu, indexes, config) {
+  let meilleur = null;
+
+  for (const niveau of NIVEAUX) {
+    const code = lieu[niveau.niveau];
+    if (!code) continue;
+    const ventes = getVentes(indexes[niveau.niveau], code, null);
+
+    for (const tolerance of config.tolerancesSurface) {
+      const candidats = ventes.filter((v) => estComparable(v, bien, tolerance, config));
+      if (candidats.length >= config.minComparables) {
+        return { niveau, tolerance, ventes: candidats };
+      }
+      // On garde l'échantillon le plus fourni au cas où aucun niveau ne suffirait
+      if (candidats.length > (meilleur?.ventes.length ?? 0)) {
+        meilleur = { niveau, tolerance, ventes: candidats };
+      }
+    }
+  }
+
+  return meilleur;
+}
+
+/**
+ * Arrondit un montant au millier d'euros.
+ *
+ * @param {number} n
+ * @returns {number}
+ */
+function arrondiMillier(n) {
+  return Math.round(n / 1000) * 1000;
+}
+
+/**
+ * Estime le prix d'un bien à partir des ventes comparables.
+ *
+ * La fourchette correspond aux quartiles pondérés du prix au m² des comparables
+ * (la moitié des comparables, pondérés, se situent dans cet intervalle), la bande
+ * large aux déciles P10 – P90.
+ *
+ * @param {{ type: "Maison"|"Appartement", surface: number, pieces: number|null }} bien - Bien à estimer.
+ * @param {{ dept: string, commune: string|null, section: string|null, label: string }} lieu - Localisation.
+ * @param {{ section: Map, commune: Map, dept: Map }} indexes - Index de ventes (buildIndexes).
+ * @param {Object} [config=ESTIMATION_CONFIG] - Paramètres de sélection.
+ * @returns {Object|null} Estimation (prix, fourchette, confiance, comparables) ou null sans comparable.
+ */
+export function estimerBien(bien, lieu, indexes, config = ESTIMATION_CONFIG) {
+  const selection = selectionnerComparables(bien, lieu, indexes, config);
+  if (!selection || selection.ventes.length === 0) return null;
+
+  // Date de référence : vente la plus récente de l'échantillon
+  const reference = Math.max(...selection.ventes.map(dateDecimale));
+
+  const comparables = selection.ventes
+    .map((v) => ({ vente: v, poids: poidsComparable(v, bien, reference, config) }))
+    .sort((a, b) => b.poids - a.poids)
+    .slice(0, config.maxComparables);
+
+  const prix = comparables.map((c) => c.vente.prix);
+  const poids = comparables.map((c) => c.poids);
+  const totalPoids = poids.reduce((s, w) => s + w, 0);
+
+  const prixM2 = {
+    p10: weightedQuantile(prix, poids, 0.1),
+    bas: weightedQuantile(prix, poids, 0.25),
+    median: weightedQuantile(prix, poids, 0.5),
+    haut: weightedQuantile(prix, poids, 0.75),
+    p90: weightedQuantile(prix, poids, 0.9),
+  };
+
+  const estimation = {};
+  for (const [cle, valeur] of Object.entries(prixM2)) {
+    estimation[cle] = arrondiMillier(valeur * bien.surface);
+  }
+
+  return {
+    bien,
+    lieu,
+    niveau: selection.niveau.niveau,
+    niveauLabel: selection.niveau.label,
+    tolerance: selection.tolerance,
+    prixM2,
+    estimation,
+    confiance: evaluerConfiance(comparables.length, prixM2, selection.niveau, config),
+    comparables: comparables.map((c) => ({ ...c.vente, poids: c.poids / totalPoids })),
+  };
+}
+
+/**
+ * Évalue la confiance d'une estimation selon la taille de l'échantillon,
+ * la dispersion des prix et la finesse géographique des comparables.
+ *
+ * @param {number} n - Nombre de comparables retenus.
+ * @param {{ bas: number, median: number, haut: number }} prixM2 - Quartiles pondérés.
+ * @param {{ fiabilite: number }} niveau - Niveau géographique des comparables.
+ * @param {Object} config - Paramètres de sélection.
+ * @returns {{ niveau: "élevée"|"moyenne"|"faible", score: number, dispersion: number }}
+ */
+function evaluerConfiance(n, prixM2, niveau, config) {
+  // Écart interquartile relatif (0.2 = fourchette de ±10 % autour de la médiane)
+  const dispersion = prixM2.median > 0 ? (prixM2.haut - prixM2.bas) / prixM2.median : 1;
+  const score = Math.min(1, n / config.maxComparables)
+    * niveau.fiabilite
+    * (1 - Math.min(0.5, dispersion));
+
+  let label = "faible";
+  if (score >= 0.55) label = "élevée";
+  else if (score >= 0.3) label = "moyenne";
+
+  return { niveau: label, score, dispersion };
+}
+
+/* =====================================================
+   LOCALISATION PAR ADRESSE
+===================================================== */
+
+/**
+ * Normalise un texte pour la comparaison d'adresses (minuscules, sans accents).
+ *
+ * @param {string} texte
+ * @returns {string}
+ */
+function normaliser(texte) {
+  return (texte || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+/**
+ * Localise une adresse à partir des adresses des ventes DVF.
+ *
+ * Tous les mots saisis doivent figurer dans "adresse + code postal" d'une vente.
+ * Parmi les ventes trouvées, la section la plus représentée est retenue.
+ *
+ * @param {Array<Object>} ventes - Ventes DVF (state.data.listeVentes()).
+ * @param {string} requete - Adresse saisie (ex : "12 rue de Rivoli 75004").
+ * @returns {{ dept: string, commune: string, section: string|null, label: string }|null}
+ *   Localisation trouvée ou null si aucune vente ne correspond.
+ */
+export function localiserAdresse(ventes, requete) {
+  const mots = normaliser(requete).split(" ").filter(Boolean);
+  if (mots.length === 0) return null;
+
+  const parSection = new Map();
+  for (const v of ventes) {
+    const texte = ` ${normaliser(`${v.adresse} ${v.code_postal}`)} `;
+    if (!mots.every((m) => texte.includes(` ${m} `))) continue;
+
+    const cle = v.section || v.commune;
+    if (!parSection.has(cle)) parSection.set(cle, { vente: v, n: 0 });
+    parSection.get(cle).n++;
+  }
+
+  if (parSection.size === 0) return null;
+
+  const { vente } = [...parSection.values()].sort((a, b) => b.n - a.n)[0];
+  return {
+    dept: vente.dept,
+    commune: vente.commune,
+    section: vente.section,
+    label: `${vente.adresse} ${vente.code_postal || ""}`.trim(),
+  };
+}
@@ -2,7 +2,8 @@
  * Gestion du système de filtrage des données immobilières.
  *
  * Ce module centralise la logique de filtrage multi-critères appliquée
- * aux données DVF (budget, surface, type de bien, accessibilité transport).
+ * aux données DVF (budget, surface, type de bien, accessibilité transport,
+ * score d'accessibilité minimal).
  *
  * Il permet de :
  * - Stocker les critères de filtrage actifs
@@ -11,12 +12,21 @@
  * - Calculer le score de compatibilité d'une zone avec les critères
  */
 
+import { computeStats } from "./dvf.model.js";
+
+// Rayons d'accès à pied proposés (m) : une station dessert une zone
+// si elle est à moins de cette distance (voir accessibilite.model.js)
+export const RAYONS_ACCES = [400, 800, 1200];
+export const RAYON_DEFAUT = 800;
+
 // Stockage des critères de filtrage actifs
 const activeFilters = {
   budget: null,      // Budget maximum (€)
   surface: null,     // Surface minimale (m²)
   type: null,        // Type de bien : "1" (maison) ou "2" (appartement)
-  transport: false   // true = uniquement zones avec transport
+  transport: false,  // true = uniquement zones avec transport
+  rayon: RAYON_DEFAUT, // Distance à pied maximale d'une station (m)
+  accesMin: null     // Score d'accessibilité minimal de la zone (0 à 100)
 };
 
 /**
@@ -27,9 +37,13 @@ const activeFilters = {
  * @param {number|null} filters.surface - Surface minimale en m²
  * @param {string|null} filters.type - Type de bien ("1" ou "2")
  * @param {boolean} filters.transport - Filtre transport actif ou non
+ * @param {number} [filters.rayon] - Rayon d'accès à pied (une valeur de RAYONS_ACCES)
+ * @param {number|null} [filters.accesMin] - Score d'accessibilité minimal (0 à 100)
  */
 export function setFilters(filters) {
-  Object.assign(activeFilters, filters);
+  const { rayon, ...autres } = filters;
+  Object.assign(activeFilters, autres);
+  if (RAYONS_ACCES.includes(rayon)) activeFilters.rayon = rayon;
 }
 
 /**
@@ -49,6 +63,21 @@ export function resetFilters() {
   activeFilters.surface = null;
   activeFilters.type = null;
   activeFilters.transport = false;
+  activeFilters.rayon = RAYON_DEFAUT;
+  activeFilters.accesMin = null;
+}
+
+/**
+ * Indique si une zone est sous le score d'accessibilité minimal demandé.
+ *
+ * Un score inconnu (null : zone sans géométrie, arrêts non chargés) ne l'exclut pas.
+ *
+ * @param {Object} filters - Critères actifs
+ * @param {number|null} scoreAcces - Score d'accessibilité de la zone
+ * @returns {boolean}
+ */
+function isBelowAccessThreshold(filters, scoreAcces) {
+  return filters.accesMin !== null && scoreAcces !== null && scoreAcces < filters.accesMin;
 }
 
 /**
@@ -62,9 +91,10 @@ export function resetFilters() {
  * @param {number} entity.surfaceMin - Surface minimale disponible
  * @param {Array} entity.typeLocal - Types de locaux présents (ex: [1, 2])
  * @param {Array} transports - Liste des lignes de transport desservant la zone
+ * @param {number|null} [scoreAcces=null] - Score d'accessibilité de la zone (voir getAccessibilityScore)
  * @returns {boolean} - true si l'entité respecte tous les filtres actifs
  */
-export function matchesFilters(entity, transports = []) {
+export function matchesFilters(entity, transports = [], scoreAcces = null) {
   const filters = getFilters();
 
   // Filtre budget : exclure si prix médian dépasse le budget
@@ -88,6 +118,11 @@ export function matchesFilters(entity, transports = []) {
     return false;
   }
 
+  // Filtre accessibilité : exclure si le score de la zone est sous le seuil
+  if (isBelowAccessThreshold(filters, scoreAcces)) {
+    return false;
+  }
+
   return true;
 }
 
@@ -95,20 +130,26 @@ export function matchesFilters(entity, transports = []) {
  * Calcule des statistiques filtrées à partir d'un ensemble de ventes.
  *
  * Applique les critères de filtrage actifs sur une liste de ventes DVF
- * et recalcule les indicateurs statistiques (nombre de ventes, répartition
- * maisons/appartements, prix médian) uniquement sur les ventes respectant les filtres.
+ * et recalcule les indicateurs statistiques (voir computeStats : nombre de ventes,
+ * répartition maisons/appartements, prix médian, distributions) uniquement
+ * sur les ventes respectant les filtres.
  *
  * @param {Array} ventes - Liste des ventes DVF brutes
  * @param {Array} transports - Liste des transports desservant la zone (optionnel)
+ * @param {number|null} [scoreAcces=null] - Score d'accessibilité de la zone (optionnel)
  * @returns {Object} - Objet contenant les statistiques filtrées
  * @returns {number} return.ventes - Nombre total de ventes après filtrage
  * @returns {number} return.maisons - Nombre de maisons après filtrage
  * @returns {number} return.apparts - Nombre d'appartements après filtrage
- * @returns {number} return.prixMedian - Prix médian au m² après filtrage
+ * @returns {number|null} return.prixMedian - Prix médian au m² après filtrage
+ * @returns {Object|null} return.distribution - Distribution des prix au m² (quartiles, P10/P90, ...)
+ * @returns {Object|null} return.surfaces - Distribution des surfaces
+ * @returns {Array} return.pieces - Répartition par nombre de pièces
  * @returns {Array} return.ventesFiltered - Liste des ventes respectant les filtres
  */
-export function getFilteredStats(ventes, transports = []) {
+export function getFilteredStats(ventes, transports = [], scoreAcces = null) {
   const filters = getFilters();
+  const sousSeuilAcces = isBelowAccessThreshold(filters, scoreAcces);
   
   // Filtrer les ventes selon les critères actifs
   const ventesFiltered = ventes.filter(vente => {
@@ -140,31 +181,20 @@ export function getFilteredStats(ventes, transports = []) {
       return false;
     }
 
+    // Filtre accessibilité : zone sous le score minimal, exclure toutes les ventes
+    if (sousSeuilAcces) {
+      return false;
+    }
+
     return true;
   });
 
-  // Calcul du nombre total de ventes filtrées
-  const nbVentes = ventesFiltered.length;
-
-  // Répartition par type de bien
-  const nbMaisons = ventesFiltered.filter(v => v.type_local === 1).length;
-  const nbApparts = ventesFiltered.filter(v => v.type_local === 2).length;
-
-  // Calcul du prix médian au m² sur les ventes filtrées
-  const prixAuM2 = ventesFiltered
-    .map(v => v.valeur_fonciere / v.surface_reelle_bati)
-    .sort((a, b) => a - b);
-
-  const prixMedian = prixAuM2.length > 0
-    ? prixAuM2[Math.floor(prixAuM2.length / 2)]
-    : 0;
+  // Calcul des indicateurs (effectifs, médiane, distributions) sur les ventes filtrées
+  const stats = computeStats(ventesFiltered);
 
   // Retourner le format attendu par panel.view.js
   return {
-    ventes: nbVentes,           // Nom de champ attendu par showDeptPanel()
-    maisons: nbMaisons,         // Nom de champ attendu par showDeptPanel()
-    apparts: nbApparts,         // Nom de champ attendu par showDeptPanel()
-    prixMedian: prixMedian,
+    ...stats,                       // ventes, maisons, apparts, prixMedian, distribution...
     ventesFiltered: ventesFiltered  // Pour affichage détaillé dans le panneau
   };
 }
@@ -177,9 +207,10 @@ export function getFilteredStats(ventes, transports = []) {
  * 
  * @param {Array} ventes - Liste des ventes de la zone
  * @param {Array} transports - Liste des transports desservant la zone
+ * @param {number|null} [scoreAcces=null] - Score d'accessibilité de la zone
  * @returns {Object} - { score: 0-100, ventesTotal, ventesCorrespondantes }
  */
-export function calculateCompatibilityScore(ventes, transports = []) {
+export function calculateCompatibilityScore(ventes, transports = [], scoreAcces = null) {
   if (!ventes || ventes.length === 0) {
     return { score: 0, ventesTotal: 0, ventesCorrespondantes: 0 };
   }
@@ -191,12 +222,16 @@ export function calculateCompatibilityScore(ventes, transports = []) {
     filters.budget !== null || 
     filters.surface !== null || 
     filters.type !== null || 
-    filters.transport === true;
+    filters.transport === true ||
+    filters.accesMin !== null;
   
   if (!hasActiveFilters) {
     return { score: 100, ventesTotal: ventes.length, ventesCorrespondantes: ventes.length };
   }
 
+  // Zone sous le score d'accessibilité minimal : aucune vente ne correspond
+  const sousSeuilAcces = isBelowAccessThreshold(filters, scoreAcces);
+
   // Compter les ventes qui correspondent aux filtres
   const ventesCorrespondantes = ventes.filter(vente => {
     // Vérifications de base
@@ -208,6 +243,7 @@ export function calculateCompatibilityScore(ventes, transports = []) {
     if (filters.surface !== null && vente.surface_reelle_bati < filters.surface) return false;
     if (filters.type !== null && vente.type_local !== parseInt(filters.type)) return false;
     if (filters.transport && transports.length === 0) return false;
+    if (sousSeuilAcces) return false;
 
     return true;
   }).length;
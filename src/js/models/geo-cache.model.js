@@ -0,0 +1,116 @@
+/**
+ * Cache des fichiers GeoJSON
+ *
+ * Deux niveaux, consultés dans l'ordre avant tout téléchargement :
+ * 1. mémoire : une promesse par fichier (les demandes simultanées partagent le même téléchargement)
+ * 2. IndexedDB : les fichiers déjà téléchargés restent disponibles d'une visite à l'autre
+ *
+ * Le cache IndexedDB est vidé à chaque changement de GEO_CACHE_VERSION
+ * (à incrémenter lorsque les fichiers de data/ sont régénérés).
+ */
+
+import { fetchJSON, DataUnavailableError } from "./data-access.model.js";
+
+/**
+ * Version des données géographiques : sert de version à la base IndexedDB.
+ */
+export const GEO_CACHE_VERSION = 1;
+
+const DB_NAME = "immoviz-geo";
+const STORE = "geojson";
+
+// Fichier → Promise du contenu (ou de l'erreur 404, pour ne pas redemander un fichier absent)
+const memoire = new Map();
+
+// Connexion IndexedDB (null si indisponible : navigation privée, navigateur ancien...)
+let dbPromise = null;
+
+/**
+ * Ouvre (une seule fois) la base IndexedDB du cache.
+ *
+ * Une nouvelle version supprime et recrée le magasin : les anciens fichiers sont oubliés.
+ *
+ * @returns {Promise<IDBDatabase|null>}
+ */
+function openDb() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve) => {
+    if (typeof indexedDB === "undefined") return resolve(null);
+
+    const request = indexedDB.open(DB_NAME, GEO_CACHE_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (db.objectStoreNames.contains(STORE)) db.deleteObjectStore(STORE);
+      db.createObjectStore(STORE);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => resolve(null);
+    request.onblocked = () => resolve(null);
+  });
+  return dbPromise;
+}
+
+/**
+ * Lit un fichier dans IndexedDB.
+ *
+ * @param {string} path - Chemin du fichier (clé).
+ * @returns {Promise<Object|undefined>} Contenu, ou undefined s'il n'est pas en cache.
+ */
+async function idbGet(path) {
+  const db = await openDb();
+  if (!db) return undefined;
+
+  return new Promise((resolve) => {
+    const request = db.transaction(STORE, "readonly").objectStore(STORE).get(path);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => resolve(undefined);
+  });
+}
+
+/**
+ * Enregistre un fichier dans IndexedDB (les erreurs, ex : quota dépassé, sont ignorées).
+ *
+ * @param {string} path - Chemin du fichier (clé).
+ * @param {Object} data - Contenu.
+ */
+async function idbPut(path, data) {
+  const db = await openDb();
+  if (!db) return;
+
+  try {
+    db.transaction(STORE, "readwrite").objectStore(STORE).put(data, path);
+  } catch (err) {
+    console.warn(`Cache GeoJSON : ${path} non enregistré`, err);
+  }
+}
+
+/**
+ * Charge un fichier JSON en passant par le cache mémoire puis IndexedDB.
+ *
+ * @param {string} path - Chemin relatif du fichier.
+ * @param {string} label - Description des données (messages d'erreur et de chargement).
+ * @returns {Promise<Object>} Contenu du fichier.
+ * @throws {DataUnavailableError} Si le fichier est absent ou illisible.
+ */
+export function getCachedJSON(path, label) {
+  if (memoire.has(path)) return memoire.get(path);
+
+  const promise = (async () => {
+    const cached = await idbGet(path);
+    if (cached !== undefined) return cached;
+
+    const data = await fetchJSON(path, label);
+    idbPut(path, data);
+    return data;
+  })();
+
+  memoire.set(path, promise);
+
+  // Seul un fichier absent (404) reste en cache ; les autres erreurs peuvent être réessayées
+  promise.catch((err) => {
+    if (!(err instanceof DataUnavailableError && err.status === 404)) memoire.delete(path);
+  });
+
+  return promise;
+}
@@ -1,3 +1,16 @@
+import { getCachedJSON } from "./geo-cache.model.js";
+import { pointInGeometry } from "../utils/utils.js";
+import { createGridIndex, insertItem, queryAround, geometryBox } from "./spatial-index.model.js";
+
+// Département → Promise<Map(code commune → sections de la commune)>
+const sectionsParCommune = new Map();
+
+// Côté des cellules de l'index des emprises de zones (degrés, ≈ 1 à 2 km)
+const TAILLE_CELLULE_DEG = 0.02;
+
+// Collection (ou liste) de features → index en grille des emprises
+const emprisesParCollection = new WeakMap();
+
 /**
  * Charge les contours géographiques des départements d'Île-de-France.
  *
@@ -5,10 +18,11 @@
  * le premier niveau de l'exploration multi-échelle.
  *
  * @returns {Promise<GeoJSON.FeatureCollection>} Contours départementaux.
+ * @throws {DataUnavailableError} Si le fichier est absent ou illisible.
  */
 export async function loadDepartmentsGeo() {
   // Récupération du fichier GeoJSON local contenant les départements d'IDF
-  return fetch("data/idf.geojson").then((r) => r.json());
+  return getCachedJSON("data/idf.geojson", "les contours des départements");
 }
 
 /**
@@ -16,15 +30,18 @@ export async function loadDepartmentsGeo() {
  *
  * Les communes ne sont chargées qu'au clic sur un département afin
  * de limiter la quantité de données chargées initialement et améliorer
- * les performances d'affichage.
+ * les performances d'affichage. Les fichiers sont mis en cache
+ * (mémoire et IndexedDB) : une nouvelle demande est immédiate.
  *
  * @param {string} codeDept - Code INSEE du département (ex : "75", "92", "93").
  * @returns {Promise<GeoJSON.FeatureCollection>} Communes du département.
+ * @throws {DataUnavailableError} Si le fichier du département est absent (ex : "77").
  */
 export async function loadCommunesGeo(codeDept) {
   // Chemin dynamique : données organisées par département dans /data/<code>/
-  return fetch(`data/${codeDept}/communes-${codeDept}.geojson`).then((r) =>
-    r.json(),
+  return getCachedJSON(
+    `data/${codeDept}/communes-${codeDept}.geojson`,
+    `les communes du département ${codeDept}`,
   );
 }
 
@@ -32,14 +49,98 @@ export async function loadCommunesGeo(codeDept) {
  * Charge les sections cadastrales d'un département.
  *
  * Les sections sont le niveau le plus fin de détail dans l'application.
- * Elles ne sont chargées qu'au clic sur une commune et filtrées ensuite
- * pour ne garder que celles correspondant à la commune sélectionnée.
+ * Elles ne sont chargées qu'au clic sur une commune ; voir loadCommuneSections
+ * pour obtenir directement les sections d'une commune.
  *
  * @param {string} codeDept - Code INSEE du département.
  * @returns {Promise<GeoJSON.FeatureCollection>} Sections cadastrales du département.
+ * @throws {DataUnavailableError} Si le fichier du département est absent (ex : "78", "91", "95").
  */
 export async function loadSectionsGeo(codeDept) {
-  return fetch(`data/${codeDept}/sections-${codeDept}.geojson`).then((r) =>
-    r.json(),
+  return getCachedJSON(
+    `data/${codeDept}/sections-${codeDept}.geojson`,
+    `les sections cadastrales du département ${codeDept}`,
+  );
+}
+
+/**
+ * Charge les sections cadastrales d'une commune.
+ *
+ * Le fichier du département n'est parcouru qu'une fois : les sections
+ * sont ensuite indexées par commune.
+ *
+ * @param {string} codeDept - Code INSEE du département.
+ * @param {string} codeCommune - Code INSEE de la commune.
+ * @returns {Promise<Array<GeoJSON.Feature>>} Sections de la commune (vide si aucune).
+ * @throws {DataUnavailableError} Si le fichier du département est absent.
+ */
+export async function loadCommuneSections(codeDept, codeCommune) {
+  if (!sectionsParCommune.has(codeDept)) {
+    const index = loadSectionsGeo(codeDept).then((geo) => {
+      const parCommune = new Map();
+      for (const f of geo.features) {
+        const code = f.properties.commune;
+        if (!parCommune.has(code)) parCommune.set(code, []);
+        parCommune.get(code).push(f);
+      }
+      return parCommune;
+    });
+    sectionsParCommune.set(codeDept, index);
+    // Un échec n'est pas mémorisé ici (le cache des fichiers décide d'un nouvel essai)
+    index.catch(() => sectionsParCommune.delete(codeDept));
+  }
+  return (await sectionsParCommune.get(codeDept)).get(codeCommune) ?? [];
+}
+
+/**
+ * Précharge en parallèle les contours de plusieurs départements.
+ *
+ * Les fichiers absents sont ignorés : ils seront signalés au moment de leur utilisation.
+ *
+ * @param {Array<string>} codesDept - Codes des départements.
+ * @param {{ sections?: boolean }} [options] - sections : précharger aussi les sections cadastrales.
+ * @returns {Promise<void>} Résolue quand tous les téléchargements sont terminés.
+ */
+export async function prefetchGeo(codesDept, { sections = false } = {}) {
+  await Promise.allSettled(
+    codesDept.flatMap((code) => [
+      loadCommunesGeo(code),
+      ...(sections ? [loadSectionsGeo(code)] : []),
+    ]),
   );
 }
+
+/**
+ * Retrouve la feature d'une collection GeoJSON contenant un point.
+ *
+ * Utilisé pour localiser un clic sur la carte (département, commune, section).
+ *
+ * @param {GeoJSON.FeatureCollection|Array<GeoJSON.Feature>|null} geo - Features candidates.
+ * @param {L.LatLng} latlng - Point recherché.
+ * @returns {GeoJSON.Feature|null} Feature contenant le point ou null.
+ */
+export function findFeatureAt(geo, latlng) {
+  if (!geo) return null;
+  // Seules les zones dont l'emprise couvre la cellule du point sont testées
+  const candidates = queryAround(zoneIndex(geo), latlng.lng, latlng.lat, 0);
+  // Test plan (indépendant du sens des contours, non normalisé dans les fichiers source)
+  return candidates.find((f) => pointInGeometry(latlng.lng, latlng.lat, f.geometry)) || null;
+}
+
+/**
+ * Index en grille des emprises d'un ensemble de zones (construit une fois par collection).
+ *
+ * @param {GeoJSON.FeatureCollection|Array<GeoJSON.Feature>} geo - Zones.
+ * @returns {Object} Index (voir spatial-index.model.js).
+ */
+function zoneIndex(geo) {
+  if (emprisesParCollection.has(geo)) return emprisesParCollection.get(geo);
+
+  const index = createGridIndex(TAILLE_CELLULE_DEG);
+  for (const f of Array.isArray(geo) ? geo : geo.features || []) {
+    const box = geometryBox(f.geometry);
+    if (box) insertItem(index, f, box);
+  }
+  emprisesParCollection.set(geo, index);
+  return index;
+}
@@ -0,0 +1,57 @@
+/**
+ * Variable représentée sur la carte des communes et des sections
+ *
+ * - prix : prix médian au m² (classes choisies dans la légende)
+ * - acces : score d'accessibilité en transports (voir accessibilite.model.js)
+ * - bivarie : prix et accessibilité croisés (3 × 3 classes), pour repérer
+ *   les zones bien desservies et bon marché
+ *
+ * Avec des filtres actifs, la carte représente toujours la compatibilité.
+ */
+
+// Libellés des variables (ordre d'affichage dans la légende)
+export const MAP_VARIABLES = {
+  prix: "Prix au m²",
+  acces: "Accessibilité transports",
+  bivarie: "Prix × accessibilité",
+};
+
+// Seuils du score d'accessibilité (sur 100) : 5 classes sur la carte d'accessibilité
+export const SEUILS_SCORE_ACCES = [20, 40, 60, 80];
+
+// Seuils du score d'accessibilité sur la carte bivariée (faible / moyenne / élevée)
+export const TERCILES_SCORE_ACCES = [33, 66];
+
+// Variable active
+let activeVariable = "prix";
+
+/**
+ * Change la variable représentée.
+ *
+ * @param {string} key - Clé de MAP_VARIABLES (ignorée si inconnue).
+ */
+export function setMapVariable(key) {
+  if (key in MAP_VARIABLES) activeVariable = key;
+}
+
+/**
+ * Variable représentée.
+ *
+ * @returns {string} Clé de MAP_VARIABLES.
+ */
+export function getMapVariable() {
+  return activeVariable;
+}
+
+/**
+ * Classe d'une valeur selon des seuils (bornes supérieures incluses).
+ *
+ * @param {number} value
+ * @param {number[]} seuils - Seuils croissants.
+ * @returns {number|null} Rang de la classe (0 = valeurs les plus basses), null si valeur invalide.
+ */
+export function classOf(value, seuils) {
+  if (value == null || isNaN(value)) return null;
+  const i = seuils.findIndex((s) => value <= s);
+  return i === -1 ? seuils.length : i;
+}
@@ -0,0 +1,307 @@
+/**
+ * Palettes de couleurs de l'application
+ *
+ * Point unique de définition des couleurs des données : carte des prix
+ * (et sa légende), ventes individuelles, compatibilité avec les filtres
+ * (carte, infobulles, indicateurs du panneau), surface achetable,
+ * accessibilité en transports (seule ou croisée avec les prix), types de bien
+ * (graphiques des panneaux) et mises en évidence (lieu recherché, vente choisie).
+ *
+ * La palette choisie est mémorisée dans le navigateur (localStorage)
+ * et retrouvée à la visite suivante.
+ *
+ * Palettes proposées :
+ * - classique : vert → rouge (historique de l'application)
+ * - viridis, cividis : séquentielles, lisibles par les personnes daltoniennes
+ *   et en niveaux de gris
+ * - bleu → rouge, violet → orange : divergentes sans opposition rouge / vert
+ * - niveaux de gris : impression noir et blanc
+ */
+
+// Clé de stockage du choix de l'utilisateur
+const STORAGE_KEY = "immoviz-palette";
+
+// Couleur des zones sans donnée (toutes palettes)
+export const NO_DATA_COLOR = "#cccccc";
+
+// Surfaces achetables : bleus (une seule teinte, lisible par tous)
+const BLEUS = ["#f7fbff", "#deebf7", "#c6dbef", "#9ecae1", "#6baed6", "#4292c6", "#2171b5", "#08519c", "#08306b"];
+
+// Accessibilité en transports : jaune → vert → bleu (lisible par tous)
+const YLGNBU = ["#ffffd9", "#edf8b1", "#c7e9b4", "#7fcdbb", "#41b6c4", "#1d91c0", "#225ea8", "#253494", "#081d58"];
+
+// Niveaux de gris (impression)
+const GRIS = ["#f7f7f7", "#e0e0e0", "#c4c4c4", "#a6a6a6", "#878787", "#696969", "#4d4d4d", "#2e2e2e", "#111111"];
+
+// Types de bien : bleu / rouge (historique), bleu / vermillon (Okabe-Ito, daltonisme), gris
+const TYPES_CLASSIQUE = { apparts: "#1e88e5", maisons: "#E4002B" };
+const TYPES_DALTONISME = { apparts: "#0072b2", maisons: "#d55e00" };
+const TYPES_GRIS = { apparts: "#969696", maisons: "#111111" };
+
+// Mises en évidence : marqueur du lieu recherché, contour de la vente choisie
+const SURBRILLANCE = { recherche: "#E4002B", vente: "#1a1a1a" };
+const SURBRILLANCE_GRIS = { recherche: "#111111", vente: "#000000" };
+
+/**
+ * Registre des palettes.
+ *
+ * - prix : 9 couleurs, des prix les plus bas aux plus élevés
+ * - compatibilite : 4 couleurs, de la compatibilité faible (≤ 30 %) à excellente (> 80 %)
+ * - surface : 9 couleurs, de la plus petite surface achetable à la plus grande
+ * - acces : 9 couleurs, du score d'accessibilité le plus faible au plus élevé
+ * - types : couleur de chaque type de bien (apparts, maisons)
+ * - surbrillance : couleurs de mise en évidence (recherche, vente)
+ */
+export const PALETTES = {
+  classique: {
+    label: "Vert → rouge (classique)",
+    prix: ["#006400", "#1e8f3a", "#6cc04a", "#b6e43a", "#ffd700", "#ffb000", "#ff8c00", "#ff3b1f", "#8b0000"],
+    compatibilite: ["#ff5252", "#ff9800", "#ffc107", "#4caf50"],
+    surface: BLEUS,
+    acces: YLGNBU,
+    types: TYPES_CLASSIQUE,
+    surbrillance: SURBRILLANCE,
+  },
+  viridis: {
+    label: "Viridis (daltonisme)",
+    prix: ["#fde725", "#addc30", "#5ec962", "#28ae80", "#21918c", "#2c728e", "#3b528b", "#472d7b", "#440154"],
+    compatibilite: ["#fde725", "#5ec962", "#21918c", "#3b528b"],
+    surface: BLEUS,
+    acces: YLGNBU,
+    types: TYPES_DALTONISME,
+    surbrillance: SURBRILLANCE,
+  },
+  cividis: {
+    label: "Cividis (daltonisme)",
+    prix: ["#fee838", "#c4b56c", "#a69d75", "#8a8779", "#707173", "#575d6d", "#3b496c", "#123570", "#00224e"],
+    compatibilite: ["#fee838", "#a69d75", "#575d6d", "#00224e"],
+    surface: BLEUS,
+    acces: YLGNBU,
+    types: TYPES_DALTONISME,
+    surbrillance: SURBRILLANCE,
+  },
+  bleuRouge: {
+    label: "Bleu → rouge (divergente, daltonisme)",
+    prix: ["#313695", "#4575b4", "#74add1", "#abd9e9", "#ffffbf", "#fee090", "#fdae61", "#f46d43", "#d73027"],
+    compatibilite: ["#d73027", "#fdae61", "#abd9e9", "#4575b4"],
+    surface: BLEUS,
+    acces: YLGNBU,
+    types: TYPES_DALTONISME,
+    surbrillance: SURBRILLANCE,
+  },
+  violetOrange: {
+    label: "Violet → orange (divergente, daltonisme)",
+    prix: ["#542788", "#8073ac", "#b2abd2", "#d8daeb", "#f7f7f7", "#fee0b6", "#fdb863", "#e08214", "#b35806"],
+    compatibilite: ["#b35806", "#fdb863", "#b2abd2", "#542788"],
+    surface: BLEUS,
+    acces: YLGNBU,
+    types: TYPES_DALTONISME,
+    surbrillance: SURBRILLANCE,
+  },
+  gris: {
+    label: "Niveaux de gris (impression)",
+    prix: GRIS,
+    compatibilite: ["#d9d9d9", "#969696", "#525252", "#111111"],
+    surface: GRIS,
+    acces: GRIS,
+    types: TYPES_GRIS,
+    surbrillance: SURBRILLANCE_GRIS,
+  },
+};
+
+/**
+ * Lit la palette mémorisée (palette classique si absente ou inconnue).
+ *
+ * @returns {string} Clé de PALETTES.
+ */
+function readStoredPalette() {
+  try {
+    const key = localStorage.getItem(STORAGE_KEY);
+    return key in PALETTES ? key : "classique";
+  } catch {
+    // Stockage indisponible (navigation privée stricte...) : palette par défaut
+    return "classique";
+  }
+}
+
+// Palette active
+let activePalette = readStoredPalette();
+
+/**
+ * Change la palette active et la mémorise.
+ *
+ * @param {string} key - Clé de PALETTES (ignorée si inconnue).
+ */
+export function setPalette(key) {
+  if (!(key in PALETTES)) return;
+  activePalette = key;
+  try {
+    localStorage.setItem(STORAGE_KEY, key);
+  } catch {
+    // Choix conservé pour la session uniquement
+  }
+}
+
+/**
+ * Clé de la palette active.
+ *
+ * @returns {string}
+ */
+export function getPaletteKey() {
+  return activePalette;
+}
+
+/* =====================================================
+   PRIX AU M²
+===================================================== */
+
+/**
+ * Retourne la palette de couleurs utilisée pour représenter
+ * les prix immobiliers, du plus faible au plus élevé.
+ *
+ * @returns {string[]} Liste de couleurs hexadécimales.
+ */
+export function heatPalette() {
+  return PALETTES[activePalette].prix;
+}
+
+/**
+ * Associe une valeur à une couleur en fonction des seuils de classes calculés
+ * (quantiles ou autre méthode, voir classification.model.js).
+ *
+ * Si la valeur n'est pas valide, une couleur neutre est appliquée.
+ *
+ * @param {number} value - Valeur numérique à classifier.
+ * @param {number[]} quantiles - Seuils de classes (bornes supérieures incluses).
+ * @param {string[]} [palette=heatPalette()] - Palette de couleurs.
+ * @returns {string} Couleur hexadécimale correspondante.
+ */
+export function heatColorQuantile(value, quantiles, palette = heatPalette()) {
+  if (value == null || isNaN(value)) return NO_DATA_COLOR;
+  // Première valeur ≤ seuil → classe correspondante (sinon dernière classe)
+  let classe = quantiles.findIndex((q) => value <= q);
+  if (classe === -1) classe = quantiles.length;
+  return classColor(classe, quantiles.length + 1, palette);
+}
+
+/**
+ * Couleur d'une classe : les couleurs sont réparties sur toute la palette,
+ * d'une extrémité à l'autre quel que soit le nombre de classes.
+ *
+ * @param {number} classe - Rang de la classe (0 = valeurs les plus basses).
+ * @param {number} nbClasses - Nombre de classes.
+ * @param {string[]} [palette=heatPalette()] - Palette de couleurs.
+ * @returns {string} Couleur hexadécimale.
+ */
+export function classColor(classe, nbClasses, palette = heatPalette()) {
+  if (nbClasses <= 1) return palette[Math.floor(palette.length / 2)];
+  return palette[Math.round((classe * (palette.length - 1)) / (nbClasses - 1))];
+}
+
+/* =====================================================
+   COMPATIBILITÉ AVEC LES FILTRES
+===================================================== */
+
+/**
+ * Niveau de compatibilité d'un score (mêmes paliers pour la carte,
+ * les infobulles et l'indicateur du panneau).
+ *
+ * @param {number} score - Score de 0 à 100.
+ * @returns {"none"|"low"|"medium"|"good"|"high"}
+ */
+export function compatibilityLevel(score) {
+  if (score === 0) return "none";
+  if (score <= 30) return "low";
+  if (score <= 60) return "medium";
+  if (score <= 80) return "good";
+  return "high";
+}
+
+/**
+ * Retourne la couleur selon le score de compatibilité.
+ *
+ * @param {number} score - Score de 0 à 100.
+ * @returns {string} Code couleur hexadécimal.
+ */
+export function getCompatibilityColor(score) {
+  const [low, medium, good, high] = PALETTES[activePalette].compatibilite;
+  return { none: NO_DATA_COLOR, low, medium, good, high }[compatibilityLevel(score)];
+}
+
+/* =====================================================
+   SURFACE ACHETABLE
+===================================================== */
+
+/**
+ * Palette séquentielle de la surface achetable : plus c'est foncé,
+ * plus la surface accessible est grande.
+ *
+ * @returns {string[]} Couleurs du plus clair au plus foncé.
+ */
+export function surfacePalette() {
+  return PALETTES[activePalette].surface;
+}
+
+/* =====================================================
+   ACCESSIBILITÉ EN TRANSPORTS
+===================================================== */
+
+/**
+ * Palette séquentielle du score d'accessibilité : plus c'est foncé,
+ * mieux la zone est desservie.
+ *
+ * @returns {string[]} Couleurs du plus clair au plus foncé.
+ */
+export function accesPalette() {
+  return PALETTES[activePalette].acces;
+}
+
+/**
+ * Carte bivariée prix × accessibilité : 3 classes de prix (colonnes)
+ * × 3 classes d'accessibilité (lignes), toutes palettes confondues.
+ *
+ * Teintes bleues : bien desservi et bon marché ; rouges : cher et peu desservi ;
+ * foncées : cher et bien desservi.
+ */
+export const BIVARIATE_COLORS = [
+  // accessibilité faible : prix bas → élevé
+  ["#e8e8e8", "#e4acac", "#c85a5a"],
+  // accessibilité moyenne
+  ["#b0d5df", "#ad9ea5", "#985356"],
+  // accessibilité élevée
+  ["#64acbe", "#627f8c", "#574249"],
+];
+
+/**
+ * Couleur d'une zone sur la carte bivariée.
+ *
+ * @param {number} classePrix - 0 (bas), 1 (moyen) ou 2 (élevé).
+ * @param {number} classeAcces - 0 (faible), 1 (moyenne) ou 2 (élevée).
+ * @returns {string} Couleur hexadécimale (NO_DATA_COLOR si une classe manque).
+ */
+export function bivariateColor(classePrix, classeAcces) {
+  return BIVARIATE_COLORS[classeAcces]?.[classePrix] ?? NO_DATA_COLOR;
+}
+
+/* =====================================================
+   TYPES DE BIEN ET MISES EN ÉVIDENCE
+===================================================== */
+
+/**
+ * Couleur de chaque type de bien (graphiques d'évolution des panneaux).
+ *
+ * @returns {{ apparts: string, maisons: string }} Couleurs hexadécimales.
+ */
+export function typeColors() {
+  return PALETTES[activePalette].types;
+}
+
+/**
+ * Couleurs de mise en évidence : marqueur du lieu recherché
+ * et contour de la vente choisie dans un tableau.
+ *
+ * @returns {{ recherche: string, vente: string }} Couleurs hexadécimales.
+ */
+export function highlightColors() {
+  return PALETTES[activePalette].surbrillance;
+}
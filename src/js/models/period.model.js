@@ -0,0 +1,170 @@
+/**
+ * Gestion de la période d'analyse des données DVF.
+ *
+ * Les ventes sont chargées sur plusieurs millésimes et tous les agrégats
+ * (stats départementales, prix médians, index de ventes) sont indexés par année.
+ * Ce module centralise la période actuellement sélectionnée :
+ * - toutes les années (from = to = null)
+ * - une seule année (from === to)
+ * - un intervalle d'années (bornes incluses, une borne null = ouverte)
+ * - un trimestre d'une année (from === to et trimestre renseigné)
+ *
+ * Il porte aussi la granularité du curseur temporel (année ou trimestre).
+ */
+
+// Période active (années incluses)
+const activePeriod = {
+  from: null,      // Première année incluse (null = pas de borne basse)
+  to: null,        // Dernière année incluse (null = pas de borne haute)
+  trimestre: null, // Trimestre (1 à 4), uniquement pour une année unique
+};
+
+// Granularité des pas du curseur temporel : "annee" ou "trimestre"
+let granularity = "annee";
+
+/**
+ * Met à jour la période d'analyse active.
+ *
+ * @param {Object} period - Nouvelle période
+ * @param {number|null} period.from - Première année incluse
+ * @param {number|null} period.to - Dernière année incluse
+ * @param {number|null} [period.trimestre] - Trimestre (1 à 4) si une seule année
+ */
+export function setPeriod(period) {
+  Object.assign(activePeriod, period);
+
+  // On garantit from <= to pour simplifier les tests d'appartenance
+  if (activePeriod.from !== null && activePeriod.to !== null && activePeriod.from > activePeriod.to) {
+    [activePeriod.from, activePeriod.to] = [activePeriod.to, activePeriod.from];
+  }
+
+  // Un trimestre n'a de sens que pour une année unique
+  if (!isSingleYear(activePeriod)) activePeriod.trimestre = null;
+}
+
+/**
+ * Récupère une copie de la période active.
+ *
+ * @returns {{ from: number|null, to: number|null, trimestre: number|null }}
+ */
+export function getPeriod() {
+  return { ...activePeriod };
+}
+
+/**
+ * Réinitialise la période : toutes les années.
+ */
+export function resetPeriod() {
+  activePeriod.from = null;
+  activePeriod.to = null;
+  activePeriod.trimestre = null;
+}
+
+/**
+ * Indique si une période couvre toutes les années disponibles.
+ *
+ * @param {{ from: number|null, to: number|null }} period
+ * @returns {boolean}
+ */
+export function isAllYears(period) {
+  return !period || (period.from == null && period.to == null);
+}
+
+/**
+ * Indique si une période correspond à une seule année.
+ *
+ * @param {{ from: number|null, to: number|null }} period
+ * @returns {boolean}
+ */
+export function isSingleYear(period) {
+  return !!period && period.from != null && period.from === period.to;
+}
+
+/**
+ * Indique si une période correspond à un trimestre d'une année.
+ *
+ * @param {{ from: number|null, to: number|null, trimestre?: number|null }} period
+ * @returns {boolean}
+ */
+export function isQuarter(period) {
+  return isSingleYear(period) && period.trimestre != null;
+}
+
+/**
+ * Vérifie si une année appartient à une période (bornes incluses).
+ *
+ * @param {number} annee - Année à tester
+ * @param {{ from: number|null, to: number|null }} period
+ * @returns {boolean}
+ */
+export function isYearInPeriod(annee, period) {
+  if (isAllYears(period)) return true;
+  if (period.from != null && annee < period.from) return false;
+  if (period.to != null && annee > period.to) return false;
+  return true;
+}
+
+/**
+ * Construit une clé texte unique pour une période (utile pour les caches).
+ *
+ * Exemples : { from: 2020, to: 2022 } → "2020-2022", trimestre 2 de 2023 → "2023-2023-T2"
+ *
+ * @param {{ from: number|null, to: number|null, trimestre?: number|null }} period
+ * @returns {string}
+ */
+export function periodKey(period) {
+  if (isAllYears(period)) return "all";
+  const base = `${period.from ?? ""}-${period.to ?? ""}`;
+  return isQuarter(period) ? `${base}-T${period.trimestre}` : base;
+}
+
+/**
+ * Formate une période pour affichage dans les panneaux.
+ *
+ * Exemples : "Toutes les années", "2022", "T3 2022", "2020 – 2023", "depuis 2021"
+ *
+ * @param {{ from: number|null, to: number|null, trimestre?: number|null }} period
+ * @returns {string}
+ */
+export function formatPeriod(period) {
+  if (isAllYears(period)) return "Toutes les années";
+  if (isQuarter(period)) return `T${period.trimestre} ${period.from}`;
+  if (isSingleYear(period)) return `${period.from}`;
+  if (period.from == null) return `jusqu'à ${period.to}`;
+  if (period.to == null) return `depuis ${period.from}`;
+  return `${period.from} – ${period.to}`;
+}
+
+/* =====================================================
+   CURSEUR TEMPOREL
+===================================================== */
+
+/**
+ * Change la granularité des pas du curseur temporel.
+ *
+ * @param {"annee"|"trimestre"} value - Nouvelle granularité
+ */
+export function setGranularity(value) {
+  granularity = value === "trimestre" ? "trimestre" : "annee";
+}
+
+/**
+ * Construit la liste ordonnée des périodes parcourues par le curseur temporel.
+ *
+ * Exemple (trimestre) : [{ from: 2022, to: 2022, trimestre: 1 }, ..., { from: 2023, to: 2023, trimestre: 4 }]
+ *
+ * @param {number[]} years - Années disponibles (triées)
+ * @param {"annee"|"trimestre"} [gran=granularity] - Granularité des pas
+ * @returns {Array<{ from: number, to: number, trimestre: number|null }>} Périodes successives
+ */
+export function listTimeSteps(years, gran = granularity) {
+  const steps = [];
+  for (const annee of years) {
+    if (gran === "trimestre") {
+      for (let t = 1; t <= 4; t++) steps.push({ from: annee, to: annee, trimestre: t });
+    } else {
+      steps.push({ from: annee, to: annee, trimestre: null });
+    }
+  }
+  return steps;
+}
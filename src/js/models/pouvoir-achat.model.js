@@ -1,43 +1,145 @@
 /**
  * Modèle pour l'analyse de pouvoir d'achat
  * 
- * Calcule quelles communes sont accessibles avec un budget donné
- * et quelle surface on peut acheter
+ * Calcule la capacité d'achat réelle à partir d'un plan de financement
+ * (apport, prêt immobilier, frais de notaire), puis quelles communes
+ * sont accessibles avec ce budget et quelle surface on peut acheter
  */
 
+import { computePrixSegment, PETIT_ECHANTILLON } from "./dvf.model.js";
+
+/* =====================================================
+   PLAN DE FINANCEMENT
+===================================================== */
+
+// Taux d'endettement maximal (recommandation HCSF : 35 %, assurance comprise)
+export const TAUX_ENDETTEMENT_MAX = 0.35;
+
+// Durée maximale d'un prêt immobilier selon le HCSF (en années)
+export const DUREE_MAX_ANS = 25;
+
+// Frais de notaire (droits de mutation inclus) en part du prix du bien
+export const FRAIS_NOTAIRE = {
+  ancien: 0.075,
+  neuf: 0.025,
+};
+
 /**
- * Calcule les communes accessibles avec un budget donné
- * 
- * @param {number} budget - Budget en euros
- * @param {Object} prixCommune - Prix médian par commune { communeId: prix }
- * @param {Object} geoCommunes - GeoJSON des communes
- * @returns {Array} - Liste des communes avec surface possible, triée par surface décroissante
+ * Calcule le capital empruntable pour une mensualité donnée.
+ *
+ * La mensualité couvre le remboursement du prêt (annuités constantes)
+ * et l'assurance emprunteur, calculée sur le capital initial.
+ *
+ * @param {number} mensualite - Mensualité totale (€/mois, assurance comprise)
+ * @param {number} dureeAns - Durée du prêt en années
+ * @param {number} taux - Taux nominal annuel (ex : 0.035 pour 3,5 %)
+ * @param {number} tauxAssurance - Taux annuel d'assurance (ex : 0.003 pour 0,3 %)
+ * @returns {number} Capital empruntable en euros
+ */
+export function capitalEmpruntable(mensualite, dureeAns, taux, tauxAssurance) {
+  if (!(mensualite > 0) || !(dureeAns > 0)) return 0;
+
+  const n = dureeAns * 12;
+  const r = taux / 12;
+  // Part de capital remboursée chaque mois pour 1 € emprunté
+  const facteurPret = r > 0 ? r / (1 - Math.pow(1 + r, -n)) : 1 / n;
+  const facteurAssurance = tauxAssurance / 12;
+
+  return mensualite / (facteurPret + facteurAssurance);
+}
+
+/**
+ * Calcule le plan de financement d'un acheteur.
+ *
+ * 1. Mensualité maximale : 35 % des revenus nets (HCSF), éventuellement
+ *    plafonnée par la mensualité souhaitée
+ * 2. Capital empruntable pour cette mensualité
+ * 3. Budget total = apport + emprunt, dont on déduit les frais de notaire
+ *    (plus élevés dans l'ancien que dans le neuf)
+ *
+ * Sans revenus renseignés, seul l'apport est pris en compte (achat comptant).
+ *
+ * @param {Object} params - Paramètres du financement
+ * @param {number} params.apport - Apport personnel (€)
+ * @param {number} params.revenuMensuel - Revenus nets mensuels du foyer (€)
+ * @param {number|null} [params.mensualiteMax] - Mensualité maximale souhaitée (€/mois)
+ * @param {number} params.dureeAns - Durée du prêt (années, plafonnée à DUREE_MAX_ANS)
+ * @param {number} params.taux - Taux nominal annuel (ex : 0.035)
+ * @param {number} params.tauxAssurance - Taux annuel d'assurance (ex : 0.003)
+ * @param {"ancien"|"neuf"} params.etat - Bien ancien ou neuf (frais de notaire)
+ * @returns {{
+ *   apport: number, emprunt: number, mensualite: number, dureeAns: number,
+ *   coutCredit: number, budgetTotal: number, fraisNotaire: number, prixMax: number
+ * }} Plan de financement (prixMax = prix du bien finançable hors frais)
  */
-export function analyserPouvoirAchat(budget, prixCommune, geoCommunes) {
-  const results = [];
+export function calculerFinancement(params) {
+  const apport = Math.max(0, params.apport || 0);
+  const dureeAns = Math.min(params.dureeAns || DUREE_MAX_ANS, DUREE_MAX_ANS);
+
+  // Mensualité maximale selon le taux d'endettement et le souhait de l'acheteur
+  let mensualite = Math.max(0, (params.revenuMensuel || 0) * TAUX_ENDETTEMENT_MAX);
+  if (params.mensualiteMax > 0) mensualite = Math.min(mensualite, params.mensualiteMax);
+
+  const emprunt = capitalEmpruntable(mensualite, dureeAns, params.taux || 0, params.tauxAssurance || 0);
 
-  // Pour chaque commune dans le GeoJSON
-  for (const feature of geoCommunes.features) {
-    const communeId = feature.properties.id;
-    const communeName = feature.properties.nom;
-    const prixM2 = prixCommune[communeId];
+  // Coût total du crédit (intérêts + assurance) sur toute la durée
+  const coutCredit = emprunt > 0 ? mensualite * dureeAns * 12 - emprunt : 0;
+
+  // Le budget couvre le prix du bien et les frais de notaire : budget = prix × (1 + frais)
+  const budgetTotal = apport + emprunt;
+  const tauxFrais = FRAIS_NOTAIRE[params.etat] ?? FRAIS_NOTAIRE.ancien;
+  const prixMax = budgetTotal / (1 + tauxFrais);
+
+  return {
+    apport,
+    emprunt: Math.round(emprunt),
+    mensualite: emprunt > 0 ? Math.round(mensualite) : 0,
+    dureeAns,
+    coutCredit: Math.round(coutCredit),
+    budgetTotal: Math.round(budgetTotal),
+    fraisNotaire: Math.round(budgetTotal - prixMax),
+    prixMax: Math.round(prixMax),
+  };
+}
 
-    // Si on a un prix médian pour cette commune
-    if (prixM2 && prixM2 > 0) {
+/* =====================================================
+   CLASSEMENT DES ZONES
+===================================================== */
+
+/**
+ * Calcule la surface achetable dans chaque zone avec un budget donné
+ *
+ * Le prix au m² de chaque zone est la médiane des ventes du segment recherché
+ * (type de bien, nombre de pièces minimal) et non la médiane tous types confondus :
+ * un acheteur de maison n'obtient pas le prix des appartements.
+ *
+ * Toutes les zones sont conservées :
+ * - les zones dont l'échantillon du segment est faible sont signalées (petitEchantillon)
+ * - les zones sans vente du segment ont une surface nulle et sont classées en dernier
+ *
+ * @param {number} budget - Prix maximal du bien en euros (hors frais de notaire)
+ * @param {Array<{ id: string, name: string, ventes: Array<Object> }>} zones - Zones analysées et leurs ventes
+ * @param {{ type?: string|null, piecesMin?: number|null }} [segment] - Segment recherché
+ * @returns {Array} - Liste des zones avec surface possible, triée par surface décroissante
+ */
+export function analyserPouvoirAchat(budget, zones, segment = {}) {
+  const results = zones.map((zone) => {
+    const { ventes, prixMedian } = computePrixSegment(zone.ventes, segment);
+    const prixM2 = prixMedian > 0 ? prixMedian : null;
+
+    return {
+      id: zone.id,
+      name: zone.name,
+      prixM2,
       // Calculer la surface possible
-      const surfacePossible = Math.floor(budget / prixM2);
-
-      results.push({
-        id: communeId,
-        name: communeName,
-        prixM2: prixM2,
-        surfacePossible: surfacePossible
-      });
-    }
-  }
-
-  // Trier par surface possible (décroissant)
-  results.sort((a, b) => b.surfacePossible - a.surfacePossible);
+      surfacePossible: prixM2 ? Math.floor(budget / prixM2) : null,
+      ventes,
+      petitEchantillon: ventes > 0 && ventes < PETIT_ECHANTILLON,
+    };
+  });
+
+  // Trier par surface possible (décroissant), zones sans vente en dernier
+  results.sort((a, b) => (b.surfacePossible ?? -1) - (a.surfacePossible ?? -1));
 
   return results;
 }
@@ -0,0 +1,153 @@
+/**
+ * Recherche approximative de lieux (départements, communes, sections, codes postaux, gares)
+ *
+ * La recherche ignore les accents, la casse et la ponctuation
+ * ("saint-ouen" = "St Ouen" = "SAINT OUEN"), accepte les débuts de mots
+ * ("boul" → Boulogne-Billancourt) et une faute de frappe par mot
+ * (deux pour les mots longs : "montreil" → Montreuil).
+ *
+ * Ce module est pur : les entrées sont construites par search.controller.js.
+ */
+
+// Ordre d'affichage des types de résultats à pertinence égale
+const ORDRE_TYPES = ["dept", "commune", "gare", "cp", "section"];
+
+// Abréviations courantes remplacées par le mot complet
+const ABREVIATIONS = { st: "saint", ste: "sainte" };
+
+/**
+ * Normalise un texte pour la comparaison : minuscules, sans accents,
+ * ponctuation remplacée par des espaces, abréviations développées.
+ *
+ * @param {string} texte
+ * @returns {string} Texte normalisé (mots séparés par une espace).
+ */
+export function normalizeText(texte) {
+  return String(texte ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/œ/g, "oe")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()
+    .split(" ")
+    .map((mot) => ABREVIATIONS[mot] ?? mot)
+    .join(" ");
+}
+
+/**
+ * Distance d'édition (insertion, suppression, substitution, inversion de deux lettres),
+ * plafonnée : dès que max est dépassé, max + 1 est renvoyé.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max - Distance maximale utile.
+ * @returns {number}
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let avant = null;
+  let prec = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const ligne = [i];
+    let minLigne = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cout = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prec[j] + 1, ligne[j - 1] + 1, prec[j - 1] + cout);
+      if (avant && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d = Math.min(d, avant[j - 2] + 1);
+      }
+      ligne.push(d);
+      minLigne = Math.min(minLigne, d);
+    }
+    if (minLigne > max) return max + 1;
+    avant = prec;
+    prec = ligne;
+  }
+  return prec[b.length];
+}
+
+/**
+ * Pertinence d'un mot de la requête pour une entrée (plus petit = meilleur).
+ *
+ * 0 : mot identique, 1 : début de mot, 2 : contenu dans un mot,
+ * 3 : début de mot à une faute près (deux pour 8 lettres et plus ; pas pour les nombres),
+ * Infinity : absent.
+ *
+ * @param {string} token - Mot normalisé de la requête.
+ * @param {string[]} mots - Mots normalisés de l'entrée.
+ * @returns {number}
+ */
+function tokenScore(token, mots) {
+  let best = Infinity;
+  const fautes = token.length >= 8 ? 2 : 1;
+
+  for (const mot of mots) {
+    if (mot === token) return 0;
+    if (mot.startsWith(token)) best = Math.min(best, 1);
+    else if (token.length >= 3 && mot.includes(token)) best = Math.min(best, 2);
+    else if (best > 3 && token.length >= 4 && !/^\d+$/.test(token)) {
+      // Début du mot de longueur voisine de celle du mot saisi
+      // (pas de faute de frappe sur les codes : "93400" ne doit pas trouver "93008")
+      for (let n = token.length - fautes; n <= token.length + fautes; n++) {
+        if (n > 0 && n <= mot.length && editDistance(token, mot.slice(0, n), fautes) <= fautes) {
+          best = 3;
+          break;
+        }
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Prépare les entrées pour la recherche.
+ *
+ * @param {Array<{ type: string, label: string, detail?: string, termes?: string[] }>} entries -
+ *   Entrées (autres champs conservés, ex : cible de navigation) ; termes : mots-clés
+ *   supplémentaires non affichés (ex : code INSEE, code postal).
+ * @returns {Array<Object>} Index de recherche (entrées enrichies de leurs mots normalisés).
+ */
+export function buildSearchIndex(entries) {
+  return entries.map((entry) => ({
+    ...entry,
+    mots: normalizeText([entry.label, ...(entry.termes || [])].join(" ")).split(" "),
+  }));
+}
+
+/**
+ * Recherche les entrées correspondant à une saisie.
+ *
+ * Tous les mots saisis doivent correspondre à un mot de l'entrée.
+ * Les résultats sont triés par pertinence, puis par type et par longueur du libellé.
+ *
+ * @param {Array<Object>} index - Index issu de buildSearchIndex.
+ * @param {string} query - Saisie de l'utilisateur.
+ * @param {number} [limit=8] - Nombre maximal de résultats.
+ * @returns {Array<Object>} Entrées trouvées (sans les champs internes).
+ */
+export function searchIndex(index, query, limit = 8) {
+  const tokens = normalizeText(query).split(" ").filter(Boolean);
+  if (tokens.length === 0) return [];
+
+  const resultats = [];
+  for (const entry of index) {
+    let score = 0;
+    for (const token of tokens) {
+      score += tokenScore(token, entry.mots);
+      if (score === Infinity) break;
+    }
+    if (score !== Infinity) resultats.push({ entry, score });
+  }
+
+  resultats.sort((a, b) =>
+    a.score - b.score
+    || ORDRE_TYPES.indexOf(a.entry.type) - ORDRE_TYPES.indexOf(b.entry.type)
+    || a.entry.label.length - b.entry.label.length);
+
+  return resultats.slice(0, limit).map(({ entry }) => {
+    const { mots, ...rest } = entry;
+    return rest;
+  });
+}
@@ -0,0 +1,113 @@
+/**
+ * Index spatial en grille régulière
+ *
+ * Chaque élément est rangé dans les cellules couvertes par son emprise
+ * (un point occupe une seule cellule). Une recherche par emprise ne parcourt
+ * que les cellules concernées au lieu de tous les éléments : c'est ce qui rend
+ * les tests de desserte rapides pour des milliers de sections.
+ *
+ * Les coordonnées sont libres (degrés ou mètres), la taille des cellules
+ * est exprimée dans la même unité.
+ */
+
+/**
+ * Emprise vide (à étendre avec extendBox).
+ *
+ * @returns {{ minX: number, minY: number, maxX: number, maxY: number }}
+ */
+export function emptyBox() {
+  return { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+}
+
+/**
+ * Étend une emprise à un point.
+ *
+ * @param {{ minX: number, minY: number, maxX: number, maxY: number }} box - Emprise modifiée.
+ * @param {number} x
+ * @param {number} y
+ */
+export function extendBox(box, x, y) {
+  if (x < box.minX) box.minX = x;
+  if (y < box.minY) box.minY = y;
+  if (x > box.maxX) box.maxX = x;
+  if (y > box.maxY) box.maxY = y;
+}
+
+/**
+ * Emprise d'une géométrie GeoJSON (longitudes en x, latitudes en y).
+ *
+ * @param {GeoJSON.Geometry} geometry
+ * @returns {{ minX: number, minY: number, maxX: number, maxY: number }|null} null sans coordonnées.
+ */
+export function geometryBox(geometry) {
+  if (!geometry?.coordinates) return null;
+  const box = emptyBox();
+  const parcourir = (coords) => {
+    if (typeof coords[0] === "number") extendBox(box, coords[0], coords[1]);
+    else coords.forEach(parcourir);
+  };
+  parcourir(geometry.coordinates);
+  return box.minX <= box.maxX ? box : null;
+}
+
+/**
+ * Crée un index vide.
+ *
+ * @param {number} cellSize - Côté d'une cellule.
+ * @returns {{ cellSize: number, cells: Map<string, Array<*>> }}
+ */
+export function createGridIndex(cellSize) {
+  return { cellSize, cells: new Map() };
+}
+
+/**
+ * Range un élément dans les cellules couvertes par son emprise.
+ *
+ * @param {Object} index - Index (createGridIndex).
+ * @param {*} item - Élément indexé (renvoyé tel quel par les recherches).
+ * @param {{ minX: number, minY: number, maxX: number, maxY: number }} box - Emprise de l'élément.
+ */
+export function insertItem(index, item, box) {
+  const { cellSize, cells } = index;
+  for (let i = Math.floor(box.minX / cellSize); i <= Math.floor(box.maxX / cellSize); i++) {
+    for (let j = Math.floor(box.minY / cellSize); j <= Math.floor(box.maxY / cellSize); j++) {
+      const cle = `${i}|${j}`;
+      if (!cells.has(cle)) cells.set(cle, []);
+      cells.get(cle).push(item);
+    }
+  }
+}
+
+/**
+ * Éléments dont une cellule recoupe l'emprise recherchée.
+ *
+ * Résultat approché par excès (cellules entières) : le test exact
+ * (distance, point dans le polygone) reste à faire par l'appelant.
+ *
+ * @param {Object} index - Index (createGridIndex).
+ * @param {{ minX: number, minY: number, maxX: number, maxY: number }} box - Emprise recherchée.
+ * @returns {Array<*>} Éléments candidats, sans doublon.
+ */
+export function queryBox(index, box) {
+  const { cellSize, cells } = index;
+  const trouves = new Set();
+  for (let i = Math.floor(box.minX / cellSize); i <= Math.floor(box.maxX / cellSize); i++) {
+    for (let j = Math.floor(box.minY / cellSize); j <= Math.floor(box.maxY / cellSize); j++) {
+      for (const item of cells.get(`${i}|${j}`) || []) trouves.add(item);
+    }
+  }
+  return [...trouves];
+}
+
+/**
+ * Éléments candidats autour d'un point (emprise carrée de côté 2 × rayon).
+ *
+ * @param {Object} index - Index (createGridIndex).
+ * @param {number} x
+ * @param {number} y
+ * @param {number} rayon - Même unité que les coordonnées.
+ * @returns {Array<*>} Éléments candidats, sans doublon.
+ */
+export function queryAround(index, x, y, rayon) {
+  return queryBox(index, { minX: x - rayon, minY: y - rayon, maxX: x + rayon, maxY: y + rayon });
+}
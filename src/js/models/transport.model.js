@@ -6,7 +6,7 @@ import * as d3 from "https://cdn.jsdelivr.net/npm/d3@7/+esm";
  * Les données sont issues d’un fichier CSV contenant notamment :
  * - la géométrie de la ligne (champ Geo Shape au format GeoJSON)
  * - le mode (via indicateurs binaires metro/train/rer/tramway)
- * - un identifiant de ligne (ex : B, T2, 6...)
+ * - un identifiant de ligne (ex : B, T2, 6...) et son nom commercial (ex : RER B)
  * - une couleur (pour l'affichage dans le panneau)
  *
  * La sortie est convertie en FeatureCollection GeoJSON pour faciliter
@@ -46,6 +46,8 @@ export async function loadTransports() {
         mode,
         // Plusieurs colonnes possibles pour indiquer le nom de ligne selon la source
         ligne: d.SHAPE_Lig || d.indice_lig || d.res_com,
+        // Nom commercial de la ligne (ex : "RER B", "TRAM 3a"), commun aux lignes et aux stations
+        reseau: d.res_com,
         // Couleur hexadécimale (sinon couleur neutre)
         couleur: d.ColourWeb_hexa ? `#${d.ColourWeb_hexa}` : "#999999",
       },
@@ -64,7 +66,7 @@ export async function loadTransports() {
  * Chaque station inclut :
  * - un point géographique (GeoJSON)
  * - le mode (métro, RER, tram, train)
- * - la ligne associée
+ * - la ligne associée (indice et nom commercial)
  * - un nom
  *
  * Ces points sont utilisés pour déterminer la desserte d’un territoire
@@ -103,6 +105,7 @@ export async function loadStops() {
       properties: {
         mode,
         ligne,
+        reseau: d.res_com, // nom commercial de la ligne (même valeur que dans les lignes)
         nom: d.nom_long, // nom long de la gare
       },
     });
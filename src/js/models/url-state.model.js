@@ -0,0 +1,178 @@
+/**
+ * Sérialisation de la vue courante dans l'URL (fragment #...)
+ *
+ * Un lien partagé permet de retrouver exactement la même vue :
+ * niveau de navigation, département / commune / section sélectionnés,
+ * filtres et période, zones en comparaison, position de la carte
+ * et analyse de pouvoir d'achat ouverte.
+ *
+ * Exemple : #niveau=section&dept=93&commune=93048&section=930480000AB&budget=400000&type=2
+ *
+ * Ce module est pur : il ne lit ni n'écrit l'état de l'application
+ * (voir url.controller.js).
+ */
+
+import { RAYON_DEFAUT } from "./filter.model.js";
+
+// Clés de la saisie du pouvoir d'achat, préfixées par "pa." dans l'URL
+const PREFIXE_PA = "pa.";
+
+// Types de zones de comparaison restaurables : clé dans l'URL → type de zone
+// (les zones dessinées n'ont pas d'identifiant stable et ne sont pas enregistrées)
+const TYPES_COMPARAISON = {
+  dept: "département",
+  commune: "commune",
+  section: "section",
+};
+
+/**
+ * Vue par défaut : région entière, aucun filtre.
+ *
+ * @returns {Object} Vue vide (même structure que parseViewState).
+ */
+export function emptyViewState() {
+  return {
+    niveau: null,
+    dept: null,
+    commune: null,
+    section: null,
+    filtres: { budget: null, surface: null, type: null, transport: false, rayon: RAYON_DEFAUT, accesMin: null },
+    periode: { from: null, to: null, trimestre: null },
+    comparaison: [],
+    carte: null,
+    pouvoirAchat: null,
+  };
+}
+
+/**
+ * Lit un nombre fini dans un paramètre d'URL.
+ *
+ * @param {URLSearchParams} params
+ * @param {string} key
+ * @returns {number|null}
+ */
+function readNumber(params, key) {
+  const value = params.get(key);
+  if (value === null || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Ajoute un paramètre s'il est renseigné.
+ *
+ * @param {URLSearchParams} params
+ * @param {string} key
+ * @param {*} value
+ */
+function writeValue(params, key, value) {
+  if (value !== null && value !== undefined && value !== "") params.set(key, value);
+}
+
+/**
+ * Transforme une vue en fragment d'URL (sans le "#").
+ *
+ * @param {Object} view - Vue (voir emptyViewState).
+ * @returns {string} Fragment, vide pour la vue par défaut.
+ */
+export function serializeViewState(view) {
+  const params = new URLSearchParams();
+
+  // Navigation
+  writeValue(params, "niveau", view.niveau);
+  writeValue(params, "dept", view.dept);
+  writeValue(params, "commune", view.commune);
+  writeValue(params, "section", view.section);
+
+  // Filtres et période
+  const { filtres = {}, periode = {} } = view;
+  writeValue(params, "budget", filtres.budget);
+  writeValue(params, "surface", filtres.surface);
+  writeValue(params, "type", filtres.type);
+  if (filtres.transport) params.set("transport", "1");
+  if (filtres.rayon && filtres.rayon !== RAYON_DEFAUT) params.set("rayon", filtres.rayon);
+  writeValue(params, "acces", filtres.accesMin);
+  writeValue(params, "de", periode.from);
+  writeValue(params, "a", periode.to);
+  writeValue(params, "trimestre", periode.trimestre);
+
+  // Zones en comparaison : type:id séparés par des virgules
+  const cles = Object.fromEntries(Object.entries(TYPES_COMPARAISON).map(([cle, type]) => [type, cle]));
+  const comparaison = (view.comparaison || [])
+    .filter((z) => cles[z.type])
+    .map((z) => `${cles[z.type]}:${z.id}`);
+  if (comparaison.length) params.set("comparer", comparaison.join(","));
+
+  // Analyse de pouvoir d'achat : saisie du formulaire et portée de l'analyse
+  if (view.pouvoirAchat) {
+    for (const [key, value] of Object.entries(view.pouvoirAchat.saisie)) {
+      writeValue(params, PREFIXE_PA + key, value);
+    }
+    params.set(`${PREFIXE_PA}portee`, view.pouvoirAchat.portee);
+  }
+
+  // Position de la carte (en dernier : c'est la partie la moins lisible)
+  if (view.carte) {
+    const { lat, lng, zoom } = view.carte;
+    params.set("carte", `${lat.toFixed(5)},${lng.toFixed(5)},${zoom}`);
+  }
+
+  // ":" et "," restent lisibles (séparateurs de "comparer" et "carte")
+  return params.toString().replace(/%3A/g, ":").replace(/%2C/g, ",");
+}
+
+/**
+ * Lit une vue depuis un fragment d'URL.
+ *
+ * Les valeurs invalides sont ignorées (la vue par défaut s'applique).
+ *
+ * @param {string} hash - Fragment, avec ou sans "#".
+ * @returns {Object} Vue (voir emptyViewState).
+ */
+export function parseViewState(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ""));
+  const view = emptyViewState();
+
+  view.niveau = params.get("niveau");
+  view.dept = params.get("dept");
+  view.commune = params.get("commune");
+  view.section = params.get("section");
+
+  view.filtres = {
+    budget: readNumber(params, "budget"),
+    surface: readNumber(params, "surface"),
+    type: ["1", "2"].includes(params.get("type")) ? params.get("type") : null,
+    transport: params.get("transport") === "1",
+    // Rayon inconnu : ignoré par setFilters (rayon par défaut)
+    rayon: readNumber(params, "rayon") ?? RAYON_DEFAUT,
+    accesMin: readNumber(params, "acces"),
+  };
+  view.periode = {
+    from: readNumber(params, "de"),
+    to: readNumber(params, "a"),
+    trimestre: readNumber(params, "trimestre"),
+  };
+
+  view.comparaison = (params.get("comparer") || "")
+    .split(",")
+    .map((ref) => {
+      const i = ref.indexOf(":");
+      return { type: TYPES_COMPARAISON[ref.slice(0, i)], id: ref.slice(i + 1) };
+    })
+    .filter((z) => z.type && z.id);
+
+  if (params.has(`${PREFIXE_PA}portee`)) {
+    const saisie = {};
+    for (const [key, value] of params) {
+      if (key.startsWith(PREFIXE_PA) && key !== `${PREFIXE_PA}portee`) {
+        saisie[key.slice(PREFIXE_PA.length)] = value;
+      }
+    }
+    view.pouvoirAchat = { saisie, portee: params.get(`${PREFIXE_PA}portee`) };
+  }
+
+  const [lat, lng, zoom] = (params.get("carte") || "").split(",").map(Number);
+  if ([lat, lng, zoom].every(Number.isFinite)) view.carte = { lat, lng, zoom };
+
+  return view;
+}
@@ -0,0 +1,109 @@
+/**
+ * Modèle des zones dessinées par l'utilisateur
+ *
+ * Permet d'agréger les ventes DVF sur une zone libre (polygone, rectangle ou cercle)
+ * plutôt que sur un découpage administratif (département, commune, section).
+ */
+
+import { pointInGeometry } from "../utils/utils.js";
+import { isAllYears, isQuarter, isYearInPeriod } from "./period.model.js";
+
+// Rayon terrestre moyen (m), pour les calculs de distance et de surface
+const RAYON_TERRE_M = 6371008.8;
+
+// Nombre de sommets du polygone approchant un cercle
+const SOMMETS_CERCLE = 64;
+
+/**
+ * Convertit un cercle (centre + rayon) en polygone GeoJSON.
+ *
+ * Le polygone permet de traiter toutes les formes de la même manière
+ * (sélection des ventes, desserte en transports).
+ *
+ * @param {L.LatLng} centre - Centre du cercle.
+ * @param {number} rayonM - Rayon en mètres.
+ * @returns {GeoJSON.Feature} Polygone approchant le cercle.
+ */
+export function circleToPolygon(centre, rayonM) {
+  const lat = (centre.lat * Math.PI) / 180;
+  const lng = (centre.lng * Math.PI) / 180;
+  const d = rayonM / RAYON_TERRE_M;
+  const anneau = [];
+
+  // Points à distance d du centre, pour des caps régulièrement espacés
+  for (let i = 0; i <= SOMMETS_CERCLE; i++) {
+    const cap = (2 * Math.PI * i) / SOMMETS_CERCLE;
+    const latP = Math.asin(Math.sin(lat) * Math.cos(d) + Math.cos(lat) * Math.sin(d) * Math.cos(cap));
+    const lngP = lng + Math.atan2(
+      Math.sin(cap) * Math.sin(d) * Math.cos(lat),
+      Math.cos(d) - Math.sin(lat) * Math.sin(latP),
+    );
+    anneau.push([(lngP * 180) / Math.PI, (latP * 180) / Math.PI]);
+  }
+
+  return {
+    type: "Feature",
+    properties: {},
+    geometry: { type: "Polygon", coordinates: [anneau] },
+  };
+}
+
+/**
+ * Calcule la surface d'une zone en m².
+ *
+ * @param {GeoJSON.Feature} feature - Polygone de la zone.
+ * @returns {number} Surface en m².
+ */
+export function zoneArea(feature) {
+  // d3.geoArea dépend du sens de parcours : on garde la plus petite des deux surfaces
+  const steradians = d3.geoArea(feature);
+  return Math.min(steradians, 4 * Math.PI - steradians) * RAYON_TERRE_M ** 2;
+}
+
+/**
+ * Décrit une zone dessinée pour l'affichage (forme et taille).
+ *
+ * Exemples : "Cercle de 800 m de rayon", "Rectangle de 1,2 km²"
+ *
+ * @param {"polygon"|"rectangle"|"circle"} forme - Outil de dessin utilisé.
+ * @param {GeoJSON.Feature} feature - Polygone de la zone.
+ * @param {number|null} [rayonM] - Rayon en mètres (cercle uniquement).
+ * @returns {string}
+ */
+export function describeZone(forme, feature, rayonM = null) {
+  if (forme === "circle") return `Cercle de ${Math.round(rayonM)} m de rayon`;
+
+  const km2 = zoneArea(feature) / 1e6;
+  const surface = km2 < 0.1
+    ? `${Math.round(km2 * 1e6).toLocaleString("fr-FR")} m²`
+    : `${km2.toLocaleString("fr-FR", { maximumFractionDigits: 2 })} km²`;
+  return `${forme === "rectangle" ? "Rectangle" : "Polygone"} de ${surface}`;
+}
+
+/**
+ * Sélectionne les ventes géolocalisées situées dans une zone, sur une période.
+ *
+ * Un premier filtre sur l'emprise (bbox) évite le test point-dans-polygone
+ * pour l'immense majorité des ventes.
+ *
+ * @param {Array<Object>} ventes - Ventes DVF (avec lat / lon).
+ * @param {GeoJSON.Feature} feature - Polygone de la zone.
+ * @param {{ from: number|null, to: number|null, trimestre?: number|null }} period - Période active.
+ * @returns {Array<Object>} Ventes de la zone.
+ */
+export function ventesInZone(ventes, feature, period) {
+  // Emprise calculée sur les sommets (indépendante du sens de parcours du polygone)
+  const sommets = feature.geometry.coordinates.flat(feature.geometry.type === "MultiPolygon" ? 2 : 1);
+  const [minLng, maxLng] = d3.extent(sommets, (c) => c[0]);
+  const [minLat, maxLat] = d3.extent(sommets, (c) => c[1]);
+
+  return ventes.filter((v) => {
+    if (v.lat == null || v.lon == null) return false;
+    if (v.lat < minLat || v.lat > maxLat || v.lon < minLng || v.lon > maxLng) return false;
+    if (!isAllYears(period)) {
+      if (!isYearInPeriod(v.annee, period)) return false;
+      if (isQuarter(period) && v.trimestre !== period.trimestre) return false;
+    }
+    return pointInGeometry(v.lon, v.lat, feature.geometry);
+  });
+}
@@ -20,6 +20,117 @@ export function median(values) {
   return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
 }
 
+// ==========================
+// Quantile
+// ==========================
+/**
+ * Calcule un quantile d'un tableau de valeurs **déjà trié** (interpolation linéaire).
+ *
+ * Exemple : quantileSorted([1, 2, 3, 4], 0.25) → 1.75
+ *
+ * @param {number[]} sorted - Valeurs triées par ordre croissant.
+ * @param {number} p - Rang du quantile entre 0 et 1 (0.5 = médiane).
+ * @returns {number|null} Valeur du quantile ou null si la liste est vide.
+ */
+export function quantileSorted(sorted, p) {
+  if (!sorted || sorted.length === 0) return null;
+  const pos = (sorted.length - 1) * p;
+  const base = Math.floor(pos);
+  const reste = pos - base;
+  // Interpolation entre les deux valeurs encadrantes
+  if (base + 1 < sorted.length) {
+    return sorted[base] + reste * (sorted[base + 1] - sorted[base]);
+  }
+  return sorted[base];
+}
+
+// ==========================
+// Quantile pondéré
+// ==========================
+/**
+ * Calcule un quantile pondéré : chaque valeur compte proportionnellement à son poids.
+ *
+ * Exemple : weightedQuantile([100, 200], [3, 1], 0.5) → 100
+ *
+ * @param {number[]} values - Valeurs numériques (ordre quelconque).
+ * @param {number[]} weights - Poids positifs associés à chaque valeur.
+ * @param {number} p - Rang du quantile entre 0 et 1 (0.5 = médiane pondérée).
+ * @returns {number|null} Valeur du quantile ou null si la liste est vide.
+ */
+export function weightedQuantile(values, weights, p) {
+  if (!values || values.length === 0) return null;
+  const paires = values
+    .map((v, i) => [v, weights[i]])
+    .sort((a, b) => a[0] - b[0]);
+  const total = paires.reduce((s, [, w]) => s + w, 0);
+  if (!(total > 0)) return quantileSorted(paires.map(([v]) => v), p);
+
+  // Première valeur dont le poids cumulé atteint la fraction p du poids total
+  let cumul = 0;
+  for (const [v, w] of paires) {
+    cumul += w;
+    if (cumul >= p * total) return v;
+  }
+  return paires[paires.length - 1][0];
+}
+
+// ==========================
+// Distribution
+// ==========================
+/**
+ * Décrit la distribution d'une série de valeurs numériques.
+ *
+ * Retourne les indicateurs de position et de dispersion ainsi qu'un histogramme
+ * à classes de largeur égale. L'histogramme couvre l'intervalle P5–P95 pour ne pas
+ * être écrasé par quelques valeurs extrêmes : les valeurs hors de cet intervalle
+ * sont comptées dans la première ou la dernière classe.
+ *
+ * @param {number[]} values - Valeurs numériques (les valeurs non finies sont ignorées).
+ * @param {number} [nbClasses=12] - Nombre de classes de l'histogramme.
+ * @returns {{
+ *   n: number, min: number, p10: number, q1: number, median: number, q3: number,
+ *   p90: number, max: number, moyenne: number, ecartType: number,
+ *   histogramme: Array<{ x0: number, x1: number, count: number }>
+ * }|null} Description de la distribution, ou null si aucune valeur.
+ */
+export function describeDistribution(values, nbClasses = 12) {
+  const sorted = (values || []).filter((v) => isFinite(v)).sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+
+  const n = sorted.length;
+  const moyenne = sorted.reduce((s, v) => s + v, 0) / n;
+  const variance = sorted.reduce((s, v) => s + (v - moyenne) ** 2, 0) / n;
+
+  // Histogramme sur P5–P95, valeurs extrêmes ramenées dans les classes de bord
+  const debut = quantileSorted(sorted, 0.05);
+  const fin = quantileSorted(sorted, 0.95);
+  const classes = fin > debut ? nbClasses : 1;
+  const pas = fin > debut ? (fin - debut) / classes : 1;
+  const histogramme = Array.from({ length: classes }, (_, i) => ({
+    x0: debut + i * pas,
+    x1: debut + (i + 1) * pas,
+    count: 0,
+  }));
+  for (const v of sorted) {
+    const i = Math.min(Math.max(Math.floor((v - debut) / pas), 0), classes - 1);
+    histogramme[i].count++;
+  }
+
+  return {
+    n,
+    min: sorted[0],
+    p10: quantileSorted(sorted, 0.1),
+    q1: quantileSorted(sorted, 0.25),
+    median: quantileSorted(sorted, 0.5),
+    q3: quantileSorted(sorted, 0.75),
+    p90: quantileSorted(sorted, 0.9),
+    max: sorted[n - 1],
+    moyenne,
+    ecartType: Math.sqrt(variance),
+    histogramme,
+  };
+}
+
 // ==========================
 // Arrondis
 // ==========================
@@ -73,52 +184,6 @@ export function computeQuantiles(values, n = 9) {
   return q;
 }
 
-// ===================================================
-// Palette
-// ===================================================
-/**
- * Retourne la palette de couleurs utilisée pour représenter
- * les prix immobiliers du plus faible (vert) au plus élevé (rouge).
- *
- * @returns {string[]} Liste de couleurs hexadécimales.
- */
-export function heatPalette() {
-  return [
-    "#006400",
-    "#1e8f3a",
-    "#6cc04a",
-    "#b6e43a",
-    "#ffd700",
-    "#ffb000",
-    "#ff8c00",
-    "#ff3b1f",
-    "#8b0000",
-  ];
-}
-
-// ===================================================
-// Couleur par quantile
-// ===================================================
-/**
- * Associe une valeur à une couleur en fonction des quantiles calculés.
- *
- * Si la valeur n'est pas valide, une couleur neutre est appliquée.
- *
- * @param {number} value - Valeur numérique à classifier.
- * @param {number[]} quantiles - Seuils de quantiles.
- * @returns {string} Couleur hexadécimale correspondante.
- */
-export function heatColorQuantile(value, quantiles) {
-  if (value == null || isNaN(value)) return "#cccccc"; // couleur neutre
-  const palette = heatPalette();
-  // Première valeur ≤ quantile → couleur correspondante
-  for (let i = 0; i < quantiles.length; i++) {
-    if (value <= quantiles[i]) return palette[i];
-  }
-  // Sinon valeur supérieure au dernier quantile
-  return palette[palette.length - 1];
-}
-
 // ==========================
 // Format €
 // ==========================
@@ -135,6 +200,20 @@ export function fmtEuro(value) {
   return `${Math.round(value).toLocaleString("fr-FR")} €`;
 }
 
+/**
+ * Formate une distance pour affichage (mètres sous 1 km, sinon kilomètres).
+ *
+ * Ex : 400 → "400 m", 1200 → "1,2 km"
+ *
+ * @param {number} metres - Distance en mètres.
+ * @returns {string} Distance formatée ou "—" si invalide.
+ */
+export function formatDistance(metres) {
+  if (metres == null || isNaN(metres)) return "—";
+  if (metres < 1000) return `${Math.round(metres / 10) * 10} m`;
+  return `${(metres / 1000).toLocaleString("fr-FR", { maximumFractionDigits: 1 })} km`;
+}
+
 // ===================================================
 // TRANSPORTS : modes présents dans un bounds Leaflet
 // ===================================================
@@ -184,3 +263,116 @@ export function extractAccessibility(features) {
 
   return byMode;
 }
+
+// ===================================================
+// GÉOMÉTRIE : point dans un polygone
+// ===================================================
+/**
+ * Teste si un point est à l'intérieur d'une géométrie GeoJSON (Polygon ou MultiPolygon).
+ *
+ * Algorithme du lancer de rayon (ray casting) sur le contour extérieur,
+ * les trous éventuels étant exclus.
+ *
+ * @param {number} lng - Longitude du point.
+ * @param {number} lat - Latitude du point.
+ * @param {GeoJSON.Geometry} geometry - Géométrie surfacique.
+ * @returns {boolean} true si le point est dans la géométrie.
+ */
+export function pointInGeometry(lng, lat, geometry) {
+  if (!geometry) return false;
+
+  const dansAnneau = (anneau) => {
+    let interieur = false;
+    for (let i = 0, j = anneau.length - 1; i < anneau.length; j = i++) {
+      const [xi, yi] = anneau[i];
+      const [xj, yj] = anneau[j];
+      if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+        interieur = !interieur;
+      }
+    }
+    return interieur;
+  };
+
+  const dansPolygone = ([exterieur, ...trous]) =>
+    dansAnneau(exterieur) && !trous.some(dansAnneau);
+
+  if (geometry.type === "Polygon") return dansPolygone(geometry.coordinates);
+  if (geometry.type === "MultiPolygon") return geometry.coordinates.some(dansPolygone);
+  return false;
+}
+
+// ===================================================
+// CSV : lecture sans dépendance (Web Worker, script Node)
+// ===================================================
+/**
+ * Découpe une ligne CSV en champs (séparateur virgule, champs entre guillemets).
+ *
+ * @param {string} ligne - Ligne CSV.
+ * @returns {string[]} Champs.
+ */
+export function splitCsvLine(ligne) {
+  const champs = [];
+  let champ = "";
+  let guillemets = false;
+
+  for (let i = 0; i < ligne.length; i++) {
+    const c = ligne[i];
+    if (guillemets) {
+      if (c === '"' && ligne[i + 1] === '"') {
+        champ += '"';
+        i++;
+      } else if (c === '"') {
+        guillemets = false;
+      } else {
+        champ += c;
+      }
+    } else if (c === '"') {
+      guillemets = true;
+    } else if (c === ",") {
+      champs.push(champ);
+      champ = "";
+    } else {
+      champ += c;
+    }
+  }
+  champs.push(champ);
+  return champs;
+}
+
+/**
+ * Lit un texte CSV avec ligne d'en-tête (même usage que d3.csvParse).
+ *
+ * Un champ entre guillemets peut contenir des retours à la ligne.
+ *
+ * @param {string} texte - Contenu du fichier CSV.
+ * @param {(d: Object.<string, string>) => any} [row] - Conversion de chaque ligne
+ *   (une valeur null ou undefined écarte la ligne).
+ * @returns {Array<any>} Lignes converties.
+ */
+export function parseCsv(texte, row = (d) => d) {
+  const res = [];
+  let colonnes = null;
+  let enCours = null; // début d'une ligne dont un champ entre guillemets continue
+
+  for (const morceau of texte.replace(/^\uFEFF/, "").split(/\r?\n/)) {
+    const ligne = enCours === null ? morceau : `${enCours}\n${morceau}`;
+    // Nombre impair de guillemets : le champ se poursuit sur la ligne suivante
+    if ((ligne.match(/"/g)?.length ?? 0) % 2) {
+      enCours = ligne;
+      continue;
+    }
+    enCours = null;
+    if (!ligne) continue;
+
+    const champs = splitCsvLine(ligne);
+    if (!colonnes) {
+      colonnes = champs;
+      continue;
+    }
+    const d = {};
+    colonnes.forEach((col, i) => { d[col] = champs[i] ?? ""; });
+    const converti = row(d);
+    if (converti != null) res.push(converti);
+  }
+  return res;
+}
@@ -0,0 +1,53 @@
+/* =====================================================
+   FIL D'ARIANE (NIVEAUX DE NAVIGATION)
+===================================================== */
+
+let breadcrumbControl = null;
+
+/**
+ * Initialise le fil d'Ariane (coin supérieur gauche de la carte, à droite du zoom) :
+ * Île-de-France › Département › Commune › Section.
+ *
+ * Cette fonction doit être appelée une seule fois au lancement de l'application.
+ *
+ * @param {L.Map} map - Instance de carte Leaflet.
+ */
+export function initBreadcrumb(map) {
+  breadcrumbControl = L.control({ position: "topleft" });
+  breadcrumbControl.onAdd = () => {
+    const nav = L.DomUtil.create("nav", "breadcrumb");
+    nav.setAttribute("aria-label", "Niveau de navigation");
+    L.DomEvent.disableClickPropagation(nav);
+    L.DomEvent.disableScrollPropagation(nav);
+    return nav;
+  };
+  breadcrumbControl.addTo(map);
+
+  // Vue initiale : région entière
+  renderBreadcrumb([{ label: "Île-de-France", onClick: () => {} }]);
+}
+
+/**
+ * Affiche les niveaux de navigation.
+ *
+ * Chaque niveau est cliquable, sauf le dernier (niveau courant).
+ *
+ * @param {Array<{ label: string, onClick: () => void }>} niveaux - Du plus large au plus fin.
+ */
+export function renderBreadcrumb(niveaux) {
+  const nav = breadcrumbControl?.getContainer();
+  if (!nav) return;
+
+  nav.innerHTML = "";
+  niveaux.forEach((niveau, i) => {
+    if (i > 0) nav.insertAdjacentHTML("beforeend", `<span class="breadcrumb-sep">›</span>`);
+
+    const courant = i === niveaux.length - 1;
+    const item = document.createElement(courant ? "span" : "button");
+    item.className = courant ? "breadcrumb-item current" : "breadcrumb-item";
+    item.textContent = niveau.label;
+    if (courant) item.setAttribute("aria-current", "location");
+    else item.addEventListener("click", niveau.onClick);
+    nav.appendChild(item);
+  });
+}
@@ -0,0 +1,333 @@
+import { fmtEuro } from "../utils/utils.js";
+import { getPeriod, isAllYears, isQuarter } from "../models/period.model.js";
+import { typeColors } from "../models/palette.model.js";
+
+/* =====================================================
+   GRAPHIQUE D'ÉVOLUTION DES PRIX (PANNEAUX)
+===================================================== */
+
+// Dimensions des deux graphiques (largeur utile du panneau latéral)
+const WIDTH = 300;
+const PRICE_HEIGHT = 150;
+const VOLUME_HEIGHT = 70;
+const MARGIN = { top: 8, right: 8, bottom: 20, left: 40 };
+
+const TYPE_LABELS = {
+  apparts: "Appartements",
+  maisons: "Maisons",
+};
+
+/**
+ * Dessine le graphique d'évolution d'un territoire dans un conteneur du panneau.
+ *
+ * Deux graphiques superposés partagent le même axe temporel :
+ * 1. le prix médian au m² par trimestre avec la bande interquartile (Q1–Q3)
+ * 2. le nombre de ventes par mois, en barres empilées
+ * Chaque série est découpée en maisons / appartements.
+ * La période sélectionnée (filtres ou curseur temporel) est surlignée.
+ *
+ * @param {HTMLElement|null} container - Élément qui reçoit les graphiques.
+ * @param {{ trimestres: Array<Object>, mois: Array<Object> }|null} serie - Séries issues de computeTimeSeries().
+ */
+export function renderEvolutionChart(container, serie) {
+  if (!container) return;
+
+  if (!serie || serie.trimestres.length < 2) {
+    container.innerHTML = `<p class="muted">Pas assez de ventes pour tracer une évolution</p>`;
+    return;
+  }
+
+  // Axe temporel commun : du premier au dernier mois couvert
+  const first = serie.mois[0];
+  const last = serie.mois[serie.mois.length - 1];
+  const x = d3
+    .scaleTime()
+    .domain([new Date(first.annee, first.mois - 1, 1), new Date(last.annee, last.mois, 1)])
+    .range([MARGIN.left, WIDTH - MARGIN.right]);
+
+  renderPriceChart(container, serie.trimestres, x);
+  renderVolumeChart(container, serie.mois, x);
+}
+
+/**
+ * Date du milieu d'un trimestre (position des points sur l'axe temporel).
+ *
+ * @param {{ annee: number, trimestre: number }} d - Trimestre.
+ * @returns {Date}
+ */
+function quarterMiddle(d) {
+  return new Date(d.annee, (d.trimestre - 1) * 3 + 1, 15);
+}
+
+/**
+ * Graphique du prix médian au m² par trimestre, avec bande interquartile.
+ *
+ * @param {HTMLElement} container - Conteneur.
+ * @param {Array<Object>} trimestres - Série trimestrielle.
+ * @param {d3.ScaleTime} x - Échelle temporelle partagée.
+ */
+function renderPriceChart(container, trimestres, x) {
+  // Bornes de l'axe des prix : de Q1 minimal à Q3 maximal, tous types confondus
+  const bornes = trimestres.flatMap((d) =>
+    ["maisons", "apparts"].filter((t) => d[t]).flatMap((t) => [d[t].q1, d[t].q3]),
+  );
+  const y = d3
+    .scaleLinear()
+    .domain(d3.extent(bornes))
+    .nice()
+    .range([PRICE_HEIGHT - MARGIN.bottom, MARGIN.top]);
+
+  const svg = d3
+    .select(container)
+    .append("svg")
+    .attr("class", "evolution-svg")
+    .attr("viewBox", `0 0 ${WIDTH} ${PRICE_HEIGHT}`);
+
+  renderPeriodHighlight(svg, x, PRICE_HEIGHT);
+
+  for (const type of ["apparts", "maisons"]) {
+    const defined = (d) => d[type] !== null;
+
+    // Bande interquartile
+    svg
+      .append("path")
+      .datum(trimestres)
+      .attr("class", "evolution-band")
+      .attr("fill", typeColors()[type])
+      .attr(
+        "d",
+        d3
+          .area()
+          .defined(defined)
+          .x((d) => x(quarterMiddle(d)))
+          .y0((d) => y(d[type].q1))
+          .y1((d) => y(d[type].q3)),
+      );
+
+    // Médiane
+    svg
+      .append("path")
+      .datum(trimestres)
+      .attr("class", "evolution-line")
+      .attr("stroke", typeColors()[type])
+      .attr(
+        "d",
+        d3
+          .line()
+          .defined(defined)
+          .x((d) => x(quarterMiddle(d)))
+          .y((d) => y(d[type].median)),
+      );
+
+    // Points avec infobulle native (valeurs détaillées)
+    svg
+      .append("g")
+      .selectAll("circle")
+      .data(trimestres.filter(defined))
+      .join("circle")
+      .attr("r", 2.5)
+      .attr("fill", typeColors()[type])
+      .attr("cx", (d) => x(quarterMiddle(d)))
+      .attr("cy", (d) => y(d[type].median))
+      .append("title")
+      .text(
+        (d) =>
+          `T${d.trimestre} ${d.annee} – ${TYPE_LABELS[type]}\n` +
+          `Médiane : ${fmtEuro(d[type].median)} / m²\n` +
+          `Q1–Q3 : ${fmtEuro(d[type].q1)} – ${fmtEuro(d[type].q3)}\n` +
+          `${d[type].n} ventes`,
+      );
+  }
+
+  // Axes
+  svg
+    .append("g")
+    .attr("class", "evolution-axis")
+    .attr("transform", `translate(0,${PRICE_HEIGHT - MARGIN.bottom})`)
+    .call(d3.axisBottom(x).ticks(d3.timeYear.every(1)).tickFormat(d3.timeFormat("%Y")));
+  svg
+    .append("g")
+    .attr("class", "evolution-axis")
+    .attr("transform", `translate(${MARGIN.left},0)`)
+    .call(d3.axisLeft(y).ticks(4).tickFormat((v) => `${Math.round(v / 100) / 10}k`));
+}
+
+/**
+ * Graphique du nombre de ventes mensuelles, barres empilées par type de bien.
+ *
+ * @param {HTMLElement} container - Conteneur.
+ * @param {Array<Object>} mois - Série mensuelle.
+ * @param {d3.ScaleTime} x - Échelle temporelle partagée.
+ */
+function renderVolumeChart(container, mois, x) {
+  const y = d3
+    .scaleLinear()
+    .domain([0, d3.max(mois, (d) => d.maisons + d.apparts)])
+    .nice()
+    .range([VOLUME_HEIGHT - MARGIN.bottom, MARGIN.top]);
+
+  const svg = d3
+    .select(container)
+    .append("svg")
+    .attr("class", "evolution-svg")
+    .attr("viewBox", `0 0 ${WIDTH} ${VOLUME_HEIGHT}`);
+
+  renderPeriodHighlight(svg, x, VOLUME_HEIGHT);
+
+  const debut = (d) => new Date(d.annee, d.mois - 1, 1);
+  const largeur = (d) => Math.max(x(new Date(d.annee, d.mois, 1)) - x(debut(d)) - 0.5, 0.5);
+
+  // Appartements en bas, maisons empilées au-dessus
+  const couches = [
+    { type: "apparts", y0: () => 0, y1: (d) => d.apparts },
+    { type: "maisons", y0: (d) => d.apparts, y1: (d) => d.apparts + d.maisons },
+  ];
+
+  for (const couche of couches) {
+    svg
+      .append("g")
+      .attr("fill", typeColors()[couche.type])
+      .selectAll("rect")
+      .data(mois)
+      .join("rect")
+      .attr("x", (d) => x(debut(d)))
+      .attr("width", largeur)
+      .attr("y", (d) => y(couche.y1(d)))
+      .attr("height", (d) => y(couche.y0(d)) - y(couche.y1(d)))
+      .append("title")
+      .text((d) => `${String(d.mois).padStart(2, "0")}/${d.annee} – ${TYPE_LABELS[couche.type]} : ${d[couche.type]} ventes`);
+  }
+
+  svg
+    .append("g")
+    .attr("class", "evolution-axis")
+    .attr("transform", `translate(${MARGIN.left},0)`)
+    .call(d3.axisLeft(y).ticks(2));
+}
+
+/**
+ * Surligne la période actuellement sélectionnée sur un graphique.
+ *
+ * @param {d3.Selection} svg - Graphique.
+ * @param {d3.ScaleTime} x - Échelle temporelle.
+ * @param {number} height - Hauteur du graphique.
+ */
+function renderPeriodHighlight(svg, x, height) {
+  const period = getPeriod();
+  if (isAllYears(period)) return;
+
+  const [domainStart, domainEnd] = x.domain();
+  let start = period.from != null ? new Date(period.from, 0, 1) : domainStart;
+  let end = period.to != null ? new Date(period.to + 1, 0, 1) : domainEnd;
+  if (isQuarter(period)) {
+    start = new Date(period.from, (period.trimestre - 1) * 3, 1);
+    end = new Date(period.from, period.trimestre * 3, 1);
+  }
+
+  // Bornage au domaine affiché
+  start = start < domainStart ? domainStart : start;
+  end = end > domainEnd ? domainEnd : end;
+  if (end <= start) return;
+
+  svg
+    .append("rect")
+    .attr("class", "evolution-highlight")
+    .attr("x", x(start))
+    .attr("width", x(end) - x(start))
+    .attr("y", MARGIN.top)
+    .attr("height", height - MARGIN.top - MARGIN.bottom);
+}
+
+/* =====================================================
+   DISTRIBUTION DES PRIX (HISTOGRAMME + BOÎTE À MOUSTACHES)
+===================================================== */
+
+const DIST_HEIGHT = 110;
+const BOX_HEIGHT = 16;
+
+/**
+ * Dessine la distribution des prix au m² d'un territoire :
+ * histogramme des prix, surmontant une boîte à moustaches
+ * (P10 – Q1 – médiane – Q3 – P90) sur le même axe.
+ *
+ * @param {HTMLElement|null} container - Élément qui reçoit le graphique.
+ * @param {Object|null} distribution - Distribution issue de describeDistribution().
+ */
+export function renderDistributionChart(container, distribution) {
+  if (!container || !distribution) return;
+
+  const bins = distribution.histogramme;
+  const boxTop = DIST_HEIGHT - MARGIN.bottom - BOX_HEIGHT;
+
+  // L'axe couvre l'histogramme et les moustaches
+  const x = d3
+    .scaleLinear()
+    .domain([
+      Math.min(bins[0].x0, distribution.p10),
+      Math.max(bins[bins.length - 1].x1, distribution.p90),
+    ])
+    .nice()
+    .range([MARGIN.left, WIDTH - MARGIN.right]);
+  const y = d3
+    .scaleLinear()
+    .domain([0, d3.max(bins, (b) => b.count)])
+    .range([boxTop - 6, MARGIN.top]);
+
+  const svg = d3
+    .select(container)
+    .append("svg")
+    .attr("class", "evolution-svg")
+    .attr("viewBox", `0 0 ${WIDTH} ${DIST_HEIGHT}`);
+
+  // Histogramme
+  svg
+    .append("g")
+    .attr("class", "distribution-bars")
+    .selectAll("rect")
+    .data(bins)
+    .join("rect")
+    .attr("x", (b) => x(b.x0) + 0.5)
+    .attr("width", (b) => Math.max(x(b.x1) - x(b.x0) - 1, 0.5))
+    .attr("y", (b) => y(b.count))
+    .attr("height", (b) => y(0) - y(b.count))
+    .append("title")
+    .text((b) => `${fmtEuro(b.x0)} – ${fmtEuro(b.x1)} / m² : ${b.count} ventes`);
+
+  // Boîte à moustaches
+  const box = svg.append("g").attr("class", "distribution-box");
+  const milieu = boxTop + BOX_HEIGHT / 2;
+
+  box
+    .append("line")
+    .attr("x1", x(distribution.p10))
+    .attr("x2", x(distribution.p90))
+    .attr("y1", milieu)
+    .attr("y2", milieu);
+  box
+    .append("rect")
+    .attr("x", x(distribution.q1))
+    .attr("width", Math.max(x(distribution.q3) - x(distribution.q1), 1))
+    .attr("y", boxTop)
+    .attr("height", BOX_HEIGHT)
+    .append("title")
+    .text(`Q1–Q3 : ${fmtEuro(distribution.q1)} – ${fmtEuro(distribution.q3)} / m²`);
+  for (const [valeur, cls] of [
+    [distribution.p10, "whisker"],
+    [distribution.median, "median"],
+    [distribution.p90, "whisker"],
+  ]) {
+    box
+      .append("line")
+      .attr("class", cls)
+      .attr("x1", x(valeur))
+      .attr("x2", x(valeur))
+      .attr("y1", boxTop)
+      .attr("y2", boxTop + BOX_HEIGHT);
+  }
+
+  svg
+    .append("g")
+    .attr("class", "evolution-axis")
+    .attr("transform", `translate(0,${DIST_HEIGHT - MARGIN.bottom})`)
+    .call(d3.axisBottom(x).ticks(5).tickFormat((v) => `${Math.round(v / 100) / 10}k`));
+}
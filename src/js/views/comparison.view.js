@@ -106,8 +106,12 @@ function buildComparisonTable(zones) {
     buildRow('Type', zones, z => z.type),
     buildRow('Ventes totales', zones, z => z.stats.ventes || z.stats.nbVentes || '—'),
     buildRow('Prix médian / m²', zones, z => fmtEuro(z.stats.prixMedian)),
+    buildRow('Prix Q1 – Q3 / m²', zones, z => z.stats.distribution
+      ? `${fmtEuro(z.stats.distribution.q1)} – ${fmtEuro(z.stats.distribution.q3)}`
+      : '—'),
     buildRow('Maisons', zones, z => `${z.stats.maisons || z.stats.nbMaisons || 0} ventes`),
     buildRow('Appartements', zones, z => `${z.stats.apparts || z.stats.nbApparts || 0} ventes`),
+    buildRow('Accessibilité transports', zones, z => z.scoreAcces != null ? `${z.scoreAcces}/100` : '—'),
     buildTransportRow('Métro', zones, 'METRO'),
     buildTransportRow('RER', zones, 'RER'),
     buildTransportRow('Tramway', zones, 'TRAMWAY'),
@@ -0,0 +1,124 @@
+/**
+ * Vue pour l'affichage d'une estimation par comparables
+ *
+ * L'estimation est affichée dans le panneau latéral : prix estimé, fourchette,
+ * bande de confiance et liste des ventes comparables utilisées.
+ */
+
+import { fmtEuro } from "../utils/utils.js";
+
+/**
+ * Affiche le résultat d'une estimation dans le panneau latéral.
+ *
+ * @param {Object|null} resultat - Estimation issue de estimerBien(), ou null si aucun comparable.
+ * @param {{ type: string, surface: number, pieces: number|null }} bien - Bien estimé.
+ * @param {{ label: string }} lieu - Localisation du bien.
+ */
+export function showEstimationPanel(resultat, bien, lieu) {
+  const panel = document.getElementById("side-panel");
+  const piecesText = bien.pieces ? ` · ${bien.pieces} pièces` : "";
+
+  const header = `
+    <h2>Estimation</h2>
+    <h3>${bien.type} · ${bien.surface} m²${piecesText}</h3>
+    <div class="panel-period">📍 ${lieu.label}</div>
+  `;
+
+  if (!resultat) {
+    panel.innerHTML = `
+      ${header}
+      <p class="muted">Aucune vente comparable trouvée autour de ce bien.</p>
+    `;
+    return;
+  }
+
+  const { estimation, prixM2, confiance } = resultat;
+
+  panel.innerHTML = `
+    ${header}
+
+    <p>Prix estimé</p>
+    <div class="big-number">${fmtEuro(estimation.median)}</div>
+    <div>${fmtEuro(prixM2.median)} / m²</div>
+
+    <p>Fourchette (Q1 – Q3 des comparables)</p>
+    <div>${fmtEuro(estimation.bas)} – ${fmtEuro(estimation.haut)}</div>
+
+    ${renderBandeConfiance(estimation)}
+
+    <div class="estimation-confiance confiance-${confiance.niveau === "élevée" ? "elevee" : confiance.niveau}">
+      Confiance ${confiance.niveau}
+    </div>
+    <p class="estimation-note">
+      ${resultat.comparables.length} ventes comparables dans ${resultat.niveauLabel},
+      surface à ±${Math.round(resultat.tolerance * 100)} %,
+      pondérées par ancienneté et ressemblance.
+    </p>
+
+    ${renderComparables(resultat.comparables)}
+  `;
+}
+
+/**
+ * Génère la bande de confiance : P10 – P90 (bande claire), Q1 – Q3 (bande foncée)
+ * et estimation centrale (repère).
+ *
+ * @param {{ p10: number, bas: number, median: number, haut: number, p90: number }} estimation
+ * @returns {string} HTML de la bande
+ */
+function renderBandeConfiance(estimation) {
+  const min = estimation.p10;
+  const etendue = estimation.p90 - min || 1;
+  const pos = (v) => `${((v - min) / etendue) * 100}%`;
+
+  return `
+    <div class="estimation-bande" title="P10 – P90 : ${fmtEuro(estimation.p10)} – ${fmtEuro(estimation.p90)}">
+      <div class="estimation-bande-iqr" style="left:${pos(estimation.bas)}; width:calc(${pos(estimation.haut)} - ${pos(estimation.bas)})"></div>
+      <div class="estimation-bande-median" style="left:${pos(estimation.median)}"></div>
+    </div>
+    <div class="estimation-bande-labels">
+      <span>${fmtEuro(estimation.p10)}</span>
+      <span>${fmtEuro(estimation.p90)}</span>
+    </div>
+  `;
+}
+
+/**
+ * Génère le tableau des ventes comparables utilisées pour l'estimation.
+ *
+ * @param {Array<Object>} comparables - Ventes comparables (avec `poids` normalisé).
+ * @returns {string} HTML du tableau
+ */
+function renderComparables(comparables) {
+  const rows = comparables
+    .map((v) => `
+      <tr>
+        <td class="col-date">${v.date_mutation || "—"}</td>
+        <td>${v.adresse || "—"}</td>
+        <td class="col-surface">${Math.round(v.surface)} m²</td>
+        <td class="col-pieces">${v.nb_pieces ?? "—"}</td>
+        <td class="col-prix">${fmtEuro(v.prix)}</td>
+        <td>${Math.round(v.poids * 100)} %</td>
+      </tr>
+    `)
+    .join("");
+
+  return `
+    <section class="sales-details">
+      <h3>Comparables retenus (${comparables.length})</h3>
+      <table class="sales-table">
+        <thead>
+          <tr>
+            <th>Date</th>
+            <th>Adresse</th>
+            <th>Surface</th>
+            <th>Pièces</th>
+            <th>€/m²</th>
+            <th>Poids</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </section>
+  `;
+}
@@ -1,19 +1,29 @@
 import {
-  heatPalette,
-  heatColorQuantile,
-  roundDown100,
-  roundUp100,
-} from "../utils/utils.js";
+  classColor,
+  PALETTES,
+  getPaletteKey,
+  accesPalette,
+  BIVARIATE_COLORS,
+} from "../models/palette.model.js";
+import { CLASSIFICATION_METHODS, MIN_CLASSES, MAX_CLASSES } from "../models/classification.model.js";
+import { MAP_VARIABLES, getMapVariable } from "../models/map-variable.model.js";
 
 let legendControl = null;
 
+// Option "classes fixes" : seuils identiques pour toutes les périodes du curseur temporel
+let fixedBreaks = false;
+
 /**
  * Initialise la légende cartographique affichant les prix au m².
  *
  * La légende est ajoutée dans le coin inférieur gauche de la carte et contient :
+ * - le choix de la variable représentée (prix, accessibilité, prix × accessibilité)
  * - un titre
- * - une barre colorée (dégradé)
- * - des étiquettes min / max
+ * - une barre colorée (une couleur par classe)
+ * - la liste des classes (seuils et nombre de zones), ou la grille 3 × 3 de la carte bivariée
+ * - le choix de la méthode de discrétisation et du nombre de classes
+ * - le choix de la palette de couleurs (dont palettes adaptées au daltonisme)
+ * - une option pour figer les classes de couleur entre les périodes
  *
  * Cette fonction doit être appelée une seule fois au lancement de l'application.
  *
@@ -26,74 +36,243 @@ export function initLegend(map) {
   // Construction du DOM de la légende lorsque Leaflet l'ajoute à la carte
   legendControl.onAdd = () => {
     const div = L.DomUtil.create("div", "legend");
+    const methodes = Object.entries(CLASSIFICATION_METHODS)
+      .map(([value, label]) => `<option value="${value}">${label}</option>`)
+      .join("");
+    const variables = Object.entries(MAP_VARIABLES)
+      .map(([value, label]) => `<option value="${value}"${value === getMapVariable() ? " selected" : ""}>${label}</option>`)
+      .join("");
+    const palettes = Object.entries(PALETTES)
+      .map(([value, { label }]) => `<option value="${value}"${value === getPaletteKey() ? " selected" : ""}>${label}</option>`)
+      .join("");
     // Structure HTML de la légende
     div.innerHTML = `
-      <div class="legend-title">Prix au m²</div>
+      <select id="legend-variable" title="Variable représentée sur la carte">${variables}</select>
+      <div class="legend-title">${MAP_VARIABLES[getMapVariable()]}</div>
       <div class="legend-bar"></div>
-      <div class="legend-labels">
-        <span id="legend-min">—</span>
-        <span id="legend-max">—</span>
+      <ul class="legend-classes"><li class="legend-empty">—</li></ul>
+      <div class="legend-bivariate hidden"></div>
+      <div class="legend-settings">
+        <select id="legend-method" title="Méthode de discrétisation">${methodes}</select>
+        <label title="Nombre de classes de couleur">
+          <input type="number" id="legend-class-count" min="${MIN_CLASSES}" max="${MAX_CLASSES}" value="${MAX_CLASSES}">
+          classes
+        </label>
+        <input type="text" id="legend-manual-breaks" class="hidden"
+               placeholder="Seuils en €/m² (ex : 5000; 7000; 9000)">
+        <select id="legend-palette" title="Couleurs de la carte, de la légende et des indicateurs">${palettes}</select>
       </div>
+      <label class="legend-option" title="Mêmes seuils de couleur pour toutes les périodes">
+        <input type="checkbox" id="legend-fixed-breaks">
+        <span>Classes fixes entre périodes</span>
+      </label>
     `;
+    // Évite que les clics sur la case à cocher ne se propagent à la carte
+    L.DomEvent.disableClickPropagation(div);
+    L.DomEvent.disableScrollPropagation(div);
     return div;
   };
   // Ajout du contrôle à la carte
   legendControl.addTo(map);
 }
 
+/**
+ * Formate un seuil de prix au m² (arrondi à la centaine).
+ *
+ * @param {number} value
+ * @returns {string} Ex : "5 200 €".
+ */
+function fmtSeuil(value) {
+  return `${(Math.round(value / 100) * 100).toLocaleString("fr-FR")} €`;
+}
+
 /**
  * Met à jour dynamiquement la légende des prix au m² selon les valeurs affichées sur la carte.
  *
  * La fonction remplit deux rôles :
- *  1. Actualiser le dégradé de couleur (en fonction d'une palette ou des quantiles)
- *  2. Actualiser les labels min/max pour contextualiser les prix
+ *  1. Actualiser la barre de couleurs (une couleur par classe)
+ *  2. Lister chaque classe : bornes et nombre de zones
  *
  * @param {number} min - Valeur minimale affichée sur la carte (prix au m²).
  * @param {number} max - Valeur maximale affichée sur la carte (prix au m²).
- * @param {number[]} [quantiles=[]] - Seuils utilisés pour les classes (optionnel).
+ * @param {number[]} [quantiles=[]] - Seuils utilisés pour les classes (bornes supérieures incluses).
+ * @param {number[]} [counts=[]] - Nombre de zones de chaque classe (voir countByClass).
  */
-export function updateLegend(min, max, quantiles = []) {
+export function updateLegend(min, max, quantiles = [], counts = []) {
   // Si les valeurs min/max ne sont pas valides → pas de mise à jour
   if (!isFinite(min) || !isFinite(max)) return;
+  showLegendKind("classes", MAP_VARIABLES.prix);
 
   const bar = document.querySelector(".legend-bar");
-  const minEl = document.getElementById("legend-min");
-  const maxEl = document.getElementById("legend-max");
+  const list = document.querySelector(".legend-classes");
+
+  const nbClasses = quantiles.length + 1;
+  const colors = Array.from({ length: nbClasses }, (_, i) => classColor(i, nbClasses));
 
   // ===================================================
-  // Construction du dégradé visuel
+  // Barre : aplats de couleur (une bande par classe)
   // ===================================================
 
-  let colors;
-
-  // Cas 1 : on a des quantiles (ex: appel depuis renderCommunes / renderSections) : on génère un dégradé
-  if (Array.isArray(quantiles) && quantiles.length > 0) {
-    colors = [
-      heatColorQuantile(min, quantiles),
-      ...quantiles.map((q) => heatColorQuantile(q, quantiles)),
-      heatColorQuantile(max, quantiles),
-    ];
-  }
-  // Cas 2 : pas de quantiles fournis → on utilise directement la palette
-  else {
-    colors = heatPalette();
-  }
-
-  // Application du dégradé sur la légende si la barre existe dans le DOM
   if (bar) {
-    bar.style.background = `linear-gradient(to right, ${colors.join(",")})`;
+    const stops = colors.map((c, i) =>
+      `${c} ${(i / nbClasses) * 100}% ${((i + 1) / nbClasses) * 100}%`);
+    bar.style.background = `linear-gradient(to right, ${stops.join(",")})`;
   }
 
   // ===================================================
-  // Mise à jour des labels numérique min/max
+  // Classes : bornes et effectifs (prix les plus élevés en haut)
   // ===================================================
 
-  if (minEl) {
-     // On arrondit "au-dessus" pour éviter d'afficher des décimales
-    minEl.textContent = `< ${roundUp100(min).toLocaleString("fr-FR")} €`;
+  if (list) {
+    list.innerHTML = colors
+      .map((color, i) => {
+        let bornes;
+        if (nbClasses === 1) bornes = `${fmtSeuil(min)} – ${fmtSeuil(max)}`;
+        else if (i === 0) bornes = `≤ ${fmtSeuil(quantiles[0])}`;
+        else if (i === nbClasses - 1) bornes = `> ${fmtSeuil(quantiles[i - 1])}`;
+        else bornes = `${fmtSeuil(quantiles[i - 1])} – ${fmtSeuil(quantiles[i])}`;
+        const n = counts[i] ?? 0;
+        return `
+          <li class="legend-class${n === 0 ? " legend-class-empty" : ""}">
+            <span class="legend-swatch" style="background:${color}"></span>
+            <span class="legend-range">${bornes}</span>
+            <span class="legend-count" title="Nombre de zones">${n}</span>
+          </li>`;
+      })
+      .reverse()
+      .join("");
+  }
+}
+
+/**
+ * Affiche la partie de la légende correspondant à la variable représentée.
+ *
+ * @param {"classes"|"bivariate"} kind - Barre et liste de classes, ou grille bivariée.
+ * @param {string} titre - Titre de la légende.
+ */
+function showLegendKind(kind, titre) {
+  const title = document.querySelector(".legend-title");
+  if (title) title.textContent = titre;
+  document.querySelector(".legend-bar")?.classList.toggle("hidden", kind !== "classes");
+  document.querySelector(".legend-classes")?.classList.toggle("hidden", kind !== "classes");
+  document.querySelector(".legend-bivariate")?.classList.toggle("hidden", kind !== "bivariate");
+}
+
+/**
+ * Légende du score d'accessibilité en transports (classes fixes sur 100).
+ *
+ * @param {number[]} seuils - Seuils des classes (bornes supérieures incluses).
+ * @param {number[]} counts - Nombre de zones de chaque classe.
+ */
+export function updateAccessLegend(seuils, counts) {
+  showLegendKind("classes", `${MAP_VARIABLES.acces} (score /100)`);
+
+  const nbClasses = seuils.length + 1;
+  const colors = Array.from({ length: nbClasses }, (_, i) => classColor(i, nbClasses, accesPalette()));
+
+  const bar = document.querySelector(".legend-bar");
+  if (bar) {
+    const stops = colors.map((c, i) =>
+      `${c} ${(i / nbClasses) * 100}% ${((i + 1) / nbClasses) * 100}%`);
+    bar.style.background = `linear-gradient(to right, ${stops.join(",")})`;
   }
-  if (maxEl) {
-    // On arrondit "en dessous" pour obtenir une borne lisible
-    maxEl.textContent = `> ${roundDown100(max).toLocaleString("fr-FR")} €`;
+
+  const list = document.querySelector(".legend-classes");
+  if (list) {
+    list.innerHTML = colors
+      .map((color, i) => {
+        let bornes;
+        if (i === 0) bornes = `≤ ${seuils[0]}`;
+        else if (i === nbClasses - 1) bornes = `> ${seuils[i - 1]}`;
+        else bornes = `${seuils[i - 1]} – ${seuils[i]}`;
+        const n = counts[i] ?? 0;
+        return `
+          <li class="legend-class${n === 0 ? " legend-class-empty" : ""}">
+            <span class="legend-swatch" style="background:${color}"></span>
+            <span class="legend-range">${bornes}</span>
+            <span class="legend-count" title="Nombre de zones">${n}</span>
+          </li>`;
+      })
+      .reverse()
+      .join("");
   }
 }
+
+/**
+ * Légende de la carte bivariée prix × accessibilité : grille 3 × 3
+ * (prix croissants de gauche à droite, accessibilité croissante de bas en haut).
+ *
+ * @param {number[]} terciles - Seuils de prix des colonnes (€/m²).
+ * @param {number[][]} counts - Nombre de zones : counts[classe d'accessibilité][classe de prix].
+ */
+export function updateBivariateLegend(terciles, counts) {
+  showLegendKind("bivariate", MAP_VARIABLES.bivarie);
+
+  const grid = document.querySelector(".legend-bivariate");
+  if (!grid) return;
+
+  const cellules = [2, 1, 0]
+    .map((acces) => BIVARIATE_COLORS[acces]
+      .map((color, prix) => {
+        const n = counts[acces]?.[prix] ?? 0;
+        return `<span class="bivariate-cell" style="background:${color}" title="${n} zone(s)">${n || ""}</span>`;
+      })
+      .join(""))
+    .join("");
+
+  const prix = terciles.length
+    ? `≤ ${fmtSeuil(terciles[0])}${terciles[1] ? ` · ≤ ${fmtSeuil(terciles[1])}` : ""} · plus`
+    : "—";
+
+  grid.innerHTML = `
+    <div class="bivariate-body">
+      <span class="bivariate-axis-y">Accès →</span>
+      <div class="bivariate-grid">${cellules}</div>
+    </div>
+    <div class="bivariate-axis-x">Prix → <small>${prix}</small></div>
+    <div class="bivariate-hint">
+      <span class="legend-swatch" style="background:${BIVARIATE_COLORS[2][0]}"></span>
+      Bien desservi et bon marché
+    </div>
+  `;
+}
+
+/**
+ * Remet la légende dans son état initial (aucune zone colorée par prix affichée,
+ * ex : retour à la vue régionale).
+ */
+export function resetLegend() {
+  const bar = document.querySelector(".legend-bar");
+  if (bar) bar.style.background = "";
+  const list = document.querySelector(".legend-classes");
+  if (list) list.innerHTML = `<li class="legend-empty">—</li>`;
+  showLegendKind("classes", MAP_VARIABLES[getMapVariable()]);
+}
+
+/**
+ * Affiche ou masque la légende des prix (ex : quand une autre couche thématique la remplace).
+ *
+ * @param {boolean} visible - true pour afficher la légende des prix.
+ */
+export function setLegendVisible(visible) {
+  const container = legendControl?.getContainer();
+  if (container) container.style.display = visible ? "" : "none";
+}
+
+/**
+ * Active ou désactive l'option "classes fixes entre périodes".
+ *
+ * @param {boolean} value - true pour figer les seuils sur l'ensemble des périodes.
+ */
+export function setFixedBreaks(value) {
+  fixedBreaks = !!value;
+}
+
+/**
+ * Indique si les seuils de classes doivent rester fixes entre les périodes.
+ *
+ * @returns {boolean}
+ */
+export function isFixedBreaks() {
+  return fixedBreaks;
+}
@@ -0,0 +1,67 @@
+/* =====================================================
+   INDICATEUR DE CHARGEMENT DES DONNÉES
+===================================================== */
+
+let loadingControl = null;
+
+// Tâches en cours (ex : "dvf", "fichiers") → { message, ratio }
+const tasks = new Map();
+
+/**
+ * Initialise l'indicateur de chargement (coin supérieur droit de la carte) :
+ * libellé de l'étape en cours et barre de progression.
+ *
+ * Il reste masqué tant qu'aucune tâche n'est en cours.
+ * Cette fonction doit être appelée une seule fois au lancement de l'application.
+ *
+ * @param {L.Map} map - Instance de carte Leaflet.
+ */
+export function initLoadingIndicator(map) {
+  loadingControl = L.control({ position: "topright" });
+  loadingControl.onAdd = () => {
+    const div = L.DomUtil.create("div", "loading-indicator hidden");
+    div.innerHTML = `
+      <div class="loading-message"></div>
+      <div class="loading-bar"><div class="loading-bar-fill"></div></div>
+    `;
+    L.DomEvent.disableClickPropagation(div);
+    return div;
+  };
+  loadingControl.addTo(map);
+}
+
+/**
+ * Déclare, met à jour ou termine une tâche de chargement.
+ *
+ * L'indicateur affiche la dernière tâche mise à jour ; il est masqué
+ * lorsque toutes les tâches sont terminées.
+ *
+ * @param {string} key - Identifiant de la tâche.
+ * @param {{ message: string, ratio: number|null }|null} etape - Étape en cours
+ *   (ratio entre 0 et 1, null si inconnu), ou null quand la tâche est terminée.
+ */
+export function setLoadingTask(key, etape) {
+  tasks.delete(key);
+  if (etape) tasks.set(key, etape);
+  render();
+}
+
+/**
+ * Met à jour l'affichage de l'indicateur selon les tâches en cours.
+ */
+function render() {
+  const div = loadingControl?.getContainer();
+  if (!div) return;
+
+  const etapes = [...tasks.values()];
+  div.classList.toggle("hidden", etapes.length === 0);
+  if (etapes.length === 0) return;
+
+  const { message, ratio } = etapes[etapes.length - 1];
+  const indetermine = ratio == null;
+  div.querySelector(".loading-message").textContent = message;
+  div.querySelector(".loading-bar").classList.toggle("indeterminate", indetermine);
+  div.querySelector(".loading-bar-fill").style.width = indetermine
+    ? ""
+    : `${Math.round(Math.min(1, ratio) * 100)}%`;
+}
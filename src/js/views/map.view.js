@@ -1,11 +1,23 @@
+import { fmtEuro } from "../utils/utils.js";
 import {
-  computeQuantiles,
   heatColorQuantile,
-  fmtEuro,
-} from "../utils/utils.js";
-import { updateLegend } from "./legend.view.js";
+  getCompatibilityColor,
+  NO_DATA_COLOR,
+  accesPalette,
+  bivariateColor,
+} from "../models/palette.model.js";
+import { updateLegend, updateAccessLegend, updateBivariateLegend } from "./legend.view.js";
+import { computeBreaks, countByClass } from "../models/classification.model.js";
 import { getFilters, calculateCompatibilityScore } from "../models/filter.model.js";
-import { getTransportsServingZone } from "../models/accessibilite.model.js";
+import { getTransportsServingZone, getAccessibilityScore } from "../models/accessibilite.model.js";
+import {
+  getMapVariable,
+  classOf,
+  SEUILS_SCORE_ACCES,
+  TERCILES_SCORE_ACCES,
+} from "../models/map-variable.model.js";
+import { getPeriod } from "../models/period.model.js";
+import { getVentes } from "../models/dvf.model.js";
 import { state } from "../app/state.js";
 
 /**
@@ -55,11 +67,7 @@ export function renderDepartments(map, geo, statsDept, onDeptClick) {
   const layer = L.geoJSON(geo, {
     style: { color: "#000", weight: 2, fillOpacity: 0.12 },
     onEachFeature: (f, l) => {
-      const code = f.properties.code_insee;
-      l.bindTooltip(
-        `<b>${f.properties.nom}</b><br>${fmtEuro(statsDept[code]?.prixMedian)} / m²`,
-        { sticky: true },
-      );
+      l.bindTooltip(departmentTooltip(f, statsDept), { sticky: true });
       l.on("click", () => onDeptClick(f, l));
     },
   }).addTo(map);
@@ -68,6 +76,30 @@ export function renderDepartments(map, geo, statsDept, onDeptClick) {
   return layer;
 }
 
+/**
+ * Met à jour les infobulles des départements (ex : après changement de période)
+ * sans redessiner la couche ni modifier le zoom.
+ *
+ * @param {L.GeoJSON|null} layer - Couche des départements.
+ * @param {Object.<string, { prixMedian: number }>} statsDept - Stats par code INSEE de département.
+ */
+export function updateDepartmentTooltips(layer, statsDept) {
+  if (!layer) return;
+  layer.eachLayer((l) => l.setTooltipContent(departmentTooltip(l.feature, statsDept)));
+}
+
+/**
+ * Contenu HTML de l'infobulle d'un département.
+ *
+ * @param {GeoJSON.Feature} f - Feature du département.
+ * @param {Object.<string, { prixMedian: number }>} statsDept - Stats par code département.
+ * @returns {string} HTML de l'infobulle.
+ */
+function departmentTooltip(f, statsDept) {
+  const code = f.properties.code_insee;
+  return `<b>${f.properties.nom}</b><br>${fmtEuro(statsDept[code]?.prixMedian)} / m²`;
+}
+
 /**
  * Vérifie si des filtres sont actifs
  * @returns {boolean}
@@ -77,21 +109,8 @@ function hasActiveFilters() {
   return filters.budget !== null || 
          filters.surface !== null || 
          filters.type !== null || 
-         filters.transport === true;
-}
-
-/**
- * Retourne la couleur selon le score de compatibilité
- * 
- * @param {number} score - Score de 0 à 100
- * @returns {string} - Code couleur hexadécimal
- */
-function getCompatibilityColor(score) {
-  if (score === 0) return '#cccccc';
-  if (score <= 30) return '#ff5252';
-  if (score <= 60) return '#ff9800';
-  if (score <= 80) return '#ffc107';
-  return '#4caf50';
+         filters.transport === true ||
+         filters.accesMin !== null;
 }
 
 /**
@@ -136,94 +155,261 @@ function communeMatchesFilters(feature, prix) {
 }
 
 /**
- * Affiche les **communes** d'un département sur la carte.
+ * Calcule l'échelle de couleurs des prix pour un ensemble de zones
+ * et met à jour la légende en conséquence.
  *
- * Gradient de PRIX par défaut, gradient de COMPATIBILITÉ seulement si filtres actifs
+ * Selon la variable représentée (voir map-variable.model.js) :
+ * - prix : classes de la méthode choisie dans la légende
+ * - acces : classes fixes du score d'accessibilité (pas de seuils de prix)
+ * - bivarie : terciles des prix affichés (les classes fixes entre périodes ne s'appliquent pas)
  *
- * @param {L.Map} map - Carte Leaflet.
- * @param {GeoJSON.FeatureCollection} geo - GeoJSON des communes du département sélectionné.
- * @param {Object.<string, number>} prixCommune - Prix médian au m² par id de commune.
- * @param {(feature: GeoJSON.Feature, layer: L.Layer) => void} onCommuneClick - Callback au clic sur une commune.
- * @returns {L.GeoJSON} Couche des communes ajoutée à la carte.
+ * @param {Array<GeoJSON.Feature>} features - Zones affichées.
+ * @param {Object.<string, number>} prixByZone - Prix médian au m² par id de zone.
+ * @param {number[]|null} breaks - Seuils imposés (classes fixes), ou null pour des seuils
+ *   calculés sur les zones affichées (méthode de discrétisation choisie dans la légende).
+ * @returns {number[]} Seuils de classes de prix utilisés pour la coloration.
  */
-export function renderCommunes(map, geo, prixCommune, onCommuneClick) {
-  const values = geo.features
-    .map((f) => prixCommune[f.properties.id])
+function updatePriceScale(features, prixByZone, breaks) {
+  const variable = getMapVariable();
+  const values = features
+    .map((f) => prixByZone[f.properties.id])
     .filter((v) => isFinite(v));
 
-  const quantiles = computeQuantiles(values);
+  if (variable === "acces") {
+    const scores = features.map((f) => getAccessibilityScore(f)?.score);
+    updateAccessLegend(SEUILS_SCORE_ACCES, countByClass(scores, SEUILS_SCORE_ACCES));
+    return [];
+  }
+
+  if (variable === "bivarie") {
+    const terciles = computeBreaks(values, { methode: "quantiles", classes: 3 });
+    // Effectifs : counts[classe d'accessibilité][classe de prix]
+    const counts = TERCILES_SCORE_ACCES.concat(null).map(() => [0, 0, 0]);
+    for (const f of features) {
+      const classePrix = classOf(prixByZone[f.properties.id], terciles);
+      const classeAcces = classOf(getAccessibilityScore(f)?.score, TERCILES_SCORE_ACCES);
+      if (classePrix !== null && classeAcces !== null) counts[classeAcces][classePrix]++;
+    }
+    updateBivariateLegend(terciles, counts);
+    return terciles;
+  }
+
+  const quantiles = breaks ?? computeBreaks(values);
 
   if (values.length) {
     const min = Math.min(...values);
     const max = Math.max(...values);
-    updateLegend(min, max, quantiles);
+    updateLegend(min, max, quantiles, countByClass(values, quantiles));
   }
 
+  return quantiles;
+}
+
+/**
+ * Couleur d'une zone selon la variable représentée (sans filtre actif).
+ *
+ * @param {GeoJSON.Feature} f - Feature de la zone.
+ * @param {number} prix - Prix médian au m² de la zone.
+ * @param {number[]} quantiles - Seuils de classes de prix (voir updatePriceScale).
+ * @returns {string} Couleur hexadécimale.
+ */
+function zoneFill(f, prix, quantiles) {
+  const variable = getMapVariable();
+  if (variable === "prix") return heatColorQuantile(prix, quantiles);
+
+  const score = getAccessibilityScore(f)?.score;
+  if (variable === "acces") return heatColorQuantile(score, SEUILS_SCORE_ACCES, accesPalette());
+  return bivariateColor(classOf(prix, quantiles), classOf(score, TERCILES_SCORE_ACCES));
+}
+
+/**
+ * Compatibilité d'une zone avec les filtres actifs.
+ *
+ * La desserte (filtre transport) et le score d'accessibilité (seuil minimal)
+ * ne sont calculés que si le filtre correspondant est actif.
+ *
+ * @param {GeoJSON.Feature} f - Feature de la zone.
+ * @param {Map} index - Index des ventes du niveau de la zone.
+ * @returns {{ score: number, ventesTotal: number, ventesCorrespondantes: number }}
+ */
+function zoneCompatibility(f, index) {
+  const filters = getFilters();
+  const ventes = getVentes(index, f.properties.id, getPeriod());
+  const transports = filters.transport ? getTransportsServingZone(f) : [];
+  const scoreAcces = filters.accesMin !== null ? getAccessibilityScore(f)?.score ?? null : null;
+  return calculateCompatibilityScore(ventes, transports, scoreAcces);
+}
+
+/**
+ * Score d'accessibilité affiché dans l'infobulle : seulement si la carte
+ * ou les filtres portent sur l'accessibilité.
+ *
+ * @param {GeoJSON.Feature} f - Feature de la zone.
+ * @returns {number|null}
+ */
+function tooltipAccessScore(f) {
+  if (getMapVariable() === "prix" && getFilters().accesMin === null) return null;
+  return getAccessibilityScore(f)?.score ?? null;
+}
+
+/**
+ * Style d'une zone (commune ou section) selon la variable représentée ou sa compatibilité.
+ *
+ * Gradient de la variable par défaut, gradient de COMPATIBILITÉ seulement si filtres actifs
+ *
+ * @param {string|null} fill - Couleur de la variable représentée (voir zoneFill).
+ * @param {Object|null} compatibility - Compatibilité avec les filtres (null sans filtre actif).
+ * @param {{ fillOpacity: number, color: string }} base - Opacité et contour par défaut.
+ * @returns {L.PathOptions} Style Leaflet.
+ */
+function zoneStyle(fill, compatibility, base) {
+  // SI AUCUN FILTRE ACTIF : couleur de la variable représentée
+  if (!compatibility) {
+    return {
+      fillOpacity: base.fillOpacity,
+      weight: 1,
+      color: base.color,
+      fillColor: fill
+    };
+  }
+
+  // SI FILTRES ACTIFS : utiliser gradient de compatibilité
+  const score = compatibility.score;
+
+  let finalColor;
+  let finalOpacity;
+
+  if (score === 0) {
+    finalColor = NO_DATA_COLOR;
+    finalOpacity = 0.2;
+  } else {
+    finalColor = getCompatibilityColor(score);
+    finalOpacity = getCompatibilityOpacity(score);
+  }
+
+  return {
+    fillOpacity: finalOpacity,
+    weight: 1,
+    color: score === 0 ? "#999" : base.color,
+    fillColor: finalColor
+  };
+}
+
+/**
+ * Contenu HTML de l'infobulle d'une zone (commune ou section).
+ *
+ * Tooltip adapté selon si filtres actifs ou non
+ *
+ * @param {string} title - Titre de la zone (nom de commune, "Section AB"...).
+ * @param {number} prix - Prix médian au m² de la zone.
+ * @param {Object|null} compatibility - Compatibilité avec les filtres (null sans filtre actif).
+ * @param {number|null} scoreAcces - Score d'accessibilité (null : non affiché).
+ * @returns {string} HTML de l'infobulle.
+ */
+function zoneTooltip(title, prix, compatibility, scoreAcces) {
+  let tooltipContent = `<b>${title}</b><br>${fmtEuro(prix)} / m²`;
+
+  if (scoreAcces !== null) {
+    tooltipContent += `<br>Accès transports : ${scoreAcces}/100`;
+  }
+
+  if (compatibility) {
+    const score = compatibility.score;
+
+    if (score === 0) {
+      tooltipContent += '<br><i style="color:#999">✗ Hors critères (0%)</i>';
+    } else if (score < 100) {
+      tooltipContent += `<br><i style="color:${getCompatibilityColor(score)}">✓ ${score}% compatible</i>`;
+    } else {
+      tooltipContent += `<br><i style="color:${getCompatibilityColor(100)}">✓ 100% compatible</i>`;
+    }
+  }
+
+  return tooltipContent;
+}
+
+// Styles de base des deux niveaux de zones
+const COMMUNE_BASE_STYLE = { fillOpacity: 0.85, color: "#333" };
+const SECTION_BASE_STYLE = { fillOpacity: 0.9, color: "#111" };
+
+/**
+ * Style d'une commune pour la période active.
+ *
+ * @param {GeoJSON.Feature} f - Feature de la commune.
+ * @param {Object.<string, number>} prixCommune - Prix médian au m² par id de commune.
+ * @param {number[]} quantiles - Seuils de classes de prix.
+ * @param {boolean} filtersActive - true si des filtres sont actifs.
+ * @returns {L.PathOptions} Style Leaflet.
+ */
+function communeStyle(f, prixCommune, quantiles, filtersActive) {
+  const compatibility = filtersActive ? zoneCompatibility(f, state.data.ventesByCommune) : null;
+  const fill = compatibility ? null : zoneFill(f, prixCommune[f.properties.id], quantiles);
+  return zoneStyle(fill, compatibility, COMMUNE_BASE_STYLE);
+}
+
+/**
+ * Infobulle d'une commune pour la période active.
+ *
+ * @param {GeoJSON.Feature} f - Feature de la commune.
+ * @param {Object.<string, number>} prixCommune - Prix médian au m² par id de commune.
+ * @param {boolean} filtersActive - true si des filtres sont actifs.
+ * @returns {string} HTML de l'infobulle.
+ */
+function communeTooltip(f, prixCommune, filtersActive) {
+  const compatibility = filtersActive ? zoneCompatibility(f, state.data.ventesByCommune) : null;
+  return zoneTooltip(f.properties.nom || "Commune", prixCommune[f.properties.id], compatibility, tooltipAccessScore(f));
+}
+
+/**
+ * Style d'une section pour la période active.
+ *
+ * @param {GeoJSON.Feature} f - Feature de la section.
+ * @param {Object.<string, number>} prixSection - Prix médian au m² par id de section.
+ * @param {number[]} quantiles - Seuils de classes de prix.
+ * @param {boolean} filtersActive - true si des filtres sont actifs.
+ * @returns {L.PathOptions} Style Leaflet.
+ */
+function sectionStyle(f, prixSection, quantiles, filtersActive) {
+  const compatibility = filtersActive ? zoneCompatibility(f, state.data.ventesBySection) : null;
+  const fill = compatibility ? null : zoneFill(f, prixSection[f.properties.id], quantiles);
+  return zoneStyle(fill, compatibility, SECTION_BASE_STYLE);
+}
+
+/**
+ * Infobulle d'une section pour la période active.
+ *
+ * @param {GeoJSON.Feature} f - Feature de la section.
+ * @param {Object.<string, number>} prixSection - Prix médian au m² par id de section.
+ * @param {boolean} filtersActive - true si des filtres sont actifs.
+ * @returns {string} HTML de l'infobulle.
+ */
+function sectionTooltip(f, prixSection, filtersActive) {
+  const compatibility = filtersActive ? zoneCompatibility(f, state.data.ventesBySection) : null;
+  return zoneTooltip(`Section ${f.properties.code || "?"}`, prixSection[f.properties.id], compatibility, tooltipAccessScore(f));
+}
+
+/**
+ * Affiche les **communes** d'un département sur la carte.
+ *
+ * Gradient de PRIX par défaut, gradient de COMPATIBILITÉ seulement si filtres actifs
+ *
+ * @param {L.Map} map - Carte Leaflet.
+ * @param {GeoJSON.FeatureCollection} geo - GeoJSON des communes du département sélectionné.
+ * @param {Object.<string, number>} prixCommune - Prix médian au m² par id de commune.
+ * @param {(feature: GeoJSON.Feature, layer: L.Layer) => void} onCommuneClick - Callback au clic sur une commune.
+ * @param {number[]|null} [breaks=null] - Seuils de classes imposés (classes fixes entre périodes).
+ * @returns {L.GeoJSON} Couche des communes ajoutée à la carte.
+ */
+export function renderCommunes(map, geo, prixCommune, onCommuneClick, breaks = null) {
+  const quantiles = updatePriceScale(geo.features, prixCommune, breaks);
+
   // VÉRIFIER SI DES FILTRES SONT ACTIFS
   const filtersActive = hasActiveFilters();
 
   const layer = L.geoJSON(geo, {
-    style: (f) => {
-      const prix = prixCommune[f.properties.id];
-      
-      // SI AUCUN FILTRE ACTIF : utiliser gradient de prix (comportement original)
-      if (!filtersActive) {
-        const fill = heatColorQuantile(prix, quantiles);
-        return {
-          fillOpacity: 0.85,
-          weight: 1,
-          color: "#333",
-          fillColor: fill
-        };
-      }
-
-      // SI FILTRES ACTIFS : utiliser gradient de compatibilité
-      const ventes = state.data.ventesByCommune?.get(f.properties.id) || [];
-      const transports = [];
-      const compatibility = calculateCompatibilityScore(ventes, transports);
-      const score = compatibility.score;
-
-      let finalColor;
-      let finalOpacity;
-
-      if (score === 0) {
-        finalColor = '#cccccc';
-        finalOpacity = 0.2;
-      } else {
-        finalColor = getCompatibilityColor(score);
-        finalOpacity = getCompatibilityOpacity(score);
-      }
-
-      return {
-        fillOpacity: finalOpacity,
-        weight: 1,
-        color: score === 0 ? "#999" : "#333",
-        fillColor: finalColor
-      };
-    },
+    style: (f) => communeStyle(f, prixCommune, quantiles, filtersActive),
     onEachFeature: (f, l) => {
-      const prix = prixCommune[f.properties.id];
-      const nom = f.properties.nom || "Commune";
-
-      // Tooltip adapté selon si filtres actifs ou non
-      let tooltipContent = `<b>${nom}</b><br>${fmtEuro(prix)} / m²`;
-      
-      if (filtersActive) {
-        const ventes = state.data.ventesByCommune?.get(f.properties.id) || [];
-        const compatibility = calculateCompatibilityScore(ventes, []);
-        const score = compatibility.score;
-
-        if (score === 0) {
-          tooltipContent += '<br><i style="color:#999">✗ Hors critères (0%)</i>';
-        } else if (score < 100) {
-          const colorStyle = score > 80 ? '#4caf50' : (score > 60 ? '#ffc107' : (score > 30 ? '#ff9800' : '#ff5252'));
-          tooltipContent += `<br><i style="color:${colorStyle}">✓ ${score}% compatible</i>`;
-        } else {
-          tooltipContent += '<br><i style="color:#4caf50">✓ 100% compatible</i>';
-        }
-      }
-
-      l.bindTooltip(tooltipContent, { sticky: true });
+      l.bindTooltip(communeTooltip(f, prixCommune, filtersActive), { sticky: true });
       l.on("click", () => onCommuneClick(f, l));
     },
   }).addTo(map);
@@ -240,84 +426,19 @@ export function renderCommunes(map, geo, prixCommune, onCommuneClick) {
  * @param {GeoJSON.FeatureCollection} features - GeoJSON des sections.
  * @param {Object.<string, number>} prixSection - Prix par id de section.
  * @param {(feature: GeoJSON.Feature, layer: L.Layer) => void} onSectionClick - Callback au clic.
+ * @param {number[]|null} [breaks=null] - Seuils de classes imposés (classes fixes entre périodes).
  * @returns {L.GeoJSON} Couche des sections.
  */
-export function renderSections(map, features, prixSection, onSectionClick) {
-  const values = features
-    .map((f) => prixSection[f.properties.id])
-    .filter((v) => isFinite(v));
-
-  const quantiles = computeQuantiles(values);
-
-  if (values.length) {
-    const min = Math.min(...values);
-    const max = Math.max(...values);
-    updateLegend(min, max, quantiles);
-  }
+export function renderSections(map, features, prixSection, onSectionClick, breaks = null) {
+  const quantiles = updatePriceScale(features, prixSection, breaks);
 
   // VÉRIFIER SI DES FILTRES SONT ACTIFS
   const filtersActive = hasActiveFilters();
 
   const layer = L.geoJSON(features, {
-    style: (f) => {
-      const prix = prixSection[f.properties.id];
-      
-      // SI AUCUN FILTRE ACTIF : utiliser gradient de prix
-      if (!filtersActive) {
-        const fill = heatColorQuantile(prix, quantiles);
-        return {
-          fillOpacity: 0.9,
-          weight: 1,
-          color: "#111",
-          fillColor: fill
-        };
-      }
-
-      // 🆕 SI FILTRES ACTIFS : utiliser gradient de compatibilité
-      const ventes = state.data.ventesBySection?.get(f.properties.id) || [];
-      const compatibility = calculateCompatibilityScore(ventes, []);
-      const score = compatibility.score;
-
-      let finalColor;
-      let finalOpacity;
-
-      if (score === 0) {
-        finalColor = '#cccccc';
-        finalOpacity = 0.2;
-      } else {
-        finalColor = getCompatibilityColor(score);
-        finalOpacity = getCompatibilityOpacity(score);
-      }
-
-      return {
-        fillOpacity: finalOpacity,
-        weight: 1,
-        color: score === 0 ? "#999" : "#111",
-        fillColor: finalColor
-      };
-    },
+    style: (f) => sectionStyle(f, prixSection, quantiles, filtersActive),
     onEachFeature: (f, l) => {
-      const prix = prixSection[f.properties.id];
-      const code = f.properties.code || "?";
-
-      let tooltipContent = `<b>Section ${code}</b><br>${fmtEuro(prix)} / m²`;
-      
-      if (filtersActive) {
-        const ventes = state.data.ventesBySection?.get(f.properties.id) || [];
-        const compatibility = calculateCompatibilityScore(ventes, []);
-        const score = compatibility.score;
-
-        if (score === 0) {
-          tooltipContent += '<br><i style="color:#999">✗ Hors critères (0%)</i>';
-        } else if (score < 100) {
-          const colorStyle = score > 80 ? '#4caf50' : (score > 60 ? '#ffc107' : (score > 30 ? '#ff9800' : '#ff5252'));
-          tooltipContent += `<br><i style="color:${colorStyle}">✓ ${score}% compatible</i>`;
-        } else {
-          tooltipContent += '<br><i style="color:#4caf50">✓ 100% compatible</i>';
-        }
-      }
-
-      l.bindTooltip(tooltipContent, {
+      l.bindTooltip(sectionTooltip(f, prixSection, filtersActive), {
         sticky: true,
         direction: "auto",
       });
@@ -326,4 +447,67 @@ export function renderSections(map, features, prixSection, onSectionClick) {
   }).addTo(map);
 
   return layer;
-}
\ No newline at end of file
+}
+
+/**
+ * Recolore une couche de communes déjà affichée (ex : changement de période
+ * via le curseur temporel), sans recharger ni redessiner les géométries.
+ *
+ * @param {L.GeoJSON|null} layer - Couche des communes.
+ * @param {Object.<string, number>} prixCommune - Prix médian au m² par id de commune.
+ * @param {number[]|null} [breaks=null] - Seuils de classes imposés.
+ */
+export function recolorCommunes(layer, prixCommune, breaks = null) {
+  if (!layer) return;
+
+  const quantiles = updatePriceScale(layerFeatures(layer), prixCommune, breaks);
+  const filtersActive = hasActiveFilters();
+
+  layer.eachLayer((l) => {
+    l.setStyle(communeStyle(l.feature, prixCommune, quantiles, filtersActive));
+    l.setTooltipContent(communeTooltip(l.feature, prixCommune, filtersActive));
+  });
+}
+
+/**
+ * Recolore une couche de sections déjà affichée (ex : changement de période).
+ *
+ * @param {L.GeoJSON|null} layer - Couche des sections.
+ * @param {Object.<string, number>} prixSection - Prix médian au m² par id de section.
+ * @param {number[]|null} [breaks=null] - Seuils de classes imposés.
+ */
+export function recolorSections(layer, prixSection, breaks = null) {
+  if (!layer) return;
+
+  const quantiles = updatePriceScale(layerFeatures(layer), prixSection, breaks);
+  const filtersActive = hasActiveFilters();
+
+  layer.eachLayer((l) => {
+    l.setStyle(sectionStyle(l.feature, prixSection, quantiles, filtersActive));
+    l.setTooltipContent(sectionTooltip(l.feature, prixSection, filtersActive));
+  });
+}
+
+/**
+ * Liste les features GeoJSON d'une couche Leaflet.
+ *
+ * @param {L.GeoJSON} layer - Couche GeoJSON.
+ * @returns {Array<GeoJSON.Feature>} Features de la couche.
+ */
+export function layerFeatures(layer) {
+  const features = [];
+  layer.eachLayer((l) => features.push(l.feature));
+  return features;
+}
+
+/**
+ * Retrouve la sous-couche d'une couche GeoJSON dont la feature vérifie un critère.
+ *
+ * @param {L.GeoJSON|null} layer - Couche GeoJSON.
+ * @param {(feature: GeoJSON.Feature) => boolean} predicate - Critère de recherche.
+ * @returns {L.Layer|null} Sous-couche trouvée ou null.
+ */
+export function findLayer(layer, predicate) {
+  if (!layer) return null;
+  return layer.getLayers().find((l) => predicate(l.feature)) || null;
+}
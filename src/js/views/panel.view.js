@@ -1,5 +1,9 @@
-import { fmtEuro } from "../utils/utils.js";
-import { computeStats } from "../models/dvf.model.js";
+import { fmtEuro, formatDistance } from "../utils/utils.js";
+import { computeStats, PETIT_ECHANTILLON } from "../models/dvf.model.js";
+import { getPeriod, formatPeriod } from "../models/period.model.js";
+import { EXCLUSION_LABELS } from "../models/cleaning.model.js";
+import { splitAdresse } from "../models/address.model.js";
+import { renderEvolutionChart, renderDistributionChart } from "./chart.view.js";
 
 /* =====================================================
    PANELS
@@ -14,8 +18,12 @@ import { computeStats } from "../models/dvf.model.js";
  * @param {{ ventes?: number, prixMedian?: number, apparts?: number, maisons?: number }} stats
  * @param {Object|Array|null} transports - Données de transport à proximité.
  * @param {Object|null} compatibility - Score de compatibilité { score, ventesCorrespondantes, ventesTotal }
+ * @param {Object} [details] - Compléments facultatifs du panneau
+ * @param {Object|null} [details.evolution] - Séries temporelles du département (computeTimeSeries)
+ * @param {Object|null} [details.exclusions] - Ventes écartées par le nettoyage (summarizeExclusions)
+ * @param {Object|null} [details.acces] - Accessibilité à pied (getZoneAccessibility)
  */
-export function showDeptPanel(nom, stats, transports, compatibility = null) {
+export function showDeptPanel(nom, stats, transports, compatibility = null, { evolution = null, exclusions = null, acces = null } = {}) {
   const panel = document.getElementById("side-panel");
 
   // Bloc de compatibilité
@@ -23,11 +31,13 @@ export function showDeptPanel(nom, stats, transports, compatibility = null) {
 
   panel.innerHTML = `
     <h2>${nom}</h2>
+    ${renderPeriodLabel()}
 
     ${compatibilityHTML}
 
     <p>Nombre total de ventes</p>
     <div class="big-number">${stats?.ventes ?? "—"}</div>
+    ${renderExclusions(exclusions)}
 
     <p>Prix médian au m²</p>
     <div class="big-number">${fmtEuro(stats?.prixMedian)}</div>
@@ -40,8 +50,15 @@ export function showDeptPanel(nom, stats, transports, compatibility = null) {
     <p>Maisons</p>
     <div>${stats?.maisons ?? "—"} ventes</div>
 
-    ${renderAccessibility(transports)}
+    ${renderDistributionBlock(stats)}
+
+    ${renderEvolutionBlock()}
+
+    ${renderAccessibility(transports, acces)}
   `;
+
+  renderDistributionChart(panel.querySelector(".distribution-chart"), stats?.distribution);
+  renderEvolutionChart(panel.querySelector(".evolution-chart"), evolution);
 }
 
 /**
@@ -53,9 +70,15 @@ export function showDeptPanel(nom, stats, transports, compatibility = null) {
  * @param {Array<Object>} ventes - Liste des mutations DVF pour la commune.
  * @param {Object|Array|null} transports - Données de transport à proximité.
  * @param {Object|null} compatibility - Score de compatibilité
+ * @param {Object} [details] - Compléments facultatifs du panneau
+ * @param {Object|null} [details.evolution] - Séries temporelles de la commune (computeTimeSeries)
+ * @param {Object|null} [details.exclusions] - Ventes écartées par le nettoyage (summarizeExclusions)
+ * @param {Object|null} [details.acces] - Accessibilité à pied (getZoneAccessibility)
+ * @param {Object|null} [details.stats] - Statistiques pré-calculées (compactStats), à la place
+ *   de celles des ventes tant que ces dernières sont en cours de chargement
  */
-export function showCommunePanel(nom, ventes, transports, compatibility = null) {
-  const stats = computeStats(ventes);
+export function showCommunePanel(nom, ventes, transports, compatibility = null, { evolution = null, exclusions = null, acces = null, stats: agregees = null } = {}) {
+  const stats = agregees ?? computeStats(ventes);
   const panel = document.getElementById("side-panel");
 
   // Bloc de compatibilité
@@ -63,11 +86,13 @@ export function showCommunePanel(nom, ventes, transports, compatibility = null)
 
   panel.innerHTML = `
     <h2>${nom}</h2>
+    ${renderPeriodLabel()}
 
     ${compatibilityHTML}
 
     <p>Nombre total de ventes</p>
     <div class="big-number">${stats.ventes}</div>
+    ${renderExclusions(exclusions)}
 
     <p>Prix médian au m²</p>
     <div class="big-number">${fmtEuro(stats.prixMedian)}</div>
@@ -82,8 +107,15 @@ export function showCommunePanel(nom, ventes, transports, compatibility = null)
     <div>${stats.maisons} ventes</div>
     <div>${fmtEuro(stats.prixMaisons)} / m²</div>
 
-    ${renderAccessibility(transports)}
+    ${renderDistributionBlock(stats)}
+
+    ${renderEvolutionBlock()}
+
+    ${renderAccessibility(transports, acces)}
   `;
+
+  renderDistributionChart(panel.querySelector(".distribution-chart"), stats.distribution);
+  renderEvolutionChart(panel.querySelector(".evolution-chart"), evolution);
 }
 
 /**
@@ -96,9 +128,16 @@ export function showCommunePanel(nom, ventes, transports, compatibility = null)
  * @param {Array<Object>} ventes - Liste des ventes dans la section.
  * @param {Object|Array|null} transports - Données de transport à proximité.
  * @param {Object|null} compatibility - Score de compatibilité
+ * @param {Object} [details] - Compléments facultatifs du panneau
+ * @param {Object|null} [details.evolution] - Séries temporelles de la section (computeTimeSeries)
+ * @param {Object|null} [details.exclusions] - Ventes écartées par le nettoyage (summarizeExclusions)
+ * @param {Object|null} [details.acces] - Accessibilité à pied (getZoneAccessibility)
+ * @param {Function|null} [details.onVenteClick] - Callback au clic sur une ligne du tableau des ventes (reçoit la vente)
+ * @param {Object|null} [details.stats] - Statistiques pré-calculées (compactStats), à la place
+ *   de celles des ventes tant que ces dernières sont en cours de chargement
  */
-export function showSectionPanel(nomCommune, sectionCode, ventes, transports, compatibility = null) {
-  const stats = computeStats(ventes || []);
+export function showSectionPanel(nomCommune, sectionCode, ventes, transports, compatibility = null, { evolution = null, exclusions = null, onVenteClick = null, acces = null, stats: agregees = null } = {}) {
+  const stats = agregees ?? computeStats(ventes || []);
   const panel = document.getElementById("side-panel");
 
   // Bloc de compatibilité
@@ -107,18 +146,315 @@ export function showSectionPanel(nomCommune, sectionCode, ventes, transports, co
   panel.innerHTML = `
     <h2>${nomCommune}</h2>
     <h3>Section ${sectionCode}</h3>
+    ${renderPeriodLabel()}
 
     ${compatibilityHTML}
 
     <p>Nombre de ventes</p>
     <div class="big-number">${stats.ventes}</div>
+    ${renderExclusions(exclusions)}
 
     <p>Prix médian au m²</p>
     <div class="big-number">${fmtEuro(stats.prixMedian)}</div>
 
-    ${renderAccessibility(transports)}
+    ${renderDistributionBlock(stats)}
+
+    ${renderEvolutionBlock()}
+
+    ${renderAccessibility(transports, acces)}
+
+    ${agregees
+      ? renderVentesDetails([], false, { vide: "Liste disponible à la fin du chargement des ventes" })
+      : renderVentesDetails(ventes, Boolean(onVenteClick))}
+  `;
+
+  renderDistributionChart(panel.querySelector(".distribution-chart"), stats.distribution);
+  renderEvolutionChart(panel.querySelector(".evolution-chart"), evolution);
+
+  bindVentesClick(panel, panel.querySelector(".sales-table tbody"), ventes, onVenteClick);
+}
+
+/**
+ * Clic sur une vente d'un tableau des ventes : mise en évidence sur la carte.
+ *
+ * @param {HTMLElement} panel - Panneau latéral.
+ * @param {HTMLElement|null} tbody - Corps du tableau.
+ * @param {Array<Object>} ventes - Ventes du tableau (dans l'ordre des lignes).
+ * @param {Function|null} onVenteClick - Callback (reçoit la vente).
+ */
+function bindVentesClick(panel, tbody, ventes, onVenteClick) {
+  tbody?.addEventListener("click", (e) => {
+    const row = e.target.closest("tr[data-index]");
+    if (!row || !onVenteClick) return;
+
+    panel.querySelectorAll(".sales-row.active").forEach((r) => r.classList.remove("active"));
+    row.classList.add("active");
+    onVenteClick(ventes[row.dataset.index]);
+  });
+}
+
+/**
+ * Affiche le panneau latéral pour une **zone dessinée** par l'utilisateur.
+ *
+ * Mêmes indicateurs que pour une commune, calculés sur les ventes situées
+ * dans la zone, avec un bouton d'ajout à la comparaison.
+ *
+ * @param {string} nom - Nom de la zone (ex : "Zone dessinée 1").
+ * @param {string} description - Forme et taille de la zone (ex : "Cercle de 800 m de rayon").
+ * @param {Array<Object>} ventes - Ventes DVF situées dans la zone.
+ * @param {Object|Array|null} transports - Lignes desservant la zone.
+ * @param {Object|null} compatibility - Score de compatibilité
+ * @param {Object} [details] - Compléments facultatifs du panneau
+ * @param {Function} [details.onAddToComparison] - Callback du bouton "Ajouter à la comparaison"
+ * @param {Object|null} [details.acces] - Accessibilité à pied (getZoneAccessibility)
+ */
+export function showZonePanel(nom, description, ventes, transports, compatibility = null, { onAddToComparison = null, acces = null } = {}) {
+  const stats = computeStats(ventes);
+  const panel = document.getElementById("side-panel");
+
+  // Bloc de compatibilité
+  const compatibilityHTML = renderCompatibilityIndicator(compatibility);
+
+  panel.innerHTML = `
+    <h2>${nom}</h2>
+    <h3>${description}</h3>
+    ${renderPeriodLabel()}
+
+    ${compatibilityHTML}
+
+    <p>Nombre total de ventes</p>
+    <div class="big-number">${stats.ventes}</div>
+
+    <p>Prix médian au m²</p>
+    <div class="big-number">${fmtEuro(stats.prixMedian)}</div>
+
+    <hr>
+
+    <p>Appartements</p>
+    <div>${stats.apparts} ventes</div>
+    <div>${fmtEuro(stats.prixApparts)} / m²</div>
+
+    <p>Maisons</p>
+    <div>${stats.maisons} ventes</div>
+    <div>${fmtEuro(stats.prixMaisons)} / m²</div>
+
+    ${onAddToComparison ? '<button class="btn-add-comparison">＋ Ajouter à la comparaison</button>' : ''}
+
+    ${renderDistributionBlock(stats)}
 
-    ${renderVentesDetails(ventes)}
+    ${renderAccessibility(transports, acces)}
+  `;
+
+  renderDistributionChart(panel.querySelector(".distribution-chart"), stats.distribution);
+  panel.querySelector(".btn-add-comparison")?.addEventListener("click", onAddToComparison);
+}
+
+/**
+ * Affiche le panneau latéral de la région (vue d'ensemble, aucun territoire sélectionné).
+ *
+ * Même contenu qu'au chargement de la page : message d'aide à la navigation.
+ */
+export function showRegionPanel() {
+  const panel = document.getElementById("side-panel");
+  panel.innerHTML = `
+    <h2>Île-de-France</h2>
+    <p>Survolez un département<br>Cliquez pour explorer</p>
+  `;
+}
+
+/**
+ * Ajoute en tête du panneau latéral les ventes d'une voie (recherche d'adresse),
+ * sans effacer le panneau du territoire affiché.
+ *
+ * @param {string} voie - Voie et commune (ex : "RUE DE LA PAIX – PARIS 02").
+ * @param {Array<Object>} ventes - Ventes de la voie (période et filtres appliqués).
+ * @param {Object} [details] - Compléments facultatifs
+ * @param {string|null} [details.numero] - Numéro recherché (ses ventes sont signalées)
+ * @param {Function|null} [details.onVenteClick] - Callback au clic sur une ligne du tableau (reçoit la vente)
+ */
+export function showAddressSales(voie, ventes, { numero = null, onVenteClick = null } = {}) {
+  const panel = document.getElementById("side-panel");
+  panel.querySelector(".address-sales")?.remove();
+
+  const stats = computeStats(ventes);
+  const auNumero = numero ? ventes.filter((v) => splitAdresse(v.adresse).numero === numero).length : 0;
+
+  panel.insertAdjacentHTML("afterbegin", `
+    <div class="address-sales">
+      <h3>📍 ${voie}</h3>
+      <p>${stats.ventes} ventes · ${fmtEuro(stats.prixMedian)} / m² (médiane)${numero ? ` · dont ${auNumero} au n° ${numero}` : ""}</p>
+      ${renderVentesDetails(ventes, Boolean(onVenteClick), { titre: "Ventes de la voie", vide: "Aucune vente sur cette voie pour la période et les filtres choisis", adresse: true })}
+    </div>
+  `);
+
+  const bloc = panel.querySelector(".address-sales");
+  bindVentesClick(panel, bloc.querySelector(".sales-table tbody"), ventes, onVenteClick);
+  if (numero) {
+    bloc.querySelectorAll(".col-numero").forEach((td) => {
+      if (td.textContent === numero) td.closest("tr").classList.add("address-match");
+    });
+  }
+}
+
+/* =====================================================
+   MESSAGES (DONNÉES INDISPONIBLES)
+===================================================== */
+
+/**
+ * Remplace le contenu du panneau latéral par un message d'erreur.
+ *
+ * Utilisé lorsque des données indispensables n'ont pas pu être chargées.
+ *
+ * @param {string} titre - Titre du message (ex : "Ventes DVF indisponibles").
+ * @param {string} message - Explication affichée sous le titre.
+ */
+export function showPanelError(titre, message) {
+  const panel = document.getElementById("side-panel");
+  panel.innerHTML = `
+    <h2>${titre}</h2>
+    <div class="panel-notice panel-notice-error">${message}</div>
+  `;
+}
+
+/**
+ * Ajoute un avertissement en tête du panneau latéral, sans effacer son contenu.
+ *
+ * Utilisé lorsque la navigation ne peut pas descendre au niveau suivant
+ * (ex : sections cadastrales absentes pour le département).
+ *
+ * @param {string} message - Texte de l'avertissement.
+ */
+export function showPanelNotice(message) {
+  const panel = document.getElementById("side-panel");
+  panel.querySelector(".panel-notice")?.remove();
+  panel.insertAdjacentHTML("afterbegin", `<div class="panel-notice">⚠️ ${message}</div>`);
+}
+
+/* =====================================================
+    PÉRIODE
+===================================================== */
+
+/**
+ * Génère le HTML indiquant la période sur laquelle portent les statistiques.
+ *
+ * @returns {string} HTML de l'étiquette de période
+ */
+function renderPeriodLabel() {
+  return `<div class="panel-period">📅 ${formatPeriod(getPeriod())}</div>`;
+}
+
+/* =====================================================
+    QUALITÉ DES DONNÉES
+===================================================== */
+
+/**
+ * Génère le HTML indiquant combien de ventes ont été écartées par le nettoyage,
+ * avec le détail par motif.
+ *
+ * @param {{ exclues: number, parMotif: Object.<string, number> }|null} exclusions
+ * @returns {string} HTML du bloc ou chaîne vide si aucune vente exclue
+ */
+function renderExclusions(exclusions) {
+  if (!exclusions?.exclues) return '';
+
+  const motifs = Object.entries(exclusions.parMotif)
+    .sort((a, b) => b[1] - a[1])
+    .map(([motif, n]) => `<li>${EXCLUSION_LABELS[motif] ?? motif} : ${n}</li>`)
+    .join('');
+
+  return `
+    <details class="panel-exclusions">
+      <summary>${exclusions.exclues} vente${exclusions.exclues > 1 ? "s" : ""} exclue${exclusions.exclues > 1 ? "s" : ""}</summary>
+      <ul>${motifs}</ul>
+    </details>
+  `;
+}
+
+/* =====================================================
+    DISTRIBUTION DES PRIX, SURFACES ET PIÈCES
+===================================================== */
+
+/**
+ * Génère le bloc HTML de distribution : histogramme / boîte à moustaches des prix
+ * au m² (dessinés ensuite par d3), indicateurs de dispersion, surfaces et pièces.
+ *
+ * Un avertissement est affiché lorsque l'échantillon est trop faible
+ * pour que la médiane soit représentative.
+ *
+ * @param {Object|null} stats - Statistiques issues de computeStats / getFilteredStats
+ * @returns {string} HTML du bloc ou chaîne vide si aucune distribution
+ */
+function renderDistributionBlock(stats) {
+  const d = stats?.distribution;
+  if (!d) return '';
+
+  const warning = d.n < PETIT_ECHANTILLON
+    ? `<p class="distribution-warning">⚠️ Seulement ${d.n} ventes : statistiques peu fiables</p>`
+    : '';
+
+  const s = stats.surfaces;
+  const surfacesHTML = s
+    ? `
+      <tr><td>Surface médiane</td><td>${Math.round(s.median)} m²</td></tr>
+      <tr><td>Surface Q1 – Q3</td><td>${Math.round(s.q1)} – ${Math.round(s.q3)} m²</td></tr>
+    `
+    : '';
+
+  // Répartition par nombre de pièces (barres proportionnelles)
+  const maxPieces = Math.max(...(stats.pieces || []).map((p) => p.count), 0);
+  const piecesHTML = maxPieces > 0
+    ? `
+      <div class="pieces-list">
+        ${stats.pieces.map((p) => `
+          <div class="pieces-row">
+            <span class="pieces-label">${p.label} p.</span>
+            <span class="pieces-bar" style="width:${Math.round((p.count / maxPieces) * 100)}%"></span>
+            <span class="pieces-count">${p.count}</span>
+          </div>
+        `).join('')}
+      </div>
+    `
+    : '';
+
+  return `
+    <section class="distribution">
+      <h3>Distribution des prix au m²</h3>
+      ${warning}
+      <div class="distribution-chart"></div>
+      <table class="distribution-table">
+        <tr><td>Q1 – Q3</td><td>${fmtEuro(d.q1)} – ${fmtEuro(d.q3)}</td></tr>
+        <tr><td>P10 – P90</td><td>${fmtEuro(d.p10)} – ${fmtEuro(d.p90)}</td></tr>
+        <tr><td>Moyenne</td><td>${fmtEuro(d.moyenne)} (σ ${fmtEuro(d.ecartType)})</td></tr>
+        <tr><td>Min – Max</td><td>${fmtEuro(d.min)} – ${fmtEuro(d.max)}</td></tr>
+        ${surfacesHTML}
+      </table>
+      ${piecesHTML ? `<h4>Nombre de pièces</h4>${piecesHTML}` : ''}
+    </section>
+  `;
+}
+
+/* =====================================================
+    ÉVOLUTION DES PRIX
+===================================================== */
+
+/**
+ * Génère le bloc HTML qui accueille le graphique d'évolution des prix.
+ *
+ * Le graphique lui-même est dessiné par d3 une fois le panneau inséré dans le DOM.
+ *
+ * @returns {string} HTML du bloc "Évolution"
+ */
+function renderEvolutionBlock() {
+  return `
+    <section class="evolution">
+      <h3>Évolution des prix</h3>
+      <div class="evolution-legend">
+        <span class="evolution-key apparts">Appartements</span>
+        <span class="evolution-key maisons">Maisons</span>
+      </div>
+      <div class="evolution-chart"></div>
+      <p class="evolution-caption">Médiane €/m² par trimestre (bande Q1–Q3) · ventes par mois</p>
+    </section>
   `;
 }
 
@@ -261,13 +597,107 @@ function renderMode(title, map, cssClass) {
   `;
 }
 
+// Libellés des modes (accès à pied), dans l'ordre d'affichage (mêmes modes que les lignes)
+const MODES_ACCES = {
+  METRO: "Métro",
+  RER: "RER",
+  TRAMWAY: "Tramway",
+  TRAIN: "Train",
+};
+
+/**
+ * Formate une part (0 à 1) en pourcentage.
+ *
+ * @param {number|null} part
+ * @returns {string}
+ */
+function fmtPart(part) {
+  return part == null ? "—" : `${Math.round(part * 100)} %`;
+}
+
+/**
+ * Génère le HTML du score d'accessibilité et de ses composantes.
+ *
+ * @param {Object|null} score - Score de la zone (getAccessibilityScore).
+ * @returns {string} HTML du score ou chaîne vide sans données.
+ */
+function renderAccessScore(score) {
+  if (!score) return "";
+  return `
+    <div class="access-score">
+      <span class="access-score-value" style="--p:${score.score}%"><strong>${score.score}</strong>/100</span>
+      <span class="muted">
+        ${score.lignes} ligne${score.lignes > 1 ? "s" : ""} ·
+        ${score.stations} station${score.stations > 1 ? "s" : ""} ·
+        station à ${formatDistance(score.distance)} (médiane)
+      </span>
+    </div>
+  `;
+}
+
+/**
+ * Génère le HTML de l'accès à pied : parts de la surface et des ventes
+ * à moins de chaque rayon proposé d'une station (rayon actif en gras),
+ * station la plus proche de chaque mode.
+ *
+ * @param {Object|null} acces - Accessibilité de la zone (getZoneAccessibility).
+ * @returns {string} HTML du bloc ou chaîne vide sans données.
+ */
+function renderWalkingAccess(acces) {
+  if (!acces) return "";
+
+  const lignes = Object.entries(MODES_ACCES)
+    .filter(([mode]) => acces.modes[mode])
+    .map(([mode, label]) => {
+      const { station, ligne, distance, distanceMediane } = acces.modes[mode];
+      return `
+        <tr>
+          <th scope="row">${label}</th>
+          <td>${station ?? "—"}${ligne ? ` <span class="muted">(${ligne})</span>` : ""}</td>
+          <td>${distance === 0 ? "dans la zone" : formatDistance(distance)}</td>
+          <td>${formatDistance(distanceMediane)}</td>
+        </tr>
+      `;
+    })
+    .join("");
+
+  // Valeur mise en gras pour le rayon actif (celui du score et des filtres)
+  const cellule = (rayon, texte) => `<td>${rayon === acces.rayon ? `<strong>${texte}</strong>` : texte}</td>`;
+  const parts = `
+      <table class="access-shares">
+        <thead>
+          <tr><th>Desservi à moins de</th>${acces.parts.map((p) => cellule(p.rayon, formatDistance(p.rayon))).join("")}</tr>
+        </thead>
+        <tbody>
+          <tr><th scope="row">Surface</th>${acces.parts.map((p) => cellule(p.rayon, fmtPart(p.surface))).join("")}</tr>
+          <tr><th scope="row">Ventes</th>${acces.parts.map((p) => cellule(p.rayon, fmtPart(p.ventes))).join("")}</tr>
+        </tbody>
+      </table>`;
+
+  return `
+    <div class="access-walk">
+      <h4>Accès à pied (moins de ${formatDistance(acces.rayon)})</h4>
+      ${renderAccessScore(acces.score)}
+      ${parts}
+      ${lignes ? `
+      <table class="access-nearest">
+        <thead>
+          <tr><th>Mode</th><th>Station la plus proche</th><th>Distance</th><th title="Distance médiane d'un point de la zone à la station la plus proche">Médiane</th></tr>
+        </thead>
+        <tbody>${lignes}</tbody>
+      </table>` : ""}
+    </div>
+  `;
+}
+
 /**
  * Construit le bloc "Accessibilité" complet pour le panneau.
  *
- * @param {null|undefined|Array|Object} transports - Données brutes.
+ * @param {null|undefined|Array|Object} transports - Données brutes (lignes à portée à pied).
+ * @param {Object|null} [acces=null] - Accessibilité à pied de la zone (getZoneAccessibility).
  * @returns {string} HTML du bloc accessibilité.
  */
-function renderAccessibility(transports) {
+function renderAccessibility(transports, acces = null) {
   const list = normalizeTransports(transports);
   const acc = buildAccessibility(list);
 
@@ -277,19 +707,15 @@ function renderAccessibility(transports) {
     renderMode("Tramway", acc.TRAMWAY, "tram") +
     renderMode("Train", acc.TRAIN, "rer");
 
-  if (!html.trim()) {
-    return `
-      <section class="accessibility">
-        <h3>Accessibilité</h3>
-        <p class="muted">Aucun transport à proximité</p>
-      </section>
-    `;
-  }
+  const vide = acces
+    ? `Aucune station à moins de ${formatDistance(acces.rayon)} à pied`
+    : "Aucun transport à proximité";
 
   return `
     <section class="accessibility">
       <h3>Accessibilité</h3>
-      ${html}
+      ${html.trim() ? html : `<p class="muted">${vide}</p>`}
+      ${renderWalkingAccess(acces)}
     </section>
   `;
 }
@@ -299,17 +725,22 @@ function renderAccessibility(transports) {
 ===================================================== */
 
 /**
- * Génère le HTML détaillé des ventes pour une section cadastrale.
+ * Génère le HTML détaillé des ventes pour une section cadastrale (ou une voie).
  *
  * @param {Array<Object>} ventes - Liste brute des mutations DVF pour la section.
+ * @param {boolean} [clickable=false] - Lignes cliquables (localisation de la vente sur la carte).
+ * @param {Object} [options]
+ * @param {string} [options.titre="Détail des ventes"] - Titre du bloc.
+ * @param {string} [options.vide="Aucune vente dans cette section"] - Message si aucune vente.
+ * @param {boolean} [options.adresse=false] - Colonne du numéro dans la voie.
  * @returns {string} HTML du bloc "Détail des ventes".
  */
-function renderVentesDetails(ventes) {
+function renderVentesDetails(ventes, clickable = false, { titre = "Détail des ventes", vide = "Aucune vente dans cette section", adresse = false } = {}) {
   if (!ventes || ventes.length === 0) {
     return `
       <section class="sales-details">
-        <h3>Détail des ventes</h3>
-        <p class="muted">Aucune vente dans cette section</p>
+        <h3>${titre}</h3>
+        <p class="muted">${vide}</p>
       </section>
     `;
   }
@@ -337,9 +768,12 @@ function renderVentesDetails(ventes) {
       const date = v.date_mutation || v.date || "";
       const pieces = v.nombre_pieces_principales ?? v.nb_pieces ?? null;
 
+      const localisable = clickable && v.lat != null && v.lon != null;
+
       return `
-      <tr>
+      <tr${localisable ? ` class="sales-row" data-index="${idx}" title="Voir sur la carte"` : ""}>
         <td class="col-index">${idx + 1}</td>
+        ${adresse ? `<td class="col-numero">${splitAdresse(v.adresse).numero ?? "—"}</td>` : ""}
         <td class="col-type">${bien}</td>
         <td class="col-surface">${surface ? surface + " m²" : "—"}</td>
         <td class="col-pieces">${pieces ?? "—"}</td>
@@ -352,11 +786,12 @@ function renderVentesDetails(ventes) {
 
   return `
     <section class="sales-details">
-      <h3>Détail des ventes (${ventes.length})</h3>
+      <h3>${titre} (${ventes.length})</h3>
       <table class="sales-table">
         <thead>
           <tr>
             <th>#</th>
+            ${adresse ? "<th>N°</th>" : ""}
             <th>Bien</th>
             <th>Surface</th>
             <th>Pièces</th>
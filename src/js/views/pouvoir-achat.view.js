@@ -1,11 +1,17 @@
 /**
  * Vue pour l'affichage des résultats de pouvoir d'achat
  * 
- * Ce module gère l'affichage du tableau montrant les 5 meilleures zones
- * où l'utilisateur peut acheter le plus de surface avec son budget.
+ * Ce module gère :
+ * - le tableau classant les zones où l'utilisateur peut acheter le plus de surface
+ * - la couche cartographique (choroplèthe) de la surface achetable par zone
+ * - la légende associée à cette couche
  */
 
-import { fmtEuro } from "../utils/utils.js";
+import { fmtEuro, computeQuantiles } from "../utils/utils.js";
+import { heatColorQuantile, surfacePalette } from "../models/palette.model.js";
+
+// Légende de la couche "surface achetable" (créée à la première analyse)
+let surfaceLegend = null;
 
 /**
  * Affiche le tableau des résultats de pouvoir d'achat
@@ -16,18 +22,39 @@ import { fmtEuro } from "../utils/utils.js";
  * - Vue département : affiche les communes du département
  * - Vue commune : affiche les sections de la commune
  * 
- * @param {Array} topCommunes - Liste des 5 meilleures zones (communes ou sections)
- * @param {number} budget - Budget utilisé pour l'analyse (en euros)
+ * @param {Array} topCommunes - Liste des N meilleures zones (communes ou sections)
+ * @param {Object} financement - Plan de financement utilisé pour l'analyse (calculerFinancement)
  * @param {string} analysisType - Type d'analyse: 'global', 'commune' ou 'section'
+ * @param {Object} [resume] - Synthèse de l'analyse complète
+ * @param {{ type: string|null, piecesMin: number|null }} [resume.segment] - Segment recherché
+ * @param {number} [resume.petitsEchantillons] - Nombre de zones à l'échantillon trop faible
+ * @param {number} [resume.sansVente] - Nombre de zones sans vente pour ce segment
+ * @param {string[]} [resume.deptsManquants] - Départements ignorés (contours indisponibles)
  */
-export function renderPouvoirAchatResults(topCommunes, budget, analysisType = 'global') {
+export function renderPouvoirAchatResults(topCommunes, financement, analysisType = 'global', resume = {}) {
   // Récupération des éléments HTML nécessaires
   const container = document.getElementById('pouvoir-achat-results');
   const content = document.getElementById('pouvoir-achat-content');
   const budgetDisplay = document.getElementById('budget-display-value');
+  const financementDisplay = document.getElementById('financement-display');
+
+  // Affichage du prix maximal du bien au format monétaire (ex: "250 000 €")
+  budgetDisplay.textContent = fmtEuro(financement.prixMax);
+
+  // Détail du financement : apport, emprunt, mensualité et frais de notaire
+  if (financementDisplay) {
+    financementDisplay.textContent = financement.emprunt > 0
+      ? `Apport ${fmtEuro(financement.apport)} + emprunt ${fmtEuro(financement.emprunt)} `
+        + `(${fmtEuro(financement.mensualite)}/mois sur ${financement.dureeAns} ans) `
+        + `− frais de notaire ${fmtEuro(financement.fraisNotaire)}`
+      : `Apport ${fmtEuro(financement.apport)} − frais de notaire ${fmtEuro(financement.fraisNotaire)}`;
+  }
 
-  // Affichage du budget au format monétaire (ex: "250 000 €")
-  budgetDisplay.textContent = fmtEuro(budget);
+  // Segment recherché et fiabilité de l'analyse
+  const critereDisplay = document.getElementById('critere-display');
+  if (critereDisplay) {
+    critereDisplay.textContent = buildCritereText(resume);
+  }
 
   // Cas où aucun résultat n'est trouvé (budget trop faible, zone sans données, etc.)
   if (topCommunes.length === 0) {
@@ -41,7 +68,7 @@ export function renderPouvoirAchatResults(topCommunes, budget, analysisType = 'g
   }
 
   // Titre universel simple pour tous les contextes
-  const titleText = '💰 Top 5 des meilleurs endroits pour votre budget';
+  const titleText = `💰 Top ${topCommunes.length} des meilleurs endroits pour votre budget`;
 
   // Adaptation du titre de la colonne selon le contexte
   // Si on analyse les sections d'une commune, on affiche "Section"
@@ -68,6 +95,36 @@ export function renderPouvoirAchatResults(topCommunes, budget, analysisType = 'g
   container.scrollIntoView({ behavior: 'smooth', block: 'start' });
 }
 
+/**
+ * Construit le texte décrivant le segment recherché et la fiabilité des résultats
+ *
+ * Exemple : "Appartements · 3 pièces et + · ⚠️ 4 zones à l'échantillon faible · 2 zones sans vente"
+ *
+ * @param {Object} resume - Synthèse de l'analyse (voir renderPouvoirAchatResults)
+ * @returns {string}
+ */
+function buildCritereText({ segment = {}, petitsEchantillons = 0, sansVente = 0, deptsManquants = [] }) {
+  const parts = [];
+  parts.push(segment.type === 'Maison' ? 'Maisons' : segment.type === 'Appartement' ? 'Appartements' : 'Tous types de biens');
+  if (segment.piecesMin) parts.push(`${segment.piecesMin} pièce${segment.piecesMin > 1 ? 's' : ''} et +`);
+  if (petitsEchantillons) parts.push(`⚠️ ${petitsEchantillons} zone${petitsEchantillons > 1 ? 's' : ''} à l'échantillon faible`);
+  if (sansVente) parts.push(`${sansVente} zone${sansVente > 1 ? 's' : ''} sans vente`);
+  if (deptsManquants.length) parts.push(`⚠️ Non analysé${deptsManquants.length > 1 ? 's' : ''} (données indisponibles) : ${deptsManquants.join(', ')}`);
+  return parts.join(' · ');
+}
+
+/**
+ * Met à jour le libellé du bouton de bascule entre carte des prix et carte des surfaces
+ *
+ * @param {boolean} surfaceVisible - true si la couche des surfaces est affichée
+ */
+export function updatePouvoirAchatLayerToggle(surfaceVisible) {
+  const btn = document.getElementById('toggle-pouvoir-achat-layer');
+  if (btn) {
+    btn.textContent = surfaceVisible ? '🗺️ Carte des prix' : '🗺️ Carte des surfaces';
+  }
+}
+
 /**
  * Cache le tableau des résultats
  * 
@@ -81,28 +138,30 @@ export function hidePouvoirAchatResults() {
 /**
  * Construit le tableau HTML des résultats
  * 
- * Génère un tableau avec 3 colonnes :
- * - Rang (1-5) avec badge coloré (or, argent, bronze, bleu)
+ * Génère un tableau avec 4 colonnes :
+ * - Rang avec badge coloré (or, argent, bronze, puis bleu)
  * - Nom de la zone (commune ou section)
  * - Surface possible (en m²)
+ * - Prix médian au m² de la zone
  * 
- * @param {Array} communes - Liste des zones à afficher (max 5)
+ * @param {Array} communes - Liste des zones à afficher
  * @param {string} columnTitle - Titre de la 2ème colonne ("Commune" ou "Section")
  * @returns {string} - Code HTML du tableau complet
  */
 function buildPouvoirAchatTable(communes, columnTitle = 'Commune') {
   // Construction des lignes du tableau (une par zone)
   const rows = communes.map((commune, index) => {
-    const rank = index + 1; // Position dans le classement (1 à 5)
-    const rankClass = `rank-${rank}`; // Classe CSS pour la couleur du badge
+    const rank = index + 1; // Position dans le classement
+    const rankClass = rank <= 5 ? `rank-${rank}` : 'rank-n'; // Classe CSS pour la couleur du badge
     
     return `
       <tr>
         <td>
           <div class="rank-badge ${rankClass}">${rank}</div>
         </td>
-        <td>${commune.name}</td>
-        <td>${commune.surfacePossible} m²</td>
+        <td>${commune.name}${renderFiabilite(commune)}</td>
+        <td>${commune.surfacePossible != null ? `${commune.surfacePossible} m²` : '—'}</td>
+        <td>${commune.prixM2 != null ? `${fmtEuro(commune.prixM2)} / m²` : '—'}</td>
       </tr>
     `;
   }).join('');
@@ -115,6 +174,7 @@ function buildPouvoirAchatTable(communes, columnTitle = 'Commune') {
           <th>Rang</th>
           <th>${columnTitle}</th>
           <th>Surface possible</th>
+          <th>Prix / m²</th>
         </tr>
       </thead>
       <tbody>
@@ -122,4 +182,132 @@ function buildPouvoirAchatTable(communes, columnTitle = 'Commune') {
       </tbody>
     </table>
   `;
-}
\ No newline at end of file
+}
+
+/**
+ * Génère l'étiquette signalant une zone dont le résultat est peu fiable
+ *
+ * @param {{ ventes: number, petitEchantillon: boolean }} zone - Résultat d'une zone
+ * @returns {string} HTML de l'étiquette ou chaîne vide
+ */
+function renderFiabilite(zone) {
+  if (!zone.ventes) {
+    return ' <span class="fiabilite-tag">aucune vente</span>';
+  }
+  if (zone.petitEchantillon) {
+    return ` <span class="fiabilite-tag" title="Prix médian calculé sur trop peu de ventes">⚠️ ${zone.ventes} ventes</span>`;
+  }
+  return '';
+}
+
+/* =====================================================
+   COUCHE CARTOGRAPHIQUE DES SURFACES
+===================================================== */
+
+/**
+ * Couleur d'une surface selon les seuils de classes
+ * (palette de la surface achetable, distincte de celle des prix
+ * pour ne pas confondre les deux cartes).
+ *
+ * @param {number|null} surface - Surface achetable (m²).
+ * @param {number[]} quantiles - Seuils de classes.
+ * @returns {string} Couleur hexadécimale.
+ */
+function surfaceColor(surface, quantiles) {
+  return heatColorQuantile(surface, quantiles, surfacePalette());
+}
+
+/**
+ * Affiche l'ensemble des résultats de l'analyse sous forme de choroplèthe
+ * de la surface achetable.
+ *
+ * @param {L.Map} map - Carte Leaflet.
+ * @param {Array<GeoJSON.Feature>} features - Zones analysées (communes ou sections).
+ * @param {Array<{ id: string, name: string, prixM2: number, surfacePossible: number }>} results - Résultats de l'analyse.
+ * @returns {L.GeoJSON} Couche Leaflet ajoutée à la carte.
+ */
+export function renderSurfaceLayer(map, features, results) {
+  const byId = new Map(results.map((r) => [r.id, r]));
+  const surfaces = results.map((r) => r.surfacePossible).filter((v) => v != null);
+  const quantiles = computeQuantiles(surfaces);
+
+  const layer = L.geoJSON(
+    { type: "FeatureCollection", features },
+    {
+      style: (f) => {
+        const r = byId.get(f.properties.id);
+        return {
+          fillColor: surfaceColor(r?.surfacePossible, quantiles),
+          weight: 1,
+          color: "#333",
+          // Zones sans prix estompées, zones à l'échantillon faible en pointillés
+          fillOpacity: r?.surfacePossible == null ? 0.3 : r.petitEchantillon ? 0.5 : 0.85,
+          dashArray: r?.petitEchantillon ? "4" : null,
+        };
+      },
+      onEachFeature: (f, l) => {
+        const r = byId.get(f.properties.id);
+        const name = r?.name ?? f.properties.nom ?? `Section ${f.properties.code}`;
+        const warning = r?.petitEchantillon
+          ? `<br>⚠️ Échantillon faible (${r.ventes} ventes)`
+          : "";
+        l.bindTooltip(
+          r?.surfacePossible != null
+            ? `<b>${name}</b><br>${r.surfacePossible} m² achetables<br>${fmtEuro(r.prixM2)} / m²${warning}`
+            : `<b>${name}</b><br>Pas de vente pour ce type de bien`,
+          { sticky: true },
+        );
+      },
+    },
+  ).addTo(map);
+
+  if (surfaces.length) {
+    showSurfaceLegend(map, Math.min(...surfaces), Math.max(...surfaces), quantiles);
+  }
+
+  return layer;
+}
+
+/**
+ * Affiche (ou met à jour) la légende de la surface achetable.
+ *
+ * @param {L.Map} map - Carte Leaflet.
+ * @param {number} min - Surface minimale affichée (m²).
+ * @param {number} max - Surface maximale affichée (m²).
+ * @param {number[]} quantiles - Seuils de classes.
+ */
+function showSurfaceLegend(map, min, max, quantiles) {
+  if (!surfaceLegend) {
+    surfaceLegend = L.control({ position: "bottomleft" });
+    surfaceLegend.onAdd = () => {
+      const div = L.DomUtil.create("div", "legend legend-surface");
+      div.innerHTML = `
+        <div class="legend-title">Surface achetable</div>
+        <div class="legend-bar"></div>
+        <div class="legend-labels">
+          <span class="legend-surface-min">—</span>
+          <span class="legend-surface-max">—</span>
+        </div>
+      `;
+      return div;
+    };
+  }
+  if (!surfaceLegend.getContainer()?.parentNode) surfaceLegend.addTo(map);
+
+  const div = surfaceLegend.getContainer();
+  const colors = [
+    surfaceColor(min, quantiles),
+    ...quantiles.map((q) => surfaceColor(q, quantiles)),
+    surfaceColor(max, quantiles),
+  ];
+  div.querySelector(".legend-bar").style.background = `linear-gradient(to right, ${colors.join(",")})`;
+  div.querySelector(".legend-surface-min").textContent = `${Math.round(min)} m²`;
+  div.querySelector(".legend-surface-max").textContent = `${Math.round(max)} m²`;
+}
+
+/**
+ * Retire la légende de la surface achetable de la carte.
+ */
+export function hideSurfaceLegend() {
+  surfaceLegend?.remove();
+}
@@ -0,0 +1,160 @@
+// views/sales-layer.view.js
+import { state } from "../app/state.js";
+import { computeQuantiles, fmtEuro } from "../utils/utils.js";
+import { heatColorQuantile, highlightColors } from "../models/palette.model.js";
+
+/* =====================================================
+   COUCHE DES VENTES INDIVIDUELLES (MARQUEURS GROUPÉS)
+===================================================== */
+
+// Marqueur associé à chaque vente affichée (pour la mise en évidence depuis le tableau)
+let markerByVente = new Map();
+
+// Seuils de couleur du prix au m², calculés sur les ventes affichées
+let quantiles = [];
+
+// Marqueur actuellement mis en évidence
+let highlighted = null;
+
+/**
+ * Construit la couche groupée (clusters) des ventes géolocalisées.
+ *
+ * Chaque vente est un petit cercle coloré selon son prix au m²
+ * (mêmes quantiles et palette que la carte de chaleur). Les groupes
+ * sont colorés selon le prix au m² médian des ventes qu'ils contiennent.
+ *
+ * @param {Array<Object>} ventes - Ventes DVF à afficher (avec lat / lon).
+ * @returns {L.MarkerClusterGroup} Couche Leaflet (non ajoutée à la carte).
+ */
+export function renderSalesLayer(ventes) {
+  const geolocalisees = ventes.filter((v) => v.lat != null && v.lon != null);
+  quantiles = computeQuantiles(geolocalisees.map((v) => v.prix));
+  markerByVente = new Map();
+  highlighted = null;
+
+  const layer = L.markerClusterGroup({
+    chunkedLoading: true,       // ajout progressif : la carte reste fluide
+    showCoverageOnHover: false,
+    maxClusterRadius: 50,
+    spiderfyOnMaxZoom: true,    // ventes d'un même immeuble : éclatées au zoom maximal
+    iconCreateFunction: clusterIcon,
+  });
+
+  const markers = geolocalisees.map((v) => {
+    const marker = L.circleMarker([v.lat, v.lon], markerStyle(v));
+    marker.vente = v;
+    marker.bindPopup(() => renderPopup(v));
+    markerByVente.set(v, marker);
+    return marker;
+  });
+  layer.addLayers(markers);
+
+  return layer;
+}
+
+/**
+ * Affiche la couche des ventes sur la carte, en remplaçant la précédente.
+ *
+ * @param {Array<Object>} ventes - Ventes DVF à afficher.
+ */
+export function showSalesLayer(ventes) {
+  hideSalesLayer();
+  state.layers.ventes = renderSalesLayer(ventes).addTo(state.map);
+}
+
+/**
+ * Retire la couche des ventes de la carte.
+ */
+export function hideSalesLayer() {
+  if (state.layers.ventes) {
+    state.map.removeLayer(state.layers.ventes);
+    state.layers.ventes = null;
+  }
+  markerByVente = new Map();
+  highlighted = null;
+}
+
+/**
+ * Met en évidence le marqueur d'une vente : zoom jusqu'à ce qu'il sorte
+ * de son groupe, puis ouverture de sa popup.
+ *
+ * @param {Object} vente - Vente DVF (même objet que celui affiché sur la carte).
+ * @returns {boolean} false si la vente n'a pas de marqueur (non géolocalisée).
+ */
+export function highlightVente(vente) {
+  const marker = markerByVente.get(vente);
+  if (!marker || !state.layers.ventes) return false;
+
+  if (highlighted) highlighted.setStyle(markerStyle(highlighted.vente));
+  highlighted = marker;
+
+  state.layers.ventes.zoomToShowLayer(marker, () => {
+    marker.setStyle({ radius: 10, weight: 3, color: highlightColors().vente });
+    marker.bringToFront();
+    marker.openPopup();
+  });
+  return true;
+}
+
+/**
+ * Style d'un marqueur de vente.
+ *
+ * @param {Object} v - Vente DVF.
+ * @returns {L.CircleMarkerOptions}
+ */
+function markerStyle(v) {
+  return {
+    radius: 6,
+    weight: 1,
+    color: "#ffffff",
+    fillColor: heatColorQuantile(v.prix, quantiles),
+    fillOpacity: 0.9,
+  };
+}
+
+/**
+ * Icône d'un groupe de ventes : nombre de ventes, sur fond coloré
+ * selon le prix au m² médian du groupe.
+ *
+ * @param {L.MarkerCluster} cluster - Groupe de marqueurs.
+ * @returns {L.DivIcon}
+ */
+function clusterIcon(cluster) {
+  const enfants = cluster.getAllChildMarkers();
+  const median = d3.median(enfants, (m) => m.vente.prix);
+  const n = cluster.getChildCount();
+  const taille = n < 10 ? 28 : n < 100 ? 34 : 40;
+
+  return L.divIcon({
+    html: `<div style="background:${heatColorQuantile(median, quantiles)}"
+                title="${n} ventes – médiane ${fmtEuro(median)} / m²">${n}</div>`,
+    className: "sales-cluster",
+    iconSize: [taille, taille],
+  });
+}
+
+/**
+ * Contenu de la popup d'une vente : mêmes champs que le tableau des ventes.
+ *
+ * @param {Object} v - Vente DVF.
+ * @returns {string} HTML de la popup.
+ */
+function renderPopup(v) {
+  const bien = v.type_local == 1 ? "Maison" : v.type_local == 2 ? "Appartement" : v.type || "Bien";
+  const surface = v.surface_reelle_bati || v.surface || null;
+  const pieces = v.nombre_pieces_principales ?? v.nb_pieces ?? null;
+
+  return `
+    <div class="sales-popup">
+      <strong>${bien}</strong>
+      ${v.adresse ? `<div class="muted">${v.adresse} ${v.code_postal || ""}</div>` : ""}
+      <table>
+        <tr><td>Surface</td><td>${surface ? surface + " m²" : "—"}</td></tr>
+        <tr><td>Pièces</td><td>${pieces ?? "—"}</td></tr>
+        <tr><td>Prix</td><td>${fmtEuro(v.valeur_fonciere)}</td></tr>
+        <tr><td>Prix au m²</td><td>${fmtEuro(v.prix)}</td></tr>
+        <tr><td>Date</td><td>${v.date_mutation || v.date || "—"}</td></tr>
+      </table>
+    </div>
+  `;
+}
@@ -0,0 +1,123 @@
+import { highlightColors } from "../models/palette.model.js";
+
+/* =====================================================
+   RECHERCHE DE LIEUX (LISTE DE SUGGESTIONS)
+===================================================== */
+
+// Libellé court de chaque type de résultat
+const TYPES = {
+  dept: "Département",
+  commune: "Commune",
+  cp: "Code postal",
+  section: "Section",
+  gare: "Gare",
+  adresse: "Adresse",
+};
+
+// Marqueur du dernier lieu sélectionné (gare, adresse)
+let searchMarker = null;
+
+/**
+ * Affiche les suggestions sous le champ de recherche.
+ *
+ * @param {Array<{ type: string, label: string, detail?: string }>} results - Résultats.
+ * @param {number} activeIndex - Résultat surligné au clavier (-1 : aucun).
+ * @param {(result: Object) => void} onSelect - Appelé au clic sur un résultat.
+ */
+export function renderSearchResults(results, activeIndex, onSelect) {
+  const list = document.getElementById("search-results");
+  if (!list) return;
+
+  list.innerHTML = "";
+  list.classList.remove("hidden");
+
+  if (results.length === 0) {
+    list.innerHTML = `<li class="search-empty">Aucun lieu trouvé</li>`;
+    return;
+  }
+
+  results.forEach((result, i) => {
+    const item = document.createElement("li");
+    item.className = i === activeIndex ? "search-result active" : "search-result";
+    item.id = `search-result-${i}`;
+    item.setAttribute("role", "option");
+    item.setAttribute("aria-selected", String(i === activeIndex));
+
+    const texte = document.createElement("div");
+    texte.className = "search-result-text";
+    const label = document.createElement("div");
+    label.className = "search-result-label";
+    label.textContent = result.label;
+    texte.appendChild(label);
+    if (result.detail) {
+      const detail = document.createElement("div");
+      detail.className = "search-result-detail";
+      detail.textContent = result.detail;
+      texte.appendChild(detail);
+    }
+
+    const type = document.createElement("span");
+    type.className = "search-result-type";
+    type.textContent = TYPES[result.type] ?? result.type;
+
+    item.append(texte, type);
+    // mousedown : avant la perte du focus du champ (qui masque la liste)
+    item.addEventListener("mousedown", (e) => {
+      e.preventDefault();
+      onSelect(result);
+    });
+    list.appendChild(item);
+  });
+
+  document.getElementById(`search-result-${activeIndex}`)?.scrollIntoView({ block: "nearest" });
+}
+
+/**
+ * Masque la liste des suggestions.
+ */
+export function hideSearchResults() {
+  const list = document.getElementById("search-results");
+  if (!list) return;
+  list.classList.add("hidden");
+  list.innerHTML = "";
+}
+
+/**
+ * Signale un point trouvé par la recherche (gare, adresse).
+ *
+ * Un seul marqueur à la fois : le précédent est retiré.
+ *
+ * @param {L.Map} map - Instance de carte Leaflet.
+ * @param {L.LatLng} latlng - Position du lieu.
+ * @param {string} label - Nom affiché en infobulle.
+ */
+export function showSearchMarker(map, latlng, label) {
+  clearSearchMarker(map);
+  searchMarker = L.circleMarker(latlng, {
+    radius: 9,
+    color: highlightColors().recherche,
+    weight: 3,
+    fillColor: "white",
+    fillOpacity: 1,
+  })
+    .bindTooltip(label, { direction: "top", offset: [0, -8], permanent: true })
+    .addTo(map);
+}
+
+/**
+ * Retire le marqueur de recherche.
+ *
+ * @param {L.Map} map - Instance de carte Leaflet.
+ */
+export function clearSearchMarker(map) {
+  if (searchMarker) map.removeLayer(searchMarker);
+  searchMarker = null;
+}
+
+/**
+ * Applique la couleur de mise en évidence de la palette active
+ * au marqueur de recherche affiché.
+ */
+export function restyleSearchMarker() {
+  searchMarker?.setStyle({ color: highlightColors().recherche });
+}
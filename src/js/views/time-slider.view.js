@@ -0,0 +1,84 @@
+/* =====================================================
+   CURSEUR TEMPOREL (ANIMATION DE LA CARTE PAR PÉRIODE)
+===================================================== */
+
+let sliderControl = null;
+
+/**
+ * Initialise le contrôle Leaflet du curseur temporel, à côté de la légende.
+ *
+ * Le contrôle contient :
+ * - un bouton lecture / pause
+ * - un curseur parcourant les périodes (années ou trimestres)
+ * - l'étiquette de la période affichée
+ * - le choix de la granularité (année / trimestre)
+ * - un bouton pour revenir à toutes les années
+ *
+ * Les interactions sont branchées par le contrôleur (time.controller.js).
+ * Cette fonction doit être appelée une seule fois au lancement de l'application.
+ *
+ * @param {L.Map} map - Instance de carte Leaflet.
+ */
+export function initTimeSlider(map) {
+  sliderControl = L.control({ position: "bottomleft" });
+
+  sliderControl.onAdd = () => {
+    const div = L.DomUtil.create("div", "time-slider");
+    div.innerHTML = `
+      <button id="time-play" class="time-play" title="Lecture">▶</button>
+      <div class="time-slider-body">
+        <div class="time-slider-header">
+          <span id="time-label" class="time-label">Toutes les années</span>
+          <select id="time-granularity" title="Pas du curseur">
+            <option value="annee">Année</option>
+            <option value="trimestre">Trimestre</option>
+          </select>
+          <button id="time-all" class="time-all" title="Toutes les années">Tout</button>
+        </div>
+        <input type="range" id="time-range" min="0" max="0" step="1" value="0">
+      </div>
+    `;
+    // Le curseur ne doit ni déplacer ni zoomer la carte
+    L.DomEvent.disableClickPropagation(div);
+    L.DomEvent.disableScrollPropagation(div);
+    return div;
+  };
+
+  sliderControl.addTo(map);
+}
+
+/**
+ * Met à jour la position et l'étiquette du curseur temporel.
+ *
+ * @param {number} stepCount - Nombre de périodes parcourues par le curseur.
+ * @param {number} index - Position courante (-1 si toutes les années sont affichées).
+ * @param {string} label - Libellé de la période affichée.
+ */
+export function updateTimeSlider(stepCount, index, label) {
+  const range = document.getElementById("time-range");
+  const labelEl = document.getElementById("time-label");
+  const slider = document.querySelector(".time-slider");
+
+  if (range) {
+    range.max = Math.max(stepCount - 1, 0);
+    range.value = Math.max(index, 0);
+    range.disabled = stepCount === 0;
+  }
+  if (labelEl) labelEl.textContent = label;
+
+  // Curseur estompé lorsque toutes les années sont affichées
+  slider?.classList.toggle("time-slider-all", index < 0);
+}
+
+/**
+ * Met à jour l'apparence du bouton lecture / pause.
+ *
+ * @param {boolean} playing - true si l'animation est en cours.
+ */
+export function setTimeSliderPlaying(playing) {
+  const btn = document.getElementById("time-play");
+  if (!btn) return;
+  btn.textContent = playing ? "❚❚" : "▶";
+  btn.title = playing ? "Pause" : "Lecture";
+  btn.classList.toggle("active", playing);
+}
@@ -5,40 +5,162 @@ import { state } from "../app/state.js";
    GESTION DE LA COUCHE TRANSPORTS (METRO / RER / TRAM / TRAIN)
 ===================================================== */
 
+// Modes du sélecteur de lignes (ordre d'affichage) ; VAL, navettes et câble sont regroupés
+const MODES = {
+  RER: "RER",
+  TRAIN: "Transilien et trains",
+  METRO: "Métro",
+  TRAMWAY: "Tramway",
+  AUTRE: "Autres (VAL, funiculaire, câble)",
+};
+
+// Classe CSS des pastilles de ligne (mêmes pastilles que le panneau latéral)
+const BADGES = { METRO: "metro", TRAMWAY: "tram" };
+
+// Zoom minimal d'affichage des stations (trop nombreuses à l'échelle régionale)
+const ZOOM_STATIONS = 12;
+
+// Tracés des lignes : { cle, mode, layer }
+let traces = [];
+
+// Stations regroupées par nom : { lignes: Map(identifiant de ligne → mode), layer }
+let stations = [];
+
+// Sous-couches (lignes et stations) de state.layers.transport
+let lignesLayer = null;
+let stationsLayer = null;
+
+// Sélecteur des modes et des lignes (contrôle Leaflet)
+let transportControl = null;
+
+// Choix de l'utilisateur, conservés quand la couche est masquée puis réaffichée
+const modesMasques = new Set();
+const lignesMasquees = new Set();
+let stationsVisibles = true;
+
+// Ligne mise en évidence par un clic (null : aucune)
+let ligneSurlignee = null;
+
+/**
+ * Groupe d'un mode dans le sélecteur (VAL, câble... → AUTRE).
+ *
+ * @param {string} mode
+ * @returns {string} Clé de MODES.
+ */
+function groupeMode(mode) {
+  return mode in MODES ? mode : "AUTRE";
+}
+
+/**
+ * Identifiant d'une ligne, commun aux tracés et aux stations.
+ *
+ * Les indices de ligne diffèrent parfois entre les deux fichiers (T3a : "3" / "3A"),
+ * on s'appuie donc sur le nom commercial. Les TER de toutes les régions sont regroupés.
+ *
+ * @param {Object} p - Propriétés d'un tracé ou d'une station (transport.model.js).
+ * @returns {string}
+ */
+function cleLigne(p) {
+  const reseau = p.reseau || `${p.mode} ${p.ligne}`;
+  return reseau.startsWith("TER") ? "TER" : reseau;
+}
+
+/**
+ * Libellé d'une ligne pour l'affichage (ex : "METRO 7bis" → "Métro 7bis").
+ *
+ * @param {string} cle - Identifiant de ligne (cleLigne).
+ * @returns {string}
+ */
+function libelleLigne(cle) {
+  const noms = {
+    GL: "Grandes lignes",
+    ORLYVAL: "Orlyval",
+    "CABLE 1": "Câble C1",
+  };
+  if (noms[cle]) return noms[cle];
+  if (cle.startsWith("FUNICULAIRE")) return "Funiculaire de Montmartre";
+  return cle
+    .replace(/^METRO /, "Métro ")
+    .replace(/^TRAM /, "Tram T")
+    .replace(/^TRAIN /, "Ligne ");
+}
+
 /**
  * Construit et retourne la couche Leaflet des transports.
  *
- * La couche est créée à partir de `state.data.transports`
- * (supposé être un FeatureCollection ou tableau GeoJSON).
+ * La couche regroupe :
+ * - les lignes (`state.data.transports`), avec infobulle et mise en évidence au clic
+ * - les stations (`state.data.stops`), une pastille par gare avec popup
  *
- * @returns {L.GeoJSON} Couche GeoJSON Leaflet représentant les transports.
+ * Elle est placée dans un plan au-dessus des zones colorées pour rester cliquable.
+ *
+ * @returns {L.LayerGroup} Couche Leaflet représentant les transports.
  */
 export function renderTransportLayer() {
   // Si la couche existe déjà, on la retourne directement
   // (évite de recréer inutilement).
   if (state.layers.transport) return state.layers.transport;
 
-  // Création de la couche GeoJSON Leaflet.
-  // Chaque feature représente un tronçon ou un point de transport
-  // (ex: une ligne de métro, un arrêt, un segment ferroviaire…).
-  const layer = L.geoJSON(state.data.transports, {
-    style: (f) => ({
-      // Couleur issue des données si disponible,
-      // sinon via getColor(mode).
-      color: f.properties?.couleur || getColor(f.properties?.mode),
-      weight: 2,     // épaisseur du trait
-      opacity: 0.7,  // opacité visuelle
-    }),
+  if (!state.map.getPane("transports")) {
+    state.map.createPane("transports").style.zIndex = 450;
+  }
+
+  // Couleur de chaque ligne (pour les stations, qui n'en ont pas)
+  const couleurs = new Map();
+
+  // Chaque feature représente un tronçon d'une ligne (plusieurs tronçons par ligne).
+  traces = [];
+  lignesLayer = L.geoJSON(state.data.transports, {
+    pane: "transports",
+    // Le clic sur une ligne ne désélectionne pas la ligne (voir clic sur la carte)
+    bubblingMouseEvents: false,
+    style: (f) => traceStyle(cleLigne(f.properties), f.properties),
+    onEachFeature: (f, layer) => {
+      const cle = cleLigne(f.properties);
+      if (f.properties.couleur && !couleurs.has(cle)) couleurs.set(cle, f.properties.couleur);
+      traces.push({ cle, mode: groupeMode(f.properties.mode), layer });
+      layer.bindTooltip(libelleLigne(cle), { sticky: true });
+      layer.on("click", () => highlightLine(cle));
+    },
   });
 
+  // Quelques tronçons ont un autre mode que leur ligne (RER C circulant en TER...) :
+  // chaque ligne est rangée sous le mode majoritaire de ses tronçons
+  const modes = d3.rollup(traces, (v) => d3.mode(v, (t) => t.mode), (t) => t.cle);
+  for (const t of traces) t.mode = modes.get(t.cle);
+
+  stations = groupStations(state.data.stops?.features || []).map((station) => {
+    const lignes = new Map(station.lignes.map((p) => [cleLigne(p), modes.get(cleLigne(p)) ?? groupeMode(p.mode)]));
+    const cles = [...lignes.keys()];
+    const marker = L.circleMarker(station.latlng, {
+      pane: "transports",
+      bubblingMouseEvents: false,
+      radius: cles.length > 1 ? 5 : 4,
+      weight: 2,
+      color: cles.length > 1 ? "#333333" : couleurs.get(cles[0]) || getColor(station.lignes[0].mode),
+      fillColor: "#ffffff",
+      fillOpacity: 1,
+    });
+    marker.bindPopup(() => renderStationPopup(station, couleurs));
+    return { lignes, layer: marker };
+  });
+  stationsLayer = L.layerGroup();
+
   // On stocke la couche dans l’état global pour éviter de dupliquer.
-  state.layers.transport = layer;
+  state.layers.transport = L.layerGroup([lignesLayer, stationsLayer]);
+  applyVisibility();
+
+  // Stations affichées selon le zoom ; clic en dehors d'une ligne : fin de la mise en évidence
+  state.map.on("zoomend", updateStationsLayer);
+  state.map.on("click", () => {
+    if (ligneSurlignee) highlightLine(ligneSurlignee);
+  });
 
-  return layer;
+  return state.layers.transport;
 }
 
 /**
- * Affiche la couche des transports sur la carte.
+ * Affiche la couche des transports et son sélecteur de lignes sur la carte.
  *
  * - Si la couche n'existe pas encore, elle est construite
  * - Puis elle est ajoutée à `state.map`
@@ -49,10 +171,13 @@ export function showTransportLayer() {
 
   // Ajoute la couche à la carte Leaflet.
   state.layers.transport.addTo(state.map);
+  updateStationsLayer();
+  renderTransportControl().addTo(state.map);
+  syncTransportControl();
 }
 
 /**
- * Masque / retire la couche des transports si elle est affichée.
+ * Masque / retire la couche des transports et son sélecteur si elle est affichée.
  *
  * - Ne supprime pas la couche du state
  *   → permet de la re-afficher rapidement via showTransportLayer()
@@ -61,6 +186,310 @@ export function hideTransportLayer() {
   if (state.layers.transport) {
     state.map.removeLayer(state.layers.transport);
   }
+  transportControl?.remove();
+}
+
+/* =====================================================
+   STATIONS
+===================================================== */
+
+/**
+ * Regroupe les arrêts par gare : une entrée par ligne dans les données,
+ * fusionnées quand elles portent le même nom à moins de ~400 m.
+ *
+ * @param {Array<GeoJSON.Feature>} stops - Arrêts (loadStops).
+ * @returns {Array<{ nom: string, latlng: [number, number], lignes: Array<Object> }>}
+ */
+function groupStations(stops) {
+  const parNom = new Map();
+  const groupes = [];
+
+  for (const f of stops) {
+    const coords = f.geometry?.coordinates;
+    if (!coords) continue;
+    const [lng, lat] = coords;
+    const nom = f.properties.nom || "Station";
+
+    const proches = parNom.get(nom) || [];
+    let groupe = proches.find((g) => Math.abs(g.lat - lat) < 0.004 && Math.abs(g.lng - lng) < 0.006);
+    if (!groupe) {
+      groupe = { nom, lat, lng, somme: [0, 0], lignes: [] };
+      proches.push(groupe);
+      parNom.set(nom, proches);
+      groupes.push(groupe);
+    }
+    groupe.lignes.push(f.properties);
+    groupe.somme[0] += lat;
+    groupe.somme[1] += lng;
+  }
+
+  // Position : moyenne des arrêts regroupés
+  return groupes.map((g) => ({
+    nom: g.nom,
+    lignes: g.lignes,
+    latlng: [g.somme[0] / g.lignes.length, g.somme[1] / g.lignes.length],
+  }));
+}
+
+/**
+ * Génère le contenu de la popup d'une station : nom, puis lignes par mode.
+ *
+ * @param {{ nom: string, lignes: Array<Object> }} station
+ * @param {Map<string, string>} couleurs - Couleur de chaque ligne.
+ * @returns {string} HTML de la popup.
+ */
+function renderStationPopup(station, couleurs) {
+  const parMode = new Map();
+  for (const p of station.lignes) {
+    const mode = groupeMode(p.mode);
+    if (!parMode.has(mode)) parMode.set(mode, new Map());
+    parMode.get(mode).set(cleLigne(p), p);
+  }
+
+  const modes = Object.keys(MODES)
+    .filter((mode) => parMode.has(mode))
+    .map((mode) => {
+      const badges = [...parMode.get(mode)]
+        .sort(([a], [b]) => a.localeCompare(b, "fr", { numeric: true }))
+        .map(([cle, p]) => {
+          const cssClass = BADGES[mode] || "rer";
+          const court = mode === "AUTRE" ? libelleLigne(cle) : `${cssClass === "tram" ? "T" : ""}${p.ligne}`;
+          const couleur = couleurs.get(cle) || getColor(p.mode);
+          return `<span class="transport-badge ${cssClass}" style="--c:${couleur}" title="${libelleLigne(cle)}">${court}</span>`;
+        })
+        .join("");
+      return `
+        <div class="station-mode">
+          <span class="station-mode-label">${MODES[mode]}</span>
+          <div class="access-list">${badges}</div>
+        </div>
+      `;
+    })
+    .join("");
+
+  return `
+    <div class="station-popup">
+      <strong>${station.nom}</strong>
+      ${modes}
+    </div>
+  `;
+}
+
+/**
+ * Ajoute ou retire les stations selon le zoom et le choix de l'utilisateur.
+ */
+function updateStationsLayer() {
+  if (!state.layers.transport || !stationsLayer) return;
+  const afficher = stationsVisibles && state.map.getZoom() >= ZOOM_STATIONS;
+  if (afficher) state.layers.transport.addLayer(stationsLayer);
+  else state.layers.transport.removeLayer(stationsLayer);
+}
+
+/* =====================================================
+   SÉLECTION ET MISE EN ÉVIDENCE DES LIGNES
+===================================================== */
+
+/**
+ * Indique si une ligne est affichée (mode et ligne cochés).
+ *
+ * @param {string} cle - Identifiant de ligne.
+ * @param {string} mode - Groupe de mode (clé de MODES).
+ * @returns {boolean}
+ */
+function isVisible(cle, mode) {
+  return !modesMasques.has(mode) && !lignesMasquees.has(cle);
+}
+
+/**
+ * Style d'un tracé selon la ligne mise en évidence.
+ *
+ * @param {string} cle - Identifiant de la ligne du tracé.
+ * @param {Object} p - Propriétés du tracé.
+ * @returns {L.PathOptions}
+ */
+function traceStyle(cle, p) {
+  const style = {
+    // Couleur issue des données si disponible,
+    // sinon via getColor(mode).
+    color: p?.couleur || getColor(p?.mode),
+    weight: 3,     // épaisseur du trait (assez large pour le survol)
+    opacity: 0.7,  // opacité visuelle
+  };
+  if (!ligneSurlignee) return style;
+  return cle === ligneSurlignee
+    ? { ...style, weight: 6, opacity: 1 }
+    : { ...style, opacity: 0.15 };
+}
+
+/**
+ * Applique les choix du sélecteur et la mise en évidence aux tracés et aux stations.
+ */
+function applyVisibility() {
+  for (const { cle, mode, layer } of traces) {
+    if (isVisible(cle, mode)) {
+      lignesLayer.addLayer(layer);
+      layer.setStyle(traceStyle(cle, layer.feature.properties));
+      if (cle === ligneSurlignee) layer.bringToFront();
+    } else {
+      lignesLayer.removeLayer(layer);
+    }
+  }
+
+  // Station affichée si au moins une de ses lignes l'est
+  for (const { lignes, layer } of stations) {
+    const visible = [...lignes].some(([cle, mode]) => isVisible(cle, mode));
+    if (visible) stationsLayer.addLayer(layer);
+    else stationsLayer.removeLayer(layer);
+    // Stations de la ligne mise en évidence : les autres sont estompées
+    const estompee = ligneSurlignee && !lignes.has(ligneSurlignee);
+    layer.setStyle({ opacity: estompee ? 0.25 : 1, fillOpacity: estompee ? 0.25 : 1 });
+  }
+}
+
+/**
+ * Met en évidence une ligne (trait épais, autres lignes estompées).
+ * Un second clic sur la même ligne annule la mise en évidence.
+ *
+ * @param {string} cle - Identifiant de ligne.
+ */
+export function highlightLine(cle) {
+  ligneSurlignee = ligneSurlignee === cle ? null : cle;
+  applyVisibility();
+}
+
+/**
+ * Affiche ou masque toutes les lignes d'un mode.
+ *
+ * @param {string} mode - Clé de MODES.
+ * @param {boolean} visible
+ */
+export function setModeVisible(mode, visible) {
+  if (visible) modesMasques.delete(mode);
+  else modesMasques.add(mode);
+  syncTransportControl();
+  if (state.layers.transport) applyVisibility();
+}
+
+/**
+ * Affiche ou masque une ligne.
+ *
+ * @param {string} cle - Identifiant de ligne.
+ * @param {boolean} visible
+ */
+export function setLineVisible(cle, visible) {
+  if (visible) lignesMasquees.delete(cle);
+  else lignesMasquees.add(cle);
+  // Ligne masquée : plus de mise en évidence
+  if (!visible && ligneSurlignee === cle) ligneSurlignee = null;
+  if (state.layers.transport) applyVisibility();
+}
+
+/**
+ * Affiche ou masque les stations (à partir du zoom ZOOM_STATIONS).
+ *
+ * @param {boolean} visible
+ */
+export function setStationsVisible(visible) {
+  stationsVisibles = visible;
+  updateStationsLayer();
+}
+
+/* =====================================================
+   SÉLECTEUR DES MODES ET DES LIGNES
+===================================================== */
+
+/**
+ * Construit le sélecteur (coin supérieur droit) : une case par mode,
+ * dépliable en une case par ligne.
+ *
+ * Les changements sont relayés par le contrôleur (ui.controller.js)
+ * via les attributs data-mode, data-ligne et data-stations des cases.
+ *
+ * @returns {L.Control} Contrôle Leaflet (non ajouté à la carte).
+ */
+function renderTransportControl() {
+  if (transportControl) return transportControl;
+
+  // Lignes de chaque mode, triées (1, 2, ..., 10) avec leur couleur
+  const lignesParMode = new Map();
+  for (const { cle, mode, layer } of traces) {
+    if (!lignesParMode.has(mode)) lignesParMode.set(mode, new Map());
+    if (!lignesParMode.get(mode).has(cle)) lignesParMode.get(mode).set(cle, layer.options.color);
+  }
+
+  transportControl = L.control({ position: "topright" });
+  transportControl.onAdd = () => {
+    const div = L.DomUtil.create("div", "transport-control");
+    const modes = Object.entries(MODES)
+      .filter(([mode]) => lignesParMode.has(mode))
+      .map(([mode, label]) => {
+        const lignes = [...lignesParMode.get(mode)]
+          .sort(([a], [b]) => a.localeCompare(b, "fr", { numeric: true }))
+          .map(([cle, couleur]) => `
+            <li>
+              <label>
+                <input type="checkbox" data-ligne="${cle}"${lignesMasquees.has(cle) ? "" : " checked"}>
+                <span class="transport-swatch" style="--c:${couleur}"></span>
+                ${libelleLigne(cle)}
+              </label>
+            </li>
+          `)
+          .join("");
+        return `
+          <li class="transport-mode">
+            <div class="transport-mode-header">
+              <label>
+                <input type="checkbox" data-mode="${mode}"${modesMasques.has(mode) ? "" : " checked"}>
+                ${label}
+              </label>
+              <button type="button" class="transport-mode-toggle" aria-expanded="false" title="Choisir les lignes">▸</button>
+            </div>
+            <ul class="transport-lines hidden">${lignes}</ul>
+          </li>
+        `;
+      })
+      .join("");
+
+    div.innerHTML = `
+      <div class="transport-control-title">Réseau de transport</div>
+      <label class="transport-stations" title="Stations visibles à partir du zoom ${ZOOM_STATIONS}">
+        <input type="checkbox" data-stations${stationsVisibles ? " checked" : ""}>
+        Stations (en zoomant)
+      </label>
+      <ul class="transport-modes">${modes}</ul>
+      <div class="transport-hint">Cliquez sur une ligne pour la mettre en évidence</div>
+    `;
+
+    // Dépliage de la liste des lignes d'un mode
+    div.querySelectorAll(".transport-mode-toggle").forEach((btn) => {
+      btn.addEventListener("click", () => {
+        const ouvert = btn.getAttribute("aria-expanded") === "true";
+        btn.setAttribute("aria-expanded", String(!ouvert));
+        btn.textContent = ouvert ? "▸" : "▾";
+        btn.closest(".transport-mode").querySelector(".transport-lines").classList.toggle("hidden", ouvert);
+      });
+    });
+
+    // Évite que les clics et le défilement ne se propagent à la carte
+    L.DomEvent.disableClickPropagation(div);
+    L.DomEvent.disableScrollPropagation(div);
+    return div;
+  };
+  return transportControl;
+}
+
+/**
+ * Grise les cases des lignes d'un mode masqué.
+ */
+function syncTransportControl() {
+  const div = transportControl?.getContainer();
+  if (!div) return;
+  div.querySelectorAll(".transport-mode").forEach((item) => {
+    const mode = item.querySelector("[data-mode]").dataset.mode;
+    item.querySelectorAll("[data-ligne]").forEach((input) => {
+      input.disabled = modesMasques.has(mode);
+    });
+  });
 }
 
 /**
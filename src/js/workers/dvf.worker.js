@@ -0,0 +1,111 @@
+/**
+ * Web Worker du traitement DVF
+ *
+ * Lit les CSV annuels, nettoie, agrège et indexe les ventes hors du thread principal.
+ *
+ * Messages reçus : { years, baseUrl }
+ * Messages envoyés :
+ * - { type: "progress", message, ratio } : étape en cours (ratio entre 0 et 1)
+ * - { type: "partial", statsDept, years } : statistiques départementales provisoires
+ *   (années déjà lues, règles de nettoyage "ligne à ligne" seulement)
+ * - { type: "done", packed, retenues, indexes, indexesExclus, rapport, aggregats } :
+ *   ventes au format colonnes (les `retenues` premières lignes sont les ventes retenues,
+ *   les suivantes les ventes exclues) et index territoriaux compacts, transférés sans copie
+ * - { type: "error", message }
+ */
+
+import { parseCsv } from "../utils/utils.js";
+import {
+  parseDVFRow,
+  dvfYearPath,
+  aggregateVentes,
+  createStatsDeptCumul,
+  addToStatsDept,
+  DVF_LEGACY_PATH,
+} from "../models/dvf.model.js";
+import { tagRowExclusions, tagGroupExclusions, splitExclusions } from "../models/cleaning.model.js";
+import { packVentes, packIndexes, transferables } from "../models/dvf-columns.model.js";
+
+self.onmessage = async ({ data }) => {
+  try {
+    await run(data.years, data.baseUrl);
+  } catch (err) {
+    self.postMessage({ type: "error", message: err.message });
+  }
+};
+
+/**
+ * Télécharge et parse un fichier CSV DVF.
+ *
+ * @param {string} path - Chemin relatif à la page.
+ * @param {string} baseUrl - URL de la page.
+ * @param {number|null} annee - Millésime du fichier (si connu).
+ * @returns {Promise<Array<Object>>} Ventes formatées.
+ */
+async function loadCsv(path, baseUrl, annee = null) {
+  const response = await fetch(new URL(path, baseUrl));
+  if (!response.ok) throw new Error(`${response.status} ${response.statusText} (${path})`);
+  return parseCsv(await response.text(), (d) => parseDVFRow(d, annee));
+}
+
+/**
+ * Traitement complet : lecture année par année (avec résultats provisoires),
+ * nettoyage et agrégation de l'ensemble, puis encodage des ventes et des index en colonnes.
+ *
+ * Les règles multi-lots et prix atypiques portent sur des groupes couvrant toutes
+ * les années : le motif d'exclusion d'une vente n'est connu qu'une fois tout lu,
+ * d'où un second parcours pour ces règles avant l'agrégation et l'encodage.
+ *
+ * @param {number[]} years - Millésimes à charger.
+ * @param {string} baseUrl - URL de la page.
+ */
+async function run(years, baseUrl) {
+  // Étapes : une par année, puis nettoyage / agrégation et encodage
+  const etapes = years.length + 2;
+  const rows = [];
+  const cumul = createStatsDeptCumul();
+
+  for (const [i, annee] of years.entries()) {
+    self.postMessage({ type: "progress", message: `Lecture des ventes ${annee}…`, ratio: i / etapes * 0.9 });
+
+    let lignes;
+    try {
+      lignes = await loadCsv(dvfYearPath(annee), baseUrl, annee);
+    } catch (err) {
+      console.warn(`DVF ${annee} indisponible :`, err);
+      continue;
+    }
+    for (const v of lignes) rows.push(v);
+
+    // Aperçu : règles ligne à ligne sur l'année lue, seules ses ventes sont ajoutées au cumul
+    // (les règles multi-lots et prix atypiques portent sur toutes les années, appliquées à la fin)
+    tagRowExclusions(lignes);
+    self.postMessage({
+      type: "partial",
+      statsDept: addToStatsDept(cumul, lignes.filter((v) => !v.exclusion)),
+      years: years.slice(0, i + 1),
+    });
+  }
+
+  // Repli sur le fichier historique unique
+  if (rows.length === 0) {
+    self.postMessage({ type: "progress", message: "Lecture des ventes…", ratio: 0.1 });
+    for (const v of await loadCsv(DVF_LEGACY_PATH, baseUrl)) rows.push(v);
+    tagRowExclusions(rows);
+  }
+
+  self.postMessage({ type: "progress", message: "Nettoyage et agrégation…", ratio: years.length / etapes * 0.9 });
+  tagGroupExclusions(rows);
+  const { ventes, exclues, rapport } = splitExclusions(rows);
+  const aggregats = aggregateVentes(ventes);
+
+  self.postMessage({ type: "progress", message: "Indexation et transfert des ventes…", ratio: (etapes - 1) / etapes * 0.9 });
+  // Ventes retenues puis exclues : les index désignent les lignes de ces colonnes
+  const packed = packVentes(ventes.concat(exclues));
+  const indexes = packIndexes(ventes);
+  const indexesExclus = packIndexes(exclues, ventes.length);
+  self.postMessage(
+    { type: "done", packed, retenues: ventes.length, indexes, indexesExclus, rapport, aggregats },
+    transferables(packed, [indexes, indexesExclus]),
+  );
+}